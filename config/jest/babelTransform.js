@@ -0,0 +1,14 @@
+'use strict';
+
+// The sources are .js files with TypeScript annotations, which the default
+// react-scripts transform reads as Flow. Strip them as TypeScript instead.
+const babelJest = require('babel-jest').default;
+
+module.exports = babelJest.createTransformer({
+    presets: [
+        [require.resolve('@babel/preset-typescript'), { allExtensions: true, isTSX: true }],
+        [require.resolve('babel-preset-react-app'), { runtime: 'automatic', flow: false }],
+    ],
+    babelrc: false,
+    configFile: false,
+});
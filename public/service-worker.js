@@ -0,0 +1,119 @@
+/* eslint-disable no-restricted-globals */
+
+// ===============================
+// Offline Support
+// ===============================
+
+// Caches the app shell and the build bundles so Scholar Quest opens without a
+// connection. Build assets under /static/ carry a content hash, so they are
+// served cache-first; everything else goes to the network first and only
+// falls back to the cache when offline.
+//
+// This file stays the same from one build to the next, so a new build doesn't
+// install a new worker. Instead, each time a fresh index.html is fetched the
+// cache is brought in line with the build's asset manifest: new bundles are
+// added and the ones older builds left behind are deleted.
+
+const CACHE_NAME = 'scholar-quest-v2';
+const APP_SHELL = ['./', './index.html', './manifest.json', './icon.svg'];
+const STATIC_PATH = new URL('./static/', self.location.href).pathname;
+
+// The bundles of the current build, read from the manifest CRA writes next to
+// index.html. Source maps are left out, they are only fetched by dev tools.
+// Resolves to null when the manifest can't be read, so nothing is pruned.
+const getBuildAssets = () =>
+    fetch('./asset-manifest.json', { cache: 'no-cache' })
+        .then((response) => (response.ok ? response.json() : null))
+        .then((manifest) =>
+            manifest
+                ? Object.values(manifest.files ?? {}).filter(
+                    (path) => path.startsWith(STATIC_PATH) && !path.endsWith('.map')
+                )
+                : null
+        )
+        .catch(() => null);
+
+const syncBuildAssets = () =>
+    Promise.all([caches.open(CACHE_NAME), getBuildAssets()]).then(([cache, assets]) => {
+        if (!assets) {
+            return undefined;
+        }
+        return cache.keys().then((requests) => {
+            const cached = requests.map((request) => new URL(request.url).pathname);
+            const stale = requests.filter((request, index) =>
+                cached[index].startsWith(STATIC_PATH) && !assets.includes(cached[index])
+            );
+            const missing = assets.filter((path) => !cached.includes(path));
+            return Promise.all([
+                ...stale.map((request) => cache.delete(request)),
+                cache.addAll(missing),
+            ]);
+        });
+    });
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then((cache) => cache.addAll(APP_SHELL))
+            .then(syncBuildAssets)
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then((keys) => Promise.all(keys.filter((key) => key !== CACHE_NAME).map((key) => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+const cacheResponse = (request, response) => {
+    if (response.ok) {
+        const copy = response.clone();
+        caches.open(CACHE_NAME).then((cache) => cache.put(request, copy));
+    }
+    return response;
+};
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin) {
+        return;
+    }
+
+    if (request.mode === 'navigate') {
+        const fresh = fetch(request).then((response) => cacheResponse('./index.html', response));
+        event.respondWith(fresh.catch(() => caches.match('./index.html')));
+        event.waitUntil(
+            fresh.then((response) => (response.ok ? syncBuildAssets() : undefined)).catch(() => undefined)
+        );
+        return;
+    }
+
+    if (url.pathname.startsWith(STATIC_PATH)) {
+        event.respondWith(
+            caches.match(request).then((cached) =>
+                cached ?? fetch(request).then((response) => cacheResponse(request, response))
+            )
+        );
+        return;
+    }
+
+    event.respondWith(
+        fetch(request).catch(() => caches.match(request).then((cached) => cached ?? Response.error()))
+    );
+});
+
+// Reminders are shown by the page through this worker; clicking one brings
+// the app back to the front, or opens it if every tab was closed
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((clients) => {
+            const client = clients.find((candidate) => 'focus' in candidate);
+            return client ? client.focus() : self.clients.openWindow(self.registration.scope);
+        })
+    );
+});
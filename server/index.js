@@ -0,0 +1,235 @@
+// ===============================
+// Scholar Quest Sync Server
+// ===============================
+
+// A small reference server for the REST sync adapter (src/lib/progressAdapters.js).
+// It keeps one JSON file per user and has no dependencies beyond Node itself:
+//
+//   node server/index.js
+//
+// Settings come from the environment: PORT (4000), DATA_DIR (server/data) and
+// ALLOWED_ORIGIN (*). There is no authentication; put it behind a proxy that
+// handles that before exposing it outside your own machine.
+
+const http = require('http');
+const fs = require('fs/promises');
+const path = require('path');
+
+const PORT = Number(process.env.PORT) || 4000;
+const DATA_DIR = path.resolve(process.env.DATA_DIR || path.join(__dirname, 'data'));
+const ALLOWED_ORIGIN = process.env.ALLOWED_ORIGIN || '*';
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+const USER_ID_PATTERN = /^[\w.-]{1,64}$/;
+const EVENTS_PATH_PATTERN = /^\/users\/([^/]+)\/events$/;
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+// ===============================
+// Storage
+// ===============================
+
+// Each user's log: events in the order the server received them, each with a
+// sequence number that clients use as their pull cursor, plus the latest copy
+// of their preferences
+const emptyLog = () => ({ resetAt: null, seq: 0, events: [], preferences: null });
+
+const getLogPath = (userId) => path.join(DATA_DIR, `${userId}.json`);
+
+const readLog = async (userId) => {
+    try {
+        return JSON.parse(await fs.readFile(getLogPath(userId), 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return emptyLog();
+        }
+        throw error;
+    }
+};
+
+// Written to a temporary file first, so a crash never leaves half a log behind
+const writeLog = async (userId, log) => {
+    const target = getLogPath(userId);
+    const temporary = `${target}.${process.pid}.tmp`;
+    await fs.mkdir(DATA_DIR, { recursive: true });
+    await fs.writeFile(temporary, JSON.stringify(log));
+    await fs.rename(temporary, target);
+};
+
+// Requests for the same user run one at a time
+const queues = new Map();
+
+const withUserLock = (userId, task) => {
+    const run = (queues.get(userId) || Promise.resolve()).then(task, task);
+    queues.set(userId, run.catch(() => {}));
+    return run;
+};
+
+// ===============================
+// Merging
+// ===============================
+
+// The same rules as mergeStores in src/lib/progressStore.js: events are
+// immutable and unique by id, so merging is a union. A newer resetAt (a
+// restored backup) replaces the log, keeping only events recorded after it.
+
+const isValidEvent = (event) =>
+    event &&
+    typeof event === 'object' &&
+    typeof event.id === 'string' &&
+    typeof event.type === 'string' &&
+    typeof event.at === 'string' &&
+    !Number.isNaN(new Date(event.at).getTime());
+
+const addEvents = (log, events, resetAt) => {
+    // The pushed events are the restored log itself, so all of them are kept
+    const isNewReset = resetAt !== null && resetAt > (log.resetAt || '');
+    const next = isNewReset
+        ? { ...log, resetAt, events: log.events.filter(({ event }) => event.at > resetAt) }
+        : log;
+
+    const since = isNewReset ? '' : next.resetAt || '';
+    const known = new Set(next.events.map(({ event }) => event.id));
+    let { seq } = next;
+    const added = [];
+    events.forEach((event) => {
+        if (!known.has(event.id) && event.at > since) {
+            known.add(event.id);
+            seq += 1;
+            added.push({ seq, event });
+        }
+    });
+
+    return { ...next, seq, events: [...next.events, ...added] };
+};
+
+// Preferences aren't events: the copy saved last replaces the other one
+const isValidPreferences = (preferences) =>
+    preferences &&
+    typeof preferences === 'object' &&
+    preferences.value &&
+    typeof preferences.value === 'object' &&
+    typeof preferences.savedAt === 'string';
+
+const setPreferences = (log, preferences) =>
+    preferences.savedAt > ((log.preferences && log.preferences.savedAt) || '') ? { ...log, preferences } : log;
+
+// ===============================
+// HTTP
+// ===============================
+
+const readBody = (request) => new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    request.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+            reject(new HttpError(413, 'Request body is too large'));
+            request.destroy();
+            return;
+        }
+        chunks.push(chunk);
+    });
+    request.on('end', () => {
+        try {
+            resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'));
+        } catch {
+            reject(new HttpError(400, 'Request body is not valid JSON'));
+        }
+    });
+    request.on('error', reject);
+});
+
+const send = (response, status, body) => {
+    response.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': ALLOWED_ORIGIN,
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type',
+    });
+    response.end(body === undefined ? undefined : JSON.stringify(body));
+};
+
+// GET: events after the client's cursor, or the whole log when the client's
+// copy was reset differently from the server's. Preferences are only sent
+// when they differ from the copy the client has.
+const pullEvents = async (userId, query) => {
+    const log = await readLog(userId);
+    const since = Number(query.get('since')) || 0;
+    const full = (query.get('resetAt') || '') !== (log.resetAt || '');
+    const { preferences = null } = log;
+    return {
+        events: log.events.filter((entry) => full || entry.seq > since).map(({ event }) => event),
+        cursor: log.seq,
+        resetAt: log.resetAt,
+        full,
+        preferences: preferences && preferences.savedAt !== query.get('preferencesSavedAt') ? preferences : null,
+    };
+};
+
+const pushEvents = (userId, body) => {
+    if (!Array.isArray(body.events) || !body.events.every(isValidEvent)) {
+        throw new HttpError(400, 'Expected { events: [...] } with an id, type and at on every event');
+    }
+    if (body.preferences !== undefined && !isValidPreferences(body.preferences)) {
+        throw new HttpError(400, 'Expected preferences as { value, savedAt }');
+    }
+    const resetAt = typeof body.resetAt === 'string' ? body.resetAt : null;
+    return withUserLock(userId, async () => {
+        const withEvents = addEvents(await readLog(userId), body.events, resetAt);
+        const log = body.preferences ? setPreferences(withEvents, body.preferences) : withEvents;
+        await writeLog(userId, log);
+        return { cursor: log.seq, resetAt: log.resetAt };
+    });
+};
+
+const handleRequest = async (request, response) => {
+    const url = new URL(request.url, `http://${request.headers.host || 'localhost'}`);
+    if (request.method === 'OPTIONS') {
+        send(response, 204);
+        return;
+    }
+    if (url.pathname === '/health') {
+        send(response, 200, { ok: true });
+        return;
+    }
+
+    const match = url.pathname.match(EVENTS_PATH_PATTERN);
+    const userId = match && decodeURIComponent(match[1]);
+    if (!userId) {
+        throw new HttpError(404, 'Not found');
+    }
+    if (!USER_ID_PATTERN.test(userId)) {
+        throw new HttpError(400, 'User ids may only use letters, numbers, ".", "_" and "-"');
+    }
+
+    if (request.method === 'GET') {
+        send(response, 200, await pullEvents(userId, url.searchParams));
+    } else if (request.method === 'POST') {
+        send(response, 200, await pushEvents(userId, await readBody(request)));
+    } else {
+        throw new HttpError(405, 'Method not allowed');
+    }
+};
+
+const server = http.createServer((request, response) => {
+    handleRequest(request, response).catch((error) => {
+        if (!(error instanceof HttpError)) {
+            console.error(error);
+        }
+        send(response, error.status || 500, { error: error instanceof HttpError ? error.message : 'Internal error' });
+    });
+});
+
+if (require.main === module) {
+    server.listen(PORT, () => {
+        console.log(`Scholar Quest sync server listening on http://localhost:${PORT}, storing data in ${DATA_DIR}`);
+    });
+}
+
+module.exports = { server, addEvents, setPreferences };
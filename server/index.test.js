@@ -0,0 +1,59 @@
+/**
+ * @jest-environment node
+ */
+const { addEvents, setPreferences } = require('./index');
+
+const event = (id, at) => ({ id, type: 'xp.granted', at });
+
+const emptyLog = () => ({ resetAt: null, seq: 0, events: [] });
+
+const ids = (log) => log.events.map(({ event: { id } }) => id);
+
+describe('addEvents', () => {
+    it('numbers new events in the order they arrive', () => {
+        const log = addEvents(emptyLog(), [event('a', '2025-03-01T09:00:00.000Z'), event('b', '2025-03-01T08:00:00.000Z')], null);
+        expect(log.seq).toBe(2);
+        expect(log.events.map(({ seq }) => seq)).toEqual([1, 2]);
+        expect(ids(log)).toEqual(['a', 'b']);
+    });
+
+    it('skips events it already has', () => {
+        const first = addEvents(emptyLog(), [event('a', '2025-03-01T09:00:00.000Z')], null);
+        const second = addEvents(first, [event('a', '2025-03-01T09:00:00.000Z'), event('b', '2025-03-02T09:00:00.000Z')], null);
+        expect(ids(second)).toEqual(['a', 'b']);
+        expect(second.seq).toBe(2);
+        expect(addEvents(second, [event('b', '2025-03-02T09:00:00.000Z')], null)).toEqual(second);
+    });
+
+    it('replaces the log with a newer reset, keeping what was recorded after it', () => {
+        const log = addEvents(emptyLog(), [
+            event('old', '2025-03-01T09:00:00.000Z'),
+            event('after', '2025-03-05T09:00:00.000Z'),
+        ], null);
+        const reset = addEvents(log, [event('restored', '2025-02-01T09:00:00.000Z')], '2025-03-04T00:00:00.000Z');
+        expect(reset.resetAt).toBe('2025-03-04T00:00:00.000Z');
+        expect(ids(reset)).toEqual(['after', 'restored']);
+        expect(reset.seq).toBe(3);
+    });
+
+    it('drops events from before the reset that arrive later', () => {
+        const reset = addEvents(emptyLog(), [], '2025-03-04T00:00:00.000Z');
+        const next = addEvents(reset, [
+            event('stale', '2025-03-01T09:00:00.000Z'),
+            event('fresh', '2025-03-05T09:00:00.000Z'),
+        ], '2025-03-01T00:00:00.000Z');
+        expect(next.resetAt).toBe('2025-03-04T00:00:00.000Z');
+        expect(ids(next)).toEqual(['fresh']);
+    });
+});
+
+describe('setPreferences', () => {
+    const saved = (savedAt) => ({ value: { rewards: [] }, savedAt });
+
+    it('keeps whichever copy was saved last', () => {
+        const log = setPreferences(emptyLog(), saved('2025-03-05T09:00:00.000Z'));
+        expect(log.preferences.savedAt).toBe('2025-03-05T09:00:00.000Z');
+        expect(setPreferences(log, saved('2025-03-05T08:00:00.000Z'))).toBe(log);
+        expect(setPreferences(log, saved('2025-03-05T10:00:00.000Z')).preferences.savedAt).toBe('2025-03-05T10:00:00.000Z');
+    });
+});
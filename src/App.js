@@ -1,80 +1,107 @@
-import React, { useState, useEffect, useCallback } from 'react';
-import { motion, AnimatePresence } from 'framer-motion';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { AnimatePresence } from 'framer-motion';
 import { Button } from '@/components/ui/button';
-import { Input } from '@/components/ui/input';
 import { Textarea } from '@/components/ui/textarea';
 import { Progress } from '@/components/ui/progress';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
 import { cn } from "@/lib/utils";
 import {
-    BookOpen,
-    Zap,
     BrainCircuit,
-    GraduationCap,
     Trophy,
-    CalendarDays,
-    PlusCircle,
-    CheckCircle,
     Sparkles,
-    Book,
-    MessageSquare,
-    Users,
-    Edit,
-    Check,
-    X,
-    AlertTriangle,
-    Clock,
-    Award
+    Coins,
+    Settings,
+    Search
 } from 'lucide-react';
-
-// ===============================
-// Types & Interfaces
-// ===============================
-
-interface LogEntry {
-    label: string;
-    amount: number;
-    timestamp: Date;
-}
+import XpHistoryCard, { LogEntryChanges } from '@/components/XpHistoryCard';
+import BackupCard from '@/components/BackupCard';
+import TimeTrackerCard from '@/components/TimeTrackerCard';
+import TaskEditorCard from '@/components/TaskEditorCard';
+import SettingsCard from '@/components/SettingsCard';
+import BadgeCard from '@/components/BadgeCard';
+import ChallengeCard from '@/components/ChallengeCard';
+import RewardShopCard, { REWARD_SHOP_ID } from '@/components/RewardShopCard';
+import ToastStack from '@/components/ToastStack';
+import NotificationCenter from '@/components/NotificationCenter';
+import CelebrationOverlay from '@/components/CelebrationOverlay';
+import CommandPalette from '@/components/CommandPalette';
+import SubjectsCard from '@/components/SubjectsCard';
+import BookTrackerCard from '@/components/BookTrackerCard';
+import ReviewsCard from '@/components/ReviewsCard';
+import StreakBonusCard from '@/components/StreakBonusCard';
+import MoodJournalCard from '@/components/MoodJournalCard';
+import StatsCard from '@/components/StatsCard';
+import SideQuestCard, { SideQuestDraft } from '@/components/SideQuestCard';
+import GoalPlannerCard, { GoalDraft } from '@/components/GoalPlannerCard';
+import useStoredState from '@/hooks/useStoredState';
+import useProgress from '@/hooks/useProgress';
+import useReminders from '@/hooks/useReminders';
+import useTicker from '@/hooks/useTicker';
+import useToasts from '@/hooks/useToasts';
+import useSessionTimer from '@/hooks/useSessionTimer';
+import useKeyboardShortcuts from '@/hooks/useKeyboardShortcuts';
+import useSyncedPreferences from '@/hooks/useSyncedPreferences';
+import useI18n, { I18nContext } from '@/hooks/useI18n';
+import { EVENT_TYPES, ProgressEvent, createId } from '@/lib/events';
+import { StoredPreferences } from '@/lib/progressStore';
+import { LevelCurve, LevelTitle, getLevel, getLevelInfo, translateLevelTitle } from '@/lib/levels';
+import { DEFAULT_SETTINGS, SETTINGS_STORAGE_KEY, normalizeSettings } from '@/lib/settings';
+import { MAX_MOOD_NOTE_LENGTH, MOOD_OPTIONS, getMoodLabel } from '@/lib/moods';
+import { evaluateAchievements, getAchievementChanges, isTierUnlocked } from '@/lib/achievements';
+import { SideQuest } from '@/lib/sideQuests';
+import { toDayKey } from '@/lib/dates';
+import { Book, countUnreadPages, getReadingTask, getReadingXp } from '@/lib/books';
+import { ReviewMethod, Topic } from '@/lib/reviews';
+import { Preferences } from '@/lib/preferences';
+import { DEFAULT_SUBJECT_STATE, SUBJECTS_STORAGE_KEY, getSubjectStats, parseSubjectState } from '@/lib/subjects';
+import { DEFAULT_REWARDS, REWARDS_STORAGE_KEY, Reward, getCoinBalance, getRewardName, parseRewards } from '@/lib/rewards';
+import {
+    CHALLENGE_POOL_STORAGE_KEY,
+    ChallengeStatus,
+    DEFAULT_CHALLENGE_POOL,
+    getChallengeSource,
+    getChallengeStatus,
+    getChallengeText,
+    parseChallengePool,
+    pickChallenge,
+} from '@/lib/challenges';
+import { XpDetails, XpSource } from '@/lib/xpLog';
+import { FocusSession, TimerPhase, getFocusXp } from '@/lib/timer';
+import { TaskAvailability, getMinutesLeft, getTaskAvailability } from '@/lib/taskLimits';
+import {
+    GoalPeriod,
+    GoalStatus,
+    describeGoal,
+    getGoalPayoutId,
+    getGoalStatus,
+    getPeriodRange,
+    getPeriodSummary,
+} from '@/lib/goals';
+import { showNotification } from '@/lib/notifications';
+import { createProgressAdapter } from '@/lib/progressAdapters';
+import { Command } from '@/lib/commands';
+import { Translate, createTranslator } from '@/lib/i18n';
+import {
+    DEFAULT_TASK_CATEGORIES,
+    TASK_CATALOG_STORAGE_KEY,
+    TaskCategory,
+    TaskDefinition,
+    findTask,
+    getCategoryName,
+    getTaskIcon,
+    getTaskLabel,
+    parseCatalog,
+} from '@/lib/taskCatalog';
 
 // ===============================
 // Constants
 // ===============================
 
-const XP_PER_LEVEL = 700;
-const DAILY_CHALLENGE_XP = 25;
-const SIDE_QUEST_XP = 15;
-const REWARD_INTERVAL = 100;
-
-const TASK_CATEGORIES = {
-    Initiation: [
-        { label: "Read 1–4 pages", value: 5, icon: BookOpen },
-    ],
-    Engagement: [
-        { label: "Read 5–14 pages", value: 10, icon: Book },
-        { label: "Read 15–24 pages", value: 15, icon: Book },
-        { label: "Read 25+ pages", value: 20, icon: Book },
-    ],
-    Understanding: [
-        { label: "Understanding it", value: 10, icon: BrainCircuit },
-        { label: "Active recall", value: 5, icon: BrainCircuit },
-        { label: "Linking to real world", value: 10, icon: BrainCircuit },
-        { label: "Answering/discussing", value: 5, icon: MessageSquare },
-    ],
-    Mastery: [
-        { label: "Reading notes later", value: 10, icon: GraduationCap },
-        { label: "Teaching someone", value: 20, icon: Users },
-    ],
-};
+// How long the undo toast stays up after an XP grant
+const UNDO_TIMEOUT_MS = 6000;
 
-const MOOD_OPTIONS = [
-    { value: 'Happy', label: 'Happy', icon: '😊', xp: 10 },
-    { value: 'Motivated', label: 'Motivated', icon: '🚀', xp: 10 },
-    { value: 'Focused', label: 'Focused', icon: '🎯', xp: 5 },
-    { value: 'Calm', label: 'Calm', icon: '😌', xp: 0 },
-    { value: 'Tired', label: 'Tired', icon: '😴', xp: 0 },
-    { value: 'Stressed', label: 'Stressed', icon: '😓', xp: 0 },
-];
+// Target of the "Skip to tasks" link
+const TASKS_SECTION_ID = 'tasks';
 
 // Animation variants
 const rewardAnimationVariants = {
@@ -92,47 +119,34 @@ const rewardAnimationVariants = {
     exit: { opacity: 0, scale: 0.5 },
 };
 
-const xpAnimationVariants = {
-    initial: { opacity: 0, y: 20 },
-    animate: { opacity: 1, y: 0, transition: { duration: 0.3 } },
-    exit: { opacity: 0, y: -20, transition: { duration: 0.2 } },
-};
-
-// ===============================
-// Helper Functions
-// ===============================
-const getRandomDailyChallenge = () => {
-    const challenges = [
-        "Read 10 pages today",
-        "Reflect on your progress for 10 minutes",
-        "Take notes on your learning",
-        "Try a new study technique",
-        "Solve 5 practice problems",
-        "Summarize a chapter",
-        "Create a study plan for the week",
-        "Review previous material",
-        "Attend a study group",
-        "Explain a concept to someone else"
-    ];
-    return challenges[Math.floor(Math.random() * challenges.length)];
+const levelUpAnimationVariants = {
+    hidden: { opacity: 0, scale: 0.5 },
+    visible: { opacity: 1, scale: 1.2, transition: { duration: 0.8 } },
+    exit: { opacity: 0, scale: 0.5, transition: { duration: 0.5 } },
 };
 
 // ===============================
 // Components
 // ===============================
 
-const XpDisplay = ({ xp }: { xp: number }) => {
-    const level = Math.floor(xp / XP_PER_LEVEL) + 1;
-    const progress = (xp % XP_PER_LEVEL) / XP_PER_LEVEL * 100;
+const XpDisplay = ({ xp, levelCurve, levelTitles }: {
+    xp: number;
+    levelCurve: LevelCurve;
+    levelTitles: LevelTitle[];
+}) => {
+    const { t, formatNumber } = useI18n();
+    const { level, title, xpIntoLevel, xpForLevel, progress } = getLevelInfo(xp, levelCurve, levelTitles);
 
     return (
         <Card className="bg-gradient-to-br from-purple-800 to-indigo-800 text-white shadow-lg border-none">
             <CardHeader>
                 <CardTitle className="flex items-center gap-2 text-xl font-semibold">
                     <Trophy className="w-5 h-5 text-yellow-400" />
-                    Your Progress
+                    {t('progress.title')}
                 </CardTitle>
-                <CardDescription>Level: {level}</CardDescription>
+                <CardDescription>
+                    {t('progress.level', { level })}{title && ` · ${translateLevelTitle(title, t)}`}
+                </CardDescription>
             </CardHeader>
             <CardContent>
                 <div className="space-y-2">
@@ -143,9 +157,11 @@ const XpDisplay = ({ xp }: { xp: number }) => {
                             '--progress-color': `linear-gradient(to right, #4ade80, #22c55e)`
                         }}
                     />
-                    <p className="text-sm text-gray-200 text-center">{Math.floor(progress)}% to next level</p>
+                    <p className="text-sm text-gray-200 text-center">
+                        {t('progress.toNext', { percent: formatNumber(Math.floor(progress) / 100, { style: 'percent' }) })}
+                    </p>
                     <p className="text-xs text-gray-300 text-center">
-                        {xp} / {level * XP_PER_LEVEL} XP
+                        {t('progress.xp', { into: xpIntoLevel, needed: xpForLevel, total: xp })}
                     </p>
                 </div>
             </CardContent>
@@ -153,246 +169,151 @@ const XpDisplay = ({ xp }: { xp: number }) => {
     );
 };
 
+const getLimitText = (availability: TaskAvailability, t: Translate) => {
+    if (availability.status === 'cooldown') {
+        return t('tasks.limit.cooldown', { count: getMinutesLeft(availability.readyAt) });
+    }
+    if (availability.status === 'capped') {
+        return availability.limit === 'category' ? t('tasks.limit.categoryCapped') : t('tasks.limit.capped');
+    }
+    return null;
+};
+
 const TaskButton = ({
     label,
     value,
+    availability,
+    shortcut,
     onClick,
     icon: Icon
 }: {
     label: string;
     value: number;
-    onClick: (amount: number, label: string) => void;
+    availability: TaskAvailability;
+    shortcut?: string;
+    onClick: () => void;
     icon: React.ComponentType<{ className?: string }>;
-}) => (
-    <Button
-        onClick={() => onClick(value, label)}
-        className={cn(
-            "w-full flex items-center justify-start gap-3",
-            "bg-gradient-to-r from-blue-600 to-blue-800",
-            "text-white font-semibold rounded-xl shadow-lg",
-            "hover:from-blue-500 hover:to-blue-700 hover:scale-105",
-            "transition-all duration-300",
-            "border-none",
-            "py-4 px-6",
-            "shadow-blue-500/50"
-        )}
-    >
-        <Icon className="w-5 h-5" />
-        +{value} XP - {label}
-    </Button>
-);
-
-const RewardAnimation = () => (
-    <motion.div
-        variants={rewardAnimationVariants}
-        initial="hidden"
-        animate="visible"
-        exit="exit"
-        className="fixed inset-0 flex items-center justify-center bg-black/80 z-50"
-    >
-        <Card className="bg-yellow-400 text-black p-6 rounded-3xl shadow-2xl border-4 border-black">
-            <CardHeader>
-                <CardTitle className="text-3xl font-bold text-center flex items-center justify-center gap-3">
-                    <Sparkles className="w-8 h-8" />
-                    Reward Time!
-                    <Sparkles className="w-8 h-8" />
-                </CardTitle>
-                <CardDescription className="text-center text-lg">
-                    You earned 100 XP! Treat yourself!
-                </CardDescription>
-            </CardHeader>
-        </Card>
-    </motion.div>
-);
-
-const DailyChallengeCard = ({
-    challenge,
-    onComplete,
-    completed
-}: {
-    challenge: string;
-    onComplete: () => void;
-    completed: boolean;
-}) => (
-    <Card
-        className={cn(
-            "bg-gradient-to-br from-green-700 to-emerald-700 text-white shadow-lg border-none",
-            "transition-all duration-300",
-            completed ? "opacity-70" : "hover:scale-[1.02] hover:shadow-xl"
-        )}
-    >
-        <CardHeader>
-            <CardTitle className="flex items-center gap-2 text-xl font-semibold">
-                <CalendarDays className="w-5 h-5 text-yellow-400" />
-                Daily Challenge
-            </CardTitle>
-            <CardDescription>Complete for {DAILY_CHALLENGE_XP} XP</CardDescription>
-        </CardHeader>
-        <CardContent>
-            <div className="space-y-4">
-                <p className="text-lg">{challenge}</p>
-                {!completed && (
-                    <Button
-                        onClick={onComplete}
-                        className="w-full bg-yellow-500 text-black font-bold
-                                   hover:bg-yellow-400 transition-colors"
-                    >
-                        <CheckCircle className="w-5 h-5 mr-2" />
-                        Complete Challenge
-                    </Button>
-                )}
-                {completed && (
-                    <div className="flex items-center gap-2 text-green-200">
-                        <CheckCircle className="w-5 h-5" />
-                        Challenge Completed!
-                    </div>
-                )}
-            </div>
-        </CardContent>
-    </Card>
-);
-
-const StreakBonusCard = ({ streak, onClaim, bonus }: { streak: number; onClaim: () => void; bonus: number }) => {
-    const [claimed, setClaimed] = useState(false);
-
-    useEffect(() => {
-        if (bonus === 0) {
-            setClaimed(true);
-        }
-    }, [bonus]);
+}) => {
+    const { t } = useI18n();
 
     return (
-        <Card className={cn(
-            "bg-gradient-to-br from-pink-700 to-rose-700 text-white shadow-lg border-none",
-            "transition-all duration-300"
-        )}>
-            <CardHeader>
-                <CardTitle className="flex items-center gap-2 text-xl font-semibold">
-                    <Zap className="w-5 h-5 text-yellow-400" />
-                    Streak Bonus
-                </CardTitle>
-                <CardDescription>Current Streak: {streak} days</CardDescription>
-            </CardHeader>
-            <CardContent>
-                <div className="space-y-4">
-                    {bonus > 0 && !claimed ? (
-                        <Button
-                            onClick={() => {
-                                onClaim();
-                                setClaimed(true);
-                            }}
-                            className="w-full bg-yellow-500 text-black font-bold
-                                     hover:bg-yellow-400 transition-colors"
-                        >
-                            Claim {bonus} XP Bonus!
-                        </Button>
-                    ) : (
-                        <p className="text-lg text-gray-200">
-                            {bonus > 0
-                                ? "Streak bonus claimed!"
-                                : "Keep studying to build your streak!"
-                            }
-                        </p>
+        <Button
+            onClick={onClick}
+            disabled={availability.status !== 'available'}
+            aria-keyshortcuts={shortcut}
+            className={cn(
+                "w-full flex items-center justify-start gap-3",
+                "bg-gradient-to-r from-blue-600 to-blue-800",
+                "text-white font-semibold rounded-xl shadow-lg",
+                "hover:from-blue-500 hover:to-blue-700 hover:scale-105",
+                "transition-all duration-300",
+                "border-none",
+                "py-4 px-6",
+                "shadow-blue-500/50",
+                "disabled:opacity-60 disabled:hover:scale-100"
+            )}
+        >
+            <Icon className="w-5 h-5" aria-hidden="true" />
+            {availability.status === 'available' ? t('tasks.button', { xp: availability.xp, label }) : label}
+            {availability.status === 'available' && availability.xp < value && (
+                <span className="ml-auto text-xs font-normal text-blue-200">{t('tasks.reduced', { xp: value })}</span>
+            )}
+            {availability.status !== 'available' && (
+                <span className="ml-auto text-xs font-normal text-blue-200">{getLimitText(availability, t)}</span>
+            )}
+            {shortcut && (
+                <kbd
+                    className={cn(
+                        "rounded border border-blue-300/60 px-1.5 text-xs font-normal text-blue-100",
+                        availability.status === 'available' && availability.xp >= value && "ml-auto"
                     )}
-                </div>
-            </CardContent>
-        </Card>
+                >
+                    {shortcut.toUpperCase()}
+                </kbd>
+            )}
+        </Button>
     );
 };
 
-const SideQuestCard = ({ onComplete }: { onComplete: (quest: string) => void }) => {
-    const [quest, setQuest] = useState('');
-    const [completed, setCompleted] = useState(false);
-    const [isEditing, setIsEditing] = useState(false);
+const RewardAnimation = ({ interval, coins, onOpenShop, onClose }: {
+    interval: number;
+    coins: number;
+    onOpenShop: () => void;
+    onClose: () => void;
+}) => {
+    const { t } = useI18n();
 
-    const handleComplete = () => {
-        if (quest.trim()) {
-            onComplete(quest);
-            setCompleted(true);
-            setIsEditing(false); // Exit edit mode after completion
-        } else {
-            alert("Please enter a side quest!"); // Basic validation
-        }
-    };
+    return (
+        <CelebrationOverlay label={t('celebration.reward.label')} variants={rewardAnimationVariants} onClose={onClose}>
+            <Card className="bg-yellow-400 text-black p-6 rounded-3xl shadow-2xl border-4 border-black">
+                <CardHeader>
+                    <CardTitle className="text-3xl font-bold text-center flex items-center justify-center gap-3">
+                        <Sparkles className="w-8 h-8" />
+                        {t('celebration.reward.title')}
+                        <Sparkles className="w-8 h-8" />
+                    </CardTitle>
+                    <CardDescription className="text-center text-lg">
+                        {t('celebration.reward.description', { xp: interval })}
+                    </CardDescription>
+                </CardHeader>
+                <CardContent className="flex flex-col items-center gap-3">
+                    <p className="text-xl font-semibold flex items-center gap-2">
+                        <Coins className="w-6 h-6" />
+                        {t('celebration.reward.coins', { count: coins })}
+                    </p>
+                    <Button onClick={onOpenShop} className="bg-black text-yellow-400 font-bold hover:bg-gray-800">
+                        {t('celebration.reward.openShop')}
+                    </Button>
+                </CardContent>
+            </Card>
+        </CelebrationOverlay>
+    );
+};
+
+const LevelUpAnimation = ({ level, onClose }: {
+    level: number;
+    onClose: () => void;
+}) => {
+    const { t } = useI18n();
 
     return (
-        <Card className="bg-gradient-to-br from-amber-700 to-orange-700 text-white shadow-lg border-none">
-            <CardHeader>
-                <CardTitle className="flex items-center gap-2 text-xl font-semibold">
-                    <PlusCircle className="w-5 h-5 text-yellow-400" />
-                    Side Quest
-                </CardTitle>
-                <CardDescription>Earn {SIDE_QUEST_XP} XP</CardDescription>
-            </CardHeader>
-            <CardContent>
-                <div className="space-y-4">
-                    {isEditing ? (
-                        <>
-                            <Textarea
-                                value={quest}
-                                onChange={(e) => setQuest(e.target.value)}
-                                placeholder="Describe your side quest..."
-                                className="bg-black/20 text-white border-yellow-400/50"
-                                rows={3}
-                            />
-                            <div className="flex gap-2">
-                                <Button
-                                    onClick={handleComplete}
-                                    className="bg-green-500 text-white font-bold hover:bg-green-400 flex items-center gap-1"
-                                >
-                                    <Check className="w-4 h-4" />
-                                    Complete
-                                </Button>
-                                <Button
-                                    onClick={() => {
-                                        setIsEditing(false);
-                                        setQuest(''); // Clear input
-                                    }}
-                                    className="bg-red-500 text-white font-bold hover:bg-red-400 flex items-center gap-1"
-                                >
-                                    <X className="w-4 h-4" />
-                                    Cancel
-                                </Button>
-                            </div>
-                        </>
-                    ) : (
-                        <>
-                            {!completed ? (
-                                <Button
-                                    onClick={() => setIsEditing(true)}
-                                    className="w-full bg-yellow-500 text-black font-bold
-                                             hover:bg-yellow-400 transition-colors flex items-center gap-2"
-                                >
-                                    <Edit className="w-5 h-5" />
-                                    Add Side Quest
-                                </Button>
-                            ) : (
-                                <div className="flex items-center gap-2 text-green-200">
-                                    <CheckCircle className="w-5 h-5" />
-                                    Quest Completed: {quest}
-                                </div>
-                            )}
-                        </>
-                    )}
-                </div>
-            </CardContent>
-        </Card>
+        <CelebrationOverlay label={t('celebration.levelUp.label')} variants={levelUpAnimationVariants} onClose={onClose}>
+            <Card className="bg-gradient-to-r from-yellow-400 to-orange-500 text-black p-6 rounded-3xl shadow-2xl border-4 border-black text-center">
+                <CardHeader>
+                    <CardTitle className="text-4xl font-bold flex items-center justify-center gap-3">
+                        <Sparkles className="w-10 h-10" />
+                        {t('celebration.levelUp.title')}
+                        <Sparkles className="w-10 h-10" />
+                    </CardTitle>
+                    <CardDescription className="text-xl">
+                        {t('celebration.levelUp.description', { level })}
+                    </CardDescription>
+                </CardHeader>
+            </Card>
+        </CelebrationOverlay>
     );
 };
 
-const MoodTrackerCard = ({ onMoodSelect, onSubmit, selectedMood }: {
+const MoodTrackerCard = ({ onMoodSelect, onNoteChange, onSubmit, selectedMood, note, checkInsLeft }: {
     onMoodSelect: (mood: string) => void;
+    onNoteChange: (note: string) => void;
     onSubmit: () => void;
     selectedMood: string;
+    note: string;
+    checkInsLeft: number;
 }) => {
+    const { t } = useI18n();
+
     return (
         <Card className="bg-gradient-to-br from-indigo-700 to-violet-700 text-white shadow-lg border-none">
             <CardHeader>
                 <CardTitle className="flex items-center gap-2 text-xl font-semibold">
                     <BrainCircuit className="w-5 h-5 text-yellow-400" />
-                    Track Your Mood
+                    {t('moods.title')}
                 </CardTitle>
-                <CardDescription>Select your study mood</CardDescription>
+                <CardDescription>
+                    {t('moods.description')} · {t('moods.checkInsLeft', { count: checkInsLeft })}
+                </CardDescription>
             </CardHeader>
             <CardContent>
                 <div className="space-y-4">
@@ -410,17 +331,25 @@ const MoodTrackerCard = ({ onMoodSelect, onSubmit, selectedMood }: {
                                         : "bg-black/20 text-white hover:bg-black/40"
                                 )}
                             >
-                                {moodOption.icon} {moodOption.label}
+                                {moodOption.icon} {t(moodOption.label)}
                             </Button>
                         ))}
                     </div>
+                    <Textarea
+                        value={note}
+                        onChange={(e) => onNoteChange(e.target.value.slice(0, MAX_MOOD_NOTE_LENGTH))}
+                        placeholder={t('moods.notePlaceholder')}
+                        className="bg-black/20 text-white border-yellow-400/50"
+                        maxLength={MAX_MOOD_NOTE_LENGTH}
+                        rows={2}
+                    />
                     <Button
                         onClick={onSubmit}
                         className="w-full bg-yellow-500 text-black font-bold
                                    hover:bg-yellow-400 transition-colors"
-                        disabled={!selectedMood}
+                        disabled={!selectedMood || checkInsLeft <= 0}
                     >
-                        Submit Mood
+                        {t('moods.submit')}
                     </Button>
                 </div>
             </CardContent>
@@ -428,99 +357,6 @@ const MoodTrackerCard = ({ onMoodSelect, onSubmit, selectedMood }: {
     );
 };
 
-const TimeTrackerCard = ({ onStart, onComplete, isTracking }: {
-    onStart: () => void;
-    onComplete: () => void;
-    isTracking: boolean;
-}) => {
-    return (
-        <Card className="bg-gradient-to-br from-cyan-700 to-blue-700 text-white shadow-lg border-none">
-            <CardHeader>
-                <CardTitle className="flex items-center gap-2 text-xl font-semibold">
-                    <Clock className="w-5 h-5 text-yellow-400" />
-                    Time Tracker
-                </CardTitle>
-                <CardDescription>Track your focused study time</CardDescription>
-            </CardHeader>
-            <CardContent>
-                <div className="space-y-4">
-                    {isTracking ? (
-                        <Button
-                            onClick={onComplete}
-                            className="w-full bg-red-500 text-white font-bold
-                                     hover:bg-red-400 transition-colors"
-                        >
-                            <CheckCircle className="w-5 h-5 mr-2" />
-                            Complete Task
-                        </Button>
-                    ) : (
-                        <Button
-                            onClick={onStart}
-                            className="w-full bg-yellow-500 text-black font-bold
-                                     hover:bg-yellow-400 transition-colors"
-                        >
-                            <Clock className="w-5 h-5 mr-2" />
-                            Start Task
-                        </Button>
-                    )}
-                    {isTracking && (
-                        <p className="text-sm text-yellow-100 animate-pulse flex items-center gap-1">
-                            <Clock className="w-4 h-4" />
-                            Tracking time... (Max 30 mins for bonus)
-                        </p>
-                    )}
-                </div>
-            </CardContent>
-        </Card>
-    );
-};
-
-const BadgeCard = ({ badges }: { badges: string[] }) => {
-    const badgeDetails = {
-        "Page Turner": { label: "Page Turner", description: "Earned 100 XP", icon: <BookOpen className="w-6 h-6 text-blue-400" /> },
-        "Side Quest Hero": { label: "Side Quest Hero", description: "Completed 50 Side Quests", icon: <PlusCircle className="w-6 h-6 text-green-400" /> },
-        "Streak Master": { label: "Streak Master", description: "Maintained a 7-day streak", icon: <CalendarDays className="w-6 h-6 text-pink-400" /> },
-        "Time Lord": {label: "Time Lord", description: "Completed a task in under 30 minutes", icon: <Clock className="w-6 h-6 text-cyan-400" />},
-        "Mood Maestro": {label: "Mood Maestro", description: "Submitted a positive mood", icon: <BrainCircuit className="w-6 h-6 text-purple-400"/>},
-        "Level Up Legend": {label: "Level Up Legend", description: "Leveled up", icon: <Trophy className="w-6 h-6 text-yellow-400"/>}
-    };
-
-    return (
-        <Card className="bg-gradient-to-br from-gray-800 to-black text-white shadow-lg border-none">
-            <CardHeader>
-                <CardTitle className="flex items-center gap-2 text-xl font-semibold">
-                    <Award className="w-5 h-5 text-yellow-400" />
-                    Your Badges
-                </CardTitle>
-                <CardDescription>Achievements unlocked</CardDescription>
-            </CardHeader>
-            <CardContent>
-                <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 gap-4">
-                    {badges.length > 0 ? (
-                        badges.map((badgeName) => {
-                            const badge = badgeDetails[badgeName];
-                            return (
-                            <div
-                                key={badgeName}
-                                className="flex items-center gap-3 bg-black/50 p-3 rounded-lg border border-gray-700"
-                            >
-                                {badge.icon}
-                                <div>
-                                    <h4 className="font-semibold">{badge.label}</h4>
-                                    <p className="text-sm text-gray-400">{badge.description}</p>
-                                </div>
-                            </div>
-                        )
-                        })
-                    ) : (
-                        <p className="text-gray-400">No badges earned yet.</p>
-                    )}
-                </div>
-            </CardContent>
-        </Card>
-    );
-};
-
 // ===============================
 // Main App Component
 // ===============================
@@ -529,212 +365,564 @@ const ScholarQuestApp = () => {
     // ===============================
     // State
     // ===============================
-    const [xp, setXp] = useState(() => {
-        if (typeof window !== 'undefined') {
-            const storedXp = localStorage.getItem('scholarQuestXp');
-            return storedXp ? parseInt(storedXp, 10) : 0;
+    const [settings, setSettings] = useStoredState(
+        SETTINGS_STORAGE_KEY,
+        () => DEFAULT_SETTINGS,
+        normalizeSettings
+    );
+    // Provided to every card below; the app itself uses it directly
+    const translator = useMemo(() => createTranslator(settings.language), [settings.language]);
+    const { t } = translator;
+    const progressAdapter = useMemo(
+        () => createProgressAdapter({ syncUrl: settings.syncUrl, syncUserId: settings.syncUserId }),
+        [settings.syncUrl, settings.syncUserId]
+    );
+    const {
+        events,
+        progress,
+        record,
+        replaceEvents,
+        preferences: savedPreferences,
+        savePreferences,
+        syncStatus,
+    } = useProgress(settings.levelCurve, progressAdapter);
+    const { xp, streak, log } = progress;
+    const achievements = useMemo(() => evaluateAchievements(progress), [progress]);
+    const [taskCatalog, setTaskCatalog] = useStoredState(
+        TASK_CATALOG_STORAGE_KEY,
+        () => DEFAULT_TASK_CATEGORIES,
+        parseCatalog
+    );
+    const [rewards, setRewards] = useStoredState(REWARDS_STORAGE_KEY, () => DEFAULT_REWARDS, parseRewards);
+    const [subjectState, setSubjectState] = useStoredState(
+        SUBJECTS_STORAGE_KEY,
+        () => DEFAULT_SUBJECT_STATE,
+        parseSubjectState
+    );
+    const subjectStats = useMemo(
+        () => getSubjectStats(subjectState.subjects, progress, settings.levelCurve, settings.levelTitles),
+        [subjectState.subjects, progress, settings.levelCurve, settings.levelTitles]
+    );
+    const [isEditingTasks, setIsEditingTasks] = useState(false);
+    const [showRewardAnimation, setShowRewardAnimation] = useState(false);
+    const [challengePool, setChallengePool] = useStoredState(
+        CHALLENGE_POOL_STORAGE_KEY,
+        () => DEFAULT_CHALLENGE_POOL,
+        parseChallengePool
+    );
+    const preferences = useMemo(
+        () => ({ settings, taskCatalog, rewards, subjects: subjectState, challengePool }),
+        [settings, taskCatalog, rewards, subjectState, challengePool]
+    );
+    const applyPreferences = useCallback((snapshot: Partial<Preferences>) => {
+        if (snapshot.settings) {
+            setSettings((prev) => ({ ...snapshot.settings, syncUrl: prev.syncUrl, syncUserId: prev.syncUserId }));
         }
-        return 0;
-    });
-    const [streak, setStreak] = useState(() => {
-        if (typeof window !== 'undefined') {
-            const storedStreak = localStorage.getItem('scholarQuestStreak');
-            return storedStreak ? parseInt(storedStreak, 10) : 1;
+        if (snapshot.taskCatalog) {
+            setTaskCatalog(snapshot.taskCatalog);
         }
-        return 1;
-    });
-    const [log, setLog] = useState([]);
-    const [showRewardAnimation, setShowRewardAnimation] = useState(false);
-    const [lastDate, setLastDate] = useState(() => {
-        if (typeof window !== 'undefined') {
-          const stored = localStorage.getItem("lastDate");
-          return stored ? new Date(stored) : new Date();
+        if (snapshot.rewards) {
+            setRewards(snapshot.rewards);
         }
-        return new Date();
-    });
-
-    const [dailyChallenge, setDailyChallenge] = useState(getRandomDailyChallenge());
-    const [dailyChallengeCompleted, setDailyChallengeCompleted] = useState(() => {
-      if (typeof window !== 'undefined'){
-        const stored = localStorage.getItem('dailyChallengeCompleted');
-        return stored ? JSON.parse(stored) : false;
-      }
-      return false;
-    });
-    const [streakXpBonus, setStreakXpBonus] = useState(0);
-    const [badges, setBadges] = useState(() => {
-        if (typeof window !== 'undefined') {
-            const storedBadges = localStorage.getItem('scholarQuestBadges');
-            return storedBadges ? JSON.parse(storedBadges) : [];
+        if (snapshot.subjects) {
+            setSubjectState(snapshot.subjects);
         }
-        return [];
-    });
-    const [sideQuestCount, setSideQuestCount] = useState(() => {
-      if (typeof window !== 'undefined') {
-        const stored = localStorage.getItem('sideQuestCount');
-        return stored ? parseInt(stored, 10) : 0;
-      }
-      return 0;
-    });
+        if (snapshot.challengePool) {
+            setChallengePool(snapshot.challengePool);
+        }
+    }, [setSettings, setTaskCatalog, setRewards, setSubjectState, setChallengePool]);
+    useSyncedPreferences(preferences, applyPreferences, savedPreferences, savePreferences);
     const [mood, setMood] = useState('');
-    const [moodXp, setMoodXp] = useState(0);
-    const [taskStartTime, setTaskStartTime] = useState<Date | null>(null);
+    const [moodNote, setMoodNote] = useState('');
     const [showLevelUpAnimation, setShowLevelUpAnimation] = useState(false);
+    const [isPaletteOpen, setIsPaletteOpen] = useState(false);
+    // Set when the task editor closes, so focus goes back to its button
+    const returnFocusToEditButton = useRef(false);
+    const editTasksButton = useRef<HTMLButtonElement>(null);
+    const { toasts, queuedCount, notifications, notify, dismiss, markAllRead, clearNotifications } = useToasts();
+
+    const streakXpBonus = streak >= 7 ? 50 : 0;
+    const coins = getCoinBalance(progress, settings.xpPerCoin, progress.purchases);
+    // Tasks, side quests and focus sessions are logged against the active subject
+    const subjectId = subjectState.activeId ?? undefined;
+    const today = toDayKey(new Date());
+    const moodCheckInsLeft = Math.max(
+        settings.moodCheckInsPerDay - progress.moods.filter((entry) => toDayKey(entry.timestamp) === today).length,
+        0
+    );
+
+    // Picked from the date, so reloading shows the same challenges
+    const [dailyChallenge, weeklyChallenge] = useMemo(
+        () => (['daily', 'weekly'] as const).map((tier) => {
+            const challenge = pickChallenge(challengePool, tier, today);
+            return challenge && getChallengeStatus(challenge, tier, progress, today);
+        }),
+        [challengePool, progress, today]
+    );
+    // Challenges already auto-completed this session, so a re-run can't grant twice
+    const autoCompletedChallenges = useRef(new Set<string>());
+
+    const goalStatuses = useMemo(
+        () => progress.goals.map((goal) => getGoalStatus(goal, progress, getPeriodRange(goal.period, today), today)),
+        [progress, today]
+    );
+    const goalSummaries = useMemo(
+        () => (['week', 'month'] as GoalPeriod[]).map((period) => getPeriodSummary(period, progress, today)).filter(Boolean),
+        [progress, today]
+    );
+    // Goal bonuses already granted this session, like autoCompletedChallenges
+    const completedGoals = useRef(new Set<string>());
+
+    // Cooldowns, caps and repeat decay for every task button
+    const taskAvailability = new Map(taskCatalog.flatMap((category) =>
+        category.tasks.map((task) => [task.id, getTaskAvailability(task, category, log, settings)] as const)
+    ));
+    // Keeps cooldowns counting down, and lifts caps and repeat decay once they run out
+    useTicker(
+        [...taskAvailability.values()].some((availability) =>
+            availability.status !== 'available' || availability.repeats > 0
+        ) ? 30000 : null
+    );
 
     // ===============================
     // Effects
     // ===============================
 
-    // Persist state to localStorage
     useEffect(() => {
-        if (typeof window !== 'undefined') {
-            localStorage.setItem('scholarQuestXp', xp.toString());
-            localStorage.setItem('scholarQuestStreak', streak.toString());
-            localStorage.setItem('lastDate', lastDate.toISOString());
-            localStorage.setItem('scholarQuestBadges', JSON.stringify(badges));
-            localStorage.setItem('dailyChallengeCompleted', JSON.stringify(dailyChallengeCompleted));
-            localStorage.setItem('sideQuestCount', sideQuestCount.toString());
-        }
-    }, [xp, streak, lastDate, badges, dailyChallengeCompleted, sideQuestCount]);
-
-    // Daily Streak and Bonus
-      useEffect(() => {
-        const today = new Date();
-        const todayString = today.toDateString();
-        const lastString = lastDate.toDateString();
-
-        if (todayString !== lastString) {
-            const diffTime = today.getTime() - lastDate.getTime();
-            const diffDays = Math.floor(diffTime / (1000 * 60 * 60 * 24));
-
-            if (diffDays === 1) {
-                setStreak(prev => prev + 1);
-            } else {
-                setStreak(1);
-            }
-            setLastDate(today);
-        }
+        document.documentElement.lang = settings.language;
+    }, [settings.language]);
 
-        if (streak >= 7) {
-            setStreakXpBonus(50);
-        } else {
-            setStreakXpBonus(0);
-        }
-    }, [streak, lastDate]);
+    useReminders(settings, progress.streaks, t);
 
-    // Badges
+    // Achievements: record when each tier unlocks, and revoke tiers that are no
+    // longer earned (e.g. after the level curve changes)
     useEffect(() => {
-        if (xp >= 100 && !badges.includes("Page Turner")) {
-            setBadges(prev => [...prev, "Page Turner"]);
-        }
-        if (sideQuestCount >= 50 && !badges.includes("Side Quest Hero")) {setBadges(prev => [...prev, "Side Quest Hero"]);
-        }
-        if (streak >= 7 && !badges.includes("Streak Master")){
-            setBadges(prev => [...prev, "Streak Master"]);
-        }
-    }, [xp, badges, sideQuestCount, streak]);
-
-    // New Daily Challenge every day
-      useEffect(() => {
-        const today = new Date().toDateString();
-        const lastChallengeDate = localStorage.getItem('lastChallengeDate');
-
-        if (lastChallengeDate !== today) {
-            setDailyChallenge(getRandomDailyChallenge());
-            setDailyChallengeCompleted(false);
-            localStorage.setItem('lastChallengeDate', today);
-            localStorage.removeItem('dailyChallengeCompleted'); // Ensure completed status resets
-        }
-    }, []);
+        getAchievementChanges(progress).forEach(({ achievement, tier, unlocked }) => {
+            record(
+                unlocked ? EVENT_TYPES.ACHIEVEMENT_UNLOCKED : EVENT_TYPES.ACHIEVEMENT_REVOKED,
+                { achievement, tier },
+                (events) => isTierUnlocked(events, achievement, tier) === unlocked
+            );
+        });
+    }, [progress, record]);
 
     // ===============================
     // Functions
     // ===============================
 
-    const addXp = useCallback((amount: number, label: string) => {
+    // Every XP grant goes through here so it lands in the log. Grants another
+    // tab could make at the same moment pass an `eventId` so only one is kept.
+    // Each grant gets a toast, worded by `message` if given, that offers undo;
+    // `onUndo` removes whatever was recorded along with the grant.
+    const addXp = useCallback((
+        amount: number,
+        label: string,
+        source: XpSource = 'task',
+        { category = null, ...details }: XpDetails = {},
+        { eventId, message, onUndo }: { eventId?: string; message?: string; onUndo?: () => void } = {}
+    ) => {
         const newXp = xp + amount;
-        setXp(newXp);
-        setLog(prev => [...prev, { label, amount, timestamp: new Date() }]);
+        const entryId = record(
+            EVENT_TYPES.XP_GRANTED,
+            { amount, label, source, category, ...details, xpPerCoin: settings.xpPerCoin },
+            undefined,
+            eventId
+        );
+        // Another tab already made this grant
+        if (!entryId) {
+            return;
+        }
 
-        const previousLevel = Math.floor(xp / XP_PER_LEVEL);
-        const newLevel = Math.floor(newXp / XP_PER_LEVEL);
+        const undo = () => {
+            record(EVENT_TYPES.XP_DELETED, { entryId });
+            onUndo?.();
+        };
+        notify(message ?? t('toast.xp', { xp: amount, label: getTaskLabel(details.taskId, label, t) }), {
+            action: { label: t('common.undo'), onClick: undo },
+            durationMs: UNDO_TIMEOUT_MS,
+        });
 
-        if (newLevel > previousLevel) {
+        // The overlays say it already; the notification center keeps a note
+        const newLevel = getLevel(newXp, settings.levelCurve);
+        if (newLevel > getLevel(xp, settings.levelCurve)) {
             setShowLevelUpAnimation(true);
-            setBadges(prev => [...prev, "Level Up Legend"]);
-            setTimeout(() => setShowLevelUpAnimation(false), 5000);
+            notify(t('toast.levelUp', { level: newLevel }), { quiet: true });
         }
 
-        if (Math.floor(newXp / REWARD_INTERVAL) > Math.floor(xp / REWARD_INTERVAL)) {
-            triggerRewardAnimation();
+        const { rewardInterval } = settings;
+        if (Math.floor(newXp / rewardInterval) > Math.floor(xp / rewardInterval)) {
+            setShowRewardAnimation(true);
+            notify(t('toast.rewardTime', { xp: Math.floor(newXp / rewardInterval) * rewardInterval }), { quiet: true });
         }
-    }, [xp]);
+    }, [xp, record, settings, notify, t]);
 
-    const triggerRewardAnimation = () => {
-        setShowRewardAnimation(true);
-        setTimeout(() => setShowRewardAnimation(false), 5000);
+    // Corrections are events too, so XP, level, streak and badges all recompute
+    const deleteEntry = (entryId: string) => {
+        record(EVENT_TYPES.XP_DELETED, { entryId });
     };
 
-    const completeChallenge = () => {
-        if (!dailyChallengeCompleted) {
-            setXp(prev => prev + DAILY_CHALLENGE_XP);
-            setDailyChallengeCompleted(true);
-            alert(`You've completed the challenge: ${dailyChallenge}! +${DAILY_CHALLENGE_XP} XP`);
-        } else {
-            alert("You've already completed today's challenge!");
+    const editEntry = (entryId: string, changes: LogEntryChanges) => {
+        record(EVENT_TYPES.XP_EDITED, { entryId, ...changes });
+    };
+
+    const importBackup = (importedEvents: ProgressEvent[], importedPreferences: StoredPreferences | null) => {
+        replaceEvents(importedEvents);
+        if (importedPreferences) {
+            savePreferences(importedPreferences);
+        }
+    };
+
+    // Used by the task buttons, their shortcuts and the command palette; the
+    // latter two can ask for a task that's on cooldown or capped
+    const logTask = (category: TaskCategory, task: TaskDefinition) => {
+        const availability = taskAvailability.get(task.id);
+        if (availability?.status !== 'available') {
+            notify(t('tasks.limited', {
+                label: getTaskLabel(task.id, task.label, t),
+                reason: availability ? getLimitText(availability, t) : t('tasks.limit.unavailable'),
+            }), { tone: 'warning' });
+            return;
         }
+        addXp(availability.xp, task.label, 'task', {
+            category: category.name,
+            taskId: task.id,
+            pages: task.pages,
+            subjectId,
+        });
+    };
+
+    const openRewardShop = () => {
+        setShowRewardAnimation(false);
+        document.getElementById(REWARD_SHOP_ID)?.scrollIntoView({ behavior: 'smooth' });
     };
 
+    // Spending coins is just another event; XP and level are untouched
+    const redeemReward = (reward: Reward) => {
+        const name = getRewardName(reward.id, reward.name, t);
+        if (coins < reward.cost) {
+            notify(t('toast.needCoins', { count: reward.cost - coins, name }), { tone: 'warning' });
+            return;
+        }
+        record(EVENT_TYPES.REWARD_REDEEMED, { rewardId: reward.id, name: reward.name, cost: reward.cost });
+        notify(t('toast.rewardRedeemed', { name }));
+    };
+
+    const completeChallenge = useCallback((status: ChallengeStatus, eventId?: string) => {
+        const challengeXp = status.tier === 'daily' ? settings.dailyChallengeXp : settings.weeklyChallengeXp;
+        const text = getChallengeText(status.challenge, t);
+        if (!status.isCompleted) {
+            addXp(challengeXp, text, getChallengeSource(status.tier), {}, {
+                eventId,
+                message: t('toast.challengeCompleted', { text, xp: challengeXp }),
+            });
+        } else {
+            notify(t(status.tier === 'daily' ? 'toast.dailyChallengeDone' : 'toast.weeklyChallengeDone'), { tone: 'info' });
+        }
+    }, [addXp, notify, settings.dailyChallengeXp, settings.weeklyChallengeXp, t]);
+
+    // Activity-based challenges complete themselves once their goal is reached.
+    // Every open tab notices at once, so the grant's id is fixed per period.
+    useEffect(() => {
+        [dailyChallenge, weeklyChallenge]
+            .filter((status) => status?.isMet && !status.isCompleted)
+            .forEach((status) => {
+                const key = `${status.tier}:${status.period}`;
+                if (!autoCompletedChallenges.current.has(key)) {
+                    autoCompletedChallenges.current.add(key);
+                    completeChallenge(status, `${getChallengeSource(status.tier)}-${status.period}`);
+                }
+            });
+    }, [dailyChallenge, weeklyChallenge, completeChallenge]);
+
     const handleStreakXp = () => {
-        setXp(prev => prev + streakXpBonus);
-        if (streakXpBonus > 0) {
-            alert(`Bonus! You've earned ${streakXpBonus} XP for your streak!`);
+        if (progress.streakBonusClaimedToday) {
+            notify(t('streak.alreadyClaimed'), { tone: 'info' });
+        } else if (streakXpBonus > 0) {
+            addXp(streakXpBonus, t('streak.bonusLabel', { count: streak }), 'streak', {}, {
+                message: t('streak.earned', { xp: streakXpBonus }),
+            });
         }
     };
 
     const handleMoodChange = (newMood: string) => {
         setMood(newMood);
-        const selectedMoodOption = MOOD_OPTIONS.find(option => option.value === newMood);
-        if (selectedMoodOption) {
-            setMoodXp(selectedMoodOption.xp);
-        } else {
-            setMoodXp(0);
+    };
+
+    // Returns whether the check-in was logged
+    const checkInMood = (checkedInMood: string, note = '') => {
+        if (moodCheckInsLeft <= 0) {
+            notify(t('toast.noCheckInsLeft'), { tone: 'warning' });
+            return false;
         }
+        record(EVENT_TYPES.MOOD_SUBMITTED, { mood: checkedInMood, note: note.trim() });
+        const earned = settings.moodXp[checkedInMood] ?? 0;
+        if (earned > 0) {
+            addXp(earned, t('moods.feeling', { mood: getMoodLabel(checkedInMood, t) }), 'mood', {}, {
+                message: t('toast.moodXp', { xp: earned }),
+            });
+        }
+        return true;
     };
 
     const submitMood = () => {
-        if (moodXp > 0) {
-            setXp(prev => prev + moodXp);
-            alert(`You earned ${moodXp} XP for your mood!`);
-            if (moodXp === 10){
-                setBadges(prev => [...prev, "Mood Maestro"]);
-            }
+        if (checkInMood(mood, moodNote)) {
+            setMood('');
+            setMoodNote('');
         }
-        setMood('');
-        setMoodXp(0);
     };
 
-    const completeSideQuest = (quest: string) => {
-        setXp(prev => prev + SIDE_QUEST_XP);
-        setSideQuestCount(prev => prev + 1);
+    const addSideQuest = (draft: SideQuestDraft) => {
+        record(EVENT_TYPES.SIDE_QUEST_ADDED, { questId: createId(), ...draft });
     };
 
-    const startTask = () => {
-        setTaskStartTime(new Date());
+    const updateSideQuest = (questId: string, draft: SideQuestDraft) => {
+        record(EVENT_TYPES.SIDE_QUEST_UPDATED, { questId, ...draft });
     };
 
-    const completeTask = () => {
-        if (taskStartTime) {
-            const taskDuration = new Date().getTime() - taskStartTime.getTime();
-            if (taskDuration <= 30 * 60 * 1000) {
-                setXp(prev => prev + 10);
-                alert("You completed this task quickly! +10 XP");
-                setBadges(prev => [...prev, "Time Lord"]);
-            }
-            setTaskStartTime(null);
-        } else {
-            alert("Please start a task first!");
+    const deleteSideQuest = (questId: string) => {
+        record(EVENT_TYPES.SIDE_QUEST_DELETED, { questId });
+    };
+
+    const completeSideQuest = (quest: SideQuest) => {
+        if (!quest.isDone) {
+            addXp(settings.sideQuestXp, quest.title, 'sideQuest', { questId: quest.id, subjectId });
+        }
+    };
+
+    const getPagesXp = (pages: number) =>
+        getReadingXp(pages, { mode: settings.readingXpMode, xpPerPage: settings.xpPerPage }, taskCatalog);
+
+    // Reading is held to the limits of the reading task it matches
+    const getReadingAvailability = (pages: number): TaskAvailability => {
+        const xp = getPagesXp(pages);
+        const match = getReadingTask(pages, taskCatalog);
+        return match
+            ? getTaskAvailability({ ...match.task, value: xp }, match.category, log, settings)
+            : { status: 'available', xp, repeats: 0 };
+    };
+
+    const addBook = (title: string, totalPages: number) => {
+        record(EVENT_TYPES.BOOK_ADDED, { bookId: createId(), title, totalPages });
+    };
+
+    const deleteBook = (bookId: string) => {
+        record(EVENT_TYPES.BOOK_DELETED, { bookId });
+    };
+
+    const logReading = (book: Book, fromPage: number, toPage: number) => {
+        const pages = countUnreadPages(book, fromPage, toPage);
+        if (pages === 0) {
+            return;
+        }
+        const availability = getReadingAvailability(pages);
+        if (availability.status !== 'available') {
+            notify(t('tasks.limited', { label: book.title, reason: getLimitText(availability, t) }), { tone: 'warning' });
+            return;
         }
+        addXp(availability.xp, t('books.logLabel', { from: fromPage, to: toPage, title: book.title }), 'reading', {
+            bookId: book.id,
+            fromPage,
+            toPage,
+            pages,
+            taskId: getReadingTask(pages, taskCatalog)?.task.id,
+            subjectId,
+        });
+        if (toPage >= book.totalPages) {
+            notify(t('toast.bookFinished', { title: book.title }));
+        }
+    };
+
+    // Reviews earn whatever the matching catalog task is worth, falling back
+    // to the default if that task was removed
+    const findReviewTask = (method: ReviewMethod) =>
+        findTask(taskCatalog, method) ?? findTask(DEFAULT_TASK_CATEGORIES, method);
+
+    const addTopic = (title: string) => {
+        record(EVENT_TYPES.TOPIC_ADDED, { topicId: createId(), title });
+    };
+
+    const deleteTopic = (topicId: string) => {
+        record(EVENT_TYPES.TOPIC_DELETED, { topicId });
+    };
+
+    const gradeReview = (topic: Topic, grade: number, method: ReviewMethod) => {
+        const { category, task } = findReviewTask(method);
+        const reviewId = record(EVENT_TYPES.REVIEW_GRADED, { topicId: topic.id, grade });
+        addXp(task.value, t('reviews.logLabel', { title: topic.title }), 'task', {
+            category: category.name,
+            taskId: task.id,
+            subjectId,
+        }, {
+            onUndo: () => record(EVENT_TYPES.REVIEW_DELETED, { topicId: topic.id, reviewId }),
+        });
+    };
+
+    const addGoal = (draft: GoalDraft) => {
+        record(EVENT_TYPES.GOAL_ADDED, { goalId: createId(), ...draft });
+    };
+
+    const deleteGoal = (goalId: string) => {
+        record(EVENT_TYPES.GOAL_DELETED, { goalId });
+    };
+
+    // Reaching a goal pays its bonus once per period; the id is fixed per
+    // period (see getGoalPayoutId) so other open tabs can't pay it again
+    const completeGoal = useCallback((status: GoalStatus) => {
+        const { goal, range } = status;
+        const title = describeGoal(goal, taskCatalog, t);
+        addXp(goal.bonusXp, t('goals.logLabel', { title }), 'goal', { goalId: goal.id }, {
+            eventId: getGoalPayoutId(goal, range),
+            message: t('toast.goalReached', { title, xp: goal.bonusXp }),
+        });
+    }, [addXp, taskCatalog, t]);
+
+    useEffect(() => {
+        goalStatuses
+            .filter((status) => status.isMet && !status.isCompleted)
+            .forEach((status) => {
+                const key = `${status.goal.id}:${status.range.start}`;
+                if (!completedGoals.current.has(key)) {
+                    completedGoals.current.add(key);
+                    completeGoal(status);
+                }
+            });
+    }, [goalStatuses, completeGoal]);
+
+    // Includes names only found in the log, so renamed or deleted categories stay filterable
+    const historyCategories = [...new Set([
+        ...taskCatalog.map((category) => category.name),
+        ...log.map((entry) => entry.category).filter(Boolean),
+    ])];
+
+    const completeSession = (session: FocusSession) => {
+        // Every tab running the timer reports the session; its start time
+        // identifies it, so the tabs' copies merge into one
+        const sessionId = record(
+            EVENT_TYPES.SESSION_COMPLETED,
+            { ...session, subjectId },
+            undefined,
+            `session-${session.startedAt}`
+        );
+        const sessionXp = getFocusXp(session.focusedMs);
+        if (sessionId && sessionXp > 0) {
+            addXp(sessionXp, session.label || t('timer.session'), 'timer', { subjectId }, {
+                eventId: `session-xp-${session.startedAt}`,
+                message: t('toast.sessionComplete', { xp: sessionXp }),
+                onUndo: () => record(EVENT_TYPES.SESSION_DELETED, { sessionId }),
+            });
+        }
+    };
+
+    // The timer usually runs in a background tab, so its end is announced
+    // outside the page too
+    const notifyPhaseEnd = (phase: Exclude<TimerPhase, 'idle'>) => {
+        if (settings.notifyTimerEnd) {
+            showNotification(phase === 'focus' ? t('timer.notify.focusTitle') : t('timer.notify.breakTitle'), {
+                body: phase === 'focus' ? t('timer.notify.focusBody') : t('timer.notify.breakBody'),
+                tag: 'timer',
+            });
+        }
+    };
+
+    // Lives here rather than in its card so the command palette can drive it
+    const sessionTimer = useSessionTimer(completeSession, notifyPhaseEnd);
+
+    // ===============================
+    // Keyboard
+    // ===============================
+
+    // Everything the command palette offers, rebuilt while it's open so the
+    // XP hints and availability stay current
+    const getCommands = (): Command[] => {
+        const { timer, isRunning } = sessionTimer;
+
+        return [
+            ...taskCatalog.flatMap((category) => category.tasks.map((task) => {
+                const availability = taskAvailability.get(task.id);
+                const isAvailable = availability.status === 'available';
+                return {
+                    id: `task:${task.id}`,
+                    group: t('palette.group.task'),
+                    label: getTaskLabel(task.id, task.label, t),
+                    hint: isAvailable ? t('common.plusXp', { xp: availability.xp }) : getLimitText(availability, t),
+                    keywords: getCategoryName(category.name, t),
+                    shortcut: task.shortcut,
+                    disabled: !isAvailable,
+                    run: () => logTask(category, task),
+                };
+            })),
+            ...progress.sideQuests.filter((quest) => !quest.isDone).map((quest) => ({
+                id: `sideQuest:${quest.id}`,
+                group: t('palette.group.sideQuest'),
+                label: t('palette.completeQuest', { title: quest.title }),
+                hint: t('common.plusXp', { xp: settings.sideQuestXp }),
+                run: () => completeSideQuest(quest),
+            })),
+            ...MOOD_OPTIONS.map((option) => ({
+                id: `mood:${option.value}`,
+                group: t('palette.group.mood'),
+                label: t('moods.feeling', { mood: t(option.label) }),
+                hint: moodCheckInsLeft > 0
+                    ? `${option.icon} ${t('common.plusXp', { xp: settings.moodXp[option.value] ?? 0 })}`
+                    : t('palette.noCheckInsLeft'),
+                keywords: t('palette.moodKeywords'),
+                disabled: moodCheckInsLeft <= 0,
+                run: () => checkInMood(option.value),
+            })),
+            ...(timer.phase === 'idle'
+                ? [{ id: 'timer:start', group: t('palette.group.timer'), label: t('palette.startTimer'), run: () => sessionTimer.start('') }]
+                : [
+                    isRunning
+                        ? { id: 'timer:pause', group: t('palette.group.timer'), label: t('palette.pauseTimer'), run: sessionTimer.pause }
+                        : { id: 'timer:resume', group: t('palette.group.timer'), label: t('palette.resumeTimer'), run: sessionTimer.resume },
+                    timer.phase === 'focus'
+                        ? { id: 'timer:finish', group: t('palette.group.timer'), label: t('palette.stopTimer'), run: sessionTimer.finish }
+                        : { id: 'timer:skip', group: t('palette.group.timer'), label: t('palette.skipBreak'), run: sessionTimer.skipBreak },
+                ]),
+            // Activity challenges complete themselves, so only manual ones are offered
+            ...[dailyChallenge, weeklyChallenge]
+                .filter((status) => status && status.challenge.goal === 'manual' && !status.isCompleted)
+                .map((status) => ({
+                    id: `challenge:${status.tier}`,
+                    group: t('palette.group.challenge'),
+                    label: t(status.tier === 'daily' ? 'palette.completeDailyChallenge' : 'palette.completeWeeklyChallenge', {
+                        text: getChallengeText(status.challenge, t),
+                    }),
+                    hint: t('common.plusXp', {
+                        xp: status.tier === 'daily' ? settings.dailyChallengeXp : settings.weeklyChallengeXp,
+                    }),
+                    run: () => completeChallenge(status),
+                })),
+            ...(streakXpBonus > 0 && !progress.streakBonusClaimedToday
+                ? [{
+                    id: 'streak',
+                    group: t('palette.group.streak'),
+                    label: t('palette.claimStreak'),
+                    hint: t('common.plusXp', { xp: streakXpBonus }),
+                    run: handleStreakXp,
+                }]
+                : []),
+        ];
+    };
+
+    useKeyboardShortcuts(
+        () => setIsPaletteOpen((isOpen) => !isOpen),
+        Object.fromEntries(taskCatalog.flatMap((category) => category.tasks
+            .filter((task) => task.shortcut)
+            .map((task) => [task.shortcut, () => logTask(category, task)])
+        ))
+    );
+
+    useEffect(() => {
+        if (!isEditingTasks && returnFocusToEditButton.current) {
+            returnFocusToEditButton.current = false;
+            editTasksButton.current?.focus();
+        }
+    }, [isEditingTasks]);
+
+    const closeTaskEditor = () => {
+        returnFocusToEditButton.current = true;
+        setIsEditingTasks(false);
     };
 
     // ===============================
@@ -742,101 +930,217 @@ const ScholarQuestApp = () => {
     // ===============================
 
     return (
-        <div className="min-h-screen bg-gradient-to-br from-gray-900 to-black p-4 md:p-8">
-            <div className="max-w-4xl mx-auto space-y-8">
-                <h1
-                    className="text-4xl font-bold text-center text-transparent bg-clip-text
-                               bg-gradient-to-r from-blue-400 to-purple-400"
+        <I18nContext.Provider value={translator}>
+            <div className="min-h-screen bg-gradient-to-br from-gray-900 to-black p-4 md:p-8">
+                <a
+                    href={`#${TASKS_SECTION_ID}`}
+                    className="sr-only focus:not-sr-only focus:fixed focus:top-4 focus:left-4 focus:z-50
+                               focus:rounded-md focus:bg-yellow-500 focus:px-4 focus:py-2 focus:font-bold focus:text-black"
                 >
-                    Scholar Quest
-                </h1>
+                    {t('app.skipToTasks')}
+                </a>
+                <div className="max-w-4xl mx-auto space-y-8">
+                    <header className="relative flex items-center justify-center">
+                        <h1
+                            className="text-4xl font-bold text-center text-transparent bg-clip-text
+                                       bg-gradient-to-r from-blue-400 to-purple-400"
+                        >
+                            {t('app.title')}
+                        </h1>
+                        <div className="absolute right-0 flex items-center gap-2">
+                            <Button
+                                onClick={() => setIsPaletteOpen(true)}
+                                className="h-10 bg-black/40 text-white hover:bg-black/60 flex items-center gap-2"
+                                aria-label={t('palette.search')}
+                                aria-haspopup="dialog"
+                                aria-keyshortcuts="Control+K Meta+K"
+                            >
+                                <Search className="w-5 h-5" />
+                                <kbd className="hidden md:inline text-xs text-gray-400">{t('palette.shortcut')}</kbd>
+                            </Button>
+                            <NotificationCenter
+                                notifications={notifications}
+                                onOpen={markAllRead}
+                                onClear={clearNotifications}
+                            />
+                        </div>
+                    </header>
 
-                <XpDisplay xp={xp} />
+                    <main className="space-y-8">
+                        <XpDisplay xp={xp} levelCurve={settings.levelCurve} levelTitles={settings.levelTitles} />
 
-                <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-                    <DailyChallengeCard
-                        challenge={dailyChallenge}
-                        onComplete={completeChallenge}
-                        completed={dailyChallengeCompleted}
-                    />
-                    <StreakBonusCard
-                        streak={streak}
-                        onClaim={handleStreakXp}
-                        bonus={streakXpBonus}
-                    />
-                    <SideQuestCard onComplete={completeSideQuest} />
-                    <MoodTrackerCard
-                        onMoodSelect={handleMoodChange}
-                        onSubmit={submitMood}
-                        selectedMood={mood}
-                    />
-                    <TimeTrackerCard
-                        onStart={startTask}
-                        onComplete={completeTask}
-                        isTracking={!!taskStartTime}
-                    />
-                    <BadgeCard badges={badges} />
-                </div>
+                        <SubjectsCard state={subjectState} stats={subjectStats} onChange={setSubjectState} />
 
-                <div className="space-y-4">
-                    <h2
-                        className="text-2xl font-semibold text-white text-center
-                                   bg-gradient-to-r from-pink-400 to-yellow-400 bg-clip-text text-transparent"
-                    >
-                        Task Categories
-                    </h2>
-                    {Object.entries(TASK_CATEGORIES).map(([category, tasks]) => (
-                        <Card
-                            key={category}
-                            className="bg-black/50 border-gray-700 shadow-md"
-                        >
-                            <CardHeader>
-                                <CardTitle className="text-lg font-semibold text-white">
-                                    {category}
-                                </CardTitle>
-                            </CardHeader>
-                            <CardContent className="space-y-4">
-                                {tasks.map((task) => (
-                                    <TaskButton
-                                        key={task.label}
-                                        label={task.label}
-                                        value={task.value}
-                                        onClick={addXp}
-                                        icon={task.icon}
-                                    />
-                                ))}
-                            </CardContent>
-                        </Card>
-                    ))}
-                </div>
-                <AnimatePresence>
-                    {showRewardAnimation && <RewardAnimation />}
-                </AnimatePresence>
-                <AnimatePresence>
-                    {showLevelUpAnimation && (
-                        <motion.div
-                            initial={{ opacity: 0, scale: 0.5 }}
-                            animate={{ opacity: 1, scale: 1.2, transition: { duration: 0.8 } }}
-                            exit={{ opacity: 0, scale: 0.5, transition: { duration: 0.5 } }}
-                            className="fixed inset-0 flex items-center justify-center bg-black/80 z-50"
-                        >
-                            <Card className="bg-gradient-to-r from-yellow-400 to-orange-500 text-black p-6 rounded-3xl shadow-2xl border-4 border-black text-center">
-                                <CardHeader>
-                                    <CardTitle className="text-4xl font-bold flex items-center justify-center gap-3">
-                                        <Sparkles className="w-10 h-10" />
-                                        Level Up!
-                                        <Sparkles className="w-10 h-10" />
-                                    </CardTitle>
-                                    <CardDescription className="text-xl">
-                                        Congratulations! You reached level {Math.floor(xp / XP_PER_LEVEL) + 1}!
-                                    </CardDescription>
-                                </CardHeader>
-                            </Card>
-                        </motion.div>
+                        <GoalPlannerCard
+                            statuses={goalStatuses}
+                            summaries={goalSummaries}
+                            catalog={taskCatalog}
+                            onAdd={addGoal}
+                            onDelete={deleteGoal}
+                        />
+
+                        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                            <ChallengeCard
+                                daily={dailyChallenge}
+                                weekly={weeklyChallenge}
+                                dailyXp={settings.dailyChallengeXp}
+                                weeklyXp={settings.weeklyChallengeXp}
+                                pool={challengePool}
+                                onComplete={completeChallenge}
+                                onPoolChange={setChallengePool}
+                            />
+                            <StreakBonusCard
+                                streaks={progress.streaks}
+                                onClaim={handleStreakXp}
+                                bonus={streakXpBonus}
+                                claimed={progress.streakBonusClaimedToday}
+                            />
+                            <SideQuestCard
+                                xp={settings.sideQuestXp}
+                                quests={progress.sideQuests}
+                                archive={log.filter((entry) => entry.source === 'sideQuest')}
+                                onAdd={addSideQuest}
+                                onUpdate={updateSideQuest}
+                                onDelete={deleteSideQuest}
+                                onComplete={completeSideQuest}
+                            />
+                            <MoodTrackerCard
+                                onMoodSelect={handleMoodChange}
+                                onNoteChange={setMoodNote}
+                                onSubmit={submitMood}
+                                selectedMood={mood}
+                                note={moodNote}
+                                checkInsLeft={moodCheckInsLeft}
+                            />
+                            <BookTrackerCard
+                                books={progress.books}
+                                getXp={(pages) => {
+                                    const availability = getReadingAvailability(pages);
+                                    return availability.status === 'available' ? availability.xp : 0;
+                                }}
+                                onAdd={addBook}
+                                onLog={logReading}
+                                onDelete={deleteBook}
+                            />
+                            <ReviewsCard
+                                topics={progress.topics}
+                                getXp={(method) => findReviewTask(method).task.value}
+                                onAdd={addTopic}
+                                onDelete={deleteTopic}
+                                onGrade={gradeReview}
+                            />
+                            <TimeTrackerCard sessions={progress.sessions} sessionTimer={sessionTimer} />
+                            <BadgeCard achievements={achievements} />
+                            <RewardShopCard
+                                coins={coins}
+                                xpPerCoin={settings.xpPerCoin}
+                                rewards={rewards}
+                                purchases={progress.purchases}
+                                onRewardsChange={setRewards}
+                                onRedeem={redeemReward}
+                            />
+                        </div>
+
+                        <MoodJournalCard progress={progress} />
+
+                        <section id={TASKS_SECTION_ID} className="space-y-4" aria-labelledby="task-categories-heading" tabIndex={-1}>
+                            <h2
+                                id="task-categories-heading"
+                                className="text-2xl font-semibold text-white text-center
+                                           bg-gradient-to-r from-pink-400 to-yellow-400 bg-clip-text text-transparent"
+                            >
+                                {t('tasks.heading')}
+                            </h2>
+                            {isEditingTasks ? (
+                                <TaskEditorCard
+                                    catalog={taskCatalog}
+                                    onChange={setTaskCatalog}
+                                    onClose={closeTaskEditor}
+                                />
+                            ) : (
+                                <>
+                                    {taskCatalog.map((category) => (
+                                        <Card
+                                            key={category.id}
+                                            className="bg-black/50 border-gray-700 shadow-md"
+                                            role="group"
+                                            aria-label={getCategoryName(category.name, t)}
+                                        >
+                                            <CardHeader>
+                                                <CardTitle className="text-lg font-semibold text-white">
+                                                    {getCategoryName(category.name, t)}
+                                                </CardTitle>
+                                            </CardHeader>
+                                            <CardContent className="space-y-4">
+                                                {category.tasks.map((task) => (
+                                                    <TaskButton
+                                                        key={task.id}
+                                                        label={getTaskLabel(task.id, task.label, t)}
+                                                        value={task.value}
+                                                        availability={taskAvailability.get(task.id)}
+                                                        shortcut={task.shortcut}
+                                                        onClick={() => logTask(category, task)}
+                                                        icon={getTaskIcon(task.icon)}
+                                                    />
+                                                ))}
+                                            </CardContent>
+                                        </Card>
+                                    ))}
+                                    <Button
+                                        ref={editTasksButton}
+                                        onClick={() => setIsEditingTasks(true)}
+                                        className="w-full bg-black/40 text-white hover:bg-black/60 flex items-center justify-center gap-2"
+                                    >
+                                        <Settings className="w-4 h-4" />
+                                        {t('tasks.edit')}
+                                    </Button>
+                                </>
+                            )}
+                        </section>
+
+                        <StatsCard progress={progress} />
+
+                        <XpHistoryCard
+                            log={log}
+                            categories={historyCategories}
+                            subjects={subjectState.subjects}
+                            onEdit={editEntry}
+                            onDelete={deleteEntry}
+                        />
+
+                        <BackupCard
+                            events={events}
+                            progress={progress}
+                            preferences={savedPreferences}
+                            levelCurve={settings.levelCurve}
+                            onImport={importBackup}
+                        />
+
+                        <SettingsCard settings={settings} xp={xp} syncStatus={syncStatus} onChange={setSettings} />
+                    </main>
+
+                    <ToastStack toasts={toasts} queuedCount={queuedCount} onDismiss={dismiss} />
+                    <AnimatePresence>
+                        {showRewardAnimation && (
+                            <RewardAnimation
+                                interval={settings.rewardInterval}
+                                coins={coins}
+                                onOpenShop={openRewardShop}
+                                onClose={() => setShowRewardAnimation(false)}
+                            />
+                        )}
+                    </AnimatePresence>
+                    <AnimatePresence>
+                        {showLevelUpAnimation && (
+                            <LevelUpAnimation level={progress.level} onClose={() => setShowLevelUpAnimation(false)} />
+                        )}
+                    </AnimatePresence>
+                    {isPaletteOpen && (
+                        <CommandPalette commands={getCommands()} onClose={() => setIsPaletteOpen(false)} />
                     )}
-                </AnimatePresence>
+                </div>
             </div>
-        </div>
+        </I18nContext.Provider>
     );
 };
 
@@ -0,0 +1,200 @@
+import React, { useState, useMemo, useRef } from 'react';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { cn } from "@/lib/utils";
+import { Download, Upload, FileSpreadsheet, AlertTriangle, Check, X } from 'lucide-react';
+import { ProgressEvent } from '@/lib/events';
+import { Progress } from '@/lib/progress';
+import { LevelCurve } from '@/lib/levels';
+import { translateBadgeName } from '@/lib/achievements';
+import { MessageKey, Translate } from '@/lib/i18n';
+import { StoredPreferences } from '@/lib/progressStore';
+import useI18n from '@/hooks/useI18n';
+import {
+    BackupError,
+    BackupPreview,
+    ImportMode,
+    buildBackup,
+    diffProgress,
+    downloadFile,
+    logToCsv,
+    parseBackup,
+    resolveImport,
+    resolveImportedPreferences,
+} from '@/lib/backup';
+
+const IMPORT_MODES: Record<ImportMode, MessageKey> = {
+    merge: 'backup.mode.merge',
+    replace: 'backup.mode.replace',
+};
+
+const formatChange = (before: number, after: number, t: Translate) =>
+    before === after ? t('backup.noChange', { value: after }) : t('backup.change', { before, after });
+
+const BackupCard = ({ events, progress, preferences, levelCurve, onImport }: {
+    events: ProgressEvent[];
+    progress: Progress;
+    preferences: StoredPreferences | null;
+    levelCurve: LevelCurve;
+    onImport: (events: ProgressEvent[], preferences: StoredPreferences | null) => void;
+}) => {
+    const { t, formatDateTime } = useI18n();
+    const fileInput = useRef<HTMLInputElement>(null);
+    const [preview, setPreview] = useState<BackupPreview | null>(null);
+    const [mode, setMode] = useState<ImportMode>('merge');
+    const [error, setError] = useState<MessageKey | null>(null);
+
+    const result = useMemo(
+        () => (preview ? resolveImport(events, preview.events, mode) : null),
+        [events, preview, mode]
+    );
+    const diff = useMemo(
+        () => (result ? diffProgress(events, result, levelCurve) : null),
+        [events, result, levelCurve]
+    );
+
+    const handleFile = async (file: File | undefined) => {
+        if (!file) {
+            return;
+        }
+        setError(null);
+        setPreview(null);
+        try {
+            setPreview(parseBackup(await file.text()));
+            setMode('merge');
+        } catch (err) {
+            setError(err instanceof BackupError ? err.key : 'backup.error.unreadable');
+        } finally {
+            fileInput.current.value = '';
+        }
+    };
+
+    const applyImport = () => {
+        onImport(result, resolveImportedPreferences(preferences, preview.preferences, mode));
+        setPreview(null);
+    };
+
+    return (
+        <Card className="bg-gradient-to-br from-teal-800 to-slate-800 text-white shadow-lg border-none">
+            <CardHeader>
+                <CardTitle className="flex items-center gap-2 text-xl font-semibold">
+                    <Download className="w-5 h-5 text-yellow-400" />
+                    {t('backup.title')}
+                </CardTitle>
+                <CardDescription>{t('backup.description')}</CardDescription>
+            </CardHeader>
+            <CardContent>
+                <div className="space-y-4">
+                    <div className="flex flex-wrap gap-2">
+                        <Button
+                            onClick={() => downloadFile(
+                                JSON.stringify(buildBackup(events, progress, preferences), null, 2),
+                                'application/json',
+                                'json'
+                            )}
+                            className="bg-yellow-500 text-black font-bold hover:bg-yellow-400 flex items-center gap-2"
+                        >
+                            <Download className="w-4 h-4" />
+                            {t('backup.exportJson')}
+                        </Button>
+                        <Button
+                            onClick={() => downloadFile(logToCsv(progress), 'text/csv', 'csv')}
+                            className="bg-black/30 text-white hover:bg-black/50 flex items-center gap-2"
+                        >
+                            <FileSpreadsheet className="w-4 h-4" />
+                            {t('backup.exportCsv')}
+                        </Button>
+                        <Button
+                            onClick={() => fileInput.current.click()}
+                            className="bg-black/30 text-white hover:bg-black/50 flex items-center gap-2"
+                        >
+                            <Upload className="w-4 h-4" />
+                            {t('backup.import')}
+                        </Button>
+                        <input
+                            ref={fileInput}
+                            type="file"
+                            accept="application/json,.json"
+                            className="hidden"
+                            onChange={(e) => handleFile(e.target.files[0])}
+                        />
+                    </div>
+
+                    {error && (
+                        <p className="flex items-center gap-2 text-red-300" role="alert">
+                            <AlertTriangle className="w-4 h-4" />
+                            {t(error)}
+                        </p>
+                    )}
+
+                    {preview && diff && (
+                        <div className="space-y-3 bg-black/30 p-4 rounded-lg border border-gray-700">
+                            <p className="text-sm text-gray-300">
+                                {t('backup.events', { count: preview.events.length })}
+                                {preview.exportedAt && `, ${t('backup.exportedAt', { date: formatDateTime(preview.exportedAt) })}`}
+                                {preview.skipped > 0 && ` (${t('backup.skipped', { count: preview.skipped })})`}
+                            </p>
+                            <div className="flex gap-2">
+                                {(['merge', 'replace'] as ImportMode[]).map((option) => (
+                                    <Button
+                                        key={option}
+                                        onClick={() => setMode(option)}
+                                        className={cn(
+                                            "flex-1",
+                                            mode === option
+                                                ? "bg-yellow-500 text-black font-bold"
+                                                : "bg-black/20 text-white hover:bg-black/40"
+                                        )}
+                                    >
+                                        {t(IMPORT_MODES[option])}
+                                    </Button>
+                                ))}
+                            </div>
+                            <ul className="text-sm space-y-1">
+                                <li>{t('backup.xp', { change: formatChange(diff.xpBefore, diff.xpAfter, t) })}</li>
+                                <li>{t('backup.level', { change: formatChange(diff.levelBefore, diff.levelAfter, t) })}</li>
+                                {diff.badgesGained.length > 0 && (
+                                    <li className="text-green-300">
+                                        {t('backup.badgesGained', {
+                                            badges: diff.badgesGained.map((name) => translateBadgeName(name, t)).join(', '),
+                                        })}
+                                    </li>
+                                )}
+                                {diff.badgesLost.length > 0 && (
+                                    <li className="text-red-300">
+                                        {t('backup.badgesLost', {
+                                            badges: diff.badgesLost.map((name) => translateBadgeName(name, t)).join(', '),
+                                        })}
+                                    </li>
+                                )}
+                            </ul>
+                            {mode === 'replace' && (
+                                <p className="text-xs text-yellow-200">
+                                    {t('backup.replaceWarning')}
+                                </p>
+                            )}
+                            <div className="flex gap-2">
+                                <Button
+                                    onClick={applyImport}
+                                    className="bg-green-500 text-white font-bold hover:bg-green-400 flex items-center gap-1"
+                                >
+                                    <Check className="w-4 h-4" />
+                                    {t('backup.apply')}
+                                </Button>
+                                <Button
+                                    onClick={() => setPreview(null)}
+                                    className="bg-red-500 text-white font-bold hover:bg-red-400 flex items-center gap-1"
+                                >
+                                    <X className="w-4 h-4" />
+                                    {t('common.cancel')}
+                                </Button>
+                            </div>
+                        </div>
+                    )}
+                </div>
+            </CardContent>
+        </Card>
+    );
+};
+
+export default BackupCard;
@@ -0,0 +1,80 @@
+import React from 'react';
+import { Progress } from '@/components/ui/progress';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { cn } from "@/lib/utils";
+import { Award, Lock } from 'lucide-react';
+import { AchievementStatus, TIER_STYLES, getAchievementDescription, getAchievementName } from '@/lib/achievements';
+import useI18n from '@/hooks/useI18n';
+
+const AchievementItem = ({ status }: { status: AchievementStatus }) => {
+    const { t, formatDate } = useI18n();
+    const { definition, value, tier, nextTier, goal, unlockedAt } = status;
+    const Icon = definition.icon;
+    const isLocked = tier === null;
+    const unlockedOn = tier && unlockedAt[tier];
+
+    return (
+        <div
+            className={cn(
+                "flex items-start gap-3 bg-black/50 p-3 rounded-lg border",
+                isLocked ? "border-gray-800 opacity-70" : TIER_STYLES[tier].className
+            )}
+        >
+            {isLocked ? (
+                <Lock className="w-6 h-6 text-gray-500 shrink-0" />
+            ) : (
+                <Icon className={cn("w-6 h-6 shrink-0", definition.color)} />
+            )}
+            <div className="flex-1 min-w-0 space-y-1">
+                <h4 className="font-semibold flex items-center gap-2">
+                    {getAchievementName(definition, t)}
+                    {tier && (
+                        <span className={cn("text-xs uppercase", TIER_STYLES[tier].className)}>
+                            {t(TIER_STYLES[tier].label)}
+                        </span>
+                    )}
+                </h4>
+                <p className="text-sm text-gray-400">
+                    {getAchievementDescription(definition, goal, t)}
+                </p>
+                {nextTier && (
+                    <>
+                        <Progress value={Math.min((value / goal) * 100, 100)} className="h-1.5 bg-gray-700" />
+                        <p className="text-xs text-gray-400">
+                            {t('badges.toNextTier', { value: Math.min(value, goal), goal, tier: t(TIER_STYLES[nextTier].label) })}
+                        </p>
+                    </>
+                )}
+                {unlockedOn && (
+                    <p className="text-xs text-gray-500">{t('badges.unlockedOn', { date: formatDate(unlockedOn) })}</p>
+                )}
+            </div>
+        </div>
+    );
+};
+
+const BadgeCard = ({ achievements }: { achievements: AchievementStatus[] }) => {
+    const { t } = useI18n();
+    const unlockedCount = achievements.filter((status) => status.tier !== null).length;
+
+    return (
+        <Card className="bg-gradient-to-br from-gray-800 to-black text-white shadow-lg border-none">
+            <CardHeader>
+                <CardTitle className="flex items-center gap-2 text-xl font-semibold">
+                    <Award className="w-5 h-5 text-yellow-400" />
+                    {t('badges.title')}
+                </CardTitle>
+                <CardDescription>{t('badges.unlockedCount', { count: unlockedCount, total: achievements.length })}</CardDescription>
+            </CardHeader>
+            <CardContent>
+                <div className="grid grid-cols-1 gap-3">
+                    {achievements.map((status) => (
+                        <AchievementItem key={status.definition.id} status={status} />
+                    ))}
+                </div>
+            </CardContent>
+        </Card>
+    );
+};
+
+export default BadgeCard;
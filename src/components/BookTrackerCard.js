@@ -0,0 +1,214 @@
+import React, { useState } from 'react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Progress } from '@/components/ui/progress';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { cn } from "@/lib/utils";
+import { BookOpen, BookMarked, PlusCircle, Trash2, Check } from 'lucide-react';
+import { Book, MAX_BOOK_PAGES, parsePageRange } from '@/lib/books';
+import useI18n from '@/hooks/useI18n';
+
+const inputClassName = "bg-black/20 text-white border-orange-300/50";
+
+type LogMode = 'range' | 'current';
+
+const ReadingForm = ({ book, getXp, onLog }: {
+    book: Book;
+    getXp: (pages: number) => number;
+    onLog: (fromPage: number, toPage: number) => void;
+}) => {
+    const { t } = useI18n();
+    const [mode, setMode] = useState<LogMode>('current');
+    const [fromPage, setFromPage] = useState(String(book.currentPage + 1));
+    const [toPage, setToPage] = useState('');
+
+    // "I'm on page N" reads everything since the furthest page logged so far
+    const range = parsePageRange(
+        book,
+        mode === 'current' ? book.currentPage + 1 : parseInt(fromPage, 10),
+        parseInt(toPage, 10),
+        t
+    );
+
+    const submit = () => {
+        if ('pages' in range) {
+            onLog(range.fromPage, range.toPage);
+            setFromPage(String(range.toPage + 1));
+            setToPage('');
+        }
+    };
+
+    return (
+        <div className="space-y-2">
+            <div className="flex flex-wrap items-center gap-2">
+                <select
+                    value={mode}
+                    onChange={(e) => setMode(e.target.value as LogMode)}
+                    className="h-10 rounded-md bg-black/20 text-white border border-orange-300/50 px-2 text-sm"
+                    aria-label={t('books.logMode')}
+                >
+                    <option value="current">{t('books.mode.current')}</option>
+                    <option value="range">{t('books.mode.range')}</option>
+                </select>
+                {mode === 'range' && (
+                    <>
+                        <Input
+                            type="number"
+                            min={1}
+                            max={book.totalPages}
+                            value={fromPage}
+                            onChange={(e) => setFromPage(e.target.value)}
+                            className={cn("w-20", inputClassName)}
+                            aria-label={t('books.fromPage')}
+                        />
+                        <span>{t('books.to')}</span>
+                    </>
+                )}
+                <Input
+                    type="number"
+                    min={1}
+                    max={book.totalPages}
+                    value={toPage}
+                    onChange={(e) => setToPage(e.target.value)}
+                    onKeyDown={(e) => e.key === 'Enter' && submit()}
+                    className={cn("w-20", inputClassName)}
+                    aria-label={mode === 'current' ? t('books.currentPage') : t('books.toPage')}
+                />
+                <Button
+                    onClick={submit}
+                    disabled={!('pages' in range)}
+                    className="bg-yellow-500 text-black font-bold hover:bg-yellow-400 flex items-center gap-1"
+                >
+                    <Check className="w-4 h-4" />
+                    {'pages' in range ? t('books.logXp', { xp: getXp(range.pages) }) : t('books.log')}
+                </Button>
+            </div>
+            {toPage && 'error' in range && <p className="text-xs text-red-200">{range.error}</p>}
+        </div>
+    );
+};
+
+const BookItem = ({ book, getXp, onLog, onDelete }: {
+    book: Book;
+    getXp: (pages: number) => number;
+    onLog: (fromPage: number, toPage: number) => void;
+    onDelete: () => void;
+}) => {
+    const { t, formatDate } = useI18n();
+
+    return (
+        <li className={cn("space-y-2 py-3", book.isFinished && "opacity-70")}>
+            <div className="flex items-start justify-between gap-2">
+                <div className="min-w-0">
+                    <p className="font-semibold break-words flex items-center gap-2">
+                        {book.isFinished && <BookMarked className="w-4 h-4 text-green-300 shrink-0" />}
+                        {book.title}
+                    </p>
+                    <p className="text-xs text-orange-100">
+                        {t('books.pageOf', { page: book.currentPage, total: book.totalPages })}
+                        {book.finishedAt && ` · ${t('books.finishedOn', { date: formatDate(book.finishedAt) })}`}
+                    </p>
+                </div>
+                <Button
+                    onClick={onDelete}
+                    className="h-8 w-8 p-0 bg-black/30 text-white hover:bg-red-500 shrink-0"
+                    aria-label={t('books.delete', { title: book.title })}
+                >
+                    <Trash2 className="w-4 h-4" />
+                </Button>
+            </div>
+            <Progress value={(book.currentPage / book.totalPages) * 100} className="h-2 bg-black/30" />
+            {!book.isFinished && <ReadingForm book={book} getXp={getXp} onLog={onLog} />}
+        </li>
+    );
+};
+
+const BookTrackerCard = ({ books, getXp, onAdd, onLog, onDelete }: {
+    books: Book[];
+    getXp: (pages: number) => number;
+    onAdd: (title: string, totalPages: number) => void;
+    onLog: (book: Book, fromPage: number, toPage: number) => void;
+    onDelete: (bookId: string) => void;
+}) => {
+    const { t } = useI18n();
+    const [title, setTitle] = useState('');
+    const [totalPages, setTotalPages] = useState('');
+    const parsedPages = parseInt(totalPages, 10);
+    const canAdd = title.trim() !== '' && parsedPages > 0 && parsedPages <= MAX_BOOK_PAGES;
+
+    // Books still being read first
+    const sortedBooks = [...books].sort((a, b) => Number(a.isFinished) - Number(b.isFinished));
+
+    const submit = () => {
+        if (canAdd) {
+            onAdd(title.trim(), parsedPages);
+            setTitle('');
+            setTotalPages('');
+        }
+    };
+
+    return (
+        <Card className="bg-gradient-to-br from-orange-800 to-amber-900 text-white shadow-lg border-none">
+            <CardHeader>
+                <CardTitle className="flex items-center gap-2 text-xl font-semibold">
+                    <BookOpen className="w-5 h-5 text-yellow-400" />
+                    {t('books.title')}
+                </CardTitle>
+                <CardDescription>
+                    {t('books.finishedCount', { finished: books.filter((book) => book.isFinished).length, count: books.length })}
+                </CardDescription>
+            </CardHeader>
+            <CardContent>
+                <div className="space-y-4">
+                    {sortedBooks.length > 0 && (
+                        <ul className="divide-y divide-white/10">
+                            {sortedBooks.map((book) => (
+                                <BookItem
+                                    key={book.id}
+                                    book={book}
+                                    getXp={getXp}
+                                    onLog={(fromPage, toPage) => onLog(book, fromPage, toPage)}
+                                    onDelete={() => {
+                                        if (window.confirm(t('books.confirmDelete', { title: book.title }))) {
+                                            onDelete(book.id);
+                                        }
+                                    }}
+                                />
+                            ))}
+                        </ul>
+                    )}
+                    <div className="flex flex-wrap gap-2">
+                        <Input
+                            value={title}
+                            onChange={(e) => setTitle(e.target.value)}
+                            placeholder={t('books.bookTitle')}
+                            className={cn("flex-1 min-w-[10rem]", inputClassName)}
+                            aria-label={t('books.bookTitle')}
+                        />
+                        <Input
+                            type="number"
+                            min={1}
+                            max={MAX_BOOK_PAGES}
+                            value={totalPages}
+                            onChange={(e) => setTotalPages(e.target.value)}
+                            onKeyDown={(e) => e.key === 'Enter' && submit()}
+                            placeholder={t('books.pages')}
+                            className={cn("w-24", inputClassName)}
+                            aria-label={t('books.totalPages')}
+                        />
+                        <Button
+                            onClick={submit}
+                            disabled={!canAdd}
+                            className="bg-yellow-500 text-black font-bold hover:bg-yellow-400 flex items-center gap-1"
+                        >
+                            <PlusCircle className="w-4 h-4" />
+                            {t('books.add')}
+                        </Button>
+                    </div>
+                </div>
+            </CardContent>
+        </Card>
+    );
+};
+
+export default BookTrackerCard;
@@ -0,0 +1,66 @@
+import React, { useEffect, useRef } from 'react';
+import { motion, Variants } from 'framer-motion';
+import { Button } from '@/components/ui/button';
+import { X } from 'lucide-react';
+import useI18n from '@/hooks/useI18n';
+
+// How long a celebration stays up unless it's skipped
+const CELEBRATION_DURATION_MS = 5000;
+
+// Full-screen overlay for level-ups and rewards. It closes itself after a few
+// seconds, and clicking the backdrop, the Skip button or pressing Escape
+// closes it straight away. Focus moves to Skip and back again afterwards.
+const CelebrationOverlay = ({ label, variants, onClose, children }: {
+    label: string;
+    variants: Variants;
+    onClose: () => void;
+    children: React.ReactNode;
+}) => {
+    const { t } = useI18n();
+    const skipRef = useRef<HTMLButtonElement>(null);
+    const onCloseRef = useRef(onClose);
+    onCloseRef.current = onClose;
+
+    useEffect(() => {
+        const previousFocus = document.activeElement as HTMLElement | null;
+        skipRef.current?.focus();
+        const timeout = setTimeout(() => onCloseRef.current(), CELEBRATION_DURATION_MS);
+        const handleKeyDown = (event: KeyboardEvent) => {
+            if (event.key === 'Escape') {
+                onCloseRef.current();
+            }
+        };
+        document.addEventListener('keydown', handleKeyDown);
+        return () => {
+            clearTimeout(timeout);
+            document.removeEventListener('keydown', handleKeyDown);
+            previousFocus?.focus();
+        };
+    }, []);
+
+    return (
+        <motion.div
+            variants={variants}
+            initial="hidden"
+            animate="visible"
+            exit="exit"
+            className="fixed inset-0 flex items-center justify-center bg-black/80 z-50"
+            role="dialog"
+            aria-modal="true"
+            aria-label={label}
+            onClick={(e) => e.target === e.currentTarget && onClose()}
+        >
+            <Button
+                ref={skipRef}
+                onClick={onClose}
+                className="absolute top-4 right-4 bg-black/60 text-white hover:bg-black flex items-center gap-1"
+            >
+                <X className="w-4 h-4" />
+                {t('common.skip')}
+            </Button>
+            {children}
+        </motion.div>
+    );
+};
+
+export default CelebrationOverlay;
@@ -0,0 +1,252 @@
+import React, { useState } from 'react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Progress } from '@/components/ui/progress';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { cn } from "@/lib/utils";
+import { CalendarDays, CheckCircle, Edit, PlusCircle, Trash2, X } from 'lucide-react';
+import {
+    CHALLENGE_GOALS,
+    Challenge,
+    ChallengeGoalType,
+    ChallengePool,
+    ChallengeStatus,
+    ChallengeTier,
+    createChallenge,
+    getChallengeText,
+} from '@/lib/challenges';
+import { MessageKey } from '@/lib/i18n';
+import useI18n from '@/hooks/useI18n';
+
+const TIER_LABELS: Record<ChallengeTier, MessageKey> = {
+    daily: 'challenges.daily',
+    weekly: 'challenges.weekly',
+};
+
+const TIER_POOLS: Record<ChallengeTier, MessageKey> = {
+    daily: 'challenges.dailyPool',
+    weekly: 'challenges.weeklyPool',
+};
+
+const NEW_CHALLENGE_TEXTS: Record<ChallengeTier, MessageKey> = {
+    daily: 'challenges.newDaily',
+    weekly: 'challenges.newWeekly',
+};
+
+const PROGRESS_TEXTS: Record<Exclude<ChallengeGoalType, 'manual'>, MessageKey> = {
+    pages: 'challenges.progress.pages',
+    focusMinutes: 'challenges.progress.focusMinutes',
+    tasks: 'challenges.progress.tasks',
+    studyXp: 'challenges.progress.studyXp',
+};
+
+const inputClassName = "bg-black/20 text-white border-green-300/50";
+
+const ChallengeRow = ({ challenge, onChange, onRemove }: {
+    challenge: Challenge;
+    onChange: (changes: Partial<Challenge>) => void;
+    onRemove: () => void;
+}) => {
+    const { t } = useI18n();
+
+    return (
+        <li className="flex flex-wrap items-center gap-2">
+            <Input
+                value={getChallengeText(challenge, t)}
+                onChange={(e) => onChange({ text: e.target.value })}
+                className={cn("flex-1 min-w-[10rem]", inputClassName)}
+                aria-label={t('challenges.challenge')}
+            />
+            <select
+                value={challenge.goal}
+                onChange={(e) => onChange({ goal: e.target.value as ChallengeGoalType })}
+                className="h-10 rounded-md bg-black/20 text-white border border-green-300/50 px-2 text-sm"
+                aria-label={t('challenges.checkedBy')}
+            >
+                {Object.entries(CHALLENGE_GOALS).map(([goal, key]) => (
+                    <option key={goal} value={goal}>{t(key)}</option>
+                ))}
+            </select>
+            {challenge.goal !== 'manual' && (
+                <Input
+                    type="number"
+                    min={1}
+                    value={challenge.target}
+                    onChange={(e) => onChange({ target: Math.max(parseInt(e.target.value, 10) || 1, 1) })}
+                    className={cn("w-20", inputClassName)}
+                    aria-label={t('challenges.target')}
+                />
+            )}
+            <Button
+                onClick={onRemove}
+                className="h-9 w-9 p-0 bg-black/30 text-white hover:bg-red-500"
+                aria-label={t('challenges.delete')}
+            >
+                <Trash2 className="w-4 h-4" />
+            </Button>
+        </li>
+    );
+};
+
+const ChallengePoolEditor = ({ pool, onChange }: {
+    pool: ChallengePool;
+    onChange: (pool: ChallengePool) => void;
+}) => {
+    const { t } = useI18n();
+    const updateTier = (tier: ChallengeTier, challenges: Challenge[]) => onChange({ ...pool, [tier]: challenges });
+
+    return (
+        <div className="space-y-4">
+            {(Object.keys(TIER_LABELS) as ChallengeTier[]).map((tier) => (
+                <section key={tier} className="space-y-2">
+                    <h4 className="font-semibold">{t(TIER_POOLS[tier])}</h4>
+                    <ul className="space-y-2">
+                        {pool[tier].map((challenge) => (
+                            <ChallengeRow
+                                key={challenge.id}
+                                challenge={challenge}
+                                onChange={(changes) => updateTier(
+                                    tier,
+                                    pool[tier].map((entry) => (entry.id === challenge.id ? { ...entry, ...changes } : entry))
+                                )}
+                                onRemove={() => updateTier(tier, pool[tier].filter((entry) => entry.id !== challenge.id))}
+                            />
+                        ))}
+                    </ul>
+                    <Button
+                        onClick={() => updateTier(tier, [...pool[tier], createChallenge(t(NEW_CHALLENGE_TEXTS[tier]))])}
+                        className="bg-black/30 text-white hover:bg-black/50 flex items-center gap-1"
+                    >
+                        <PlusCircle className="w-4 h-4" />
+                        {t('challenges.add')}
+                    </Button>
+                </section>
+            ))}
+            <p className="text-xs text-green-100">
+                {t('challenges.poolHint')}
+            </p>
+        </div>
+    );
+};
+
+const ChallengeItem = ({ label, status, xp, onComplete }: {
+    label: string;
+    status: ChallengeStatus | null;
+    xp: number;
+    onComplete: () => void;
+}) => {
+    const { t } = useI18n();
+
+    if (!status) {
+        return (
+            <div className="space-y-1">
+                <h4 className="font-semibold">{label}</h4>
+                <p className="text-sm text-green-100">{t('challenges.emptyPool')}</p>
+            </div>
+        );
+    }
+
+    const { challenge, value, isCompleted } = status;
+    const isManual = challenge.goal === 'manual';
+
+    return (
+        <div className="space-y-2">
+            <h4 className="font-semibold flex justify-between gap-2">
+                {label}
+                <span className="text-sm text-green-100 font-normal">{t('common.xp', { xp })}</span>
+            </h4>
+            <p className="text-lg">{getChallengeText(challenge, t)}</p>
+            {!isManual && !isCompleted && (
+                <>
+                    <Progress value={Math.min((value / challenge.target) * 100, 100)} className="h-2 bg-black/30" />
+                    <p className="text-xs text-green-100">
+                        {t(PROGRESS_TEXTS[challenge.goal], {
+                            value: Math.min(value, challenge.target),
+                            count: challenge.target,
+                        })}
+                    </p>
+                </>
+            )}
+            {isManual && !isCompleted && (
+                <Button
+                    onClick={onComplete}
+                    className="w-full bg-yellow-500 text-black font-bold
+                               hover:bg-yellow-400 transition-colors"
+                >
+                    <CheckCircle className="w-5 h-5 mr-2" />
+                    {t('challenges.complete')}
+                </Button>
+            )}
+            {isCompleted && (
+                <div className="flex items-center gap-2 text-green-200">
+                    <CheckCircle className="w-5 h-5" />
+                    {t('challenges.completed')}
+                </div>
+            )}
+        </div>
+    );
+};
+
+const ChallengeCard = ({ daily, weekly, dailyXp, weeklyXp, pool, onComplete, onPoolChange }: {
+    daily: ChallengeStatus | null;
+    weekly: ChallengeStatus | null;
+    dailyXp: number;
+    weeklyXp: number;
+    pool: ChallengePool;
+    onComplete: (status: ChallengeStatus) => void;
+    onPoolChange: (pool: ChallengePool) => void;
+}) => {
+    const { t } = useI18n();
+    const [isEditing, setIsEditing] = useState(false);
+    const allDone = Boolean(daily?.isCompleted && weekly?.isCompleted);
+
+    return (
+        <Card
+            className={cn(
+                "bg-gradient-to-br from-green-700 to-emerald-700 text-white shadow-lg border-none",
+                "transition-all duration-300",
+                allDone ? "opacity-70" : "hover:scale-[1.02] hover:shadow-xl"
+            )}
+        >
+            <CardHeader>
+                <CardTitle className="flex items-center justify-between gap-2 text-xl font-semibold">
+                    <span className="flex items-center gap-2">
+                        <CalendarDays className="w-5 h-5 text-yellow-400" />
+                        {t('challenges.title')}
+                    </span>
+                    <Button
+                        onClick={() => setIsEditing(!isEditing)}
+                        className="h-8 w-8 p-0 bg-black/30 text-white hover:bg-black/50"
+                        aria-label={isEditing ? t('challenges.closePool') : t('challenges.editPool')}
+                        aria-expanded={isEditing}
+                    >
+                        {isEditing ? <X className="w-4 h-4" /> : <Edit className="w-4 h-4" />}
+                    </Button>
+                </CardTitle>
+                <CardDescription>{t('challenges.description')}</CardDescription>
+            </CardHeader>
+            <CardContent>
+                {isEditing ? (
+                    <ChallengePoolEditor pool={pool} onChange={onPoolChange} />
+                ) : (
+                    <div className="space-y-6">
+                        <ChallengeItem
+                            label={t(TIER_LABELS.daily)}
+                            status={daily}
+                            xp={dailyXp}
+                            onComplete={() => onComplete(daily)}
+                        />
+                        <ChallengeItem
+                            label={t(TIER_LABELS.weekly)}
+                            status={weekly}
+                            xp={weeklyXp}
+                            onComplete={() => onComplete(weekly)}
+                        />
+                    </div>
+                )}
+            </CardContent>
+        </Card>
+    );
+};
+
+export default ChallengeCard;
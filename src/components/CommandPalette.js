@@ -0,0 +1,163 @@
+import React, { useState, useEffect, useMemo, useRef, useId } from 'react';
+import { cn } from "@/lib/utils";
+import { Search } from 'lucide-react';
+import { Command, CommandMatch, searchCommands } from '@/lib/commands';
+import useI18n from '@/hooks/useI18n';
+
+const HighlightedLabel = ({ label, indices }: { label: string; indices: number[] }) => {
+    const matched = new Set(indices);
+    return (
+        <>
+            {[...label].map((char, index) => (matched.has(index)
+                ? <mark key={index} className="bg-transparent text-yellow-300 font-semibold">{char}</mark>
+                : char
+            ))}
+        </>
+    );
+};
+
+// A combobox over every loggable action. Focus stays in the search field and
+// the arrow keys move through the results (announced via
+// aria-activedescendant); closing returns focus to where it was.
+const CommandPalette = ({ commands, onClose }: {
+    commands: Command[];
+    onClose: () => void;
+}) => {
+    const { t } = useI18n();
+    const [query, setQuery] = useState('');
+    const [activeIndex, setActiveIndex] = useState(0);
+    const inputRef = useRef<HTMLInputElement>(null);
+    const listRef = useRef<HTMLUListElement>(null);
+    const listId = useId();
+    const matches = useMemo(() => searchCommands(commands, query), [commands, query]);
+    const active = matches[activeIndex];
+    const getOptionId = (index: number) => `${listId}-${index}`;
+
+    useEffect(() => {
+        const previousFocus = document.activeElement as HTMLElement | null;
+        inputRef.current?.focus();
+        return () => previousFocus?.focus();
+    }, []);
+
+    useEffect(() => {
+        listRef.current?.querySelector('[aria-selected="true"]')?.scrollIntoView({ block: 'nearest' });
+    }, [activeIndex, matches]);
+
+    const run = (match: CommandMatch | undefined) => {
+        if (match && !match.command.disabled) {
+            onClose();
+            match.command.run();
+        }
+    };
+
+    const move = (offset: number) => {
+        if (matches.length > 0) {
+            setActiveIndex((activeIndex + offset + matches.length) % matches.length);
+        }
+    };
+
+    const handleKeyDown = (e: React.KeyboardEvent) => {
+        switch (e.key) {
+            case 'ArrowDown':
+                move(1);
+                break;
+            case 'ArrowUp':
+                move(-1);
+                break;
+            case 'Home':
+                setActiveIndex(0);
+                break;
+            case 'End':
+                setActiveIndex(Math.max(matches.length - 1, 0));
+                break;
+            case 'Enter':
+                run(active);
+                break;
+            case 'Escape':
+                onClose();
+                break;
+            // The search field is the only stop in the dialog
+            case 'Tab':
+                break;
+            default:
+                return;
+        }
+        e.preventDefault();
+    };
+
+    return (
+        <div
+            className="fixed inset-0 z-50 flex items-start justify-center bg-black/60 px-4 pt-[15vh]"
+            onMouseDown={(e) => e.target === e.currentTarget && onClose()}
+        >
+            <div
+                className="w-full max-w-lg overflow-hidden rounded-xl border border-gray-700 bg-gray-900 text-white shadow-2xl"
+                role="dialog"
+                aria-modal="true"
+                aria-label={t('palette.title')}
+            >
+                <div className="flex items-center gap-2 border-b border-gray-700 px-4">
+                    <Search className="w-4 h-4 text-gray-400" aria-hidden="true" />
+                    <input
+                        ref={inputRef}
+                        value={query}
+                        onChange={(e) => {
+                            setQuery(e.target.value);
+                            setActiveIndex(0);
+                        }}
+                        onKeyDown={handleKeyDown}
+                        placeholder={t('palette.placeholder')}
+                        className="h-12 flex-1 bg-transparent text-white placeholder:text-gray-500 outline-none"
+                        role="combobox"
+                        aria-label={t('palette.search')}
+                        aria-expanded={matches.length > 0}
+                        aria-controls={listId}
+                        aria-autocomplete="list"
+                        aria-activedescendant={active ? getOptionId(activeIndex) : undefined}
+                    />
+                </div>
+                {matches.length > 0 ? (
+                    <ul ref={listRef} id={listId} role="listbox" aria-label={t('palette.actions')} className="max-h-80 overflow-y-auto py-2">
+                        {matches.map((match, index) => {
+                            const { command } = match;
+                            return (
+                                <li
+                                    key={command.id}
+                                    id={getOptionId(index)}
+                                    role="option"
+                                    aria-selected={index === activeIndex}
+                                    aria-disabled={command.disabled || undefined}
+                                    onMouseMove={() => index !== activeIndex && setActiveIndex(index)}
+                                    onClick={() => run(match)}
+                                    className={cn(
+                                        "mx-2 flex cursor-pointer items-center gap-3 rounded-md px-3 py-2 text-sm",
+                                        index === activeIndex && "bg-white/10",
+                                        command.disabled && "cursor-not-allowed opacity-50"
+                                    )}
+                                >
+                                    <span className="w-20 shrink-0 text-xs text-gray-400">{command.group}</span>
+                                    <span className="flex-1 truncate">
+                                        <HighlightedLabel label={command.label} indices={match.indices} />
+                                    </span>
+                                    {command.hint && <span className="text-xs text-gray-400 whitespace-nowrap">{command.hint}</span>}
+                                    {command.shortcut && (
+                                        <kbd className="rounded border border-gray-600 px-1.5 text-xs text-gray-300">
+                                            {command.shortcut.toUpperCase()}
+                                        </kbd>
+                                    )}
+                                </li>
+                            );
+                        })}
+                    </ul>
+                ) : (
+                    <p className="px-4 py-6 text-center text-sm text-gray-400" role="status">{t('palette.noMatches')}</p>
+                )}
+                <p className="border-t border-gray-700 px-4 py-2 text-xs text-gray-500">
+                    {t('palette.help')}
+                </p>
+            </div>
+        </div>
+    );
+};
+
+export default CommandPalette;
@@ -0,0 +1,275 @@
+import React, { useState } from 'react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Progress } from '@/components/ui/progress';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { cn } from "@/lib/utils";
+import { Target, PlusCircle, Trash2, History, CheckCircle, XCircle } from 'lucide-react';
+import {
+    DEFAULT_GOAL_BONUS,
+    GOAL_METRICS,
+    MAX_GOAL_BONUS,
+    GOAL_PERIODS,
+    GoalMetric,
+    GoalPace,
+    GoalPeriod,
+    GoalStatus,
+    PeriodSummary,
+    clampGoalBonus,
+    describeGoal,
+} from '@/lib/goals';
+import { TaskCategory, getTaskLabel } from '@/lib/taskCatalog';
+import { Translate } from '@/lib/i18n';
+import useI18n from '@/hooks/useI18n';
+
+export interface GoalDraft {
+    period: GoalPeriod;
+    metric: GoalMetric;
+    target: number;
+    bonusXp: number;
+    taskId?: string;
+}
+
+const selectClassName = "h-10 rounded-md bg-black/20 text-white border border-emerald-300/50 px-2 text-sm";
+const inputClassName = "bg-black/20 text-white border-emerald-300/50";
+
+const PACE_STYLES: Record<GoalPace, string> = {
+    done: "bg-green-500 text-black",
+    'on-track': "bg-emerald-300/30 text-white",
+    behind: "bg-red-500/80 text-white",
+};
+
+const getPaceText = ({ pace, goal, value, expected, isCompleted }: GoalStatus, t: Translate) => {
+    if (pace === 'done') {
+        return isCompleted ? t('goals.pace.doneWithBonus', { xp: goal.bonusXp }) : t('goals.pace.done');
+    }
+    return pace === 'on-track' ? t('goals.pace.onTrack') : t('goals.pace.behind', { count: expected - value });
+};
+
+const GoalForm = ({ catalog, onAdd }: {
+    catalog: TaskCategory[];
+    onAdd: (draft: GoalDraft) => void;
+}) => {
+    const { t } = useI18n();
+    const [period, setPeriod] = useState<GoalPeriod>('week');
+    const [metric, setMetric] = useState<GoalMetric>('studyXp');
+    const [taskId, setTaskId] = useState('');
+    const [target, setTarget] = useState('');
+    const [bonusXp, setBonusXp] = useState('');
+    const parsedTarget = parseInt(target, 10);
+    const parsedBonus = parseInt(bonusXp, 10);
+    const canAdd = parsedTarget > 0;
+
+    const submit = () => {
+        if (canAdd) {
+            onAdd({
+                period,
+                metric,
+                target: parsedTarget,
+                bonusXp: parsedBonus >= 0 ? clampGoalBonus(parsedBonus) : DEFAULT_GOAL_BONUS[period],
+                taskId: metric === 'tasks' && taskId ? taskId : undefined,
+            });
+            setTarget('');
+            setBonusXp('');
+        }
+    };
+
+    return (
+        <div className="flex flex-wrap gap-2">
+            <select
+                value={period}
+                onChange={(e) => setPeriod(e.target.value as GoalPeriod)}
+                className={selectClassName}
+                aria-label={t('goals.periodLabel')}
+            >
+                {Object.entries(GOAL_PERIODS).map(([value, key]) => (
+                    <option key={value} value={value}>{t(key)}</option>
+                ))}
+            </select>
+            <select
+                value={metric}
+                onChange={(e) => setMetric(e.target.value as GoalMetric)}
+                className={selectClassName}
+                aria-label={t('goals.metricLabel')}
+            >
+                {Object.entries(GOAL_METRICS).map(([value, key]) => (
+                    <option key={value} value={value}>{t(key)}</option>
+                ))}
+            </select>
+            {metric === 'tasks' && (
+                <select
+                    value={taskId}
+                    onChange={(e) => setTaskId(e.target.value)}
+                    className={selectClassName}
+                    aria-label={t('goals.taskLabel')}
+                >
+                    <option value="">{t('goals.anyTask')}</option>
+                    {catalog.flatMap((category) => category.tasks).map((task) => (
+                        <option key={task.id} value={task.id}>{getTaskLabel(task.id, task.label, t)}</option>
+                    ))}
+                </select>
+            )}
+            <Input
+                type="number"
+                min={1}
+                value={target}
+                onChange={(e) => setTarget(e.target.value)}
+                onKeyDown={(e) => e.key === 'Enter' && submit()}
+                placeholder={t('goals.target')}
+                className={cn("w-24", inputClassName)}
+                aria-label={t('goals.targetLabel')}
+            />
+            <Input
+                type="number"
+                min={0}
+                max={MAX_GOAL_BONUS}
+                value={bonusXp}
+                onChange={(e) => setBonusXp(e.target.value)}
+                onKeyDown={(e) => e.key === 'Enter' && submit()}
+                placeholder={t('goals.bonusPlaceholder', { xp: DEFAULT_GOAL_BONUS[period] })}
+                className={cn("w-32", inputClassName)}
+                aria-label={t('goals.bonusLabel')}
+            />
+            <Button
+                onClick={submit}
+                disabled={!canAdd}
+                className="bg-yellow-500 text-black font-bold hover:bg-yellow-400 flex items-center gap-1"
+            >
+                <PlusCircle className="w-4 h-4" />
+                {t('goals.add')}
+            </Button>
+        </div>
+    );
+};
+
+const GoalItem = ({ status, catalog, onDelete }: {
+    status: GoalStatus;
+    catalog: TaskCategory[];
+    onDelete: () => void;
+}) => {
+    const { t, formatDay } = useI18n();
+    const { goal, range, value, pace } = status;
+    const title = describeGoal(goal, catalog, t);
+
+    return (
+        <li className="space-y-2 py-3">
+            <div className="flex items-start justify-between gap-2">
+                <div className="min-w-0">
+                    <p className="font-semibold break-words">{title}</p>
+                    <p className="text-xs text-emerald-100">
+                        {t(GOAL_PERIODS[goal.period])} · {t('goals.ends', { date: formatDay(range.end) })}
+                        {' · '}{t('goals.bonus', { xp: goal.bonusXp })}
+                    </p>
+                </div>
+                <div className="flex items-center gap-2 shrink-0">
+                    <span className={cn("text-xs font-semibold rounded-full px-2 py-1", PACE_STYLES[pace])}>
+                        {getPaceText(status, t)}
+                    </span>
+                    <Button
+                        onClick={onDelete}
+                        className="h-8 w-8 p-0 bg-black/30 text-white hover:bg-red-500"
+                        aria-label={t('goals.delete', { title })}
+                    >
+                        <Trash2 className="w-4 h-4" />
+                    </Button>
+                </div>
+            </div>
+            <Progress value={Math.min((value / goal.target) * 100, 100)} className="h-2 bg-black/30" />
+            <p className="text-xs text-emerald-100">{value} / {goal.target}</p>
+        </li>
+    );
+};
+
+const SummaryItem = ({ summary, catalog }: {
+    summary: PeriodSummary;
+    catalog: TaskCategory[];
+}) => {
+    const { t, formatDay } = useI18n();
+    const [isOpen, setIsOpen] = useState(false);
+
+    return (
+        <div className="space-y-2">
+            <button
+                onClick={() => setIsOpen(!isOpen)}
+                className="text-sm text-yellow-100 flex items-center gap-1"
+                aria-expanded={isOpen}
+            >
+                <History className="w-4 h-4" />
+                {t(summary.period === 'week' ? 'goals.summary.week' : 'goals.summary.month', {
+                    met: summary.metCount,
+                    count: summary.statuses.length,
+                })}
+                {summary.bonusXp > 0 && ` · ${t('common.plusXp', { xp: summary.bonusXp })}`}
+            </button>
+            {isOpen && (
+                <ul className="text-sm space-y-1 pl-5">
+                    <li className="text-xs text-emerald-100">
+                        {formatDay(summary.range.start)} – {formatDay(summary.range.end)}
+                    </li>
+                    {summary.statuses.map((status) => (
+                        <li key={status.goal.id} className="flex items-center gap-2">
+                            {status.isMet
+                                ? <CheckCircle className="w-4 h-4 text-green-300 shrink-0" />
+                                : <XCircle className="w-4 h-4 text-red-300 shrink-0" />}
+                            <span className="flex-1 truncate">{describeGoal(status.goal, catalog, t)}</span>
+                            <span className="text-emerald-100 whitespace-nowrap">{status.value} / {status.goal.target}</span>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+const GoalPlannerCard = ({ statuses, summaries, catalog, onAdd, onDelete }: {
+    statuses: GoalStatus[];
+    summaries: PeriodSummary[];
+    catalog: TaskCategory[];
+    onAdd: (draft: GoalDraft) => void;
+    onDelete: (goalId: string) => void;
+}) => {
+    const { t } = useI18n();
+    const metCount = statuses.filter((status) => status.isMet).length;
+
+    return (
+        <Card className="bg-gradient-to-br from-emerald-700 to-green-900 text-white shadow-lg border-none">
+            <CardHeader>
+                <CardTitle className="flex items-center gap-2 text-xl font-semibold">
+                    <Target className="w-5 h-5 text-yellow-400" />
+                    {t('goals.title')}
+                </CardTitle>
+                <CardDescription>
+                    {statuses.length > 0
+                        ? t('goals.reached', { met: metCount, count: statuses.length })
+                        : t('goals.description')}
+                </CardDescription>
+            </CardHeader>
+            <CardContent>
+                <div className="space-y-4">
+                    {statuses.length > 0 && (
+                        <ul className="divide-y divide-white/10">
+                            {statuses.map((status) => (
+                                <GoalItem
+                                    key={status.goal.id}
+                                    status={status}
+                                    catalog={catalog}
+                                    onDelete={() => {
+                                        if (window.confirm(t('goals.confirmDelete', { title: describeGoal(status.goal, catalog, t) }))) {
+                                            onDelete(status.goal.id);
+                                        }
+                                    }}
+                                />
+                            ))}
+                        </ul>
+                    )}
+                    <GoalForm catalog={catalog} onAdd={onAdd} />
+                    {summaries.map((summary) => (
+                        <SummaryItem key={summary.period} summary={summary} catalog={catalog} />
+                    ))}
+                </div>
+            </CardContent>
+        </Card>
+    );
+};
+
+export default GoalPlannerCard;
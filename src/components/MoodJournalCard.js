@@ -0,0 +1,112 @@
+import React, { useState, useMemo } from 'react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { NotebookPen, AlertTriangle, Lightbulb } from 'lucide-react';
+import { Progress } from '@/lib/progress';
+import { getMoodLabel, getMoodOption } from '@/lib/moods';
+import { MIN_INSIGHT_DAYS, MoodInsight, getMoodDays, getMoodInsights, getStrainRun } from '@/lib/moodInsights';
+import { Translator } from '@/lib/i18n';
+import useI18n from '@/hooks/useI18n';
+
+const PAGE_SIZE = 14;
+
+const describeInsight = ({ mood, metric, change }: MoodInsight, { t, formatNumber }: Translator) => {
+    const params = {
+        percent: formatNumber(Math.abs(change), { style: 'percent', maximumFractionDigits: 0 }),
+        mood: getMoodLabel(mood, t),
+    };
+    if (metric === 'xp') {
+        return t(change > 0 ? 'moodJournal.insight.moreXp' : 'moodJournal.insight.lessXp', params);
+    }
+    return t(change > 0 ? 'moodJournal.insight.moreTime' : 'moodJournal.insight.lessTime', params);
+};
+
+const MoodJournalCard = ({ progress }: { progress: Progress }) => {
+    const translator = useI18n();
+    const { t, formatDay, formatTime } = translator;
+    const [visibleDays, setVisibleDays] = useState(PAGE_SIZE);
+
+    const days = useMemo(() => getMoodDays(progress), [progress]);
+    const insights = useMemo(() => getMoodInsights(days), [days]);
+    const strainRun = getStrainRun(days);
+    const timeline = days.filter((day) => day.moods.length > 0);
+
+    return (
+        <Card className="bg-gradient-to-br from-violet-800 to-slate-900 text-white shadow-lg border-none">
+            <CardHeader>
+                <CardTitle className="flex items-center gap-2 text-xl font-semibold">
+                    <NotebookPen className="w-5 h-5 text-yellow-400" />
+                    {t('moodJournal.title')}
+                </CardTitle>
+                <CardDescription>
+                    {t('moodJournal.summary', {
+                        checkIns: t('moodJournal.checkIns', { count: progress.moods.length }),
+                        days: t('common.days', { count: timeline.length }),
+                    })}
+                </CardDescription>
+            </CardHeader>
+            <CardContent>
+                <div className="space-y-4">
+                    {strainRun > 0 && (
+                        <p className="flex items-start gap-2 text-sm bg-red-500/20 border border-red-400/50 p-3 rounded-lg" role="alert">
+                            <AlertTriangle className="w-4 h-4 shrink-0 mt-0.5 text-red-300" />
+                            {t('moodJournal.strain', { count: strainRun })}
+                        </p>
+                    )}
+
+                    {insights.length > 0 ? (
+                        <ul className="space-y-1 text-sm">
+                            {insights.slice(0, 3).map((insight) => (
+                                <li key={`${insight.mood}:${insight.metric}`} className="flex items-center gap-2">
+                                    <Lightbulb className="w-4 h-4 text-yellow-300 shrink-0" />
+                                    {describeInsight(insight, translator)}
+                                    <span className="text-gray-400">({t('common.days', { count: insight.days })})</span>
+                                </li>
+                            ))}
+                        </ul>
+                    ) : (
+                        <p className="text-sm text-gray-400">
+                            {t('moodJournal.noInsights', { count: MIN_INSIGHT_DAYS })}
+                        </p>
+                    )}
+
+                    {timeline.length > 0 && (
+                        <ul className="max-h-80 overflow-y-auto divide-y divide-white/10 text-sm">
+                            {timeline.slice(0, visibleDays).map((day) => (
+                                <li key={day.day} className="py-2 space-y-1">
+                                    <div className="flex justify-between gap-2">
+                                        <span className="font-semibold">
+                                            {formatDay(day.day)}
+                                        </span>
+                                        <span className="text-gray-300 whitespace-nowrap">
+                                            {t('common.xp', { xp: day.studyXp })} · {t('common.minutes', { count: day.studyMinutes })}
+                                        </span>
+                                    </div>
+                                    {day.moods.map((entry) => (
+                                        <p key={entry.id} className="text-gray-200 break-words">
+                                            <span className="text-gray-400 mr-2">
+                                                {formatTime(entry.timestamp)}
+                                            </span>
+                                            {getMoodOption(entry.mood)?.icon} {getMoodLabel(entry.mood, t)}
+                                            {entry.note && <span className="text-gray-300"> — {entry.note}</span>}
+                                        </p>
+                                    ))}
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+
+                    {timeline.length > visibleDays && (
+                        <button
+                            onClick={() => setVisibleDays(visibleDays + PAGE_SIZE)}
+                            className="text-sm text-yellow-100"
+                        >
+                            {t('moodJournal.showOlder')}
+                        </button>
+                    )}
+                </div>
+            </CardContent>
+        </Card>
+    );
+};
+
+export default MoodJournalCard;
@@ -0,0 +1,119 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Button } from '@/components/ui/button';
+import { cn } from "@/lib/utils";
+import { Bell, CheckCircle, Info, AlertTriangle, Trash2 } from 'lucide-react';
+import { NotificationRecord, ToastTone } from '@/lib/toasts';
+import { toDayKey } from '@/lib/dates';
+import useI18n from '@/hooks/useI18n';
+
+const PANEL_ID = 'notification-center';
+
+const TONE_ICONS: Record<ToastTone, React.ElementType> = {
+    success: CheckCircle,
+    info: Info,
+    warning: AlertTriangle,
+};
+
+const TONE_STYLES: Record<ToastTone, string> = {
+    success: "text-green-400",
+    info: "text-blue-400",
+    warning: "text-yellow-400",
+};
+
+// A bell with the unread count that opens a list of recent notifications.
+// Opening it marks everything as read.
+const NotificationCenter = ({ notifications, onOpen, onClear }: {
+    notifications: NotificationRecord[];
+    onOpen: () => void;
+    onClear: () => void;
+}) => {
+    const { t, formatTime, formatDateTime } = useI18n();
+    const [isOpen, setIsOpen] = useState(false);
+    const buttonRef = useRef<HTMLButtonElement>(null);
+    const unreadCount = notifications.filter((record) => !record.isRead).length;
+
+    // New notifications arriving while the list is open are read right away
+    useEffect(() => {
+        if (isOpen && unreadCount > 0) {
+            onOpen();
+        }
+    }, [isOpen, unreadCount, onOpen]);
+
+    const close = () => {
+        setIsOpen(false);
+        buttonRef.current?.focus();
+    };
+
+    return (
+        <div className="relative" onKeyDown={(e) => e.key === 'Escape' && isOpen && close()}>
+            <Button
+                ref={buttonRef}
+                onClick={() => setIsOpen(!isOpen)}
+                className="relative h-10 w-10 p-0 bg-black/40 text-white hover:bg-black/60"
+                aria-label={unreadCount > 0 ? t('notifications.unread', { count: unreadCount }) : t('notifications.title')}
+                aria-expanded={isOpen}
+                aria-controls={PANEL_ID}
+            >
+                <Bell className="w-5 h-5" />
+                {unreadCount > 0 && (
+                    <span
+                        className="absolute -top-1 -right-1 min-w-5 h-5 px-1 rounded-full bg-red-500
+                                   text-xs font-bold flex items-center justify-center"
+                        aria-hidden="true"
+                    >
+                        {unreadCount > 9 ? '9+' : unreadCount}
+                    </span>
+                )}
+            </Button>
+            {isOpen && (
+                <div
+                    id={PANEL_ID}
+                    className="absolute right-0 mt-2 w-80 max-w-[calc(100vw-2rem)] z-30 bg-gray-900 text-white
+                               border border-gray-700 rounded-xl shadow-2xl"
+                    role="region"
+                    aria-label={t('notifications.recent')}
+                >
+                    <div className="flex items-center justify-between px-4 py-2 border-b border-gray-700">
+                        <h2 className="font-semibold">{t('notifications.title')}</h2>
+                        {notifications.length > 0 && (
+                            <Button
+                                onClick={() => {
+                                    if (window.confirm(t('notifications.confirmClear'))) {
+                                        onClear();
+                                    }
+                                }}
+                                className="h-8 px-2 bg-black/40 text-white hover:bg-red-500 flex items-center gap-1 text-xs"
+                            >
+                                <Trash2 className="w-3 h-3" />
+                                {t('notifications.clear')}
+                            </Button>
+                        )}
+                    </div>
+                    {notifications.length > 0 ? (
+                        <ul className="max-h-96 overflow-y-auto divide-y divide-white/10">
+                            {notifications.map((record) => {
+                                const Icon = TONE_ICONS[record.tone];
+                                return (
+                                    <li key={record.id} className="flex items-start gap-3 px-4 py-2 text-sm">
+                                        <Icon className={cn("w-4 h-4 mt-0.5 shrink-0", TONE_STYLES[record.tone])} aria-hidden="true" />
+                                        <span className="flex-1 break-words">{record.message}</span>
+                                        <time dateTime={record.at.toISOString()} className="text-xs text-gray-400 whitespace-nowrap">
+                                            {/* Today's notifications only need the time */}
+                                            {toDayKey(record.at) === toDayKey(new Date())
+                                                ? formatTime(record.at)
+                                                : formatDateTime(record.at)}
+                                        </time>
+                                    </li>
+                                );
+                            })}
+                        </ul>
+                    ) : (
+                        <p className="px-4 py-6 text-center text-sm text-gray-400">{t('notifications.empty')}</p>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default NotificationCenter;
@@ -0,0 +1,181 @@
+import React, { useState } from 'react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { cn } from "@/lib/utils";
+import { Repeat, PlusCircle, Trash2, ListChecks } from 'lucide-react';
+import { REVIEW_GRADES, REVIEW_METHODS, ReviewMethod, Topic, getDueTopics } from '@/lib/reviews';
+import { toDayKey } from '@/lib/dates';
+import useI18n from '@/hooks/useI18n';
+
+const inputClassName = "bg-black/20 text-white border-teal-300/50";
+
+const DueTopic = ({ topic, method, xp, onGrade }: {
+    topic: Topic;
+    method: ReviewMethod;
+    xp: number;
+    onGrade: (grade: number) => void;
+}) => {
+    const { t } = useI18n();
+
+    return (
+        <li className="space-y-2 py-3">
+            <div className="flex justify-between gap-2">
+                <span className="font-semibold break-words">{topic.title}</span>
+                <span className="text-xs text-teal-100 whitespace-nowrap">
+                    {topic.reviews.length === 0
+                        ? t('reviews.first')
+                        : t('reviews.nth', { number: topic.reviews.length + 1 })}
+                </span>
+            </div>
+            <p className="text-xs text-teal-100">
+                {t('reviews.prompt', { method: t(REVIEW_METHODS[method]), xp })}
+            </p>
+            <div className="grid grid-cols-4 gap-2">
+                {REVIEW_GRADES.map(({ grade, label }) => (
+                    <Button
+                        key={grade}
+                        onClick={() => onGrade(grade)}
+                        className={cn(
+                            "text-sm font-semibold",
+                            grade < 3 ? "bg-red-500/80 hover:bg-red-500" : "bg-black/30 hover:bg-black/50",
+                            "text-white"
+                        )}
+                    >
+                        {t(label)}
+                    </Button>
+                ))}
+            </div>
+        </li>
+    );
+};
+
+const ReviewsCard = ({ topics, getXp, onAdd, onDelete, onGrade }: {
+    topics: Topic[];
+    getXp: (method: ReviewMethod) => number;
+    onAdd: (title: string) => void;
+    onDelete: (topicId: string) => void;
+    onGrade: (topic: Topic, grade: number, method: ReviewMethod) => void;
+}) => {
+    const { t, formatDay } = useI18n();
+    const [title, setTitle] = useState('');
+    const [method, setMethod] = useState<ReviewMethod>('active-recall');
+    const [showAll, setShowAll] = useState(false);
+
+    const today = toDayKey(new Date());
+    const dueTopics = getDueTopics(topics, today);
+    const upcoming = [...topics]
+        .filter((topic) => topic.dueDate > today)
+        .sort((a, b) => a.dueDate.localeCompare(b.dueDate));
+
+    const submit = () => {
+        if (title.trim()) {
+            onAdd(title.trim());
+            setTitle('');
+        }
+    };
+
+    return (
+        <Card className="bg-gradient-to-br from-teal-700 to-cyan-800 text-white shadow-lg border-none">
+            <CardHeader>
+                <CardTitle className="flex items-center gap-2 text-xl font-semibold">
+                    <Repeat className="w-5 h-5 text-yellow-400" />
+                    {t('reviews.title')}
+                </CardTitle>
+                <CardDescription>
+                    {t('reviews.due', { count: dueTopics.length })} · {t('reviews.scheduled', { count: topics.length })}
+                </CardDescription>
+            </CardHeader>
+            <CardContent>
+                <div className="space-y-4">
+                    {dueTopics.length > 0 ? (
+                        <>
+                            <select
+                                value={method}
+                                onChange={(e) => setMethod(e.target.value as ReviewMethod)}
+                                className="h-10 rounded-md bg-black/20 text-white border border-teal-300/50 px-3 text-sm"
+                                aria-label={t('reviews.methodLabel')}
+                            >
+                                {Object.entries(REVIEW_METHODS).map(([value, key]) => (
+                                    <option key={value} value={value}>{t(key)}</option>
+                                ))}
+                            </select>
+                            <ul className="divide-y divide-white/10">
+                                {dueTopics.map((topic) => (
+                                    <DueTopic
+                                        key={topic.id}
+                                        topic={topic}
+                                        method={method}
+                                        xp={getXp(method)}
+                                        onGrade={(grade) => onGrade(topic, grade, method)}
+                                    />
+                                ))}
+                            </ul>
+                        </>
+                    ) : (
+                        <p className="text-teal-100">
+                            {topics.length > 0 ? t('reviews.caughtUp') : t('reviews.empty')}
+                        </p>
+                    )}
+
+                    <div className="flex gap-2">
+                        <Input
+                            value={title}
+                            onChange={(e) => setTitle(e.target.value)}
+                            onKeyDown={(e) => e.key === 'Enter' && submit()}
+                            placeholder={t('reviews.placeholder')}
+                            className={cn("flex-1", inputClassName)}
+                            aria-label={t('reviews.newTopic')}
+                        />
+                        <Button
+                            onClick={submit}
+                            disabled={!title.trim()}
+                            className="bg-yellow-500 text-black font-bold hover:bg-yellow-400 flex items-center gap-1"
+                        >
+                            <PlusCircle className="w-4 h-4" />
+                            {t('reviews.add')}
+                        </Button>
+                    </div>
+
+                    {upcoming.length > 0 && (
+                        <div className="space-y-2">
+                            <button
+                                onClick={() => setShowAll(!showAll)}
+                                className="text-sm text-yellow-100 flex items-center gap-1"
+                                aria-expanded={showAll}
+                            >
+                                <ListChecks className="w-4 h-4" />
+                                {showAll ? t('reviews.hideUpcoming') : t('reviews.showUpcoming', { count: upcoming.length })}
+                            </button>
+                            {showAll && (
+                                <ul className="max-h-48 overflow-y-auto text-sm divide-y divide-white/10">
+                                    {upcoming.map((topic) => (
+                                        <li key={topic.id} className="flex items-center justify-between gap-2 py-1">
+                                            <span className="truncate">{topic.title}</span>
+                                            <span className="flex items-center gap-2 text-teal-100 whitespace-nowrap">
+                                                {formatDay(topic.dueDate)}
+                                                <Button
+                                                    onClick={() => {
+                                                        if (window.confirm(t('reviews.confirmDelete', { title: topic.title }))) {
+                                                            onDelete(topic.id);
+                                                        }
+                                                    }}
+                                                    className="h-7 w-7 p-0 bg-black/30 text-white hover:bg-red-500"
+                                                    aria-label={t('reviews.delete', { title: topic.title })}
+                                                >
+                                                    <Trash2 className="w-3 h-3" />
+                                                </Button>
+                                            </span>
+                                        </li>
+                                    ))}
+                                </ul>
+                            )}
+                        </div>
+                    )}
+                </div>
+            </CardContent>
+        </Card>
+    );
+};
+
+export default ReviewsCard;
@@ -0,0 +1,142 @@
+import React, { useState } from 'react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Coins, Gift, Edit, X, PlusCircle, Trash2, History } from 'lucide-react';
+import { MAX_REWARD_COST, Purchase, Reward, createReward, getRewardName } from '@/lib/rewards';
+import useI18n from '@/hooks/useI18n';
+
+export const REWARD_SHOP_ID = 'reward-shop';
+
+const inputClassName = "bg-black/20 text-white border-fuchsia-300/50";
+
+const RewardShopCard = ({ coins, xpPerCoin, rewards, purchases, onRewardsChange, onRedeem }: {
+    coins: number;
+    xpPerCoin: number;
+    rewards: Reward[];
+    purchases: Purchase[];
+    onRewardsChange: (rewards: Reward[]) => void;
+    onRedeem: (reward: Reward) => void;
+}) => {
+    const { t, formatDate } = useI18n();
+    const [isEditing, setIsEditing] = useState(false);
+    const [showHistory, setShowHistory] = useState(false);
+
+    const updateReward = (rewardId: string, changes: Partial<Reward>) =>
+        onRewardsChange(rewards.map((reward) => (reward.id === rewardId ? { ...reward, ...changes } : reward)));
+
+    return (
+        <Card id={REWARD_SHOP_ID} className="bg-gradient-to-br from-fuchsia-800 to-purple-900 text-white shadow-lg border-none">
+            <CardHeader>
+                <CardTitle className="flex items-center justify-between gap-2 text-xl font-semibold">
+                    <span className="flex items-center gap-2">
+                        <Gift className="w-5 h-5 text-yellow-400" />
+                        {t('rewards.title')}
+                    </span>
+                    <Button
+                        onClick={() => setIsEditing(!isEditing)}
+                        className="h-8 w-8 p-0 bg-black/30 text-white hover:bg-black/50"
+                        aria-label={isEditing ? t('rewards.doneEditing') : t('rewards.edit')}
+                        aria-expanded={isEditing}
+                    >
+                        {isEditing ? <X className="w-4 h-4" /> : <Edit className="w-4 h-4" />}
+                    </Button>
+                </CardTitle>
+                <CardDescription className="flex items-center gap-1">
+                    <Coins className="w-4 h-4 text-yellow-300" />
+                    {t('rewards.coins', { count: coins })} · {t('rewards.rate', { xp: xpPerCoin })}
+                </CardDescription>
+            </CardHeader>
+            <CardContent>
+                <div className="space-y-4">
+                    {isEditing ? (
+                        <>
+                            <ul className="space-y-2">
+                                {rewards.map((reward) => (
+                                    <li key={reward.id} className="flex items-center gap-2">
+                                        <Input
+                                            value={getRewardName(reward.id, reward.name, t)}
+                                            onChange={(e) => updateReward(reward.id, { name: e.target.value })}
+                                            className={`flex-1 ${inputClassName}`}
+                                            aria-label={t('rewards.reward')}
+                                        />
+                                        <Input
+                                            type="number"
+                                            min={1}
+                                            max={MAX_REWARD_COST}
+                                            value={reward.cost}
+                                            onChange={(e) => updateReward(reward.id, {
+                                                cost: Math.min(Math.max(parseInt(e.target.value, 10) || 1, 1), MAX_REWARD_COST),
+                                            })}
+                                            className={`w-24 ${inputClassName}`}
+                                            aria-label={t('rewards.cost')}
+                                        />
+                                        <Button
+                                            onClick={() => onRewardsChange(rewards.filter((entry) => entry.id !== reward.id))}
+                                            className="h-9 w-9 p-0 bg-black/30 text-white hover:bg-red-500"
+                                            aria-label={t('rewards.delete')}
+                                        >
+                                            <Trash2 className="w-4 h-4" />
+                                        </Button>
+                                    </li>
+                                ))}
+                            </ul>
+                            <Button
+                                onClick={() => onRewardsChange([...rewards, createReward(t('rewards.new'))])}
+                                className="bg-black/30 text-white hover:bg-black/50 flex items-center gap-1"
+                            >
+                                <PlusCircle className="w-4 h-4" />
+                                {t('rewards.add')}
+                            </Button>
+                        </>
+                    ) : rewards.length > 0 ? (
+                        <ul className="space-y-2">
+                            {rewards.map((reward) => (
+                                <li key={reward.id} className="flex items-center justify-between gap-2 bg-black/20 p-2 rounded-lg">
+                                    <span className="break-words">{getRewardName(reward.id, reward.name, t)}</span>
+                                    <Button
+                                        onClick={() => onRedeem(reward)}
+                                        disabled={coins < reward.cost}
+                                        className="bg-yellow-500 text-black font-bold hover:bg-yellow-400 flex items-center gap-1 shrink-0"
+                                    >
+                                        <Coins className="w-4 h-4" />
+                                        {reward.cost}
+                                    </Button>
+                                </li>
+                            ))}
+                        </ul>
+                    ) : (
+                        <p className="text-sm text-fuchsia-100">{t('rewards.empty')}</p>
+                    )}
+
+                    {purchases.length > 0 && (
+                        <div className="space-y-2">
+                            <button
+                                onClick={() => setShowHistory(!showHistory)}
+                                className="text-sm text-yellow-100 flex items-center gap-1"
+                                aria-expanded={showHistory}
+                            >
+                                <History className="w-4 h-4" />
+                                {showHistory ? t('rewards.hidePurchases') : t('rewards.showPurchases', { count: purchases.length })}
+                            </button>
+                            {showHistory && (
+                                <ul className="max-h-48 overflow-y-auto text-sm divide-y divide-white/10">
+                                    {[...purchases].reverse().map((purchase) => (
+                                        <li key={purchase.id} className="flex justify-between gap-2 py-1">
+                                            <span className="truncate">{getRewardName(purchase.rewardId, purchase.name, t)}</span>
+                                            <span className="text-fuchsia-100 whitespace-nowrap">
+                                                {t('rewards.coins', { count: purchase.cost })} · {formatDate(purchase.timestamp)}
+                                            </span>
+                                        </li>
+                                    ))}
+                                </ul>
+                            )}
+                        </div>
+                    )}
+                </div>
+            </CardContent>
+        </Card>
+    );
+};
+
+export default RewardShopCard;
@@ -0,0 +1,481 @@
+import React, { useState } from 'react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Settings as SettingsIcon, PlusCircle, Trash2, RotateCcw, ChevronDown, ChevronUp, Bell } from 'lucide-react';
+import { DEFAULT_SETTINGS, Settings } from '@/lib/settings';
+import {
+    DEFAULT_CURVES,
+    LEVEL_CURVE_TYPES,
+    LevelCurve,
+    getLevelInfo,
+    isValidLevelCurve,
+    translateLevelTitle,
+} from '@/lib/levels';
+import { MOOD_OPTIONS } from '@/lib/moods';
+import { READING_XP_MODES, ReadingXpMode } from '@/lib/books';
+import { NotificationPermissionState, getNotificationPermission, requestNotificationPermission } from '@/lib/notifications';
+import { SyncStatus } from '@/lib/progressAdapters';
+import { LANGUAGES, Language, MessageKey, Translator } from '@/lib/i18n';
+import useI18n from '@/hooks/useI18n';
+
+const inputClassName = "bg-black/20 text-white border-gray-600";
+
+const NumberField = ({ label, value, onChange, min = 0, max = Infinity, step = 1 }: {
+    label: string;
+    value: number;
+    onChange: (value: number) => void;
+    min?: number;
+    max?: number;
+    step?: number;
+}) => (
+    <label className="text-xs text-gray-300 space-y-1 block">
+        <span>{label}</span>
+        <Input
+            type="number"
+            min={min}
+            max={Number.isFinite(max) ? max : undefined}
+            step={step}
+            value={value}
+            onChange={(e) => {
+                const parsed = parseFloat(e.target.value);
+                if (Number.isFinite(parsed) && parsed >= min && parsed <= max) {
+                    onChange(step === 1 ? Math.round(parsed) : parsed);
+                }
+            }}
+            className={inputClassName}
+        />
+    </label>
+);
+
+// A time of day that can be switched off; the last time is kept while it's off
+const TimeField = ({ label, value, fallback, onChange }: {
+    label: string;
+    value: string | null;
+    fallback: string;
+    onChange: (value: string | null) => void;
+}) => {
+    const { t } = useI18n();
+    const [lastTime, setLastTime] = useState(value ?? fallback);
+
+    return (
+        <div className="flex items-center gap-3 text-sm">
+            <label className="flex items-center gap-2 flex-1">
+                <input
+                    type="checkbox"
+                    checked={value !== null}
+                    onChange={(e) => onChange(e.target.checked ? lastTime : null)}
+                />
+                {label}
+            </label>
+            <Input
+                type="time"
+                value={value ?? lastTime}
+                disabled={value === null}
+                onChange={(e) => {
+                    if (e.target.value) {
+                        setLastTime(e.target.value);
+                        onChange(e.target.value);
+                    }
+                }}
+                className={`w-32 ${inputClassName}`}
+                aria-label={t('settings.timeOf', { label })}
+            />
+        </div>
+    );
+};
+
+const getSyncMessage = (status: SyncStatus, { t, formatTime }: Translator) => {
+    switch (status.state) {
+        case 'local':
+            return t('settings.sync.local');
+        case 'synced':
+            return t('settings.sync.synced', { time: formatTime(status.at) });
+        case 'pending':
+            return t('settings.sync.pending', { count: status.count });
+        case 'offline':
+            return t('settings.sync.offline', { count: status.count });
+        case 'error':
+            return t('settings.sync.error', { message: status.message });
+        default:
+            return '';
+    }
+};
+
+// Applied with a button rather than on every keystroke, since each change
+// connects to a different server or account
+const SyncSection = ({ settings, status, onChange }: {
+    settings: Settings;
+    status: SyncStatus;
+    onChange: (changes: Pick<Settings, 'syncUrl' | 'syncUserId'>) => void;
+}) => {
+    const translator = useI18n();
+    const { t } = translator;
+    const [syncUrl, setSyncUrl] = useState(settings.syncUrl);
+    const [syncUserId, setSyncUserId] = useState(settings.syncUserId);
+    const isChanged = syncUrl.trim() !== settings.syncUrl || syncUserId.trim() !== settings.syncUserId;
+
+    return (
+        <section className="space-y-3">
+            <h4 className="font-semibold">{t('settings.sync.title')}</h4>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                <Input
+                    value={syncUrl}
+                    onChange={(e) => setSyncUrl(e.target.value)}
+                    placeholder={t('settings.sync.urlPlaceholder')}
+                    className={inputClassName}
+                    aria-label={t('settings.sync.url')}
+                />
+                <Input
+                    value={syncUserId}
+                    onChange={(e) => setSyncUserId(e.target.value)}
+                    placeholder={t('settings.sync.userPlaceholder')}
+                    className={inputClassName}
+                    aria-label={t('settings.sync.user')}
+                />
+            </div>
+            <div className="flex flex-wrap items-center gap-3">
+                <p className="text-sm text-gray-300 flex-1">{getSyncMessage(status, translator)}</p>
+                <Button
+                    onClick={() => onChange({ syncUrl: syncUrl.trim(), syncUserId: syncUserId.trim() })}
+                    disabled={!isChanged}
+                    className="bg-yellow-500 text-black font-bold hover:bg-yellow-400"
+                >
+                    {t('settings.sync.save')}
+                </Button>
+            </div>
+        </section>
+    );
+};
+
+const PERMISSION_MESSAGES: Record<NotificationPermissionState, MessageKey> = {
+    granted: 'settings.permission.granted',
+    denied: 'settings.permission.denied',
+    default: 'settings.permission.default',
+    unsupported: 'settings.permission.unsupported',
+};
+
+// Thresholds are edited as text; the curve only updates once the list is valid
+const ThresholdsField = ({ curve, onChange }: {
+    curve: Extract<LevelCurve, { type: 'table' }>;
+    onChange: (curve: LevelCurve) => void;
+}) => {
+    const { t } = useI18n();
+    const [draft, setDraft] = useState(curve.thresholds.join(', '));
+    const candidate: LevelCurve = {
+        type: 'table',
+        thresholds: draft.split(',').map((part) => Number(part.trim())).filter((part) => part !== 0),
+    };
+    const isValid = isValidLevelCurve(candidate);
+
+    return (
+        <label className="text-xs text-gray-300 space-y-1 block">
+            <span>{t('settings.thresholds')}</span>
+            <Input
+                value={draft}
+                onChange={(e) => setDraft(e.target.value)}
+                onBlur={() => isValid && onChange(candidate)}
+                className={inputClassName}
+            />
+            {!isValid && <span className="text-red-300">{t('settings.thresholdsError')}</span>}
+        </label>
+    );
+};
+
+const SettingsCard = ({ settings, xp, syncStatus, onChange }: {
+    settings: Settings;
+    xp: number;
+    syncStatus: SyncStatus;
+    onChange: (settings: Settings) => void;
+}) => {
+    const { t } = useI18n();
+    const [isOpen, setIsOpen] = useState(false);
+    const [permission, setPermission] = useState(getNotificationPermission);
+    const update = (changes: Partial<Settings>) => onChange({ ...settings, ...changes });
+    const { levelCurve, levelTitles } = settings;
+    const preview = getLevelInfo(xp, levelCurve, levelTitles);
+
+    const updateTitle = (index: number, changes: Partial<Settings['levelTitles'][number]>) =>
+        update({
+            levelTitles: levelTitles.map((entry, entryIndex) => (entryIndex === index ? { ...entry, ...changes } : entry)),
+        });
+
+    return (
+        <Card className="bg-gradient-to-br from-gray-800 to-slate-900 text-white shadow-lg border-none">
+            <CardHeader>
+                <CardTitle className="flex items-center justify-between gap-2 text-xl font-semibold">
+                    <span className="flex items-center gap-2">
+                        <SettingsIcon className="w-5 h-5 text-yellow-400" />
+                        {t('settings.title')}
+                    </span>
+                    <Button
+                        onClick={() => setIsOpen(!isOpen)}
+                        className="bg-black/30 text-white hover:bg-black/50"
+                        aria-label={isOpen ? t('settings.hide') : t('settings.show')}
+                        aria-expanded={isOpen}
+                    >
+                        {isOpen ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+                    </Button>
+                </CardTitle>
+                <CardDescription>{t('settings.description')}</CardDescription>
+            </CardHeader>
+            {isOpen && (
+                <CardContent className="space-y-6">
+                    <section className="space-y-3">
+                        <h4 className="font-semibold">{t('settings.language')}</h4>
+                        <select
+                            value={settings.language}
+                            onChange={(e) => update({ language: e.target.value as Language })}
+                            className="h-10 rounded-md bg-black/20 text-white border border-gray-600 px-3 text-sm"
+                            aria-label={t('settings.language')}
+                        >
+                            {Object.entries(LANGUAGES).map(([language, name]) => (
+                                <option key={language} value={language} lang={language}>{name}</option>
+                            ))}
+                        </select>
+                    </section>
+
+                    <section className="space-y-3">
+                        <h4 className="font-semibold">{t('settings.rewards')}</h4>
+                        <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+                            <NumberField
+                                label={t('settings.dailyChallengeXp')}
+                                value={settings.dailyChallengeXp}
+                                onChange={(dailyChallengeXp) => update({ dailyChallengeXp })}
+                            />
+                            <NumberField
+                                label={t('settings.weeklyChallengeXp')}
+                                value={settings.weeklyChallengeXp}
+                                onChange={(weeklyChallengeXp) => update({ weeklyChallengeXp })}
+                            />
+                            <NumberField
+                                label={t('settings.sideQuestXp')}
+                                value={settings.sideQuestXp}
+                                onChange={(sideQuestXp) => update({ sideQuestXp })}
+                            />
+                            <NumberField
+                                label={t('settings.rewardInterval')}
+                                value={settings.rewardInterval}
+                                min={1}
+                                onChange={(rewardInterval) => update({ rewardInterval })}
+                            />
+                            <NumberField
+                                label={t('settings.xpPerCoin')}
+                                value={settings.xpPerCoin}
+                                min={1}
+                                onChange={(xpPerCoin) => update({ xpPerCoin })}
+                            />
+                        </div>
+                        <NumberField
+                            label={t('settings.moodCheckIns')}
+                            value={settings.moodCheckInsPerDay}
+                            min={1}
+                            onChange={(moodCheckInsPerDay) => update({ moodCheckInsPerDay })}
+                        />
+                        <div className="grid grid-cols-2 sm:grid-cols-3 gap-3">
+                            {MOOD_OPTIONS.map((option) => (
+                                <NumberField
+                                    key={option.value}
+                                    label={t('settings.moodXp', { icon: option.icon, mood: t(option.label) })}
+                                    value={settings.moodXp[option.value]}
+                                    onChange={(value) => update({ moodXp: { ...settings.moodXp, [option.value]: value } })}
+                                />
+                            ))}
+                        </div>
+                    </section>
+
+                    <section className="space-y-3">
+                        <h4 className="font-semibold">{t('settings.readingXp')}</h4>
+                        <select
+                            value={settings.readingXpMode}
+                            onChange={(e) => update({ readingXpMode: e.target.value as ReadingXpMode })}
+                            className="h-10 rounded-md bg-black/20 text-white border border-gray-600 px-3 text-sm"
+                            aria-label={t('settings.readingXp')}
+                        >
+                            {Object.entries(READING_XP_MODES).map(([mode, key]) => (
+                                <option key={mode} value={mode}>{t(key)}</option>
+                            ))}
+                        </select>
+                        {settings.readingXpMode === 'rate' && (
+                            <NumberField
+                                label={t('settings.xpPerPage')}
+                                value={settings.xpPerPage}
+                                onChange={(xpPerPage) => update({ xpPerPage })}
+                            />
+                        )}
+                    </section>
+
+                    <section className="space-y-3">
+                        <h4 className="font-semibold">{t('settings.repeats')}</h4>
+                        <div className="grid grid-cols-2 gap-3">
+                            <NumberField
+                                label={t('settings.repeatWindow')}
+                                value={settings.repeatWindowMinutes}
+                                onChange={(repeatWindowMinutes) => update({ repeatWindowMinutes })}
+                            />
+                            <NumberField
+                                label={t('settings.repeatMultiplier')}
+                                value={settings.repeatMultiplier}
+                                max={1}
+                                step={0.05}
+                                onChange={(repeatMultiplier) => update({ repeatMultiplier })}
+                            />
+                        </div>
+                        <p className="text-xs text-gray-400">
+                            {t('settings.repeatsHint')}
+                        </p>
+                    </section>
+
+                    <section className="space-y-3">
+                        <h4 className="font-semibold">{t('settings.reminders')}</h4>
+                        <div className="flex flex-wrap items-center gap-3">
+                            <p className="text-sm text-gray-300 flex-1">{t(PERMISSION_MESSAGES[permission])}</p>
+                            {permission === 'default' && (
+                                <Button
+                                    onClick={() => requestNotificationPermission().then(setPermission)}
+                                    className="bg-yellow-500 text-black font-bold hover:bg-yellow-400 flex items-center gap-1"
+                                >
+                                    <Bell className="w-4 h-4" />
+                                    {t('settings.enableNotifications')}
+                                </Button>
+                            )}
+                        </div>
+                        <TimeField
+                            label={t('settings.dailyReminder')}
+                            value={settings.reminderTime}
+                            fallback="18:00"
+                            onChange={(reminderTime) => update({ reminderTime })}
+                        />
+                        <TimeField
+                            label={t('settings.streakWarning')}
+                            value={settings.streakWarningTime}
+                            fallback="20:00"
+                            onChange={(streakWarningTime) => update({ streakWarningTime })}
+                        />
+                        <label className="flex items-center gap-2 text-sm">
+                            <input
+                                type="checkbox"
+                                checked={settings.notifyTimerEnd}
+                                onChange={(e) => update({ notifyTimerEnd: e.target.checked })}
+                            />
+                            {t('settings.notifyTimerEnd')}
+                        </label>
+                        <p className="text-xs text-gray-400">
+                            {t('settings.remindersHint')}
+                        </p>
+                    </section>
+
+                    <SyncSection settings={settings} status={syncStatus} onChange={update} />
+
+                    <section className="space-y-3">
+                        <h4 className="font-semibold">{t('settings.levelCurve')}</h4>
+                        <select
+                            value={levelCurve.type}
+                            onChange={(e) => update({ levelCurve: DEFAULT_CURVES[e.target.value] })}
+                            className="h-10 rounded-md bg-black/20 text-white border border-gray-600 px-3 text-sm"
+                            aria-label={t('settings.levelCurve')}
+                        >
+                            {Object.entries(LEVEL_CURVE_TYPES).map(([type, key]) => (
+                                <option key={type} value={type}>{t(key)}</option>
+                            ))}
+                        </select>
+                        {levelCurve.type === 'linear' && (
+                            <NumberField
+                                label={t('settings.xpPerLevel')}
+                                value={levelCurve.xpPerLevel}
+                                min={1}
+                                onChange={(xpPerLevel) => update({ levelCurve: { ...levelCurve, xpPerLevel } })}
+                            />
+                        )}
+                        {levelCurve.type === 'exponential' && (
+                            <div className="grid grid-cols-2 gap-3">
+                                <NumberField
+                                    label={t('settings.baseXp')}
+                                    value={levelCurve.baseXp}
+                                    min={1}
+                                    onChange={(baseXp) => update({ levelCurve: { ...levelCurve, baseXp } })}
+                                />
+                                <NumberField
+                                    label={t('settings.growth')}
+                                    value={levelCurve.growth}
+                                    min={1}
+                                    step={0.05}
+                                    onChange={(growth) => update({ levelCurve: { ...levelCurve, growth } })}
+                                />
+                            </div>
+                        )}
+                        {levelCurve.type === 'table' && (
+                            <ThresholdsField
+                                key={levelCurve.thresholds.join()}
+                                curve={levelCurve}
+                                onChange={(curve) => update({ levelCurve: curve })}
+                            />
+                        )}
+                        <p className="text-sm text-gray-300">
+                            {t(preview.title ? 'settings.previewWithTitle' : 'settings.preview', {
+                                xp,
+                                level: preview.level,
+                                title: preview.title ? translateLevelTitle(preview.title, t) : '',
+                                into: preview.xpIntoLevel,
+                                needed: preview.xpForLevel,
+                            })}
+                        </p>
+                    </section>
+
+                    <section className="space-y-3">
+                        <h4 className="font-semibold">{t('settings.levelTitles')}</h4>
+                        <ul className="space-y-2">
+                            {levelTitles.map((entry, index) => (
+                                <li key={index} className="flex items-center gap-2">
+                                    <Input
+                                        type="number"
+                                        min={1}
+                                        value={entry.level}
+                                        onChange={(e) => updateTitle(index, { level: Math.max(parseInt(e.target.value, 10) || 1, 1) })}
+                                        className={`w-20 ${inputClassName}`}
+                                        aria-label={t('settings.fromLevel')}
+                                    />
+                                    <Input
+                                        value={translateLevelTitle(entry.title, t)}
+                                        onChange={(e) => updateTitle(index, { title: e.target.value })}
+                                        className={`flex-1 ${inputClassName}`}
+                                        aria-label={t('settings.levelTitle')}
+                                    />
+                                    <Button
+                                        onClick={() => update({ levelTitles: levelTitles.filter((_, entryIndex) => entryIndex !== index) })}
+                                        className="h-9 w-9 p-0 bg-black/30 text-white hover:bg-red-500"
+                                        aria-label={t('settings.removeTitle')}
+                                    >
+                                        <Trash2 className="w-4 h-4" />
+                                    </Button>
+                                </li>
+                            ))}
+                        </ul>
+                        <Button
+                            onClick={() => update({
+                                levelTitles: [
+                                    ...levelTitles,
+                                    { level: Math.max(0, ...levelTitles.map((entry) => entry.level)) + 1, title: t('settings.newTitle') },
+                                ],
+                            })}
+                            className="bg-black/30 text-white hover:bg-black/50 flex items-center gap-1"
+                        >
+                            <PlusCircle className="w-4 h-4" />
+                            {t('settings.addTitle')}
+                        </Button>
+                    </section>
+
+                    <Button
+                        onClick={() => onChange({ ...DEFAULT_SETTINGS, language: settings.language })}
+                        className="bg-black/30 text-white hover:bg-black/50 flex items-center gap-1"
+                    >
+                        <RotateCcw className="w-4 h-4" />
+                        {t('settings.reset')}
+                    </Button>
+                </CardContent>
+            )}
+        </Card>
+    );
+};
+
+export default SettingsCard;
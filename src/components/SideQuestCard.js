@@ -0,0 +1,250 @@
+import React, { useState, useId } from 'react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Textarea } from '@/components/ui/textarea';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { cn } from "@/lib/utils";
+import { PlusCircle, CheckCircle, Check, X, Edit, Trash2, Repeat, Archive } from 'lucide-react';
+import { RECURRENCES, Recurrence, SideQuest, sortSideQuests } from '@/lib/sideQuests';
+import { LogEntry } from '@/lib/xpLog';
+import { MessageKey } from '@/lib/i18n';
+import useI18n from '@/hooks/useI18n';
+
+export interface SideQuestDraft {
+    title: string;
+    dueDate: string | null;
+    recurrence: Recurrence;
+}
+
+const EMPTY_DRAFT: SideQuestDraft = { title: '', dueDate: null, recurrence: 'none' };
+
+const SideQuestForm = ({ initial, submitLabel, onSubmit, onCancel }: {
+    initial: SideQuestDraft;
+    submitLabel: string;
+    onSubmit: (draft: SideQuestDraft) => void;
+    onCancel: () => void;
+}) => {
+    const { t } = useI18n();
+    const [draft, setDraft] = useState(initial);
+    const [error, setError] = useState<MessageKey | null>(null);
+    const errorId = useId();
+
+    const handleSubmit = () => {
+        if (draft.title.trim()) {
+            onSubmit({ ...draft, title: draft.title.trim() });
+        } else {
+            setError('sideQuests.error.empty');
+        }
+    };
+
+    return (
+        <div className="space-y-2">
+            <Textarea
+                value={draft.title}
+                onChange={(e) => {
+                    setDraft({ ...draft, title: e.target.value });
+                    setError(null);
+                }}
+                placeholder={t('sideQuests.placeholder')}
+                className={cn("bg-black/20 text-white border-yellow-400/50", error && "border-red-400")}
+                rows={2}
+                aria-invalid={Boolean(error)}
+                aria-describedby={error ? errorId : undefined}
+            />
+            {error && <p id={errorId} role="alert" className="text-sm text-red-300">{t(error)}</p>}
+            <div className="flex flex-wrap gap-2">
+                <Input
+                    type="date"
+                    value={draft.dueDate ?? ''}
+                    onChange={(e) => setDraft({ ...draft, dueDate: e.target.value || null })}
+                    className="w-auto bg-black/20 text-white border-yellow-400/50"
+                    aria-label={t('sideQuests.dueDate')}
+                />
+                <select
+                    value={draft.recurrence}
+                    onChange={(e) => setDraft({ ...draft, recurrence: e.target.value as Recurrence })}
+                    className="h-10 rounded-md bg-black/20 text-white border border-yellow-400/50 px-3 text-sm"
+                    aria-label={t('sideQuests.repeats')}
+                >
+                    {Object.entries(RECURRENCES).map(([value, key]) => (
+                        <option key={value} value={value}>{t(key)}</option>
+                    ))}
+                </select>
+            </div>
+            <div className="flex gap-2">
+                <Button
+                    onClick={handleSubmit}
+                    className="bg-green-500 text-white font-bold hover:bg-green-400 flex items-center gap-1"
+                >
+                    <Check className="w-4 h-4" />
+                    {submitLabel}
+                </Button>
+                <Button
+                    onClick={onCancel}
+                    className="bg-red-500 text-white font-bold hover:bg-red-400 flex items-center gap-1"
+                >
+                    <X className="w-4 h-4" />
+                    {t('common.cancel')}
+                </Button>
+            </div>
+        </div>
+    );
+};
+
+const SideQuestItem = ({ quest, onComplete, onEdit, onDelete }: {
+    quest: SideQuest;
+    onComplete: () => void;
+    onEdit: () => void;
+    onDelete: () => void;
+}) => {
+    const { t, formatDay } = useI18n();
+
+    return (
+        <li className={cn("flex items-start gap-2 py-2", quest.isDone && "opacity-60")}>
+            <Button
+                onClick={onComplete}
+                disabled={quest.isDone}
+                className="h-8 w-8 p-0 shrink-0 bg-black/30 text-white hover:bg-green-500 disabled:opacity-100"
+                aria-label={t('sideQuests.completeQuest', { title: quest.title })}
+            >
+                {quest.isDone ? <CheckCircle className="w-5 h-5 text-green-300" /> : <Check className="w-4 h-4" />}
+            </Button>
+            <div className="flex-1 min-w-0">
+                <p className="break-words">{quest.title}</p>
+                <p className={cn("text-xs flex items-center gap-1", quest.isOverdue ? "text-red-300" : "text-orange-100")}>
+                    {quest.recurrence !== 'none' && <Repeat className="w-3 h-3" />}
+                    {quest.recurrence !== 'none' && t(RECURRENCES[quest.recurrence])}
+                    {quest.recurrence !== 'none' && quest.nextDue && ` · ${t('sideQuests.next', { date: formatDay(quest.nextDue) })}`}
+                    {quest.recurrence === 'none' && quest.dueDate && t(
+                        quest.isOverdue ? 'sideQuests.overdue' : 'sideQuests.due',
+                        { date: formatDay(quest.dueDate) }
+                    )}
+                </p>
+            </div>
+            <Button onClick={onEdit} className="h-8 w-8 p-0 bg-black/30 text-white hover:bg-black/50" aria-label={t('sideQuests.edit')}>
+                <Edit className="w-4 h-4" />
+            </Button>
+            <Button onClick={onDelete} className="h-8 w-8 p-0 bg-black/30 text-white hover:bg-red-500" aria-label={t('sideQuests.delete')}>
+                <Trash2 className="w-4 h-4" />
+            </Button>
+        </li>
+    );
+};
+
+const SideQuestCard = ({ xp, quests, archive, onAdd, onUpdate, onDelete, onComplete }: {
+    xp: number;
+    quests: SideQuest[];
+    archive: LogEntry[];
+    onAdd: (draft: SideQuestDraft) => void;
+    onUpdate: (questId: string, draft: SideQuestDraft) => void;
+    onDelete: (questId: string) => void;
+    onComplete: (quest: SideQuest) => void;
+}) => {
+    const { t, formatDate } = useI18n();
+    const [isAdding, setIsAdding] = useState(false);
+    const [editingId, setEditingId] = useState<string | null>(null);
+    const [showArchive, setShowArchive] = useState(false);
+
+    // Finished one-off quests live in the archive instead
+    const openQuests = sortSideQuests(quests.filter((quest) => !(quest.recurrence === 'none' && quest.isDone)));
+
+    return (
+        <Card className="bg-gradient-to-br from-amber-700 to-orange-700 text-white shadow-lg border-none">
+            <CardHeader>
+                <CardTitle className="flex items-center gap-2 text-xl font-semibold">
+                    <PlusCircle className="w-5 h-5 text-yellow-400" />
+                    {t('sideQuests.title')}
+                </CardTitle>
+                <CardDescription>
+                    {t('sideQuests.description', { xp })} · {t('sideQuests.completedCount', { count: archive.length })}
+                </CardDescription>
+            </CardHeader>
+            <CardContent>
+                <div className="space-y-4">
+                    {openQuests.length > 0 && (
+                        <ul className="divide-y divide-white/10">
+                            {openQuests.map((quest) => (
+                                editingId === quest.id ? (
+                                    <li key={quest.id} className="py-2">
+                                        <SideQuestForm
+                                            initial={{ title: quest.title, dueDate: quest.dueDate, recurrence: quest.recurrence }}
+                                            submitLabel={t('common.save')}
+                                            onSubmit={(draft) => {
+                                                onUpdate(quest.id, draft);
+                                                setEditingId(null);
+                                            }}
+                                            onCancel={() => setEditingId(null)}
+                                        />
+                                    </li>
+                                ) : (
+                                    <SideQuestItem
+                                        key={quest.id}
+                                        quest={quest}
+                                        onComplete={() => onComplete(quest)}
+                                        onEdit={() => setEditingId(quest.id)}
+                                        onDelete={() => {
+                                            if (window.confirm(t('sideQuests.confirmDelete', { title: quest.title }))) {
+                                                onDelete(quest.id);
+                                            }
+                                        }}
+                                    />
+                                )
+                            ))}
+                        </ul>
+                    )}
+
+                    {isAdding ? (
+                        <SideQuestForm
+                            initial={EMPTY_DRAFT}
+                            submitLabel={t('sideQuests.add')}
+                            onSubmit={(draft) => {
+                                onAdd(draft);
+                                setIsAdding(false);
+                            }}
+                            onCancel={() => setIsAdding(false)}
+                        />
+                    ) : (
+                        <Button
+                            onClick={() => setIsAdding(true)}
+                            className="w-full bg-yellow-500 text-black font-bold
+                                     hover:bg-yellow-400 transition-colors flex items-center gap-2"
+                        >
+                            <Edit className="w-5 h-5" />
+                            {t('sideQuests.addQuest')}
+                        </Button>
+                    )}
+
+                    {archive.length > 0 && (
+                        <div className="space-y-2">
+                            <button
+                                onClick={() => setShowArchive(!showArchive)}
+                                className="text-sm text-yellow-100 flex items-center gap-1"
+                                aria-expanded={showArchive}
+                            >
+                                <Archive className="w-4 h-4" />
+                                {showArchive ? t('sideQuests.hideCompleted') : t('sideQuests.showCompleted', { count: archive.length })}
+                            </button>
+                            {showArchive && (
+                                <ul className="max-h-48 overflow-y-auto text-sm divide-y divide-white/10">
+                                    {[...archive].reverse().map((entry) => (
+                                        <li key={entry.id} className="flex justify-between gap-2 py-1">
+                                            <span className="flex items-center gap-1 truncate">
+                                                <CheckCircle className="w-4 h-4 text-green-200 shrink-0" />
+                                                {entry.label}
+                                            </span>
+                                            <span className="text-orange-100 whitespace-nowrap">
+                                                {formatDate(entry.timestamp)}
+                                            </span>
+                                        </li>
+                                    ))}
+                                </ul>
+                            )}
+                        </div>
+                    )}
+                </div>
+            </CardContent>
+        </Card>
+    );
+};
+
+export default SideQuestCard;
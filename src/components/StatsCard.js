@@ -0,0 +1,232 @@
+import React, { useState, useMemo } from 'react';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { cn } from "@/lib/utils";
+import { BarChart3, CalendarDays, Clock, ListOrdered } from 'lucide-react';
+import { Progress } from '@/lib/progress';
+import { getCategoryName, getTaskLabel } from '@/lib/taskCatalog';
+import { MessageKey, Translate } from '@/lib/i18n';
+import useI18n from '@/hooks/useI18n';
+import {
+    OTHER_CATEGORY,
+    XpBar,
+    getAverageSessionMs,
+    getChartCategories,
+    getDailyXp,
+    getHeatmap,
+    getTopTasks,
+    getWeeklyXp,
+} from '@/lib/stats';
+
+const CATEGORY_COLORS = ['bg-blue-400', 'bg-green-400', 'bg-purple-400', 'bg-pink-400', 'bg-cyan-400', 'bg-orange-400'];
+const OTHER_COLOR = 'bg-gray-400';
+
+const HEATMAP_COLORS = ['bg-gray-800', 'bg-green-900', 'bg-green-700', 'bg-green-500', 'bg-green-300'];
+
+type ChartPeriod = 'daily' | 'weekly';
+
+const CHART_PERIODS: Record<ChartPeriod, { label: MessageKey; count: number }> = {
+    daily: { label: 'stats.period.daily', count: 14 },
+    weekly: { label: 'stats.period.weekly', count: 12 },
+};
+
+// The catch-all bucket for categories beyond the chart's colors
+const getChartCategoryName = (category: string, t: Translate) =>
+    (category === OTHER_CATEGORY ? t('stats.otherCategory') : getCategoryName(category, t));
+
+const XpChart = ({ bars, period, categories }: {
+    bars: XpBar[];
+    period: ChartPeriod;
+    categories: string[];
+}) => {
+    const { t, formatDay } = useI18n();
+    const highest = Math.max(1, ...bars.map((bar) => bar.total));
+    const colorOf = (category: string) => {
+        const index = categories.indexOf(category);
+        return index < CATEGORY_COLORS.length && category !== OTHER_CATEGORY ? CATEGORY_COLORS[index] : OTHER_COLOR;
+    };
+
+    return (
+        <div className="space-y-2">
+            <div
+                className="flex items-end gap-1 h-40"
+                role="img"
+                aria-label={period === 'daily' ? t('stats.xpPerDay') : t('stats.xpPerWeek')}
+            >
+                {bars.map((bar) => (
+                    <div
+                        key={bar.day}
+                        className="flex-1 flex flex-col-reverse h-full"
+                        title={t('stats.barTitle', { date: formatDay(bar.day), xp: bar.total })}
+                    >
+                        {categories.filter((category) => bar.byCategory[category]).map((category) => (
+                            <div
+                                key={category}
+                                className={cn("w-full first:rounded-b last:rounded-t", colorOf(category))}
+                                style={{ height: `${(bar.byCategory[category] / highest) * 100}%` }}
+                            />
+                        ))}
+                    </div>
+                ))}
+            </div>
+            <div className="flex gap-1 text-[10px] text-gray-400">
+                {bars.map((bar) => (
+                    <span key={bar.day} className="flex-1 text-center truncate">
+                        {formatDay(bar.day, period === 'daily' ? { weekday: 'short' } : { month: 'short', day: 'numeric' })}
+                    </span>
+                ))}
+            </div>
+            <ul className="flex flex-wrap gap-3 text-xs text-gray-300">
+                {categories.map((category) => (
+                    <li key={category} className="flex items-center gap-1">
+                        <span className={cn("w-3 h-3 rounded-sm", colorOf(category))} />
+                        {getChartCategoryName(category, t)}
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+};
+
+const StatsCard = ({ progress }: { progress: Progress }) => {
+    const { t, formatDay } = useI18n();
+    const [period, setPeriod] = useState<ChartPeriod>('daily');
+
+    const bars = useMemo(
+        () => (period === 'daily' ? getDailyXp : getWeeklyXp)(progress.log, CHART_PERIODS[period].count),
+        [progress.log, period]
+    );
+    const categories = useMemo(() => getChartCategories(bars), [bars]);
+    const heatmap = useMemo(() => getHeatmap(progress), [progress]);
+    const topTasks = useMemo(() => getTopTasks(progress.log), [progress.log]);
+    const activeDays = heatmap.flat().filter((entry) => entry.xp > 0).length;
+    const averageMinutes = Math.round(getAverageSessionMs(progress.sessions) / 60000);
+
+    return (
+        <Card className="bg-gradient-to-br from-slate-800 to-indigo-950 text-white shadow-lg border-none">
+            <CardHeader>
+                <CardTitle className="flex items-center gap-2 text-xl font-semibold">
+                    <BarChart3 className="w-5 h-5 text-yellow-400" />
+                    {t('stats.title')}
+                </CardTitle>
+                <CardDescription>{t('stats.activeDays', { count: activeDays })}</CardDescription>
+            </CardHeader>
+            <CardContent>
+                <div className="space-y-6">
+                    <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 text-center">
+                        <div className="bg-black/30 p-3 rounded-lg">
+                            <p className="text-2xl font-bold">{progress.longestStreak}</p>
+                            <p className="text-xs text-gray-400">{t('stats.longestStreak')}</p>
+                        </div>
+                        <div className="bg-black/30 p-3 rounded-lg">
+                            <p className="text-2xl font-bold">{progress.streak}</p>
+                            <p className="text-xs text-gray-400">{t('stats.currentStreak')}</p>
+                        </div>
+                        <div className="bg-black/30 p-3 rounded-lg">
+                            <p className="text-2xl font-bold">{progress.sessions.length}</p>
+                            <p className="text-xs text-gray-400">{t('stats.focusSessions')}</p>
+                        </div>
+                        <div className="bg-black/30 p-3 rounded-lg">
+                            <p className="text-2xl font-bold">{t('common.minutes', { count: averageMinutes })}</p>
+                            <p className="text-xs text-gray-400">{t('stats.averageSession')}</p>
+                        </div>
+                    </div>
+
+                    <section className="space-y-3">
+                        <div className="flex items-center justify-between gap-2">
+                            <h4 className="font-semibold">{t('stats.byCategory')}</h4>
+                            <div className="flex gap-1">
+                                {(Object.keys(CHART_PERIODS) as ChartPeriod[]).map((option) => (
+                                    <Button
+                                        key={option}
+                                        onClick={() => setPeriod(option)}
+                                        className={cn(
+                                            "h-8 px-3 text-xs",
+                                            period === option
+                                                ? "bg-yellow-500 text-black font-bold"
+                                                : "bg-black/20 text-white hover:bg-black/40"
+                                        )}
+                                        aria-pressed={period === option}
+                                    >
+                                        {t(CHART_PERIODS[option].label)}
+                                    </Button>
+                                ))}
+                            </div>
+                        </div>
+                        <XpChart bars={bars} period={period} categories={categories} />
+                    </section>
+
+                    <section className="space-y-3">
+                        <h4 className="font-semibold flex items-center gap-2">
+                            <CalendarDays className="w-4 h-4" />
+                            {t('stats.activity')}
+                        </h4>
+                        <div className="overflow-x-auto">
+                            <div className="flex gap-[3px] w-max">
+                                {heatmap.map((week) => (
+                                    <div key={week[0]?.day} className="flex flex-col gap-[3px]">
+                                        {week.map((entry) => (
+                                            <div
+                                                key={entry.day}
+                                                className={cn("w-3 h-3 rounded-sm", HEATMAP_COLORS[entry.intensity])}
+                                                title={t('stats.dayTitle', {
+                                                    date: formatDay(entry.day),
+                                                    xp: entry.xp,
+                                                    minutes: entry.minutes,
+                                                })}
+                                            />
+                                        ))}
+                                    </div>
+                                ))}
+                            </div>
+                        </div>
+                        <div className="flex items-center gap-1 text-xs text-gray-400">
+                            {t('stats.less')}
+                            {HEATMAP_COLORS.map((color) => (
+                                <span key={color} className={cn("w-3 h-3 rounded-sm", color)} />
+                            ))}
+                            {t('stats.more')}
+                        </div>
+                    </section>
+
+                    <div className="grid grid-cols-1 sm:grid-cols-2 gap-6">
+                        <section className="space-y-2">
+                            <h4 className="font-semibold flex items-center gap-2">
+                                <ListOrdered className="w-4 h-4" />
+                                {t('stats.topTasks')}
+                            </h4>
+                            {topTasks.length > 0 ? (
+                                <ol className="text-sm space-y-1">
+                                    {topTasks.map((task) => (
+                                        <li key={task.key} className="flex justify-between gap-2">
+                                            <span className="truncate">{getTaskLabel(task.key, task.label, t)}</span>
+                                            <span className="text-gray-400 whitespace-nowrap">
+                                                {t('stats.taskCount', { count: task.count, xp: task.xp })}
+                                            </span>
+                                        </li>
+                                    ))}
+                                </ol>
+                            ) : (
+                                <p className="text-sm text-gray-400">{t('stats.noTasks')}</p>
+                            )}
+                        </section>
+                        <section className="space-y-2">
+                            <h4 className="font-semibold flex items-center gap-2">
+                                <Clock className="w-4 h-4" />
+                                {t('stats.focusTime')}
+                            </h4>
+                            <p className="text-sm text-gray-300">
+                                {t('stats.focusSummary', {
+                                    minutes: Math.round(progress.sessions.reduce((sum, session) => sum + session.focusedMs, 0) / 60000),
+                                    count: progress.sessions.length,
+                                })}
+                            </p>
+                        </section>
+                    </div>
+                </div>
+            </CardContent>
+        </Card>
+    );
+};
+
+export default StatsCard;
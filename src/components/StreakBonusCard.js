@@ -0,0 +1,98 @@
+import React, { useState } from 'react';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { cn } from "@/lib/utils";
+import { Zap, Snowflake, History, CheckCircle } from 'lucide-react';
+import { MIN_STUDY_MINUTES, MIN_STUDY_XP, StreakState } from '@/lib/streaks';
+import useI18n from '@/hooks/useI18n';
+
+const StreakBonusCard = ({ streaks, bonus, claimed, onClaim }: {
+    streaks: StreakState;
+    bonus: number;
+    claimed: boolean;
+    onClaim: () => void;
+}) => {
+    const { t, formatDay } = useI18n();
+    const [showHistory, setShowHistory] = useState(false);
+    const { current, history, freezeTokens, studiedToday } = streaks;
+    const streak = current?.length ?? 0;
+
+    return (
+        <Card className={cn(
+            "bg-gradient-to-br from-pink-700 to-rose-700 text-white shadow-lg border-none",
+            "transition-all duration-300"
+        )}>
+            <CardHeader>
+                <CardTitle className="flex items-center gap-2 text-xl font-semibold">
+                    <Zap className="w-5 h-5 text-yellow-400" />
+                    {t('streak.title')}
+                </CardTitle>
+                <CardDescription>{t('streak.current', { count: streak })}</CardDescription>
+            </CardHeader>
+            <CardContent>
+                <div className="space-y-4">
+                    {bonus > 0 && !claimed ? (
+                        <Button
+                            onClick={onClaim}
+                            className="w-full bg-yellow-500 text-black font-bold
+                                     hover:bg-yellow-400 transition-colors"
+                        >
+                            {t('streak.claim', { bonus })}
+                        </Button>
+                    ) : (
+                        <p className="text-lg text-gray-200">
+                            {bonus > 0 ? t('streak.claimed') : t('streak.keepGoing')}
+                        </p>
+                    )}
+
+                    <p className="text-sm text-pink-100 flex items-center gap-2">
+                        {studiedToday ? (
+                            <>
+                                <CheckCircle className="w-4 h-4 text-green-300" />
+                                {t('streak.todayCounts')}
+                            </>
+                        ) : (
+                            t('streak.howToCount', { xp: MIN_STUDY_XP, minutes: MIN_STUDY_MINUTES })
+                        )}
+                    </p>
+                    <p className="text-sm text-pink-100 flex items-center gap-2">
+                        <Snowflake className="w-4 h-4 text-cyan-200" />
+                        {t('streak.freezes', { count: freezeTokens })}
+                        {current && current.frozenDays.length > 0 && ` · ${t('streak.daysSaved', { count: current.frozenDays.length })}`}
+                    </p>
+
+                    {history.length > 0 && (
+                        <div className="space-y-2">
+                            <button
+                                onClick={() => setShowHistory(!showHistory)}
+                                className="text-sm text-yellow-100 flex items-center gap-1"
+                                aria-expanded={showHistory}
+                            >
+                                <History className="w-4 h-4" />
+                                {showHistory ? t('streak.hideHistory') : t('streak.showHistory', { count: history.length })}
+                            </button>
+                            {showHistory && (
+                                <ul className="max-h-48 overflow-y-auto text-sm divide-y divide-white/10">
+                                    {history.map((run) => (
+                                        <li key={run.start} className="flex justify-between gap-2 py-1">
+                                            <span>{t('common.days', { count: run.length })}</span>
+                                            <span className="text-pink-100 whitespace-nowrap">
+                                                {t('streak.run', {
+                                                    start: formatDay(run.start),
+                                                    end: formatDay(run.end),
+                                                    brokeOn: formatDay(run.brokeOn),
+                                                })}
+                                            </span>
+                                        </li>
+                                    ))}
+                                </ul>
+                            )}
+                        </div>
+                    )}
+                </div>
+            </CardContent>
+        </Card>
+    );
+};
+
+export default StreakBonusCard;
@@ -0,0 +1,162 @@
+import React, { useState } from 'react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Progress } from '@/components/ui/progress';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { cn } from "@/lib/utils";
+import { Library, PlusCircle, Edit, Trash2, X } from 'lucide-react';
+import { SubjectState, SubjectStats, addSubject, removeSubject, renameSubject } from '@/lib/subjects';
+import useI18n from '@/hooks/useI18n';
+
+const inputClassName = "bg-black/20 text-white border-gray-600";
+
+const SubjectStatsItem = ({ stats, isActive, onSelect }: {
+    stats: SubjectStats;
+    isActive: boolean;
+    onSelect: () => void;
+}) => {
+    const { t, formatDate } = useI18n();
+    const { subject, xp, level, entries, focusMinutes, lastStudied } = stats;
+
+    return (
+        <li>
+            <button
+                onClick={onSelect}
+                className={cn(
+                    "w-full text-left space-y-1 p-3 rounded-lg border transition-colors",
+                    isActive ? "border-yellow-400 bg-black/40" : "border-gray-700 bg-black/20 hover:bg-black/30"
+                )}
+                aria-pressed={isActive}
+            >
+                <div className="flex justify-between gap-2">
+                    <span className="font-semibold truncate">{subject.name}</span>
+                    <span className="text-sm text-gray-300 whitespace-nowrap">
+                        {t('subjects.level', { level: level.level })} · {t('common.xp', { xp })}
+                    </span>
+                </div>
+                <Progress value={level.progress} className="h-2 bg-gray-700" />
+                <p className="text-xs text-gray-400">
+                    {t('xpHistory.entries', { count: entries })} · {t('subjects.focused', { count: focusMinutes })}
+                    {lastStudied && ` · ${t('subjects.lastStudied', { date: formatDate(lastStudied) })}`}
+                </p>
+            </button>
+        </li>
+    );
+};
+
+const SubjectsCard = ({ state, stats, onChange }: {
+    state: SubjectState;
+    stats: SubjectStats[];
+    onChange: (state: SubjectState) => void;
+}) => {
+    const { t } = useI18n();
+    const [isEditing, setIsEditing] = useState(false);
+    const [newName, setNewName] = useState('');
+    const active = state.subjects.find((subject) => subject.id === state.activeId);
+
+    const submitNewSubject = () => {
+        if (newName.trim()) {
+            onChange(addSubject(state, newName.trim()));
+            setNewName('');
+        }
+    };
+
+    return (
+        <Card className="bg-gradient-to-br from-sky-800 to-slate-900 text-white shadow-lg border-none">
+            <CardHeader>
+                <CardTitle className="flex items-center justify-between gap-2 text-xl font-semibold">
+                    <span className="flex items-center gap-2">
+                        <Library className="w-5 h-5 text-yellow-400" />
+                        {t('subjects.title')}
+                    </span>
+                    <Button
+                        onClick={() => setIsEditing(!isEditing)}
+                        className="h-8 w-8 p-0 bg-black/30 text-white hover:bg-black/50"
+                        aria-label={isEditing ? t('subjects.doneEditing') : t('subjects.edit')}
+                        aria-expanded={isEditing}
+                    >
+                        {isEditing ? <X className="w-4 h-4" /> : <Edit className="w-4 h-4" />}
+                    </Button>
+                </CardTitle>
+                <CardDescription>
+                    {active ? t('subjects.loggingTo', { name: active.name }) : t('subjects.loggingWithout')}
+                </CardDescription>
+            </CardHeader>
+            <CardContent>
+                <div className="space-y-4">
+                    {isEditing ? (
+                        <ul className="space-y-2">
+                            {state.subjects.map((subject) => (
+                                <li key={subject.id} className="flex items-center gap-2">
+                                    <Input
+                                        value={subject.name}
+                                        onChange={(e) => onChange(renameSubject(state, subject.id, e.target.value))}
+                                        className={`flex-1 ${inputClassName}`}
+                                        aria-label={t('subjects.name')}
+                                    />
+                                    <Button
+                                        onClick={() => {
+                                            if (window.confirm(t('subjects.confirmDelete', { name: subject.name }))) {
+                                                onChange(removeSubject(state, subject.id));
+                                            }
+                                        }}
+                                        className="h-9 w-9 p-0 bg-black/30 text-white hover:bg-red-500"
+                                        aria-label={t('subjects.delete', { name: subject.name })}
+                                    >
+                                        <Trash2 className="w-4 h-4" />
+                                    </Button>
+                                </li>
+                            ))}
+                        </ul>
+                    ) : (
+                        <>
+                            <select
+                                value={state.activeId ?? ''}
+                                onChange={(e) => onChange({ ...state, activeId: e.target.value || null })}
+                                className="h-10 w-full rounded-md bg-black/20 text-white border border-gray-600 px-3 text-sm"
+                                aria-label={t('subjects.active')}
+                            >
+                                <option value="">{t('subjects.none')}</option>
+                                {state.subjects.map((subject) => (
+                                    <option key={subject.id} value={subject.id}>{subject.name}</option>
+                                ))}
+                            </select>
+                            {stats.length > 0 && (
+                                <ul className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                                    {stats.map((entry) => (
+                                        <SubjectStatsItem
+                                            key={entry.subject.id}
+                                            stats={entry}
+                                            isActive={entry.subject.id === state.activeId}
+                                            onSelect={() => onChange({ ...state, activeId: entry.subject.id })}
+                                        />
+                                    ))}
+                                </ul>
+                            )}
+                        </>
+                    )}
+                    <div className="flex gap-2">
+                        <Input
+                            value={newName}
+                            onChange={(e) => setNewName(e.target.value)}
+                            onKeyDown={(e) => e.key === 'Enter' && submitNewSubject()}
+                            placeholder={t('subjects.placeholder')}
+                            className={`flex-1 ${inputClassName}`}
+                            aria-label={t('subjects.new')}
+                        />
+                        <Button
+                            onClick={submitNewSubject}
+                            disabled={!newName.trim()}
+                            className="bg-yellow-500 text-black font-bold hover:bg-yellow-400 flex items-center gap-1"
+                        >
+                            <PlusCircle className="w-4 h-4" />
+                            {t('subjects.add')}
+                        </Button>
+                    </div>
+                </div>
+            </CardContent>
+        </Card>
+    );
+};
+
+export default SubjectsCard;
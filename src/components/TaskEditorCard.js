@@ -0,0 +1,261 @@
+import React from 'react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { cn } from "@/lib/utils";
+import { ArrowUp, ArrowDown, Trash2, PlusCircle, RotateCcw, Settings } from 'lucide-react';
+import {
+    DEFAULT_TASK_CATEGORIES,
+    MAX_TASK_XP,
+    TASK_ICONS,
+    TaskCategory,
+    TaskDefinition,
+    addCategory,
+    addTask,
+    getCategoryName,
+    getTaskLabel,
+    moveCategory,
+    moveTask,
+    removeCategory,
+    removeTask,
+    renameCategory,
+    isShortcutKey,
+    setCategoryCap,
+    setTaskShortcut,
+    updateTask,
+} from '@/lib/taskCatalog';
+import useI18n from '@/hooks/useI18n';
+
+// Empty or 0 clears a limit
+const parseLimit = (value: string) => {
+    const parsed = parseInt(value, 10);
+    return Number.isFinite(parsed) && parsed > 0 ? parsed : undefined;
+};
+
+const iconButtonClassName = "h-9 w-9 p-0 bg-black/30 text-white hover:bg-black/50 disabled:opacity-30";
+
+const TaskRow = ({ task, isFirst, isLast, onChange, onShortcutChange, onMove, onRemove }: {
+    task: TaskDefinition;
+    isFirst: boolean;
+    isLast: boolean;
+    onChange: (changes: Partial<TaskDefinition>) => void;
+    onShortcutChange: (shortcut: string | undefined) => void;
+    onMove: (offset: number) => void;
+    onRemove: () => void;
+}) => {
+    const { t } = useI18n();
+    const Icon = TASK_ICONS[task.icon];
+
+    return (
+        <li className="flex flex-wrap items-center gap-2">
+            <Input
+                value={getTaskLabel(task.id, task.label, t)}
+                onChange={(e) => onChange({ label: e.target.value })}
+                className="flex-1 min-w-[10rem] bg-black/20 text-white border-gray-600"
+                aria-label={t('taskEditor.taskLabel')}
+            />
+            <Input
+                type="number"
+                min={0}
+                max={MAX_TASK_XP}
+                value={task.value}
+                onChange={(e) => onChange({
+                    value: Math.min(Math.max(parseInt(e.target.value, 10) || 0, 0), MAX_TASK_XP),
+                })}
+                className="w-20 bg-black/20 text-white border-gray-600"
+                aria-label={t('taskEditor.xpValue')}
+            />
+            <Input
+                type="number"
+                min={0}
+                value={task.pages ?? ''}
+                onChange={(e) => onChange({ pages: parseLimit(e.target.value) })}
+                placeholder={t('taskEditor.pages')}
+                className="w-20 bg-black/20 text-white border-gray-600"
+                aria-label={t('taskEditor.pagesRead')}
+            />
+            <Input
+                type="number"
+                min={0}
+                value={task.cooldownMinutes ?? ''}
+                onChange={(e) => onChange({ cooldownMinutes: parseLimit(e.target.value) })}
+                placeholder={t('taskEditor.cooldown')}
+                className="w-28 bg-black/20 text-white border-gray-600"
+                aria-label={t('taskEditor.cooldownLabel')}
+            />
+            <Input
+                type="number"
+                min={0}
+                value={task.dailyCap ?? ''}
+                onChange={(e) => onChange({ dailyCap: parseLimit(e.target.value) })}
+                placeholder={t('taskEditor.dailyCap')}
+                className="w-28 bg-black/20 text-white border-gray-600"
+                aria-label={t('taskEditor.dailyCapLabel')}
+            />
+            <Input
+                value={task.shortcut ?? ''}
+                maxLength={1}
+                onChange={(e) => {
+                    const key = e.target.value.toLowerCase();
+                    if (key === '' || isShortcutKey(key)) {
+                        onShortcutChange(key || undefined);
+                    }
+                }}
+                placeholder={t('taskEditor.key')}
+                className="w-16 bg-black/20 text-white border-gray-600"
+                aria-label={t('taskEditor.shortcut')}
+            />
+            <div className="flex items-center gap-1">
+                {Icon && <Icon className="w-5 h-5 text-yellow-400" />}
+                <select
+                    value={task.icon}
+                    onChange={(e) => onChange({ icon: e.target.value as TaskDefinition['icon'] })}
+                    className="h-10 rounded-md bg-black/20 text-white border border-gray-600 px-2 text-sm"
+                    aria-label={t('taskEditor.icon')}
+                >
+                    {Object.keys(TASK_ICONS).map((name) => (
+                        <option key={name} value={name}>{name}</option>
+                    ))}
+                </select>
+            </div>
+            <Button onClick={() => onMove(-1)} disabled={isFirst} className={iconButtonClassName} aria-label={t('taskEditor.moveTaskUp')}>
+                <ArrowUp className="w-4 h-4" />
+            </Button>
+            <Button onClick={() => onMove(1)} disabled={isLast} className={iconButtonClassName} aria-label={t('taskEditor.moveTaskDown')}>
+                <ArrowDown className="w-4 h-4" />
+            </Button>
+            <Button onClick={onRemove} className={cn(iconButtonClassName, "hover:bg-red-500")} aria-label={t('taskEditor.deleteTask')}>
+                <Trash2 className="w-4 h-4" />
+            </Button>
+        </li>
+    );
+};
+
+const TaskEditorCard = ({ catalog, onChange, onClose }: {
+    catalog: TaskCategory[];
+    onChange: (catalog: TaskCategory[]) => void;
+    onClose: () => void;
+}) => {
+    const { t } = useI18n();
+
+    const deleteCategory = (category: TaskCategory) => {
+        if (
+            category.tasks.length === 0 ||
+            window.confirm(t('taskEditor.confirmDeleteCategory', {
+                name: getCategoryName(category.name, t),
+                count: category.tasks.length,
+            }))
+        ) {
+            onChange(removeCategory(catalog, category.id));
+        }
+    };
+
+    const resetToDefaults = () => {
+        if (window.confirm(t('taskEditor.confirmReset'))) {
+            onChange(DEFAULT_TASK_CATEGORIES);
+        }
+    };
+
+    return (
+        <Card className="bg-black/50 border-gray-700 shadow-md text-white">
+            <CardHeader>
+                <CardTitle className="flex items-center gap-2 text-lg font-semibold">
+                    <Settings className="w-5 h-5 text-yellow-400" />
+                    {t('taskEditor.title')}
+                </CardTitle>
+                <CardDescription>{t('taskEditor.description')}</CardDescription>
+            </CardHeader>
+            <CardContent className="space-y-6">
+                {catalog.map((category, index) => (
+                    <section key={category.id} className="space-y-3 border-b border-gray-700 pb-4">
+                        <div className="flex items-center gap-2">
+                            <Input
+                                value={getCategoryName(category.name, t)}
+                                onChange={(e) => onChange(renameCategory(catalog, category.id, e.target.value))}
+                                className="flex-1 font-semibold bg-black/20 text-white border-gray-600"
+                                aria-label={t('taskEditor.categoryName')}
+                            />
+                            <Input
+                                type="number"
+                                min={0}
+                                value={category.dailyCap ?? ''}
+                                onChange={(e) => onChange(setCategoryCap(catalog, category.id, parseLimit(e.target.value)))}
+                                placeholder={t('taskEditor.dailyCap')}
+                                className="w-28 bg-black/20 text-white border-gray-600"
+                                aria-label={t('taskEditor.categoryDailyCap')}
+                            />
+                            <Button
+                                onClick={() => onChange(moveCategory(catalog, category.id, -1))}
+                                disabled={index === 0}
+                                className={iconButtonClassName}
+                                aria-label={t('taskEditor.moveCategoryUp')}
+                            >
+                                <ArrowUp className="w-4 h-4" />
+                            </Button>
+                            <Button
+                                onClick={() => onChange(moveCategory(catalog, category.id, 1))}
+                                disabled={index === catalog.length - 1}
+                                className={iconButtonClassName}
+                                aria-label={t('taskEditor.moveCategoryDown')}
+                            >
+                                <ArrowDown className="w-4 h-4" />
+                            </Button>
+                            <Button
+                                onClick={() => deleteCategory(category)}
+                                className={cn(iconButtonClassName, "hover:bg-red-500")}
+                                aria-label={t('taskEditor.deleteCategory')}
+                            >
+                                <Trash2 className="w-4 h-4" />
+                            </Button>
+                        </div>
+                        <ul className="space-y-2 pl-2">
+                            {category.tasks.map((task, taskIndex) => (
+                                <TaskRow
+                                    key={task.id}
+                                    task={task}
+                                    isFirst={taskIndex === 0}
+                                    isLast={taskIndex === category.tasks.length - 1}
+                                    onChange={(changes) => onChange(updateTask(catalog, category.id, task.id, changes))}
+                                    onShortcutChange={(shortcut) => onChange(setTaskShortcut(catalog, task.id, shortcut))}
+                                    onMove={(offset) => onChange(moveTask(catalog, category.id, task.id, offset))}
+                                    onRemove={() => onChange(removeTask(catalog, category.id, task.id))}
+                                />
+                            ))}
+                        </ul>
+                        <Button
+                            onClick={() => onChange(addTask(catalog, category.id, t('taskEditor.newTask')))}
+                            className="bg-black/30 text-white hover:bg-black/50 flex items-center gap-1"
+                        >
+                            <PlusCircle className="w-4 h-4" />
+                            {t('taskEditor.addTask')}
+                        </Button>
+                    </section>
+                ))}
+                <div className="flex flex-wrap gap-2">
+                    <Button
+                        onClick={() => onChange(addCategory(catalog, t('taskEditor.newCategory')))}
+                        className="bg-yellow-500 text-black font-bold hover:bg-yellow-400 flex items-center gap-1"
+                    >
+                        <PlusCircle className="w-4 h-4" />
+                        {t('taskEditor.addCategory')}
+                    </Button>
+                    <Button
+                        onClick={resetToDefaults}
+                        className="bg-black/30 text-white hover:bg-black/50 flex items-center gap-1"
+                    >
+                        <RotateCcw className="w-4 h-4" />
+                        {t('taskEditor.reset')}
+                    </Button>
+                    <Button
+                        onClick={onClose}
+                        className="ml-auto bg-green-500 text-white font-bold hover:bg-green-400"
+                    >
+                        {t('common.done')}
+                    </Button>
+                </div>
+            </CardContent>
+        </Card>
+    );
+};
+
+export default TaskEditorCard;
@@ -0,0 +1,181 @@
+import React, { useState } from 'react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Progress } from '@/components/ui/progress';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Clock, Play, Pause, CheckCircle, SkipForward, Coffee } from 'lucide-react';
+import { FOCUS_XP_PER_MINUTE, MIN_SESSION_MS } from '@/lib/timer';
+import { Progress as ProgressState } from '@/lib/progress';
+import { SessionTimer } from '@/hooks/useSessionTimer';
+import useI18n from '@/hooks/useI18n';
+
+const formatClock = (ms: number) => {
+    const totalSeconds = Math.ceil(ms / 1000);
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = String(totalSeconds % 60).padStart(2, '0');
+    return `${minutes}:${seconds}`;
+};
+
+const MinutesField = ({ label, value, onChange }: {
+    label: string;
+    value: number;
+    onChange: (minutes: number) => void;
+}) => (
+    <label className="flex-1 text-xs text-gray-200 space-y-1">
+        <span>{label}</span>
+        <Input
+            type="number"
+            min={1}
+            max={180}
+            value={value}
+            onChange={(e) => onChange(Math.min(Math.max(parseInt(e.target.value, 10) || 1, 1), 180))}
+            className="bg-black/20 text-white border-yellow-400/50"
+        />
+    </label>
+);
+
+// The timer itself lives in the app, so the command palette can start and stop it too
+const TimeTrackerCard = ({ sessions, sessionTimer }: {
+    sessions: ProgressState['sessions'];
+    sessionTimer: SessionTimer;
+}) => {
+    const {
+        timer,
+        elapsed,
+        remaining,
+        phaseLength,
+        isRunning,
+        start,
+        pause,
+        resume,
+        finish,
+        skipBreak,
+        updateSettings,
+    } = sessionTimer;
+    const { t, formatDate } = useI18n();
+    const [label, setLabel] = useState('');
+    const [showAllSessions, setShowAllSessions] = useState(false);
+
+    const recentSessions = [...sessions].reverse().slice(0, showAllSessions ? undefined : 5);
+
+    return (
+        <Card className="bg-gradient-to-br from-cyan-700 to-blue-700 text-white shadow-lg border-none">
+            <CardHeader>
+                <CardTitle className="flex items-center gap-2 text-xl font-semibold">
+                    <Clock className="w-5 h-5 text-yellow-400" />
+                    {t('timer.title')}
+                </CardTitle>
+                <CardDescription>
+                    {t('timer.description', { xp: FOCUS_XP_PER_MINUTE })}
+                </CardDescription>
+            </CardHeader>
+            <CardContent>
+                <div className="space-y-4">
+                    {timer.phase === 'idle' ? (
+                        <>
+                            <div className="flex gap-2">
+                                <MinutesField
+                                    label={t('timer.focusMinutes')}
+                                    value={timer.settings.focusMinutes}
+                                    onChange={(focusMinutes) => updateSettings({ ...timer.settings, focusMinutes })}
+                                />
+                                <MinutesField
+                                    label={t('timer.breakMinutes')}
+                                    value={timer.settings.breakMinutes}
+                                    onChange={(breakMinutes) => updateSettings({ ...timer.settings, breakMinutes })}
+                                />
+                            </div>
+                            <Input
+                                value={label}
+                                onChange={(e) => setLabel(e.target.value)}
+                                placeholder={t('timer.labelPlaceholder')}
+                                className="bg-black/20 text-white border-yellow-400/50"
+                            />
+                            <Button
+                                onClick={() => {
+                                    start(label);
+                                    setLabel('');
+                                }}
+                                className="w-full bg-yellow-500 text-black font-bold
+                                         hover:bg-yellow-400 transition-colors"
+                            >
+                                <Play className="w-5 h-5 mr-2" />
+                                {t('timer.start')}
+                            </Button>
+                        </>
+                    ) : (
+                        <>
+                            <div className="text-center space-y-1">
+                                <p className="text-sm uppercase tracking-wide text-yellow-100 flex items-center justify-center gap-1">
+                                    {timer.phase === 'focus' ? <Clock className="w-4 h-4" /> : <Coffee className="w-4 h-4" />}
+                                    {timer.phase === 'focus' ? (timer.label || t('timer.focus')) : t('timer.break')}
+                                    {!isRunning && ` · ${t('timer.paused')}`}
+                                </p>
+                                <p className="text-5xl font-bold tabular-nums" role="timer" aria-label={t('timer.timeLeft')}>
+                                    {formatClock(remaining)}
+                                </p>
+                                {timer.phase === 'focus' && (
+                                    <p className="text-xs text-gray-200">{t('timer.focusedFor', { time: formatClock(elapsed) })}</p>
+                                )}
+                            </div>
+                            <Progress value={(elapsed / phaseLength) * 100} className="h-2 bg-gray-700" />
+                            <div className="flex gap-2">
+                                <Button
+                                    onClick={isRunning ? pause : resume}
+                                    className="flex-1 bg-black/30 text-white hover:bg-black/50"
+                                >
+                                    {isRunning ? <Pause className="w-5 h-5 mr-2" /> : <Play className="w-5 h-5 mr-2" />}
+                                    {isRunning ? t('timer.pause') : t('timer.resume')}
+                                </Button>
+                                {timer.phase === 'focus' ? (
+                                    <Button
+                                        onClick={finish}
+                                        className="flex-1 bg-red-500 text-white font-bold hover:bg-red-400"
+                                    >
+                                        <CheckCircle className="w-5 h-5 mr-2" />
+                                        {elapsed < MIN_SESSION_MS ? t('common.cancel') : t('timer.finish')}
+                                    </Button>
+                                ) : (
+                                    <Button
+                                        onClick={skipBreak}
+                                        className="flex-1 bg-yellow-500 text-black font-bold hover:bg-yellow-400"
+                                    >
+                                        <SkipForward className="w-5 h-5 mr-2" />
+                                        {t('timer.skipBreak')}
+                                    </Button>
+                                )}
+                            </div>
+                        </>
+                    )}
+
+                    {recentSessions.length > 0 && (
+                        <div className="space-y-2">
+                            <h4 className="text-sm font-semibold text-yellow-100">{t('timer.history')}</h4>
+                            <ul className="text-sm divide-y divide-white/10">
+                                {recentSessions.map((session) => (
+                                    <li key={session.id} className="flex justify-between gap-2 py-1">
+                                        <span className="truncate">{session.label || t('timer.session')}</span>
+                                        <span className="text-gray-200 whitespace-nowrap">
+                                            {t('common.minutes', { count: Math.round(session.focusedMs / 60000) })}
+                                            {' · '}{formatDate(session.startedAt)}
+                                        </span>
+                                    </li>
+                                ))}
+                            </ul>
+                            {sessions.length > 5 && (
+                                <button
+                                    onClick={() => setShowAllSessions(!showAllSessions)}
+                                    className="text-xs text-yellow-200 underline"
+                                >
+                                    {showAllSessions ? t('timer.showLess') : t('timer.showAll', { count: sessions.length })}
+                                </button>
+                            )}
+                        </div>
+                    )}
+                </div>
+            </CardContent>
+        </Card>
+    );
+};
+
+export default TimeTrackerCard;
@@ -0,0 +1,111 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { Button } from '@/components/ui/button';
+import { cn } from "@/lib/utils";
+import { CheckCircle, Info, AlertTriangle, X } from 'lucide-react';
+import { Toast, ToastTone } from '@/lib/toasts';
+import useI18n from '@/hooks/useI18n';
+
+const TONE_ICONS: Record<ToastTone, React.ElementType> = {
+    success: CheckCircle,
+    info: Info,
+    warning: AlertTriangle,
+};
+
+const TONE_STYLES: Record<ToastTone, string> = {
+    success: "text-green-400",
+    info: "text-blue-400",
+    warning: "text-yellow-400",
+};
+
+// Hovering or focusing a toast holds it on screen, so there's time to read it
+// or reach its button
+const ToastItem = ({ toast, onDismiss }: {
+    toast: Toast;
+    onDismiss: (toastId: string) => void;
+}) => {
+    const { t } = useI18n();
+    const [isPaused, setIsPaused] = useState(false);
+    const remainingMs = useRef(toast.durationMs);
+    const Icon = TONE_ICONS[toast.tone];
+
+    useEffect(() => {
+        if (isPaused) {
+            return undefined;
+        }
+        const startedAt = Date.now();
+        const timeout = setTimeout(() => onDismiss(toast.id), remainingMs.current);
+        return () => {
+            clearTimeout(timeout);
+            remainingMs.current -= Date.now() - startedAt;
+        };
+    }, [isPaused, toast.id, onDismiss]);
+
+    return (
+        <motion.li
+            layout
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0, transition: { duration: 0.2 } }}
+            exit={{ opacity: 0, x: 40, transition: { duration: 0.2 } }}
+            className="flex items-center gap-3 bg-gray-900 text-white border border-gray-700 rounded-xl shadow-2xl px-4 py-3"
+            role={toast.tone === 'warning' ? 'alert' : 'status'}
+            onMouseEnter={() => setIsPaused(true)}
+            onMouseLeave={() => setIsPaused(false)}
+            onFocus={() => setIsPaused(true)}
+            onBlur={() => setIsPaused(false)}
+            onKeyDown={(e) => e.key === 'Escape' && onDismiss(toast.id)}
+        >
+            <Icon className={cn("w-5 h-5 shrink-0", TONE_STYLES[toast.tone])} aria-hidden="true" />
+            <span className="flex-1">{toast.message}</span>
+            {toast.action && (
+                <Button
+                    onClick={() => {
+                        toast.action.onClick();
+                        onDismiss(toast.id);
+                    }}
+                    className="bg-yellow-500 text-black font-bold hover:bg-yellow-400"
+                >
+                    {toast.action.label}
+                </Button>
+            )}
+            <Button
+                onClick={() => onDismiss(toast.id)}
+                className="h-8 w-8 p-0 bg-black/40 text-white hover:bg-black/60"
+                aria-label={t('common.dismiss')}
+            >
+                <X className="w-4 h-4" />
+            </Button>
+        </motion.li>
+    );
+};
+
+// The live region is always rendered, since screen readers only announce
+// changes to regions that were already on the page
+const ToastStack = ({ toasts, queuedCount, onDismiss }: {
+    toasts: Toast[];
+    queuedCount: number;
+    onDismiss: (toastId: string) => void;
+}) => {
+    const { t } = useI18n();
+
+    return (
+        <section
+            className="fixed bottom-4 left-1/2 -translate-x-1/2 z-40 w-[min(28rem,calc(100%-2rem))]"
+            aria-label={t('notifications.title')}
+            aria-live="polite"
+        >
+            <ul className="flex flex-col gap-2">
+                <AnimatePresence initial={false}>
+                    {toasts.map((toast) => (
+                        <ToastItem key={toast.id} toast={toast} onDismiss={onDismiss} />
+                    ))}
+                </AnimatePresence>
+            </ul>
+            {queuedCount > 0 && (
+                <p className="mt-2 text-center text-xs text-gray-400">{t('notifications.waiting', { count: queuedCount })}</p>
+            )}
+        </section>
+    );
+};
+
+export default ToastStack;
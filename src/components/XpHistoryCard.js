@@ -0,0 +1,232 @@
+import React, { useState, useMemo } from 'react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { cn } from "@/lib/utils";
+import { History, X, Edit, Trash2, Check } from 'lucide-react';
+import { LogEntry, XP_SOURCES, filterLog, getMaxEditedAmount } from '@/lib/xpLog';
+import { Subject } from '@/lib/subjects';
+import { getCategoryName, getTaskLabel } from '@/lib/taskCatalog';
+import useI18n from '@/hooks/useI18n';
+
+const selectClassName = "h-10 rounded-md bg-black/20 text-white border border-gray-600 px-3 text-sm";
+
+export type LogEntryChanges = Pick<LogEntry, 'label' | 'amount'>;
+
+const EntryForm = ({ entry, onSave, onCancel }: {
+    entry: LogEntry;
+    onSave: (changes: LogEntryChanges) => void;
+    onCancel: () => void;
+}) => {
+    const { t } = useI18n();
+    const shownLabel = getTaskLabel(entry.taskId, entry.label, t);
+    const [label, setLabel] = useState(shownLabel);
+    const [amount, setAmount] = useState(String(entry.amount));
+    const parsedAmount = parseInt(amount, 10);
+    const maxAmount = getMaxEditedAmount(entry);
+    const isValid = label.trim() !== '' &&
+        Number.isInteger(parsedAmount) &&
+        parsedAmount >= 0 &&
+        parsedAmount <= maxAmount;
+
+    // An untouched label stays as logged, so it keeps following the language
+    const save = () => onSave({
+        label: label.trim() === shownLabel ? entry.label : label.trim(),
+        amount: parsedAmount,
+    });
+
+    return (
+        <li className="flex flex-wrap items-center gap-2 py-2">
+            <Input
+                value={label}
+                onChange={(e) => setLabel(e.target.value)}
+                className="flex-1 min-w-[10rem] bg-black/20 text-white border-gray-600"
+                aria-label={t('xpHistory.activity')}
+            />
+            <Input
+                type="number"
+                min={0}
+                max={maxAmount}
+                value={amount}
+                onChange={(e) => setAmount(e.target.value)}
+                className="w-24 bg-black/20 text-white border-gray-600"
+                aria-label={t('xpHistory.xp')}
+            />
+            <Button
+                onClick={save}
+                disabled={!isValid}
+                className="h-9 w-9 p-0 bg-green-500 text-white hover:bg-green-400"
+                aria-label={t('xpHistory.save')}
+            >
+                <Check className="w-4 h-4" />
+            </Button>
+            <Button
+                onClick={onCancel}
+                className="h-9 w-9 p-0 bg-black/40 text-white hover:bg-black/60"
+                aria-label={t('xpHistory.cancel')}
+            >
+                <X className="w-4 h-4" />
+            </Button>
+        </li>
+    );
+};
+
+const XpHistoryCard = ({ log, categories, subjects, onEdit, onDelete }: {
+    log: LogEntry[];
+    categories: string[];
+    subjects: Subject[];
+    onEdit: (entryId: string, changes: LogEntryChanges) => void;
+    onDelete: (entryId: string) => void;
+}) => {
+    const { t, formatDateTime } = useI18n();
+    const [editingId, setEditingId] = useState<string | null>(null);
+    const [day, setDay] = useState('');
+    const [category, setCategory] = useState('');
+    const [source, setSource] = useState('');
+    const [subject, setSubject] = useState('');
+
+    const entries = useMemo(
+        () => filterLog(log, { day, category, source, subject }).reverse(),
+        [log, day, category, source, subject]
+    );
+    const total = entries.reduce((sum, entry) => sum + entry.amount, 0);
+    const hasFilters = Boolean(day || category || source || subject);
+    const subjectNames = new Map(subjects.map((entry) => [entry.id, entry.name]));
+
+    return (
+        <Card className="bg-gradient-to-br from-slate-800 to-gray-900 text-white shadow-lg border-none">
+            <CardHeader>
+                <CardTitle className="flex items-center gap-2 text-xl font-semibold">
+                    <History className="w-5 h-5 text-yellow-400" />
+                    {t('xpHistory.title')}
+                </CardTitle>
+                <CardDescription>
+                    {t('xpHistory.entries', { count: entries.length })} · {t('common.xp', { xp: total })}
+                </CardDescription>
+            </CardHeader>
+            <CardContent>
+                <div className="space-y-4">
+                    <div className="flex flex-wrap gap-2">
+                        <Input
+                            type="date"
+                            value={day}
+                            onChange={(e) => setDay(e.target.value)}
+                            className="w-auto bg-black/20 text-white border-gray-600"
+                            aria-label={t('xpHistory.filter.day')}
+                        />
+                        <select
+                            value={category}
+                            onChange={(e) => setCategory(e.target.value)}
+                            className={selectClassName}
+                            aria-label={t('xpHistory.filter.category')}
+                        >
+                            <option value="">{t('xpHistory.filter.allCategories')}</option>
+                            {categories.map((name) => (
+                                <option key={name} value={name}>{getCategoryName(name, t)}</option>
+                            ))}
+                        </select>
+                        <select
+                            value={source}
+                            onChange={(e) => setSource(e.target.value)}
+                            className={selectClassName}
+                            aria-label={t('xpHistory.filter.source')}
+                        >
+                            <option value="">{t('xpHistory.filter.allSources')}</option>
+                            {Object.entries(XP_SOURCES).map(([value, key]) => (
+                                <option key={value} value={value}>{t(key)}</option>
+                            ))}
+                        </select>
+                        {subjects.length > 0 && (
+                            <select
+                                value={subject}
+                                onChange={(e) => setSubject(e.target.value)}
+                                className={selectClassName}
+                                aria-label={t('xpHistory.filter.subject')}
+                            >
+                                <option value="">{t('xpHistory.filter.allSubjects')}</option>
+                                {subjects.map((entry) => (
+                                    <option key={entry.id} value={entry.id}>{entry.name}</option>
+                                ))}
+                            </select>
+                        )}
+                        {hasFilters && (
+                            <Button
+                                onClick={() => {
+                                    setDay('');
+                                    setCategory('');
+                                    setSource('');
+                                    setSubject('');
+                                }}
+                                className="bg-black/40 text-white hover:bg-black/60 flex items-center gap-1"
+                            >
+                                <X className="w-4 h-4" />
+                                {t('xpHistory.clear')}
+                            </Button>
+                        )}
+                    </div>
+                    {entries.length > 0 ? (
+                        <ul className="max-h-80 overflow-y-auto divide-y divide-gray-700">
+                            {entries.map((entry) => (editingId === entry.id ? (
+                                <EntryForm
+                                    key={entry.id}
+                                    entry={entry}
+                                    onSave={(changes) => {
+                                        onEdit(entry.id, changes);
+                                        setEditingId(null);
+                                    }}
+                                    onCancel={() => setEditingId(null)}
+                                />
+                            ) : (
+                                <li key={entry.id} className="flex items-center justify-between gap-3 py-2">
+                                    <div className="flex-1 min-w-0">
+                                        <p className="font-semibold">{getTaskLabel(entry.taskId, entry.label, t)}</p>
+                                        <p className="text-xs text-gray-400">
+                                            {formatDateTime(entry.timestamp)} · {t(XP_SOURCES[entry.source])}
+                                            {entry.category && ` · ${getCategoryName(entry.category, t)}`}
+                                            {subjectNames.has(entry.subjectId) && ` · ${subjectNames.get(entry.subjectId)}`}
+                                        </p>
+                                    </div>
+                                    <span
+                                        className={cn(
+                                            "font-bold whitespace-nowrap",
+                                            entry.amount > 0 ? "text-green-400" : "text-gray-400"
+                                        )}
+                                    >
+                                        {t('common.plusXp', { xp: entry.amount })}
+                                    </span>
+                                    <Button
+                                        onClick={() => setEditingId(entry.id)}
+                                        className="h-8 w-8 p-0 bg-black/40 text-white hover:bg-black/60"
+                                        aria-label={t('xpHistory.edit', { label: getTaskLabel(entry.taskId, entry.label, t) })}
+                                    >
+                                        <Edit className="w-4 h-4" />
+                                    </Button>
+                                    <Button
+                                        onClick={() => {
+                                            if (window.confirm(t('xpHistory.confirmDelete', {
+                                                label: getTaskLabel(entry.taskId, entry.label, t),
+                                                xp: entry.amount,
+                                            }))) {
+                                                onDelete(entry.id);
+                                            }
+                                        }}
+                                        className="h-8 w-8 p-0 bg-black/40 text-white hover:bg-red-500"
+                                        aria-label={t('xpHistory.delete', { label: getTaskLabel(entry.taskId, entry.label, t) })}
+                                    >
+                                        <Trash2 className="w-4 h-4" />
+                                    </Button>
+                                </li>
+                            )))}
+                        </ul>
+                    ) : (
+                        <p className="text-gray-400">
+                            {hasFilters ? t('xpHistory.noMatches') : t('xpHistory.empty')}
+                        </p>
+                    )}
+                </div>
+            </CardContent>
+        </Card>
+    );
+};
+
+export default XpHistoryCard;
@@ -0,0 +1,10 @@
+import { createContext, useContext } from 'react';
+import { DEFAULT_LANGUAGE, Translator, createTranslator } from '@/lib/i18n';
+
+// The app provides the translator for the chosen language (see lib/i18n);
+// components read it with useI18n instead of having it passed down
+export const I18nContext = createContext<Translator>(createTranslator(DEFAULT_LANGUAGE));
+
+const useI18n = () => useContext(I18nContext);
+
+export default useI18n;
@@ -0,0 +1,42 @@
+import { useEffect, useRef } from 'react';
+
+const isTyping = (target: EventTarget | null) =>
+    target instanceof HTMLElement &&
+    (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+
+// Ctrl/Cmd+K toggles the command palette from anywhere. Single-key shortcuts
+// only fire while nothing is being typed and no dialog is open, and never
+// together with a modifier, so browser and screen reader keys keep working.
+const useKeyboardShortcuts = (onTogglePalette: () => void, shortcuts: Record<string, () => void>) => {
+    const onTogglePaletteRef = useRef(onTogglePalette);
+    const shortcutsRef = useRef(shortcuts);
+
+    onTogglePaletteRef.current = onTogglePalette;
+    shortcutsRef.current = shortcuts;
+
+    useEffect(() => {
+        const handleKeyDown = (event: KeyboardEvent) => {
+            if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 'k') {
+                event.preventDefault();
+                onTogglePaletteRef.current();
+                return;
+            }
+            if (
+                event.ctrlKey || event.metaKey || event.altKey || event.shiftKey || event.repeat ||
+                event.defaultPrevented || isTyping(event.target) ||
+                document.querySelector('[aria-modal="true"]')
+            ) {
+                return;
+            }
+            const run = shortcutsRef.current[event.key.toLowerCase()];
+            if (run) {
+                event.preventDefault();
+                run();
+            }
+        };
+        document.addEventListener('keydown', handleKeyDown);
+        return () => document.removeEventListener('keydown', handleKeyDown);
+    }, []);
+};
+
+export default useKeyboardShortcuts;
@@ -0,0 +1,89 @@
+import { useState, useEffect, useMemo, useCallback, useRef } from 'react';
+import { ProgressEvent, createEvent } from '@/lib/events';
+import {
+    StoredPreferences,
+    appendEvent,
+    mergeStores,
+    replaceEvents as replaceStoreEvents,
+    savePreferences as saveStorePreferences,
+} from '@/lib/progressStore';
+import { ProgressAdapter, SyncStatus, localStorageAdapter } from '@/lib/progressAdapters';
+import { deriveProgress } from '@/lib/progress';
+import { LevelCurve } from '@/lib/levels';
+
+// Owns the event log: components record events and read the derived progress.
+// Where the log is kept is up to the adapter (see lib/progressAdapters).
+const useProgress = (levelCurve: LevelCurve, adapter: ProgressAdapter = localStorageAdapter) => {
+    const [store, setStore] = useState(() => adapter.load());
+    const [syncStatus, setSyncStatus] = useState<SyncStatus>({ state: 'local' });
+    // The store as last rendered plus anything recorded since, so record can
+    // tell straight away whether it kept an event
+    const latestStore = useRef(store);
+    latestStore.current = store;
+
+    // The adapter may hand back events saved elsewhere in the meantime, so
+    // saving never overwrites events this tab hasn't seen yet
+    useEffect(() => {
+        if (typeof window === 'undefined') {
+            return;
+        }
+        const saved = adapter.save(store);
+        if (saved !== store) {
+            setStore(saved);
+        }
+    }, [adapter, store]);
+
+    // Picks up events recorded in other tabs or on other devices
+    useEffect(() => adapter.subscribe(
+        (incoming) => setStore(prev => mergeStores(prev, incoming)),
+        setSyncStatus
+    ), [adapter]);
+
+    const progress = useMemo(() => deriveProgress(store.events, { levelCurve }), [store, levelCurve]);
+
+    // `unless` is checked against the latest events, which keeps effects that
+    // record once per day idempotent even when they run twice. Returns the new
+    // event's id so later events can refer to it, or null when nothing was
+    // recorded.
+    //
+    // Things several tabs may record at once (a timer running out, a challenge
+    // completing itself) pass a fixed `id`, so merging the tabs keeps just one.
+    const record = useCallback((
+        type: string,
+        payload: object = {},
+        unless?: (events: ProgressEvent[]) => boolean,
+        id?: string
+    ): string | null => {
+        const event = createEvent(type, payload, new Date(), id);
+        const isSkipped = (events: ProgressEvent[]) =>
+            (unless && unless(events)) || events.some((existing) => existing.id === event.id);
+        if (isSkipped(latestStore.current.events)) {
+            return null;
+        }
+        latestStore.current = appendEvent(latestStore.current, event);
+        setStore(prev => (isSkipped(prev.events) ? prev : appendEvent(prev, event)));
+        return event.id;
+    }, []);
+
+    // Swaps in a whole event log, e.g. one restored from a backup
+    const replaceEvents = useCallback((events: ProgressEvent[]) => {
+        setStore(prev => replaceStoreEvents(prev, events));
+    }, []);
+
+    // Kept next to the log so it travels with it, but replaced rather than appended
+    const savePreferences = useCallback((preferences: StoredPreferences) => {
+        setStore(prev => saveStorePreferences(prev, preferences));
+    }, []);
+
+    return {
+        events: store.events,
+        progress,
+        record,
+        replaceEvents,
+        preferences: store.preferences ?? null,
+        savePreferences,
+        syncStatus,
+    };
+};
+
+export default useProgress;
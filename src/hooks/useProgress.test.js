@@ -0,0 +1,70 @@
+import React, { act } from 'react';
+import { createRoot } from 'react-dom/client';
+import useProgress from '@/hooks/useProgress';
+import { EVENT_TYPES } from '@/lib/events';
+import { DEFAULT_LEVEL_CURVE } from '@/lib/levels';
+import { SCHEMA_VERSION } from '@/lib/migrations';
+import { ProgressAdapter } from '@/lib/progressAdapters';
+
+globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+
+const memoryAdapter: ProgressAdapter = {
+    load: () => ({ version: SCHEMA_VERSION, events: [] }),
+    save: (store) => store,
+    subscribe: () => () => {},
+};
+
+let container: HTMLDivElement;
+let root;
+let result: ReturnType<typeof useProgress>;
+
+const Probe = () => {
+    result = useProgress(DEFAULT_LEVEL_CURVE, memoryAdapter);
+    return null;
+};
+
+beforeEach(() => {
+    container = document.createElement('div');
+    root = createRoot(container);
+    act(() => root.render(<Probe />));
+});
+
+afterEach(() => {
+    act(() => root.unmount());
+});
+
+const grant = { amount: 10, label: "Read", source: 'task', category: null };
+
+describe('record', () => {
+    it('returns the id of the event it appended', () => {
+        let id;
+        act(() => {
+            id = result.record(EVENT_TYPES.XP_GRANTED, grant);
+        });
+        expect(id).toEqual(expect.any(String));
+        expect(result.events.map((event) => event.id)).toEqual([id]);
+        expect(result.progress.xp).toBe(10);
+    });
+
+    it('returns null for an id that is already in the log, even before a re-render', () => {
+        const ids = [];
+        act(() => {
+            ids.push(result.record(EVENT_TYPES.XP_GRANTED, grant, undefined, 'fixed'));
+            ids.push(result.record(EVENT_TYPES.XP_GRANTED, grant, undefined, 'fixed'));
+        });
+        act(() => {
+            ids.push(result.record(EVENT_TYPES.XP_GRANTED, grant, undefined, 'fixed'));
+        });
+        expect(ids).toEqual(['fixed', null, null]);
+        expect(result.events).toHaveLength(1);
+    });
+
+    it('returns null when `unless` holds', () => {
+        let id;
+        act(() => {
+            id = result.record(EVENT_TYPES.XP_GRANTED, grant, () => true);
+        });
+        expect(id).toBeNull();
+        expect(result.events).toHaveLength(0);
+    });
+});
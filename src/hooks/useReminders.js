@@ -0,0 +1,44 @@
+import { useState, useEffect } from 'react';
+import useStoredState from '@/hooks/useStoredState';
+import { getNotificationPermission, showNotification } from '@/lib/notifications';
+import { StreakState } from '@/lib/streaks';
+import { REMINDERS_STORAGE_KEY, getDueReminders, parseSentReminders } from '@/lib/reminders';
+import { toDayKey } from '@/lib/dates';
+import { Translate } from '@/lib/i18n';
+
+const CHECK_INTERVAL_MS = 60 * 1000;
+
+// Shows the daily study reminder and the evening streak warning once their
+// time comes, unless today has already been studied
+const useReminders = (
+    { reminderTime, streakWarningTime }: { reminderTime: string | null; streakWarningTime: string | null },
+    streaks: StreakState,
+    t: Translate
+) => {
+    const [sent, setSent] = useStoredState(REMINDERS_STORAGE_KEY, () => ({}), parseSentReminders);
+    const [now, setNow] = useState(() => new Date());
+
+    useEffect(() => {
+        const interval = setInterval(() => setNow(new Date()), CHECK_INTERVAL_MS);
+        return () => clearInterval(interval);
+    }, []);
+
+    useEffect(() => {
+        // Without permission nothing is marked as sent, so reminders still
+        // fire later today if notifications get switched on
+        if (getNotificationPermission() !== 'granted') {
+            return;
+        }
+        const due = getDueReminders({ reminderTime, streakWarningTime }, streaks, sent, t, now);
+        if (due.length === 0) {
+            return;
+        }
+        const today = toDayKey(now);
+        setSent({ ...sent, ...Object.fromEntries(due.map((reminder) => [reminder.kind, today])) });
+        due.forEach(({ kind, title, body }) => {
+            showNotification(title, { body, tag: `reminder-${kind}` });
+        });
+    }, [reminderTime, streakWarningTime, streaks, sent, t, now, setSent]);
+};
+
+export default useReminders;
@@ -0,0 +1,138 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import {
+    FocusSession,
+    MIN_SESSION_MS,
+    TIMER_STORAGE_KEY,
+    TimerSettings,
+    createTimer,
+    getElapsed,
+    getPhaseLength,
+    loadTimer,
+    parseTimer,
+    pauseTimer,
+    resumeTimer,
+    saveTimer,
+    startPhase,
+    TimerPhase,
+    toFocusSession,
+} from '@/lib/timer';
+
+// Runs the focus/break cycle and reports each finished focus session once.
+// `onPhaseEnd` hears about phases whose countdown ran out, not ones ended by hand.
+const useSessionTimer = (
+    onFocusComplete: (session: FocusSession) => void,
+    onPhaseEnd?: (phase: Exclude<TimerPhase, 'idle'>) => void
+) => {
+    const [timer, setTimer] = useState(loadTimer);
+    const [now, setNow] = useState(Date.now);
+    const onFocusCompleteRef = useRef(onFocusComplete);
+    const onPhaseEndRef = useRef(onPhaseEnd);
+    const reportedRef = useRef<string | null>(null);
+
+    onFocusCompleteRef.current = onFocusComplete;
+    onPhaseEndRef.current = onPhaseEnd;
+
+    const isRunning = timer.runningSince !== null;
+    const elapsed = getElapsed(timer, now);
+    const phaseLength = getPhaseLength(timer);
+
+    useEffect(() => {
+        if (typeof window !== 'undefined') {
+            saveTimer(timer);
+        }
+    }, [timer]);
+
+    // The timer is shared by every open tab: whichever tab starts, pauses or
+    // finishes it, the others show the same countdown
+    useEffect(() => {
+        const handleStorage = (event: StorageEvent) => {
+            const shared = event.key === TIMER_STORAGE_KEY ? parseTimer(event.newValue) : null;
+            if (shared) {
+                setNow(Date.now());
+                setTimer(shared);
+            }
+        };
+        window.addEventListener('storage', handleStorage);
+        return () => window.removeEventListener('storage', handleStorage);
+    }, []);
+
+    useEffect(() => {
+        if (!isRunning) {
+            return undefined;
+        }
+        const interval = setInterval(() => setNow(Date.now()), 1000);
+        return () => clearInterval(interval);
+    }, [isRunning]);
+
+    const reportFocus = useCallback((session: FocusSession) => {
+        // Guards against effects replaying the same session
+        if (reportedRef.current !== session.startedAt) {
+            reportedRef.current = session.startedAt;
+            onFocusCompleteRef.current(session);
+        }
+    }, []);
+
+    // Roll over to the next phase when the countdown runs out, even if that
+    // happened while the page was closed
+    useEffect(() => {
+        if (timer.phase === 'idle' || !isRunning || elapsed < phaseLength) {
+            return;
+        }
+        const endedAt = now - (elapsed - phaseLength);
+        onPhaseEndRef.current?.(timer.phase);
+        if (timer.phase === 'focus') {
+            reportFocus(toFocusSession(timer, endedAt));
+            setTimer(startPhase(timer, 'break', '', endedAt));
+        } else {
+            setTimer(createTimer(timer.settings));
+        }
+    }, [timer, isRunning, elapsed, phaseLength, now, reportFocus]);
+
+    const start = (label: string) => {
+        const startedAt = Date.now();
+        setNow(startedAt);
+        setTimer(startPhase(timer, 'focus', label.trim(), startedAt));
+    };
+
+    const pause = () => setTimer(pauseTimer(timer, Date.now()));
+
+    const resume = () => {
+        const resumedAt = Date.now();
+        setNow(resumedAt);
+        setTimer(resumeTimer(timer, resumedAt));
+    };
+
+    // Ends focus early; anything shorter than MIN_SESSION_MS is dropped
+    const finish = () => {
+        const finishedAt = Date.now();
+        if (getElapsed(timer, finishedAt) < MIN_SESSION_MS) {
+            setTimer(createTimer(timer.settings));
+            return;
+        }
+        reportFocus(toFocusSession(timer, finishedAt));
+        setNow(finishedAt);
+        setTimer(startPhase(timer, 'break', '', finishedAt));
+    };
+
+    const skipBreak = () => setTimer(createTimer(timer.settings));
+
+    const updateSettings = (settings: TimerSettings) => setTimer({ ...timer, settings });
+
+    return {
+        timer,
+        elapsed,
+        remaining: Math.max(phaseLength - elapsed, 0),
+        phaseLength,
+        isRunning,
+        start,
+        pause,
+        resume,
+        finish,
+        skipBreak,
+        updateSettings,
+    };
+};
+
+export type SessionTimer = ReturnType<typeof useSessionTimer>;
+
+export default useSessionTimer;
@@ -0,0 +1,48 @@
+import { useState, useEffect } from 'react';
+
+// useState backed by a localStorage key, kept in step across open tabs.
+// `parse` turns the stored JSON into a value, or null when it's unusable, in
+// which case the default is used instead of breaking the app.
+const useStoredState = <T,>(key: string, getDefault: () => T, parse: (value: unknown) => T | null) => {
+    const [value, setValue] = useState<T>(() => {
+        if (typeof window === 'undefined') {
+            return getDefault();
+        }
+        try {
+            const stored = localStorage.getItem(key);
+            const parsed = stored === null ? null : parse(JSON.parse(stored));
+            return parsed ?? getDefault();
+        } catch {
+            return getDefault();
+        }
+    });
+
+    useEffect(() => {
+        if (typeof window !== 'undefined') {
+            localStorage.setItem(key, JSON.stringify(value));
+        }
+    }, [key, value]);
+
+    // Follows changes saved by other tabs; the latest save wins
+    useEffect(() => {
+        const handleStorage = (event: StorageEvent) => {
+            if (event.key !== key || event.newValue === null) {
+                return;
+            }
+            try {
+                const parsed = parse(JSON.parse(event.newValue));
+                if (parsed !== null) {
+                    setValue(parsed);
+                }
+            } catch {
+                // Keep this tab's value
+            }
+        };
+        window.addEventListener('storage', handleStorage);
+        return () => window.removeEventListener('storage', handleStorage);
+    }, [key, parse]);
+
+    return [value, setValue] as const;
+};
+
+export default useStoredState;
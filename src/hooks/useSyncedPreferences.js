@@ -0,0 +1,60 @@
+import { useEffect, useMemo } from 'react';
+import useStoredState from '@/hooks/useStoredState';
+import { StoredPreferences } from '@/lib/progressStore';
+import {
+    DEFAULT_PREFERENCES,
+    PREFERENCES_APPLIED_STORAGE_KEY,
+    Preferences,
+    parsePreferences,
+    toSyncedPreferences,
+} from '@/lib/preferences';
+
+// Waits for edits to settle, so typing into a field saves once
+const SAVE_DELAY_MS = 2000;
+
+// Untouched defaults are never saved, so a new device takes the synced
+// preferences instead of overriding them with its own
+const DEFAULT_SNAPSHOT = JSON.stringify(toSyncedPreferences(DEFAULT_PREFERENCES));
+
+const parseAppliedAt = (value: unknown) => (typeof value === 'string' ? value : null);
+
+// Keeps the preferences in their own stores and the copy saved with the
+// progress store in step: a newer copy (from another device or a restored
+// backup) is applied here, and changes made here replace the saved copy
+const useSyncedPreferences = (
+    preferences: Preferences,
+    apply: (snapshot: Partial<Preferences>) => void,
+    saved: StoredPreferences | null,
+    save: (preferences: StoredPreferences) => void
+) => {
+    // When the copy this browser last applied or saved was saved
+    const [appliedAt, setAppliedAt] = useStoredState<string | null>(
+        PREFERENCES_APPLIED_STORAGE_KEY,
+        () => null,
+        parseAppliedAt
+    );
+    const isBehind = saved !== null && saved.savedAt !== appliedAt;
+    const synced = useMemo(() => JSON.stringify(toSyncedPreferences(preferences)), [preferences]);
+
+    useEffect(() => {
+        if (isBehind) {
+            apply(parsePreferences(saved.value));
+            setAppliedAt(saved.savedAt);
+        }
+    }, [isBehind, saved, apply, setAppliedAt]);
+
+    useEffect(() => {
+        const current = saved ? JSON.stringify(saved.value) : DEFAULT_SNAPSHOT;
+        if (isBehind || synced === current) {
+            return undefined;
+        }
+        const timeout = setTimeout(() => {
+            const savedAt = new Date().toISOString();
+            save({ value: JSON.parse(synced), savedAt });
+            setAppliedAt(savedAt);
+        }, SAVE_DELAY_MS);
+        return () => clearTimeout(timeout);
+    }, [isBehind, saved, synced, save, setAppliedAt]);
+};
+
+export default useSyncedPreferences;
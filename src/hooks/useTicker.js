@@ -0,0 +1,17 @@
+import { useState, useEffect } from 'react';
+
+// Re-renders every `intervalMs` for views that depend on the current time;
+// null stops it
+const useTicker = (intervalMs: number | null) => {
+    const [, setTick] = useState(0);
+
+    useEffect(() => {
+        if (intervalMs === null) {
+            return undefined;
+        }
+        const interval = setInterval(() => setTick((tick) => tick + 1), intervalMs);
+        return () => clearInterval(interval);
+    }, [intervalMs]);
+};
+
+export default useTicker;
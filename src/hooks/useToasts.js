@@ -0,0 +1,73 @@
+import { useState, useCallback } from 'react';
+import useStoredState from '@/hooks/useStoredState';
+import { createId } from '@/lib/events';
+import {
+    MAX_NOTIFICATIONS,
+    MAX_VISIBLE_TOASTS,
+    NOTIFICATIONS_STORAGE_KEY,
+    TOAST_DURATION_MS,
+    Toast,
+    ToastAction,
+    ToastTone,
+    parseNotifications,
+} from '@/lib/toasts';
+
+export interface NotifyOptions {
+    tone?: ToastTone;
+    action?: ToastAction;
+    durationMs?: number;
+    // Only adds it to the notification center, e.g. when an overlay already says it
+    quiet?: boolean;
+}
+
+// The toast queue and the notification center's history. Toasts beyond the
+// first few wait their turn; each one dismisses itself (see ToastStack).
+const useToasts = () => {
+    const [queue, setQueue] = useState<Toast[]>([]);
+    const [notifications, setNotifications] = useStoredState(
+        NOTIFICATIONS_STORAGE_KEY,
+        () => [],
+        parseNotifications
+    );
+
+    const notify = useCallback((
+        message: string,
+        { tone = 'success', action, durationMs = TOAST_DURATION_MS, quiet = false }: NotifyOptions = {}
+    ) => {
+        const id = createId();
+        if (!quiet) {
+            setQueue(prev => [...prev, { id, message, tone, action, durationMs }]);
+        }
+        setNotifications(prev => [
+            { id, message, tone, at: new Date(), isRead: false },
+            ...prev,
+        ].slice(0, MAX_NOTIFICATIONS));
+        return id;
+    }, [setNotifications]);
+
+    const dismiss = useCallback((toastId: string) => {
+        setQueue(prev => prev.filter((toast) => toast.id !== toastId));
+    }, []);
+
+    const markAllRead = useCallback(() => {
+        setNotifications(prev => (
+            prev.some((record) => !record.isRead)
+                ? prev.map((record) => ({ ...record, isRead: true }))
+                : prev
+        ));
+    }, [setNotifications]);
+
+    const clearNotifications = useCallback(() => setNotifications([]), [setNotifications]);
+
+    return {
+        toasts: queue.slice(0, MAX_VISIBLE_TOASTS),
+        queuedCount: Math.max(queue.length - MAX_VISIBLE_TOASTS, 0),
+        notifications,
+        notify,
+        dismiss,
+        markAllRead,
+        clearNotifications,
+    };
+};
+
+export default useToasts;
@@ -0,0 +1,64 @@
+import React, { act } from 'react';
+import { createRoot } from 'react-dom/client';
+import useToasts from '@/hooks/useToasts';
+import { MAX_VISIBLE_TOASTS, NOTIFICATIONS_STORAGE_KEY } from '@/lib/toasts';
+
+globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+
+let container: HTMLDivElement;
+let root;
+let result: ReturnType<typeof useToasts>;
+
+const Probe = () => {
+    result = useToasts();
+    return null;
+};
+
+beforeEach(() => {
+    localStorage.clear();
+    container = document.createElement('div');
+    root = createRoot(container);
+    act(() => root.render(<Probe />));
+});
+
+afterEach(() => {
+    act(() => root.unmount());
+});
+
+const notifyMany = (count: number) => {
+    act(() => {
+        Array.from({ length: count }, (_, index) => result.notify(`Toast ${index}`));
+    });
+};
+
+describe('useToasts', () => {
+    it('shows a few toasts at a time and queues the rest', () => {
+        notifyMany(MAX_VISIBLE_TOASTS + 2);
+        expect(result.toasts.map((toast) => toast.message)).toEqual(["Toast 0", "Toast 1", "Toast 2"]);
+        expect(result.queuedCount).toBe(2);
+
+        act(() => result.dismiss(result.toasts[0].id));
+        expect(result.toasts.map((toast) => toast.message)).toEqual(["Toast 1", "Toast 2", "Toast 3"]);
+        expect(result.queuedCount).toBe(1);
+    });
+
+    it('keeps every toast in the notification center, newest first', () => {
+        notifyMany(2);
+        act(() => {
+            result.notify("Quiet", { tone: 'info', quiet: true });
+        });
+        expect(result.toasts).toHaveLength(2);
+        expect(result.notifications.map((record) => [record.message, record.isRead]))
+            .toEqual([["Quiet", false], ["Toast 1", false], ["Toast 0", false]]);
+        expect(JSON.parse(localStorage.getItem(NOTIFICATIONS_STORAGE_KEY))).toHaveLength(3);
+    });
+
+    it('marks notifications read and clears them', () => {
+        notifyMany(2);
+        act(() => result.markAllRead());
+        expect(result.notifications.every((record) => record.isRead)).toBe(true);
+
+        act(() => result.clearNotifications());
+        expect(result.notifications).toEqual([]);
+    });
+});
@@ -0,0 +1,188 @@
+import { BookOpen, BookMarked, PlusCircle, CalendarDays, Clock, BrainCircuit, Trophy } from 'lucide-react';
+import { EVENT_TYPES, ProgressEvent } from '@/lib/events';
+import { Progress } from '@/lib/progress';
+import { isPositiveMood } from '@/lib/moods';
+import { MessageKey, Translate } from '@/lib/i18n';
+
+// ===============================
+// Achievements
+// ===============================
+
+// Each achievement is plain data: a metric read off the derived progress and
+// the value that metric has to reach for each tier. Nothing here touches
+// storage; unlock dates come from achievement events (see lib/progress).
+
+export type AchievementTier = 'bronze' | 'silver' | 'gold';
+
+export const ACHIEVEMENT_TIERS: AchievementTier[] = ['bronze', 'silver', 'gold'];
+
+export const TIER_STYLES: Record<AchievementTier, { label: MessageKey; className: string }> = {
+    bronze: { label: 'achievements.tier.bronze', className: 'text-amber-600 border-amber-600/60' },
+    silver: { label: 'achievements.tier.silver', className: 'text-gray-200 border-gray-300/60' },
+    gold: { label: 'achievements.tier.gold', className: 'text-yellow-400 border-yellow-400/60' },
+};
+
+export const ACHIEVEMENT_METRICS: Record<string, (progress: Progress) => number> = {
+    totalXp: (progress) => progress.xp,
+    level: (progress) => progress.level,
+    sideQuests: (progress) => progress.sideQuestCount,
+    longestStreak: (progress) => progress.longestStreak,
+    focusSessions: (progress) => progress.sessions.length,
+    positiveMoods: (progress) => progress.moods.filter((entry) => isPositiveMood(entry.mood)).length,
+    booksFinished: (progress) => progress.books.filter((book) => book.isFinished).length,
+};
+
+// `name` identifies the badge in saved progress and backups, so it stays in
+// English; the shown name and description come from the message catalog
+export interface AchievementDefinition {
+    id: string;
+    name: string;
+    metric: keyof typeof ACHIEVEMENT_METRICS;
+    tiers: Record<AchievementTier, number>;
+    icon: React.ComponentType<{ className?: string }>;
+    color: string;
+}
+
+export const ACHIEVEMENTS: AchievementDefinition[] = [
+    {
+        id: 'page-turner',
+        name: "Page Turner",
+        metric: 'totalXp',
+        tiers: { bronze: 100, silver: 1000, gold: 5000 },
+        icon: BookOpen,
+        color: 'text-blue-400',
+    },
+    {
+        id: 'side-quest-hero',
+        name: "Side Quest Hero",
+        metric: 'sideQuests',
+        tiers: { bronze: 50, silver: 100, gold: 250 },
+        icon: PlusCircle,
+        color: 'text-green-400',
+    },
+    {
+        id: 'streak-master',
+        name: "Streak Master",
+        metric: 'longestStreak',
+        tiers: { bronze: 7, silver: 30, gold: 100 },
+        icon: CalendarDays,
+        color: 'text-pink-400',
+    },
+    {
+        id: 'time-lord',
+        name: "Time Lord",
+        metric: 'focusSessions',
+        tiers: { bronze: 1, silver: 25, gold: 100 },
+        icon: Clock,
+        color: 'text-cyan-400',
+    },
+    {
+        id: 'mood-maestro',
+        name: "Mood Maestro",
+        metric: 'positiveMoods',
+        tiers: { bronze: 1, silver: 10, gold: 50 },
+        icon: BrainCircuit,
+        color: 'text-purple-400',
+    },
+    {
+        id: 'level-up-legend',
+        name: "Level Up Legend",
+        metric: 'level',
+        tiers: { bronze: 2, silver: 5, gold: 10 },
+        icon: Trophy,
+        color: 'text-yellow-400',
+    },
+    {
+        id: 'book-finished',
+        name: "Book Finished",
+        metric: 'booksFinished',
+        tiers: { bronze: 1, silver: 5, gold: 20 },
+        icon: BookMarked,
+        color: 'text-orange-400',
+    },
+];
+
+export interface AchievementStatus {
+    definition: AchievementDefinition;
+    value: number;
+    tier: AchievementTier | null;
+    nextTier: AchievementTier | null;
+    goal: number;
+    unlockedAt: Partial<Record<AchievementTier, Date>>;
+}
+
+export const getAchievementName = (definition: AchievementDefinition, t: Translate) =>
+    t(`achievements.${definition.id}.name` as MessageKey);
+
+// Describes what the next tier takes
+export const getAchievementDescription = (definition: AchievementDefinition, goal: number, t: Translate) =>
+    t(`achievements.${definition.id}.description` as MessageKey, { count: goal });
+
+// Badges in backups are listed by their English name
+export const translateBadgeName = (name: string, t: Translate) => {
+    const definition = ACHIEVEMENTS.find((candidate) => candidate.name === name);
+    return definition ? getAchievementName(definition, t) : name;
+};
+
+export const getAchievementKey = (achievementId: string, tier: AchievementTier) => `${achievementId}:${tier}`;
+
+export const evaluateAchievement = (definition: AchievementDefinition, progress: Progress): AchievementStatus => {
+    const value = ACHIEVEMENT_METRICS[definition.metric](progress);
+    // Badges carried over from before achievements existed count as bronze
+    const floor = progress.importedBadges.includes(definition.name) ? 0 : -1;
+    const reached = ACHIEVEMENT_TIERS.filter((tier, index) => index <= floor || value >= definition.tiers[tier]);
+    const tier = reached[reached.length - 1] ?? null;
+    const nextTier = ACHIEVEMENT_TIERS[ACHIEVEMENT_TIERS.indexOf(tier) + 1] ?? null;
+
+    return {
+        definition,
+        value,
+        tier,
+        nextTier,
+        goal: definition.tiers[nextTier ?? 'gold'],
+        unlockedAt: Object.fromEntries(
+            reached
+                .filter((reachedTier) => progress.achievementUnlocks.has(getAchievementKey(definition.id, reachedTier)))
+                .map((reachedTier) => [
+                    reachedTier,
+                    progress.achievementUnlocks.get(getAchievementKey(definition.id, reachedTier)),
+                ])
+        ),
+    };
+};
+
+export const evaluateAchievements = (progress: Progress) =>
+    ACHIEVEMENTS.map((definition) => evaluateAchievement(definition, progress));
+
+export const getEarnedBadges = (progress: Progress) =>
+    evaluateAchievements(progress)
+        .filter((status) => status.tier !== null)
+        .map((status) => status.definition.name);
+
+// Tiers whose recorded state no longer matches the criteria: newly reached
+// ones need an unlock event, ones that are no longer met need a revoke
+export const getAchievementChanges = (progress: Progress) =>
+    evaluateAchievements(progress).flatMap((status) => {
+        const reachedIndex = ACHIEVEMENT_TIERS.indexOf(status.tier);
+        return ACHIEVEMENT_TIERS
+            .map((tier, index) => ({
+                achievement: status.definition.id,
+                tier,
+                unlocked: index <= reachedIndex,
+            }))
+            .filter(({ achievement, tier, unlocked }) =>
+                progress.achievementUnlocks.has(getAchievementKey(achievement, tier)) !== unlocked
+            );
+    });
+
+// Whether the event log currently has a tier unlocked (its latest unlock isn't revoked)
+export const isTierUnlocked = (events: ProgressEvent[], achievement: string, tier: AchievementTier) => {
+    const latest = events
+        .filter((event) =>
+            (event.type === EVENT_TYPES.ACHIEVEMENT_UNLOCKED || event.type === EVENT_TYPES.ACHIEVEMENT_REVOKED) &&
+            event.achievement === achievement &&
+            event.tier === tier
+        )
+        .reduce((last, event) => (!last || event.at >= last.at ? event : last), null);
+    return latest?.type === EVENT_TYPES.ACHIEVEMENT_UNLOCKED;
+};
@@ -0,0 +1,175 @@
+import { ProgressEvent, isValidEvent } from '@/lib/events';
+import { SCHEMA_VERSION, migrate } from '@/lib/migrations';
+import { Progress, deriveProgress } from '@/lib/progress';
+import { LevelCurve } from '@/lib/levels';
+import { toDayKey } from '@/lib/dates';
+import { MessageKey } from '@/lib/i18n';
+import { StoredPreferences, parseStoredPreferences } from '@/lib/progressStore';
+
+// ===============================
+// Backup Export & Import
+// ===============================
+
+const BACKUP_APP_ID = 'scholar-quest';
+
+export type ImportMode = 'merge' | 'replace';
+
+export interface BackupPreview {
+    events: ProgressEvent[];
+    // Settings, tasks, rewards, subjects and challenges; missing from older backups
+    preferences: StoredPreferences | null;
+    skipped: number;
+    exportedAt: Date | null;
+}
+
+export interface ImportDiff {
+    xpBefore: number;
+    xpAfter: number;
+    levelBefore: number;
+    levelAfter: number;
+    badgesGained: string[];
+    badgesLost: string[];
+}
+
+// Carries a message key, so the error can be shown in the user's language
+export class BackupError extends Error {
+    key: MessageKey;
+
+    constructor(key: MessageKey) {
+        super(key);
+        this.name = 'BackupError';
+        this.key = key;
+    }
+}
+
+// The events and preferences are what gets restored; the summary is there so
+// the file is readable on its own.
+export const buildBackup = (events: ProgressEvent[], progress: Progress, preferences: StoredPreferences | null) => ({
+    app: BACKUP_APP_ID,
+    version: SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    summary: {
+        xp: progress.xp,
+        level: progress.level,
+        streak: progress.streak,
+        badges: progress.badges,
+        sideQuestCount: progress.sideQuestCount,
+        sideQuests: progress.log
+            .filter((entry) => entry.source === 'sideQuest')
+            .map((entry) => ({ quest: entry.label, completedAt: entry.timestamp.toISOString() })),
+        moods: progress.moods.map((entry) => ({
+            mood: entry.mood,
+            note: entry.note,
+            submittedAt: entry.timestamp.toISOString(),
+        })),
+        sessions: progress.sessions.map((session) => ({
+            label: session.label,
+            startedAt: session.startedAt.toISOString(),
+            focusedMinutes: Math.round(session.focusedMs / 60000),
+        })),
+        purchases: progress.purchases.map((purchase) => ({
+            reward: purchase.name,
+            cost: purchase.cost,
+            redeemedAt: purchase.timestamp.toISOString(),
+        })),
+        log: progress.log.map((entry) => ({ ...entry, timestamp: entry.timestamp.toISOString() })),
+    },
+    events,
+    ...(preferences && { preferences }),
+});
+
+// Quotes every field, and defuses text that a spreadsheet would run as a formula
+const toCsvField = (value: string | number | null, isText: boolean = true) => {
+    const text = value === null ? '' : String(value);
+    const safe = isText && /^[=+\-@]/.test(text) ? `'${text}` : text;
+    return `"${safe.replace(/"/g, '""')}"`;
+};
+
+export const logToCsv = (progress: Progress) => {
+    const header = ['timestamp', 'label', 'amount', 'source', 'category'].map((field) => toCsvField(field));
+    const rows = progress.log.map((entry) => [
+        toCsvField(entry.timestamp.toISOString()),
+        toCsvField(entry.label),
+        toCsvField(entry.amount, false),
+        toCsvField(entry.source),
+        toCsvField(entry.category),
+    ]);
+    return [header, ...rows].map((row) => row.join(',')).join('\r\n');
+};
+
+export const downloadFile = (contents: string, type: string, extension: string) => {
+    const url = URL.createObjectURL(new Blob([contents], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `scholar-quest-${toDayKey(new Date())}.${extension}`;
+    link.click();
+    URL.revokeObjectURL(url);
+};
+
+export const parseBackup = (text: string): BackupPreview => {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        throw new BackupError('backup.error.invalidJson');
+    }
+    if (!data || data.app !== BACKUP_APP_ID || !Array.isArray(data.events)) {
+        throw new BackupError('backup.error.notBackup');
+    }
+    if (!Number.isInteger(data.version) || data.version < 1) {
+        throw new BackupError('backup.error.unknownVersion');
+    }
+    if (data.version > SCHEMA_VERSION) {
+        throw new BackupError('backup.error.newerVersion');
+    }
+
+    const { events } = migrate({ version: data.version, events: data.events });
+    const valid = events.filter(isValidEvent);
+    const exportedAt = new Date(data.exportedAt);
+    return {
+        events: valid,
+        preferences: parseStoredPreferences(data.preferences),
+        skipped: events.length - valid.length,
+        exportedAt: Number.isNaN(exportedAt.getTime()) ? null : exportedAt,
+    };
+};
+
+// Events carry stable ids, so merging is a union that never double-counts
+export const mergeEvents = (current: ProgressEvent[], incoming: ProgressEvent[]) => {
+    const known = new Set(current.map((event) => event.id));
+    return [...current, ...incoming.filter((event) => !known.has(event.id))];
+};
+
+export const resolveImport = (current: ProgressEvent[], incoming: ProgressEvent[], mode: ImportMode) =>
+    mode === 'merge' ? mergeEvents(current, incoming) : incoming;
+
+// The preferences to save after an import, or null to keep the current ones.
+// Replacing restores the backup's, saved as of now so they win over other
+// devices; merging only takes them when they were saved more recently.
+export const resolveImportedPreferences = (
+    current: StoredPreferences | null,
+    incoming: StoredPreferences | null,
+    mode: ImportMode,
+    now = new Date()
+): StoredPreferences | null => {
+    if (!incoming) {
+        return null;
+    }
+    if (mode === 'replace') {
+        return { value: incoming.value, savedAt: now.toISOString() };
+    }
+    return !current || incoming.savedAt > current.savedAt ? incoming : null;
+};
+
+export const diffProgress = (before: ProgressEvent[], after: ProgressEvent[], levelCurve: LevelCurve): ImportDiff => {
+    const previous = deriveProgress(before, { levelCurve });
+    const next = deriveProgress(after, { levelCurve });
+    return {
+        xpBefore: previous.xp,
+        xpAfter: next.xp,
+        levelBefore: previous.level,
+        levelAfter: next.level,
+        badgesGained: next.badges.filter((badge) => !previous.badges.includes(badge)),
+        badgesLost: previous.badges.filter((badge) => !next.badges.includes(badge)),
+    };
+};
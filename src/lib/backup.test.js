@@ -0,0 +1,50 @@
+import { EVENT_TYPES, createEvent } from '@/lib/events';
+import { deriveProgress } from '@/lib/progress';
+import { SCHEMA_VERSION } from '@/lib/migrations';
+import { buildBackup, parseBackup, resolveImportedPreferences } from '@/lib/backup';
+
+const grant = createEvent(
+    EVENT_TYPES.XP_GRANTED,
+    { amount: 10, label: "Read", source: 'task', category: null },
+    new Date('2025-03-05T08:00:00.000Z'),
+    'a'
+);
+
+const saved = (savedAt: string) => ({ value: { settings: { xpPerCoin: 5 } }, savedAt });
+
+describe('buildBackup and parseBackup', () => {
+    it('round-trip the events and the preferences', () => {
+        const preferences = saved('2025-03-05T09:00:00.000Z');
+        const backup = buildBackup([grant], deriveProgress([grant]), preferences);
+        const preview = parseBackup(JSON.stringify(backup));
+        expect(preview.events).toEqual([grant]);
+        expect(preview.preferences).toEqual(preferences);
+    });
+
+    it('reads backups made before preferences were included', () => {
+        const preview = parseBackup(JSON.stringify({ app: 'scholar-quest', version: SCHEMA_VERSION, events: [grant] }));
+        expect(preview.preferences).toBeNull();
+    });
+});
+
+describe('resolveImportedPreferences', () => {
+    const now = new Date('2025-03-06T00:00:00.000Z');
+
+    it('restores the backup as of now when replacing', () => {
+        expect(resolveImportedPreferences(saved('2025-03-05T10:00:00.000Z'), saved('2025-03-01T00:00:00.000Z'), 'replace', now))
+            .toEqual(saved(now.toISOString()));
+    });
+
+    it('only takes more recent preferences when merging', () => {
+        const current = saved('2025-03-05T10:00:00.000Z');
+        expect(resolveImportedPreferences(current, saved('2025-03-01T00:00:00.000Z'), 'merge', now)).toBeNull();
+        expect(resolveImportedPreferences(current, saved('2025-03-05T11:00:00.000Z'), 'merge', now))
+            .toEqual(saved('2025-03-05T11:00:00.000Z'));
+        expect(resolveImportedPreferences(null, saved('2025-03-01T00:00:00.000Z'), 'merge', now))
+            .toEqual(saved('2025-03-01T00:00:00.000Z'));
+    });
+
+    it('keeps the current preferences when the backup has none', () => {
+        expect(resolveImportedPreferences(saved('2025-03-05T10:00:00.000Z'), null, 'replace', now)).toBeNull();
+    });
+});
@@ -0,0 +1,137 @@
+import { LogEntry } from '@/lib/xpLog';
+import { MAX_TASK_XP, TaskCategory, TaskDefinition } from '@/lib/taskCatalog';
+import { MessageKey, Translate } from '@/lib/i18n';
+
+// ===============================
+// Reading Tracker
+// ===============================
+
+// Books are added, edited and deleted through events; reading is a `reading`
+// XP grant carrying the bookId and the page range that was read. Pages only
+// count (and earn XP) the first time they're logged.
+
+export interface BookDefinition {
+    id: string;
+    title: string;
+    totalPages: number;
+    createdAt: Date;
+}
+
+export interface PageRange {
+    fromPage: number;
+    toPage: number;
+}
+
+export interface Book extends BookDefinition {
+    // Furthest page reached
+    currentPage: number;
+    pagesRead: number;
+    // Pages logged so far, merged and in order
+    readRanges: PageRange[];
+    isFinished: boolean;
+    finishedAt: Date | null;
+}
+
+export type ReadingXpMode = 'buckets' | 'rate';
+
+export const READING_XP_MODES: Record<ReadingXpMode, MessageKey> = {
+    buckets: 'books.mode.buckets',
+    rate: 'books.mode.rate',
+};
+
+export const MAX_BOOK_PAGES = 10000;
+
+const mergeRanges = (ranges: PageRange[]) =>
+    [...ranges]
+        .sort((a, b) => a.fromPage - b.fromPage)
+        .reduce<PageRange[]>((merged, range) => {
+            const last = merged[merged.length - 1];
+            if (last && range.fromPage <= last.toPage + 1) {
+                merged[merged.length - 1] = { ...last, toPage: Math.max(last.toPage, range.toPage) };
+            } else {
+                merged.push({ ...range });
+            }
+            return merged;
+        }, []);
+
+const countPages = (ranges: PageRange[]) =>
+    ranges.reduce((sum, range) => sum + range.toPage - range.fromPage + 1, 0);
+
+export const getBookStatus = (book: BookDefinition, log: LogEntry[]): Book => {
+    let currentPage = 0;
+    let finishedAt: Date | null = null;
+    const ranges: PageRange[] = [];
+
+    log.filter((entry) => entry.bookId === book.id).forEach((entry) => {
+        currentPage = Math.max(currentPage, entry.toPage ?? 0);
+        if (entry.fromPage !== undefined && entry.toPage !== undefined) {
+            ranges.push({ fromPage: entry.fromPage, toPage: Math.min(entry.toPage, book.totalPages) });
+        }
+        if (!finishedAt && currentPage >= book.totalPages) {
+            finishedAt = entry.timestamp;
+        }
+    });
+
+    // Older logs could hold the same pages twice; they only count once
+    const readRanges = mergeRanges(ranges.filter((range) => range.fromPage <= range.toPage));
+    return {
+        ...book,
+        currentPage: Math.min(currentPage, book.totalPages),
+        pagesRead: countPages(readRanges),
+        readRanges,
+        isFinished: finishedAt !== null,
+        finishedAt,
+    };
+};
+
+// Pages in the range that haven't been logged before
+export const countUnreadPages = (book: Book, fromPage: number, toPage: number) => {
+    const overlap = book.readRanges
+        .map((range) => ({ fromPage: Math.max(range.fromPage, fromPage), toPage: Math.min(range.toPage, toPage) }))
+        .filter((range) => range.fromPage <= range.toPage);
+    return toPage - fromPage + 1 - countPages(overlap);
+};
+
+// The reading task with the largest page count not above `pages`, e.g. 12
+// pages falls in the "Read 5–14 pages" bucket. Reading counts against that
+// task's cooldown and daily caps.
+export const getReadingTask = (
+    pages: number,
+    catalog: TaskCategory[]
+): { category: TaskCategory; task: TaskDefinition } | undefined => {
+    const buckets = catalog
+        .flatMap((category) => category.tasks.map((task) => ({ category, task })))
+        .filter(({ task }) => task.pages > 0 && task.pages <= pages)
+        .sort((a, b) => b.task.pages - a.task.pages);
+    return buckets[0];
+};
+
+export const getReadingXp = (
+    pages: number,
+    { mode, xpPerPage }: { mode: ReadingXpMode; xpPerPage: number },
+    catalog: TaskCategory[]
+) => {
+    if (pages <= 0) {
+        return 0;
+    }
+    const xp = mode === 'rate' ? Math.round(pages * xpPerPage) : getReadingTask(pages, catalog)?.task.value ?? 0;
+    return Math.min(xp, MAX_TASK_XP);
+};
+
+// Turns what the user typed into the pages read this time, or an error message
+export const parsePageRange = (book: Book, fromPage: number, toPage: number, t: Translate) => {
+    if (!Number.isInteger(fromPage) || !Number.isInteger(toPage) || fromPage < 1) {
+        return { error: t('books.error.wholePages') };
+    }
+    if (toPage < fromPage) {
+        return { error: t('books.error.order') };
+    }
+    if (toPage > book.totalPages) {
+        return { error: t('books.error.tooLong', { title: book.title, count: book.totalPages }) };
+    }
+    const pages = countUnreadPages(book, fromPage, toPage);
+    if (pages === 0) {
+        return { error: t('books.error.alreadyRead') };
+    }
+    return { fromPage, toPage, pages };
+};
@@ -0,0 +1,84 @@
+import { LogEntry } from '@/lib/xpLog';
+import { DEFAULT_TASK_CATEGORIES, MAX_TASK_XP } from '@/lib/taskCatalog';
+import { countUnreadPages, getBookStatus, getReadingTask, getReadingXp, parsePageRange } from '@/lib/books';
+import { createTranslator } from '@/lib/i18n';
+
+const { t } = createTranslator('en');
+
+const definition = { id: 'b1', title: "Dune", totalPages: 100, createdAt: new Date(2025, 2, 1) };
+
+const reading = (fromPage: number, toPage: number, day = 5): LogEntry => ({
+    id: `${fromPage}-${toPage}`,
+    label: "Read",
+    amount: 10,
+    source: 'reading',
+    category: null,
+    bookId: 'b1',
+    fromPage,
+    toPage,
+    pages: toPage - fromPage + 1,
+    timestamp: new Date(2025, 2, day),
+});
+
+describe('getBookStatus', () => {
+    it('merges the ranges read and counts each page once', () => {
+        const book = getBookStatus(definition, [reading(1, 10), reading(5, 20), reading(30, 40), reading(21, 25)]);
+        expect(book.readRanges).toEqual([{ fromPage: 1, toPage: 25 }, { fromPage: 30, toPage: 40 }]);
+        expect(book.pagesRead).toBe(36);
+        expect(book.currentPage).toBe(40);
+        expect(book.isFinished).toBe(false);
+    });
+
+    it('is finished once the last page is reached', () => {
+        const book = getBookStatus(definition, [reading(1, 50, 3), reading(51, 100, 4)]);
+        expect(book.isFinished).toBe(true);
+        expect(book.finishedAt).toEqual(new Date(2025, 2, 4));
+    });
+});
+
+describe('countUnreadPages', () => {
+    const book = getBookStatus(definition, [reading(1, 10), reading(21, 30)]);
+
+    it('leaves out pages logged before', () => {
+        expect(countUnreadPages(book, 1, 10)).toBe(0);
+        expect(countUnreadPages(book, 5, 25)).toBe(10);
+        expect(countUnreadPages(book, 31, 40)).toBe(10);
+    });
+});
+
+describe('parsePageRange', () => {
+    const book = getBookStatus(definition, [reading(1, 10)]);
+
+    it('rejects pages that were all logged already', () => {
+        expect(parsePageRange(book, 1, 10, t)).toEqual({ error: t('books.error.alreadyRead') });
+    });
+
+    it('only counts the unread part of an overlapping range', () => {
+        expect(parsePageRange(book, 6, 15, t)).toEqual({ fromPage: 6, toPage: 15, pages: 5 });
+    });
+
+    it('rejects ranges outside the book', () => {
+        expect(parsePageRange(book, 90, 101, t)).toHaveProperty('error');
+        expect(parsePageRange(book, 20, 15, t)).toHaveProperty('error');
+        expect(parsePageRange(book, 0, 5, t)).toHaveProperty('error');
+    });
+});
+
+describe('getReadingTask', () => {
+    it('picks the largest bucket the pages reach', () => {
+        expect(getReadingTask(12, DEFAULT_TASK_CATEGORIES)?.task.id).toBe('read-5-14');
+        expect(getReadingTask(300, DEFAULT_TASK_CATEGORIES)?.task.id).toBe('read-25-plus');
+        expect(getReadingTask(0, DEFAULT_TASK_CATEGORIES)).toBeUndefined();
+    });
+});
+
+describe('getReadingXp', () => {
+    it('uses the bucket value or the per-page rate', () => {
+        expect(getReadingXp(12, { mode: 'buckets', xpPerPage: 1 }, DEFAULT_TASK_CATEGORIES)).toBe(10);
+        expect(getReadingXp(12, { mode: 'rate', xpPerPage: 1.5 }, DEFAULT_TASK_CATEGORIES)).toBe(18);
+    });
+
+    it('caps a single log', () => {
+        expect(getReadingXp(10000, { mode: 'rate', xpPerPage: 1 }, DEFAULT_TASK_CATEGORIES)).toBe(MAX_TASK_XP);
+    });
+});
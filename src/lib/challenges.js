@@ -0,0 +1,190 @@
+import { createId } from '@/lib/events';
+import { Progress } from '@/lib/progress';
+import { LogEntry, isStudyEntry } from '@/lib/xpLog';
+import { startOfWeek, toDayKey } from '@/lib/dates';
+import { MessageKey, Translate, translateDefault } from '@/lib/i18n';
+
+// ===============================
+// Challenges
+// ===============================
+
+export const CHALLENGE_POOL_STORAGE_KEY = 'scholarQuest.challenges';
+
+export type ChallengeTier = 'daily' | 'weekly';
+
+// What a challenge is checked against. `manual` challenges are completed by
+// hand; the rest complete themselves once the logged activity reaches `target`.
+export type ChallengeGoalType = 'manual' | 'pages' | 'focusMinutes' | 'tasks' | 'studyXp';
+
+export const CHALLENGE_GOALS: Record<ChallengeGoalType, MessageKey> = {
+    manual: 'challenges.goal.manual',
+    pages: 'challenges.goal.pages',
+    focusMinutes: 'challenges.goal.focusMinutes',
+    tasks: 'challenges.goal.tasks',
+    studyXp: 'challenges.goal.studyXp',
+};
+
+export interface Challenge {
+    id: string;
+    text: string;
+    goal: ChallengeGoalType;
+    target: number;
+}
+
+export type ChallengePool = Record<ChallengeTier, Challenge[]>;
+
+const manual = (id: string, text: string): Challenge => ({ id, text, goal: 'manual', target: 1 });
+
+export const DEFAULT_CHALLENGE_POOL: ChallengePool = {
+    daily: [
+        { id: 'read-10', text: "Read 10 pages today", goal: 'pages', target: 10 },
+        manual('reflect', "Reflect on your progress for 10 minutes"),
+        manual('take-notes', "Take notes on your learning"),
+        manual('new-technique', "Try a new study technique"),
+        manual('practice-problems', "Solve 5 practice problems"),
+        manual('summarize', "Summarize a chapter"),
+        manual('study-plan', "Create a study plan for the week"),
+        manual('review', "Review previous material"),
+        manual('study-group', "Attend a study group"),
+        manual('explain', "Explain a concept to someone else"),
+        { id: 'focus-25', text: "Focus for 25 minutes", goal: 'focusMinutes', target: 25 },
+        { id: 'tasks-3', text: "Log 3 study tasks", goal: 'tasks', target: 3 },
+    ],
+    weekly: [
+        { id: 'read-100', text: "Read 100 pages this week", goal: 'pages', target: 100 },
+        { id: 'focus-180', text: "Focus for 3 hours this week", goal: 'focusMinutes', target: 180 },
+        { id: 'tasks-20', text: "Log 20 study tasks this week", goal: 'tasks', target: 20 },
+        { id: 'xp-300', text: "Earn 300 study XP this week", goal: 'studyXp', target: 300 },
+    ],
+};
+
+const isValidChallenge = (challenge) =>
+    challenge &&
+    typeof challenge.id === 'string' &&
+    typeof challenge.text === 'string' &&
+    challenge.goal in CHALLENGE_GOALS &&
+    Number.isInteger(challenge.target) &&
+    challenge.target > 0;
+
+export const parseChallengePool = (pool: unknown) =>
+    pool &&
+    typeof pool === 'object' &&
+    (['daily', 'weekly'] as ChallengeTier[]).every((tier) =>
+        Array.isArray(pool[tier]) && pool[tier].every(isValidChallenge)
+    )
+        ? pool as ChallengePool
+        : null;
+
+export const createChallenge = (text: string): Challenge => ({
+    id: createId(),
+    text,
+    goal: 'manual',
+    target: 1,
+});
+
+const DEFAULT_CHALLENGE_TEXTS = new Map(
+    [...DEFAULT_CHALLENGE_POOL.daily, ...DEFAULT_CHALLENGE_POOL.weekly].map((challenge) => [challenge.id, challenge.text])
+);
+
+export const getChallengeText = (challenge: Challenge, t: Translate) =>
+    translateDefault(t, `challenges.pool.${challenge.id}`, challenge.text, DEFAULT_CHALLENGE_TEXTS.get(challenge.id));
+
+// ===============================
+// Picking
+// ===============================
+
+// FNV-1a, so the same seed always lands on the same challenge
+const hashSeed = (seed: string) => {
+    let hash = 0x811c9dc5;
+    for (let index = 0; index < seed.length; index++) {
+        hash ^= seed.charCodeAt(index);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+};
+
+// The day key (or the week's Monday) the challenge is picked for
+export const getChallengePeriod = (tier: ChallengeTier, today = toDayKey(new Date())) =>
+    (tier === 'daily' ? today : startOfWeek(today));
+
+export const pickChallenge = (pool: ChallengePool, tier: ChallengeTier, today = toDayKey(new Date())) => {
+    const challenges = pool[tier];
+    if (challenges.length === 0) {
+        return null;
+    }
+    return challenges[hashSeed(`${tier}:${getChallengePeriod(tier, today)}`) % challenges.length];
+};
+
+// ===============================
+// Checking
+// ===============================
+
+export interface ChallengeStatus {
+    challenge: Challenge;
+    tier: ChallengeTier;
+    period: string;
+    value: number;
+    isMet: boolean;
+    isCompleted: boolean;
+}
+
+const CHALLENGE_SOURCES: Record<ChallengeTier, LogEntry['source']> = {
+    daily: 'challenge',
+    weekly: 'weeklyChallenge',
+};
+
+export const getChallengeSource = (tier: ChallengeTier) => CHALLENGE_SOURCES[tier];
+
+const isInPeriod = (date: Date, tier: ChallengeTier, period: string) =>
+    getChallengePeriod(tier, toDayKey(date)) === period;
+
+// How much of an activity was logged in a period; also used by goals, which
+// can count a single task instead of all of them
+export const measureActivity = (
+    goal: ChallengeGoalType,
+    progress: Progress,
+    inPeriod: (date: Date) => boolean,
+    taskId?: string
+) => {
+    const entries = progress.log.filter((entry) => inPeriod(entry.timestamp));
+    switch (goal) {
+        case 'pages':
+            return entries.reduce((sum, entry) => sum + (entry.pages ?? 0), 0);
+        case 'focusMinutes':
+            return Math.floor(
+                progress.sessions
+                    .filter((session) => inPeriod(session.startedAt))
+                    .reduce((sum, session) => sum + session.focusedMs, 0) / 60000
+            );
+        case 'tasks':
+            return entries.filter((entry) => entry.source === 'task' && (!taskId || entry.taskId === taskId)).length;
+        case 'studyXp':
+            return entries
+                .filter(isStudyEntry)
+                .reduce((sum, entry) => sum + entry.amount, 0);
+        default:
+            return 0;
+    }
+};
+
+export const getChallengeStatus = (
+    challenge: Challenge,
+    tier: ChallengeTier,
+    progress: Progress,
+    today = toDayKey(new Date())
+): ChallengeStatus => {
+    const period = getChallengePeriod(tier, today);
+    const inPeriod = (date: Date) => isInPeriod(date, tier, period);
+    const value = measureActivity(challenge.goal, progress, inPeriod);
+    const isCompleted = (tier === 'daily' && progress.challengeCompletedToday) ||
+        progress.log.some((entry) => entry.source === CHALLENGE_SOURCES[tier] && inPeriod(entry.timestamp));
+
+    return {
+        challenge,
+        tier,
+        period,
+        value,
+        isMet: challenge.goal !== 'manual' && value >= challenge.target,
+        isCompleted,
+    };
+};
@@ -0,0 +1,120 @@
+import { EVENT_TYPES, createEvent } from '@/lib/events';
+import { deriveProgress } from '@/lib/progress';
+import {
+    Challenge,
+    DEFAULT_CHALLENGE_POOL,
+    getChallengePeriod,
+    getChallengeStatus,
+    measureActivity,
+    parseChallengePool,
+    pickChallenge,
+} from '@/lib/challenges';
+
+const at = (day: string) => new Date(`${day}T12:00:00`);
+
+const xp = (day: string, fields: object = {}) => createEvent(
+    EVENT_TYPES.XP_GRANTED,
+    { amount: 10, label: "Entry", source: 'task', category: null, ...fields },
+    at(day)
+);
+
+const session = (day: string, minutes: number) => createEvent(
+    EVENT_TYPES.SESSION_COMPLETED,
+    { label: "Focus", startedAt: at(day).toISOString(), focusedMs: minutes * 60000, plannedMs: minutes * 60000 },
+    at(day)
+);
+
+// 2025-03-03 is a Monday
+const TODAY = '2025-03-05';
+const progressOf = (...events) => deriveProgress(events, { now: at(TODAY) });
+const onDay = (day: string) => (date: Date) => date.getTime() === at(day).getTime();
+
+describe('parseChallengePool', () => {
+    it('accepts the default pool', () => {
+        expect(parseChallengePool(DEFAULT_CHALLENGE_POOL)).toBe(DEFAULT_CHALLENGE_POOL);
+    });
+
+    it.each([
+        ['a missing tier', { daily: [] }],
+        ['an unknown goal', { daily: [{ id: 'a', text: "A", goal: 'laps', target: 1 }], weekly: [] }],
+        ['a target below one', { daily: [{ id: 'a', text: "A", goal: 'pages', target: 0 }], weekly: [] }],
+    ])('rejects %s', (_, pool) => {
+        expect(parseChallengePool(pool)).toBeNull();
+    });
+});
+
+describe('pickChallenge', () => {
+    it('picks the same challenge all day', () => {
+        expect(pickChallenge(DEFAULT_CHALLENGE_POOL, 'daily', TODAY))
+            .toBe(pickChallenge(DEFAULT_CHALLENGE_POOL, 'daily', TODAY));
+    });
+
+    it('keeps the weekly challenge from Monday to Sunday', () => {
+        const picked = pickChallenge(DEFAULT_CHALLENGE_POOL, 'weekly', '2025-03-03');
+        ['2025-03-05', '2025-03-09'].forEach((day) => {
+            expect(pickChallenge(DEFAULT_CHALLENGE_POOL, 'weekly', day)).toBe(picked);
+        });
+    });
+
+    it('returns null for an empty tier', () => {
+        expect(pickChallenge({ daily: [], weekly: [] }, 'daily', TODAY)).toBeNull();
+    });
+});
+
+describe('getChallengePeriod', () => {
+    it('uses the day for daily challenges and the Monday for weekly ones', () => {
+        expect(getChallengePeriod('daily', TODAY)).toBe(TODAY);
+        expect(getChallengePeriod('weekly', TODAY)).toBe('2025-03-03');
+    });
+});
+
+describe('measureActivity', () => {
+    const progress = progressOf(
+        xp(TODAY, { pages: 12 }),
+        xp(TODAY, { taskId: 'flashcards' }),
+        xp(TODAY, { amount: 50, source: 'streak' }),
+        xp('2025-03-04', { pages: 30 }),
+        session(TODAY, 20),
+        session(TODAY, 10.5)
+    );
+    const today = onDay(TODAY);
+
+    it('adds up pages read in the period', () => {
+        expect(measureActivity('pages', progress, today)).toBe(12);
+    });
+
+    it('counts whole focus minutes', () => {
+        expect(measureActivity('focusMinutes', progress, today)).toBe(30);
+    });
+
+    it('counts tasks, or only one task when given', () => {
+        expect(measureActivity('tasks', progress, today)).toBe(2);
+        expect(measureActivity('tasks', progress, today, 'flashcards')).toBe(1);
+    });
+
+    it('leaves bonuses out of study XP', () => {
+        expect(measureActivity('studyXp', progress, today)).toBe(20);
+    });
+});
+
+describe('getChallengeStatus', () => {
+    const readTen: Challenge = { id: 'read-10', text: "Read 10 pages today", goal: 'pages', target: 10 };
+
+    it('is met once the activity reaches the target', () => {
+        expect(getChallengeStatus(readTen, 'daily', progressOf(xp(TODAY, { pages: 9 })), TODAY))
+            .toMatchObject({ period: TODAY, value: 9, isMet: false, isCompleted: false });
+        expect(getChallengeStatus(readTen, 'daily', progressOf(xp(TODAY, { pages: 10 })), TODAY).isMet).toBe(true);
+    });
+
+    it('never marks manual challenges as met', () => {
+        const reflect: Challenge = { id: 'reflect', text: "Reflect", goal: 'manual', target: 1 };
+        expect(getChallengeStatus(reflect, 'daily', progressOf(xp(TODAY)), TODAY).isMet).toBe(false);
+    });
+
+    it('is completed once its bonus was paid in the period', () => {
+        const progress = progressOf(xp('2025-03-03', { source: 'weeklyChallenge' }));
+        expect(getChallengeStatus(readTen, 'weekly', progress, TODAY).isCompleted).toBe(true);
+        expect(getChallengeStatus(readTen, 'daily', progress, TODAY).isCompleted).toBe(false);
+        expect(getChallengeStatus(readTen, 'weekly', progress, '2025-03-10').isCompleted).toBe(false);
+    });
+});
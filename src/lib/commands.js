@@ -0,0 +1,76 @@
+// ===============================
+// Command Palette
+// ===============================
+
+// Everything that can be logged is also offered as a command, so it can be
+// found by typing instead of scrolling to its card.
+
+export interface Command {
+    id: string;
+    group: string;
+    label: string;
+    // Shown next to the label, e.g. the XP it earns or why it's unavailable
+    hint?: string;
+    // Extra words that find the command without being shown
+    keywords?: string;
+    shortcut?: string;
+    disabled?: boolean;
+    run: () => void;
+}
+
+export interface CommandMatch {
+    command: Command;
+    score: number;
+    // Positions in the label that matched, for highlighting
+    indices: number[];
+}
+
+const isWordStart = (text: string, index: number) => index === 0 || !/[a-z0-9]/i.test(text[index - 1]);
+
+// Matches when the query's characters appear in order, e.g. "actrec" finds
+// "Active recall". Runs of consecutive characters and matches at the start of
+// a word score higher.
+export const fuzzyMatch = (query: string, text: string) => {
+    const needle = query.toLowerCase().replace(/\s+/g, '');
+    const haystack = text.toLowerCase();
+    const indices: number[] = [];
+    let score = 0;
+    let from = 0;
+
+    for (const char of needle) {
+        const index = haystack.indexOf(char, from);
+        if (index === -1) {
+            return null;
+        }
+        score += 1;
+        if (indices.length > 0 && index === indices[indices.length - 1] + 1) {
+            score += 3;
+        }
+        if (isWordStart(text, index)) {
+            score += 2;
+        }
+        indices.push(index);
+        from = index + 1;
+    }
+    // Earlier and tighter matches win among equals
+    return { score: score - (indices[0] ?? 0) * 0.01, indices };
+};
+
+// An empty query lists everything in its original order
+export const searchCommands = (commands: Command[], query: string): CommandMatch[] => {
+    if (!query.trim()) {
+        return commands.map((command) => ({ command, score: 0, indices: [] }));
+    }
+    return commands
+        .map((command) => {
+            const match = fuzzyMatch(query, command.label);
+            if (match) {
+                return { command, ...match };
+            }
+            // Matching only the group or keywords ranks below any label match
+            const extra = fuzzyMatch(query, `${command.group} ${command.keywords ?? ''}`);
+            return extra && { command, score: extra.score / 10, indices: [] };
+        })
+        .filter(Boolean)
+        .sort((a, b) => Number(a.command.disabled ?? false) - Number(b.command.disabled ?? false) || b.score - a.score);
+};
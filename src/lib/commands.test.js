@@ -0,0 +1,49 @@
+import { Command, fuzzyMatch, searchCommands } from '@/lib/commands';
+
+const command = (label: string, fields: Partial<Command> = {}): Command => ({
+    id: label,
+    group: "Tasks",
+    label,
+    run: () => {},
+    ...fields,
+});
+
+describe('fuzzyMatch', () => {
+    it('finds the query characters in order', () => {
+        expect(fuzzyMatch('actrec', 'Active recall')?.indices).toEqual([0, 1, 2, 7, 8, 9]);
+        expect(fuzzyMatch('Active Recall', 'active recall')).not.toBeNull();
+        expect(fuzzyMatch('recact', 'Active recall')).toBeNull();
+    });
+
+    it('scores word starts and consecutive characters higher', () => {
+        const wordStart = fuzzyMatch('r', 'Read a chapter').score;
+        const inside = fuzzyMatch('r', 'Chapter read').score;
+        expect(wordStart).toBeGreaterThan(inside);
+        expect(fuzzyMatch('rea', 'Read').score).toBeGreaterThan(fuzzyMatch('rad', 'Read').score);
+    });
+});
+
+describe('searchCommands', () => {
+    const commands = [
+        command("Start timer", { group: "Timer" }),
+        command("Read 5-14 pages", { keywords: "book" }),
+        command("Review notes", { disabled: true }),
+        command("Active recall"),
+    ];
+
+    it('lists everything for an empty query', () => {
+        expect(searchCommands(commands, '  ').map((match) => match.command.label)).toEqual(commands.map((entry) => entry.label));
+    });
+
+    it('ranks label matches first and disabled commands last', () => {
+        const labels = searchCommands(commands, 're').map((match) => match.command.label);
+        expect(labels[labels.length - 1]).toBe("Review notes");
+        expect(labels.slice(0, 2)).toContain("Read 5-14 pages");
+    });
+
+    it('falls back to the group and keywords', () => {
+        const [match] = searchCommands(commands, 'book');
+        expect(match.command.label).toBe("Read 5-14 pages");
+        expect(match.indices).toEqual([]);
+    });
+});
@@ -0,0 +1,41 @@
+// ===============================
+// Calendar Days
+// ===============================
+
+// Local calendar day as YYYY-MM-DD, the format used by <input type="date">
+export const toDayKey = (date: Date) => {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+};
+
+export const isDayKey = (value: unknown) =>
+    typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+
+// Local midnight of a day key
+export const fromDayKey = (dayKey: string) => {
+    const [year, month, day] = dayKey.split('-').map(Number);
+    return new Date(year, month - 1, day);
+};
+
+// Steps through calendar days rather than 24h blocks so DST shifts don't skew it
+export const addDays = (dayKey: string, amount: number) => {
+    const date = fromDayKey(dayKey);
+    date.setDate(date.getDate() + amount);
+    return toDayKey(date);
+};
+
+// Monday of the week a day falls in
+export const startOfWeek = (dayKey: string) => {
+    const weekday = (fromDayKey(dayKey).getDay() + 6) % 7;
+    return addDays(dayKey, -weekday);
+};
+
+// Whole calendar days from one day key to another (negative if `to` is earlier)
+export const daysBetween = (from: string, to: string) => {
+    const toUtc = (dayKey: string) => {
+        const [year, month, day] = dayKey.split('-').map(Number);
+        return Date.UTC(year, month - 1, day);
+    };
+    return Math.round((toUtc(to) - toUtc(from)) / 86400000);
+};
@@ -0,0 +1,158 @@
+import { isDayKey } from '@/lib/dates';
+import { isValidGrade } from '@/lib/reviews';
+import { isGoalMetric, isGoalPeriod } from '@/lib/goals';
+
+// ===============================
+// Progress Events
+// ===============================
+
+// The event log is append-only: progress is never stored directly, it is
+// derived from these events (see lib/progress).
+
+export const EVENT_TYPES = {
+    XP_GRANTED: 'xp.granted',
+    // Corrections to an earlier grant, referenced by its event id
+    XP_EDITED: 'xp.edited',
+    XP_DELETED: 'xp.deleted',
+    // No longer recorded; older logs (and legacy imports) still count these as study days
+    DAY_VISITED: 'day.visited',
+    MOOD_SUBMITTED: 'mood.submitted',
+    SESSION_COMPLETED: 'session.completed',
+    // Undoes a session, referenced by its event id
+    SESSION_DELETED: 'session.deleted',
+    ACHIEVEMENT_UNLOCKED: 'achievement.unlocked',
+    ACHIEVEMENT_REVOKED: 'achievement.revoked',
+    SIDE_QUEST_ADDED: 'sideQuest.added',
+    SIDE_QUEST_UPDATED: 'sideQuest.updated',
+    SIDE_QUEST_DELETED: 'sideQuest.deleted',
+    REWARD_REDEEMED: 'reward.redeemed',
+    BOOK_ADDED: 'book.added',
+    BOOK_UPDATED: 'book.updated',
+    BOOK_DELETED: 'book.deleted',
+    TOPIC_ADDED: 'topic.added',
+    TOPIC_DELETED: 'topic.deleted',
+    REVIEW_GRADED: 'review.graded',
+    REVIEW_DELETED: 'review.deleted',
+    GOAL_ADDED: 'goal.added',
+    GOAL_DELETED: 'goal.deleted',
+    LEGACY_IMPORTED: 'legacy.imported',
+};
+
+export interface ProgressEvent {
+    id: string;
+    type: string;
+    at: string;
+    [field: string]: unknown;
+}
+
+export const createId = () =>
+    `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+export const createEvent = (
+    type: string,
+    payload: object = {},
+    at: Date = new Date(),
+    id: string = createId()
+): ProgressEvent => ({
+    id,
+    type,
+    at: at.toISOString(),
+    ...payload,
+});
+
+const isFiniteNumber = (value: unknown) => typeof value === 'number' && Number.isFinite(value);
+
+const isAchievementEvent = (event) =>
+    typeof event.achievement === 'string' && ['bronze', 'silver', 'gold'].includes(event.tier);
+
+const isSideQuestFields = (event) =>
+    (event.title === undefined || typeof event.title === 'string') &&
+    (event.dueDate === undefined || event.dueDate === null || isDayKey(event.dueDate)) &&
+    (event.recurrence === undefined || ['none', 'daily', 'weekly'].includes(event.recurrence));
+
+const PAYLOAD_VALIDATORS = {
+    [EVENT_TYPES.XP_GRANTED]: (event) =>
+        isFiniteNumber(event.amount) &&
+        typeof event.label === 'string' &&
+        typeof event.source === 'string' &&
+        (event.category === null || typeof event.category === 'string') &&
+        (event.taskId === undefined || typeof event.taskId === 'string') &&
+        (event.questId === undefined || typeof event.questId === 'string') &&
+        (event.pages === undefined || Number.isFinite(event.pages)) &&
+        (event.subjectId === undefined || typeof event.subjectId === 'string') &&
+        (event.bookId === undefined || typeof event.bookId === 'string') &&
+        (event.fromPage === undefined || isFiniteNumber(event.fromPage)) &&
+        (event.toPage === undefined || isFiniteNumber(event.toPage)) &&
+        (event.goalId === undefined || typeof event.goalId === 'string') &&
+        (event.xpPerCoin === undefined || (isFiniteNumber(event.xpPerCoin) && event.xpPerCoin > 0)),
+    [EVENT_TYPES.XP_EDITED]: (event) =>
+        typeof event.entryId === 'string' &&
+        (event.amount === undefined || isFiniteNumber(event.amount)) &&
+        (event.label === undefined || typeof event.label === 'string'),
+    [EVENT_TYPES.XP_DELETED]: (event) => typeof event.entryId === 'string',
+    [EVENT_TYPES.DAY_VISITED]: (event) => isDayKey(event.day),
+    [EVENT_TYPES.MOOD_SUBMITTED]: (event) =>
+        typeof event.mood === 'string' && (event.note === undefined || typeof event.note === 'string'),
+    [EVENT_TYPES.SESSION_COMPLETED]: (event) =>
+        typeof event.label === 'string' &&
+        typeof event.startedAt === 'string' &&
+        isFiniteNumber(event.focusedMs) &&
+        isFiniteNumber(event.plannedMs) &&
+        (event.subjectId === undefined || typeof event.subjectId === 'string'),
+    [EVENT_TYPES.SESSION_DELETED]: (event) => typeof event.sessionId === 'string',
+    [EVENT_TYPES.ACHIEVEMENT_UNLOCKED]: isAchievementEvent,
+    [EVENT_TYPES.ACHIEVEMENT_REVOKED]: isAchievementEvent,
+    [EVENT_TYPES.SIDE_QUEST_ADDED]: (event) =>
+        typeof event.questId === 'string' &&
+        typeof event.title === 'string' &&
+        event.recurrence !== undefined &&
+        isSideQuestFields(event),
+    [EVENT_TYPES.SIDE_QUEST_UPDATED]: (event) => typeof event.questId === 'string' && isSideQuestFields(event),
+    [EVENT_TYPES.SIDE_QUEST_DELETED]: (event) => typeof event.questId === 'string',
+    [EVENT_TYPES.BOOK_ADDED]: (event) =>
+        typeof event.bookId === 'string' && typeof event.title === 'string' && isFiniteNumber(event.totalPages),
+    [EVENT_TYPES.BOOK_UPDATED]: (event) =>
+        typeof event.bookId === 'string' &&
+        (event.title === undefined || typeof event.title === 'string') &&
+        (event.totalPages === undefined || isFiniteNumber(event.totalPages)),
+    [EVENT_TYPES.BOOK_DELETED]: (event) => typeof event.bookId === 'string',
+    [EVENT_TYPES.TOPIC_ADDED]: (event) => typeof event.topicId === 'string' && typeof event.title === 'string',
+    [EVENT_TYPES.TOPIC_DELETED]: (event) => typeof event.topicId === 'string',
+    [EVENT_TYPES.REVIEW_GRADED]: (event) =>
+        typeof event.topicId === 'string' && isValidGrade(event.grade),
+    [EVENT_TYPES.REVIEW_DELETED]: (event) => typeof event.topicId === 'string' && typeof event.reviewId === 'string',
+    [EVENT_TYPES.GOAL_ADDED]: (event) =>
+        typeof event.goalId === 'string' &&
+        isGoalPeriod(event.period) &&
+        isGoalMetric(event.metric) &&
+        isFiniteNumber(event.target) &&
+        isFiniteNumber(event.bonusXp) &&
+        (event.taskId === undefined || typeof event.taskId === 'string'),
+    [EVENT_TYPES.GOAL_DELETED]: (event) => typeof event.goalId === 'string',
+    [EVENT_TYPES.REWARD_REDEEMED]: (event) =>
+        typeof event.rewardId === 'string' &&
+        typeof event.name === 'string' &&
+        isFiniteNumber(event.cost),
+    [EVENT_TYPES.LEGACY_IMPORTED]: (event) =>
+        isFiniteNumber(event.xp) &&
+        isFiniteNumber(event.sideQuestCount) &&
+        Array.isArray(event.badges) &&
+        (event.challengeCompletedOn === null || isDayKey(event.challengeCompletedOn)),
+};
+
+// Unknown event types are kept as long as they are well-formed, so data written
+// by a newer version survives a round trip through an older one.
+export const isValidEvent = (event: unknown) => {
+    if (!event || typeof event !== 'object') {
+        return false;
+    }
+    const { id, type, at } = event as ProgressEvent;
+    if (typeof id !== 'string' || typeof type !== 'string' || typeof at !== 'string') {
+        return false;
+    }
+    if (Number.isNaN(new Date(at).getTime())) {
+        return false;
+    }
+    const validatePayload = PAYLOAD_VALIDATORS[type];
+    return validatePayload ? validatePayload(event) : true;
+};
@@ -0,0 +1,196 @@
+import { Progress } from '@/lib/progress';
+import { LogEntry } from '@/lib/xpLog';
+import { TaskCategory, findTask, getTaskLabel } from '@/lib/taskCatalog';
+import { ChallengeGoalType, measureActivity } from '@/lib/challenges';
+import { addDays, daysBetween, fromDayKey, startOfWeek, toDayKey } from '@/lib/dates';
+import { MessageKey, Translate } from '@/lib/i18n';
+
+// ===============================
+// Goals
+// ===============================
+
+// A goal is set once and then applies to every week (or month) until it's
+// deleted. Each period is measured from the log on its own, and reaching the
+// target earns the goal's bonus once per period.
+
+export type GoalPeriod = 'week' | 'month';
+
+export const GOAL_PERIODS: Record<GoalPeriod, MessageKey> = {
+    week: 'goals.period.week',
+    month: 'goals.period.month',
+};
+
+export type GoalMetric = Exclude<ChallengeGoalType, 'manual'>;
+
+export const GOAL_METRICS: Record<GoalMetric, MessageKey> = {
+    studyXp: 'challenges.goal.studyXp',
+    pages: 'challenges.goal.pages',
+    focusMinutes: 'challenges.goal.focusMinutes',
+    tasks: 'challenges.goal.tasks',
+};
+
+export const DEFAULT_GOAL_BONUS: Record<GoalPeriod, number> = { week: 50, month: 150 };
+
+export const MAX_GOAL_BONUS = 500;
+
+// Also applied to goals already in the log, which may come from a backup or another device
+export const clampGoalBonus = (bonusXp: number) => Math.min(Math.max(Math.floor(bonusXp), 0), MAX_GOAL_BONUS);
+
+export const isGoalPeriod = (period: unknown) => typeof period === 'string' && period in GOAL_PERIODS;
+
+export const isGoalMetric = (metric: unknown) => typeof metric === 'string' && metric in GOAL_METRICS;
+
+export interface GoalDefinition {
+    id: string;
+    period: GoalPeriod;
+    metric: GoalMetric;
+    target: number;
+    bonusXp: number;
+    // Counts a single task instead of all of them; only for `tasks` goals
+    taskId?: string;
+    createdAt: Date;
+}
+
+export const describeGoal = (goal: GoalDefinition, catalog: TaskCategory[], t: Translate) => {
+    const count = goal.target;
+    switch (goal.metric) {
+        case 'studyXp':
+            return t('goals.describe.studyXp', { count });
+        case 'pages':
+            return t('goals.describe.pages', { count });
+        case 'focusMinutes':
+            return t('goals.describe.focusMinutes', { count });
+        case 'tasks': {
+            if (!goal.taskId) {
+                return t('goals.describe.tasks', { count });
+            }
+            const found = findTask(catalog, goal.taskId);
+            const label = found ? getTaskLabel(found.task.id, found.task.label, t) : t('goals.deletedTask');
+            return t('goals.describe.task', { count, label });
+        }
+        default:
+            return '';
+    }
+};
+
+// ===============================
+// Periods
+// ===============================
+
+// First and last day of a period, both inclusive
+export interface PeriodRange {
+    start: string;
+    end: string;
+}
+
+export const getPeriodRange = (period: GoalPeriod, today = toDayKey(new Date())): PeriodRange => {
+    if (period === 'week') {
+        const start = startOfWeek(today);
+        return { start, end: addDays(start, 6) };
+    }
+    const date = fromDayKey(today);
+    return {
+        start: toDayKey(new Date(date.getFullYear(), date.getMonth(), 1)),
+        end: toDayKey(new Date(date.getFullYear(), date.getMonth() + 1, 0)),
+    };
+};
+
+export const getPreviousPeriodRange = (period: GoalPeriod, today = toDayKey(new Date())) =>
+    getPeriodRange(period, addDays(getPeriodRange(period, today).start, -1));
+
+const isInRange = (date: Date, { start, end }: PeriodRange) => {
+    const day = toDayKey(date);
+    return day >= start && day <= end;
+};
+
+// The bonus is keyed by what the goal measures and its target rather than by
+// the goal's id, so deleting a goal and adding it again can't pay the same
+// period twice, while a bigger goal on the same metric still pays its own
+export const getGoalPayoutId = (goal: GoalDefinition, range: PeriodRange) =>
+    `goal-${goal.period}-${goal.metric}-${goal.taskId ?? 'all'}-${goal.target}-${range.start}`;
+
+// Bonuses paid before payouts were keyed that way still carry the goal's id
+const isGoalPayout = (entry: LogEntry, goal: GoalDefinition, range: PeriodRange) =>
+    entry.source === 'goal' &&
+    (entry.id === getGoalPayoutId(goal, range) || (entry.goalId === goal.id && isInRange(entry.timestamp, range)));
+
+// ===============================
+// Progress
+// ===============================
+
+export type GoalPace = 'done' | 'on-track' | 'behind';
+
+export interface GoalStatus {
+    goal: GoalDefinition;
+    range: PeriodRange;
+    value: number;
+    // What steady progress would have reached by today
+    expected: number;
+    pace: GoalPace;
+    isMet: boolean;
+    // Whether the bonus was granted for this period
+    isCompleted: boolean;
+}
+
+export const getGoalStatus = (
+    goal: GoalDefinition,
+    progress: Progress,
+    range: PeriodRange,
+    today = toDayKey(new Date())
+): GoalStatus => {
+    // Only what happened once the goal was set counts towards it, so the pace
+    // is measured from then too
+    const value = measureActivity(
+        goal.metric,
+        progress,
+        (date) => date >= goal.createdAt && isInRange(date, range),
+        goal.taskId
+    );
+    const start = toDayKey(goal.createdAt) > range.start ? toDayKey(goal.createdAt) : range.start;
+    const totalDays = Math.max(daysBetween(start, range.end) + 1, 1);
+    const elapsedDays = Math.min(Math.max(daysBetween(start, today) + 1, 0), totalDays);
+    const expected = Math.ceil((goal.target * elapsedDays) / totalDays);
+    const isMet = value >= goal.target;
+
+    return {
+        goal,
+        range,
+        value,
+        expected,
+        pace: isMet ? 'done' : value >= expected ? 'on-track' : 'behind',
+        isMet,
+        isCompleted: progress.log.some((entry) => isGoalPayout(entry, goal, range)),
+    };
+};
+
+export interface PeriodSummary {
+    period: GoalPeriod;
+    range: PeriodRange;
+    statuses: GoalStatus[];
+    metCount: number;
+    bonusXp: number;
+}
+
+// How the last finished week or month went, for goals that existed by its end
+export const getPeriodSummary = (
+    period: GoalPeriod,
+    progress: Progress,
+    today = toDayKey(new Date())
+): PeriodSummary | null => {
+    const range = getPreviousPeriodRange(period, today);
+    const statuses = progress.goals
+        .filter((goal) => goal.period === period && toDayKey(goal.createdAt) <= range.end)
+        .map((goal) => getGoalStatus(goal, progress, range, today));
+    if (statuses.length === 0) {
+        return null;
+    }
+    return {
+        period,
+        range,
+        statuses,
+        metCount: statuses.filter((status) => status.isMet).length,
+        bonusXp: progress.log
+            .filter((entry) => statuses.some((status) => isGoalPayout(entry, status.goal, range)))
+            .reduce((sum, entry) => sum + entry.amount, 0),
+    };
+};
@@ -0,0 +1,148 @@
+import { EVENT_TYPES, createEvent } from '@/lib/events';
+import { deriveProgress } from '@/lib/progress';
+import {
+    MAX_GOAL_BONUS,
+    clampGoalBonus,
+    getGoalPayoutId,
+    getGoalStatus,
+    getPeriodRange,
+    getPeriodSummary,
+} from '@/lib/goals';
+
+const at = (day: string, time = '12:00:00') => new Date(`${day}T${time}`);
+
+const task = (day: string, time?: string) => createEvent(
+    EVENT_TYPES.XP_GRANTED,
+    { amount: 10, label: "Active recall", source: 'task', category: "Understanding", taskId: 'active-recall' },
+    at(day, time)
+);
+
+const addGoal = (goalId: string, day: string, fields: object = {}) => createEvent(
+    EVENT_TYPES.GOAL_ADDED,
+    { goalId, period: 'week', metric: 'tasks', target: 2, bonusXp: 50, ...fields },
+    at(day)
+);
+
+// 2025-03-03 is a Monday
+const week = getPeriodRange('week', '2025-03-05');
+
+describe('getPeriodRange', () => {
+    it('runs weeks from Monday to Sunday', () => {
+        expect(week).toEqual({ start: '2025-03-03', end: '2025-03-09' });
+    });
+
+    it('runs months over their calendar days', () => {
+        expect(getPeriodRange('month', '2024-02-10')).toEqual({ start: '2024-02-01', end: '2024-02-29' });
+    });
+});
+
+describe('getGoalStatus', () => {
+    it('only counts activity after the goal was set', () => {
+        const progress = deriveProgress([
+            task('2025-03-03'),
+            task('2025-03-04'),
+            addGoal('g1', '2025-03-05'),
+            task('2025-03-05', '13:00:00'),
+        ], { now: at('2025-03-05', '14:00:00') });
+
+        const status = getGoalStatus(progress.goals[0], progress, week, '2025-03-05');
+        expect(status.value).toBe(1);
+        expect(status.isMet).toBe(false);
+    });
+
+    it('measures the pace from the day the goal was set', () => {
+        const progress = deriveProgress([addGoal('g1', '2025-03-09')], { now: at('2025-03-09', '13:00:00') });
+        expect(getGoalStatus(progress.goals[0], progress, week, '2025-03-09').expected).toBe(2);
+    });
+
+    it("doesn't pay a re-added goal again in the same period", () => {
+        const progress = deriveProgress([
+            addGoal('g1', '2025-03-03'),
+            createEvent(EVENT_TYPES.XP_GRANTED, { amount: 50, label: "Goal", source: 'goal', category: null, goalId: 'g1' },
+                at('2025-03-04'), 'goal-week-tasks-all-2-2025-03-03'),
+            createEvent(EVENT_TYPES.GOAL_DELETED, { goalId: 'g1' }, at('2025-03-04', '13:00:00')),
+            addGoal('g2', '2025-03-04'),
+        ], { now: at('2025-03-05') });
+
+        const [goal] = progress.goals;
+        expect(goal.id).toBe('g2');
+        expect(getGoalPayoutId(goal, week)).toBe('goal-week-tasks-all-2-2025-03-03');
+        expect(getGoalStatus(goal, progress, week, '2025-03-05').isCompleted).toBe(true);
+    });
+
+    it('pays goals on the same metric separately', () => {
+        const small = addGoal('small', '2025-03-03');
+        const big = addGoal('big', '2025-03-03', { target: 10, bonusXp: 200 });
+        const events = [small, big, task('2025-03-04'), task('2025-03-04', '13:00:00')];
+        const before = deriveProgress(events, { now: at('2025-03-05') });
+        const smallGoal = before.goals.find((goal) => goal.id === 'small');
+        const bigGoal = before.goals.find((goal) => goal.id === 'big');
+        expect(getGoalPayoutId(smallGoal, week)).not.toBe(getGoalPayoutId(bigGoal, week));
+
+        const progress = deriveProgress([
+            ...events,
+            createEvent(EVENT_TYPES.XP_GRANTED, { amount: 50, label: "Goal", source: 'goal', category: null, goalId: 'small' },
+                at('2025-03-04', '14:00:00'), getGoalPayoutId(smallGoal, week)),
+        ], { now: at('2025-03-05') });
+        expect(getGoalStatus(smallGoal, progress, week, '2025-03-05')).toMatchObject({ isMet: true, isCompleted: true });
+        expect(getGoalStatus(bigGoal, progress, week, '2025-03-05')).toMatchObject({ isMet: false, isCompleted: false });
+    });
+
+    it('still recognises bonuses paid under the old per-goal ids', () => {
+        const progress = deriveProgress([
+            addGoal('g1', '2025-03-03'),
+            createEvent(EVENT_TYPES.XP_GRANTED, { amount: 50, label: "Goal", source: 'goal', category: null, goalId: 'g1' },
+                at('2025-03-04'), 'goal-g1-2025-03-03'),
+        ], { now: at('2025-03-05') });
+        expect(getGoalStatus(progress.goals[0], progress, week, '2025-03-05').isCompleted).toBe(true);
+    });
+});
+
+describe('goal bonuses', () => {
+    it('are capped', () => {
+        expect(clampGoalBonus(999999)).toBe(MAX_GOAL_BONUS);
+        expect(clampGoalBonus(-5)).toBe(0);
+        expect(clampGoalBonus(42.7)).toBe(42);
+    });
+
+    it('are capped for goals already in the log', () => {
+        const progress = deriveProgress([addGoal('g1', '2025-03-03', { bonusXp: 999999 })], { now: at('2025-03-05') });
+        expect(progress.goals[0].bonusXp).toBe(MAX_GOAL_BONUS);
+    });
+});
+
+describe('getPeriodSummary', () => {
+    it('sums up the last finished period', () => {
+        const progress = deriveProgress([
+            addGoal('g1', '2025-02-24'),
+            task('2025-02-25'),
+            task('2025-02-26'),
+        ], { now: at('2025-03-05') });
+
+        const summary = getPeriodSummary('week', progress, '2025-03-05');
+        expect(summary?.range).toEqual({ start: '2025-02-24', end: '2025-03-02' });
+        expect(summary?.metCount).toBe(1);
+    });
+
+    it('only counts the bonuses paid for the goals summed up', () => {
+        const lastWeek = { start: '2025-02-24', end: '2025-03-02' };
+        const payoutId = getGoalPayoutId(
+            { id: 'small', period: 'week', metric: 'tasks', target: 2, bonusXp: 50, createdAt: at('2025-02-24') },
+            lastWeek
+        );
+        const progress = deriveProgress([
+            addGoal('small', '2025-02-24'),
+            addGoal('big', '2025-02-24', { target: 10, bonusXp: 200 }),
+            task('2025-02-25'),
+            task('2025-02-26'),
+            createEvent(EVENT_TYPES.XP_GRANTED, { amount: 50, label: "Goal", source: 'goal', category: null, goalId: 'small' },
+                at('2025-02-26', '14:00:00'), payoutId),
+        ], { now: at('2025-03-05') });
+        expect(getPeriodSummary('week', progress, '2025-03-05')).toMatchObject({ metCount: 1, bonusXp: 50 });
+    });
+
+    it('is empty when no goal existed yet', () => {
+        const progress = deriveProgress([addGoal('g1', '2025-03-04')], { now: at('2025-03-05') });
+        expect(getPeriodSummary('week', progress, '2025-03-05')).toBeNull();
+    });
+});
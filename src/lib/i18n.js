@@ -0,0 +1,95 @@
+import en from '@/lib/locales/en';
+import de from '@/lib/locales/de';
+import { fromDayKey } from '@/lib/dates';
+
+// ===============================
+// Internationalization
+// ===============================
+
+// All UI text lives in the message catalogs under lib/locales, keyed by a
+// dotted name. Messages can hold `{name}` placeholders, and numbers filled in
+// are formatted for the language. Messages that depend on a count have plural
+// forms, picked by the `count` parameter.
+
+export type Language = 'en' | 'de';
+
+export type PluralMessage = Partial<Record<Intl.LDMLPluralRule, string>> & { other: string };
+export type Message = string | PluralMessage;
+export type MessageKey = keyof typeof en;
+export type MessageParams = Record<string, string | number>;
+export type Translate = (key: MessageKey, params?: MessageParams) => string;
+
+export const DEFAULT_LANGUAGE: Language = 'en';
+
+// Each language is named in itself, so it can be found whatever is switched on
+export const LANGUAGES: Record<Language, string> = {
+    en: 'English',
+    de: 'Deutsch',
+};
+
+const CATALOGS: Record<Language, Record<MessageKey, Message>> = { en, de };
+
+export const isLanguage = (language: unknown): language is Language =>
+    typeof language === 'string' && language in LANGUAGES;
+
+// The first of the browser's preferred languages there is a catalog for
+export const detectLanguage = (): Language => {
+    if (typeof navigator === 'undefined') {
+        return DEFAULT_LANGUAGE;
+    }
+    const preferred = navigator.languages?.length ? navigator.languages : [navigator.language];
+    return preferred.map((tag) => tag?.split('-')[0]).find(isLanguage) ?? DEFAULT_LANGUAGE;
+};
+
+export interface Translator {
+    language: Language;
+    t: Translate;
+    formatNumber: (value: number, options?: Intl.NumberFormatOptions) => string;
+    // Dates default to the medium style, e.g. "Mar 4, 2025" or "04.03.2025"
+    formatDate: (date: Date, options?: Intl.DateTimeFormatOptions) => string;
+    formatDay: (dayKey: string, options?: Intl.DateTimeFormatOptions) => string;
+    formatTime: (date: Date) => string;
+    formatDateTime: (date: Date) => string;
+}
+
+export const createTranslator = (language: Language): Translator => {
+    const catalog = CATALOGS[language];
+    const plurals = new Intl.PluralRules(language);
+    const numbers = new Intl.NumberFormat(language);
+
+    const formatNumber = (value: number, options?: Intl.NumberFormatOptions) =>
+        (options ? new Intl.NumberFormat(language, options) : numbers).format(value);
+
+    const formatDate = (date: Date, options: Intl.DateTimeFormatOptions = { dateStyle: 'medium' }) =>
+        date.toLocaleDateString(language, options);
+
+    // Missing translations fall back to English, and then to the key itself
+    const t: Translate = (key, params = {}) => {
+        const message = catalog[key] ?? en[key] ?? key;
+        const text = typeof message === 'string'
+            ? message
+            : message[plurals.select(Number(params.count))] ?? message.other;
+        return text.replace(/\{(\w+)\}/g, (placeholder, name) => {
+            const value = params[name];
+            if (value === undefined) {
+                return placeholder;
+            }
+            return typeof value === 'number' ? formatNumber(value) : value;
+        });
+    };
+
+    return {
+        language,
+        t,
+        formatNumber,
+        formatDate,
+        formatDay: (dayKey, options) => formatDate(fromDayKey(dayKey), options),
+        formatTime: (date) => date.toLocaleTimeString(language, { hour: '2-digit', minute: '2-digit' }),
+        formatDateTime: (date) => date.toLocaleString(language, { dateStyle: 'short', timeStyle: 'short' }),
+    };
+};
+
+// Built-in content (tasks, challenges, rewards, level titles) is stored in
+// English and shown translated, until the user renames it
+export const translateDefault = (t: Translate, key: string, value: string, defaultValue: string | undefined) =>
+    (defaultValue !== undefined && value === defaultValue ? t(key as MessageKey) : value);
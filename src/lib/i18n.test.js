@@ -0,0 +1,77 @@
+import en from '@/lib/locales/en';
+import de from '@/lib/locales/de';
+import { Message, MessageKey, createTranslator, detectLanguage, isLanguage, translateDefault } from '@/lib/i18n';
+
+const getPlaceholders = (message: Message) =>
+    [...new Set((typeof message === 'string' ? [message] : Object.values(message))
+        .flatMap((text) => text.match(/\{\w+\}/g) ?? []))].sort();
+
+describe('catalogs', () => {
+    it('translate every English message into German', () => {
+        expect(Object.keys(de).sort()).toEqual(Object.keys(en).sort());
+    });
+
+    it('use the same placeholders in every language', () => {
+        const mismatched = Object.keys(en).filter((key) =>
+            getPlaceholders(en[key]).join() !== getPlaceholders(de[key]).join()
+        );
+        expect(mismatched).toEqual([]);
+    });
+});
+
+describe('createTranslator', () => {
+    const english = createTranslator('en');
+    const german = createTranslator('de');
+
+    it('fills in placeholders, formatting numbers for the language', () => {
+        expect(english.t('common.plusXp', { xp: 1500 })).toBe("+1,500 XP");
+        expect(german.t('common.plusXp', { xp: 1500 })).toBe("+1.500 XP");
+    });
+
+    it('picks the plural form by count', () => {
+        expect(english.t('common.days', { count: 1 })).toBe("1 day");
+        expect(english.t('common.days', { count: 3 })).toBe("3 days");
+        expect(german.t('common.days', { count: 3 })).toBe("3 Tage");
+    });
+
+    it('leaves placeholders without a value as they are', () => {
+        expect(english.t('common.plusXp')).toBe("+{xp} XP");
+    });
+
+    it('falls back to the key for unknown messages', () => {
+        expect(english.t('missing.message' as MessageKey)).toBe('missing.message');
+    });
+});
+
+describe('translateDefault', () => {
+    const { t } = createTranslator('de');
+
+    it('translates built-in content the user has not renamed', () => {
+        expect(translateDefault(t, 'common.days', "Days", "Days")).toBe(t('common.days'));
+        expect(translateDefault(t, 'common.days', "My days", "Days")).toBe("My days");
+        expect(translateDefault(t, 'common.days', "Days", undefined)).toBe("Days");
+    });
+});
+
+describe('detectLanguage', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('takes the first preferred language there is a catalog for', () => {
+        jest.spyOn(navigator, 'languages', 'get').mockReturnValue(['fr-FR', 'de-AT', 'en-US']);
+        expect(detectLanguage()).toBe('de');
+    });
+
+    it('falls back to English', () => {
+        jest.spyOn(navigator, 'languages', 'get').mockReturnValue(['fr-FR']);
+        expect(detectLanguage()).toBe('en');
+    });
+});
+
+describe('isLanguage', () => {
+    it('only knows the languages there are catalogs for', () => {
+        expect(isLanguage('de')).toBe(true);
+        expect(isLanguage('fr')).toBe(false);
+    });
+});
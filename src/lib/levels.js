@@ -0,0 +1,129 @@
+import { MessageKey, Translate } from '@/lib/i18n';
+
+// ===============================
+// Levels
+// ===============================
+
+// Levels are always computed from total XP, so switching curves re-levels the
+// user without touching their progress.
+
+export type LevelCurve =
+    | { type: 'linear'; xpPerLevel: number }
+    | { type: 'exponential'; baseXp: number; growth: number }
+    // Cumulative XP needed to reach level 2, 3, ...; the last step repeats after that
+    | { type: 'table'; thresholds: number[] };
+
+export interface LevelTitle {
+    level: number;
+    title: string;
+}
+
+export interface LevelInfo {
+    level: number;
+    title: string;
+    levelStartXp: number;
+    xpIntoLevel: number;
+    xpForLevel: number;
+    progress: number;
+}
+
+export const LEVEL_CURVE_TYPES: Record<LevelCurve['type'], MessageKey> = {
+    linear: 'levels.curve.linear',
+    exponential: 'levels.curve.exponential',
+    table: 'levels.curve.table',
+};
+
+export const DEFAULT_LEVEL_CURVE: LevelCurve = { type: 'linear', xpPerLevel: 700 };
+
+export const DEFAULT_CURVES: Record<LevelCurve['type'], LevelCurve> = {
+    linear: DEFAULT_LEVEL_CURVE,
+    exponential: { type: 'exponential', baseXp: 300, growth: 1.2 },
+    table: { type: 'table', thresholds: [100, 300, 700, 1500, 3000] },
+};
+
+export const DEFAULT_LEVEL_TITLES: LevelTitle[] = [
+    { level: 1, title: "Novice" },
+    { level: 3, title: "Apprentice" },
+    { level: 5, title: "Adept" },
+    { level: 8, title: "Scholar" },
+    { level: 12, title: "Sage" },
+    { level: 20, title: "Luminary" },
+];
+
+// Built-in titles are stored in English and shown translated until renamed
+export const translateLevelTitle = (title: string, t: Translate) =>
+    (DEFAULT_LEVEL_TITLES.some((entry) => entry.title === title) ? t(`levels.title.${title.toLowerCase()}` as MessageKey) : title);
+
+// Levels are counted one by one; the cap keeps a tiny cost per level from
+// turning every XP change into a long loop
+export const MAX_LEVEL = 1000;
+
+// XP needed to go from `level` to `level + 1`
+export const getLevelCost = (curve: LevelCurve, level: number) => {
+    let cost;
+    switch (curve.type) {
+        case 'exponential':
+            cost = curve.baseXp * curve.growth ** (level - 1);
+            break;
+        case 'table': {
+            const steps = curve.thresholds.map((total, index) => total - (curve.thresholds[index - 1] ?? 0));
+            cost = steps[level - 1] ?? steps[steps.length - 1];
+            break;
+        }
+        default:
+            cost = curve.xpPerLevel;
+    }
+    return Math.max(Math.round(cost) || 1, 1);
+};
+
+export const getLevelTitle = (level: number, titles: LevelTitle[] = DEFAULT_LEVEL_TITLES) =>
+    [...titles]
+        .sort((a, b) => a.level - b.level)
+        .filter((entry) => entry.level <= level)
+        .pop()?.title ?? '';
+
+export const getLevelInfo = (
+    xp: number,
+    curve: LevelCurve = DEFAULT_LEVEL_CURVE,
+    titles: LevelTitle[] = DEFAULT_LEVEL_TITLES
+): LevelInfo => {
+    let level = 1;
+    let levelStartXp = 0;
+    let cost = getLevelCost(curve, level);
+    while (xp >= levelStartXp + cost && level < MAX_LEVEL) {
+        levelStartXp += cost;
+        level += 1;
+        cost = getLevelCost(curve, level);
+    }
+    const xpIntoLevel = Math.max(xp - levelStartXp, 0);
+    return {
+        level,
+        title: getLevelTitle(level, titles),
+        levelStartXp,
+        xpIntoLevel,
+        xpForLevel: cost,
+        progress: Math.min((xpIntoLevel / cost) * 100, 100),
+    };
+};
+
+export const getLevel = (xp: number, curve: LevelCurve = DEFAULT_LEVEL_CURVE) => getLevelInfo(xp, curve).level;
+
+const isPositive = (value: unknown) => typeof value === 'number' && Number.isFinite(value) && value > 0;
+
+export const isValidLevelCurve = (curve) => {
+    switch (curve?.type) {
+        case 'linear':
+            return isPositive(curve.xpPerLevel);
+        case 'exponential':
+            // Below 1 each level costs less than the last, until they're all but free
+            return isPositive(curve.baseXp) && isPositive(curve.growth) && curve.growth >= 1;
+        case 'table':
+            return Array.isArray(curve.thresholds) &&
+                curve.thresholds.length > 0 &&
+                curve.thresholds.every((total, index) =>
+                    isPositive(total) && total > (curve.thresholds[index - 1] ?? 0)
+                );
+        default:
+            return false;
+    }
+};
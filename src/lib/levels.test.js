@@ -0,0 +1,42 @@
+import { MAX_LEVEL, getLevel, getLevelCost, getLevelInfo, isValidLevelCurve } from '@/lib/levels';
+
+describe('getLevelInfo', () => {
+    it('walks a linear curve', () => {
+        expect(getLevelInfo(250, { type: 'linear', xpPerLevel: 100 })).toMatchObject({
+            level: 3,
+            levelStartXp: 200,
+            xpIntoLevel: 50,
+            xpForLevel: 100,
+            progress: 50,
+        });
+    });
+
+    it('repeats the last step of a table', () => {
+        const curve = { type: 'table' as const, thresholds: [100, 300] };
+        expect(getLevelCost(curve, 1)).toBe(100);
+        expect(getLevelCost(curve, 5)).toBe(200);
+        expect(getLevel(700, curve)).toBe(5);
+    });
+
+    it('stops at the highest level', () => {
+        expect(getLevel(Number.MAX_SAFE_INTEGER, { type: 'linear', xpPerLevel: 1 })).toBe(MAX_LEVEL);
+    });
+});
+
+describe('isValidLevelCurve', () => {
+    it('accepts the built-in kinds of curve', () => {
+        expect(isValidLevelCurve({ type: 'linear', xpPerLevel: 700 })).toBe(true);
+        expect(isValidLevelCurve({ type: 'exponential', baseXp: 300, growth: 1 })).toBe(true);
+        expect(isValidLevelCurve({ type: 'table', thresholds: [100, 300] })).toBe(true);
+    });
+
+    it('rejects exponential curves that shrink', () => {
+        expect(isValidLevelCurve({ type: 'exponential', baseXp: 300, growth: 0.5 })).toBe(false);
+    });
+
+    it('rejects thresholds that do not rise', () => {
+        expect(isValidLevelCurve({ type: 'table', thresholds: [300, 100] })).toBe(false);
+        expect(isValidLevelCurve({ type: 'table', thresholds: [] })).toBe(false);
+        expect(isValidLevelCurve({ type: 'linear', xpPerLevel: 0 })).toBe(false);
+    });
+});
@@ -0,0 +1,587 @@
+import { Message, MessageKey } from '@/lib/i18n';
+
+// ===============================
+// German
+// ===============================
+
+const de: Record<MessageKey, Message> = {
+    // Shared
+    'common.xp': "{xp} XP",
+    'common.plusXp': "+{xp} XP",
+    'common.days': { one: "{count} Tag", other: "{count} Tage" },
+    'common.minutes': "{count} Min.",
+    'common.cancel': "Abbrechen",
+    'common.save': "Speichern",
+    'common.dismiss': "Schließen",
+    'common.done': "Fertig",
+    'common.undo': "Rückgängig",
+    'common.skip': "Überspringen",
+
+    // App
+    'app.title': "Scholar Quest",
+    'app.skipToTasks': "Zu den Aufgaben springen",
+
+    // Progress
+    'progress.title': "Dein Fortschritt",
+    'progress.level': "Level: {level}",
+    'progress.toNext': "{percent} bis zum nächsten Level",
+    'progress.xp': "{into} / {needed} XP · {total} XP insgesamt",
+    'levels.title.novice': "Neuling",
+    'levels.title.apprentice': "Lehrling",
+    'levels.title.adept': "Adept",
+    'levels.title.scholar': "Gelehrter",
+    'levels.title.sage': "Weiser",
+    'levels.title.luminary': "Koryphäe",
+
+    // Tasks
+    'tasks.heading': "Aufgabenkategorien",
+    'tasks.edit': "Kategorien & Aufgaben bearbeiten",
+    'tasks.button': "+{xp} XP – {label}",
+    'tasks.reduced': "Reduziert von {xp} XP",
+    'tasks.limit.cooldown': "Bereit in {count} Min.",
+    'tasks.limit.capped': "Tageslimit erreicht",
+    'tasks.limit.categoryCapped': "Kategorielimit für heute erreicht",
+    'tasks.limit.unavailable': "nicht verfügbar",
+    'tasks.limited': "{label}: {reason}",
+    'tasks.category.initiation': "Einstieg",
+    'tasks.category.engagement': "Vertiefung",
+    'tasks.category.understanding': "Verständnis",
+    'tasks.category.mastery': "Meisterschaft",
+    'tasks.read-1-4': "1–4 Seiten lesen",
+    'tasks.read-5-14': "5–14 Seiten lesen",
+    'tasks.read-15-24': "15–24 Seiten lesen",
+    'tasks.read-25-plus': "25+ Seiten lesen",
+    'tasks.understanding': "Es verstehen",
+    'tasks.active-recall': "Aktives Abrufen",
+    'tasks.real-world': "Bezug zur Praxis herstellen",
+    'tasks.discussing': "Antworten/diskutieren",
+    'tasks.notes-review': "Notizen später nachlesen",
+    'tasks.teaching': "Jemandem etwas beibringen",
+
+    // Celebrations
+    'celebration.reward.label': "Belohnungszeit",
+    'celebration.reward.title': "Belohnungszeit!",
+    'celebration.reward.description': "Du hast {xp} XP verdient! Gönn dir was!",
+    'celebration.reward.coins': { one: "{count} Münze zum Ausgeben", other: "{count} Münzen zum Ausgeben" },
+    'celebration.reward.openShop': "Zum Belohnungsshop",
+    'celebration.levelUp.label': "Levelaufstieg",
+    'celebration.levelUp.title': "Level aufgestiegen!",
+    'celebration.levelUp.description': "Glückwunsch! Du hast Level {level} erreicht!",
+
+    // Mood tracker
+    'moods.title': "Stimmung festhalten",
+    'moods.description': "Wähle deine Lernstimmung",
+    'moods.checkInsLeft': { one: "heute noch {count} Eintrag", other: "heute noch {count} Einträge" },
+    'moods.notePlaceholder': "Kurze Notiz hinzufügen (optional)",
+    'moods.submit': "Stimmung speichern",
+    'moods.feeling': "Stimmung: {mood}",
+    'moods.happy': "Glücklich",
+    'moods.motivated': "Motiviert",
+    'moods.focused': "Konzentriert",
+    'moods.calm': "Ruhig",
+    'moods.tired': "Müde",
+    'moods.stressed': "Gestresst",
+
+    // Toasts
+    'toast.xp': "+{xp} XP · {label}",
+    'toast.levelUp': "Levelaufstieg! Du hast Level {level} erreicht",
+    'toast.rewardTime': "Belohnungszeit! Du hast {xp} XP überschritten",
+    'toast.needCoins': { one: "Dir fehlt noch {count} Münze für {name}!", other: "Dir fehlen noch {count} Münzen für {name}!" },
+    'toast.rewardRedeemed': "Viel Spaß mit deiner Belohnung: {name}!",
+    'toast.challengeCompleted': "Challenge geschafft: {text}! +{xp} XP",
+    'toast.dailyChallengeDone': "Die heutige Challenge hast du schon geschafft!",
+    'toast.weeklyChallengeDone': "Die Challenge dieser Woche hast du schon geschafft!",
+    'toast.noCheckInsLeft': "Du hast heute alle Stimmungseinträge aufgebraucht!",
+    'toast.moodXp': "Du hast {xp} XP für deine Stimmung bekommen!",
+    'toast.bookFinished': "Du hast „{title}“ ausgelesen!",
+    'toast.goalReached': "Ziel erreicht: {title}! +{xp} XP",
+    'toast.sessionComplete': "Fokuseinheit beendet! +{xp} XP",
+    'books.logLabel': "S. {from}–{to} von {title} gelesen",
+    'reviews.logLabel': "Wiederholung: {title}",
+    'goals.logLabel': "Ziel: {title}",
+
+    // Reminders
+    'reminders.daily.title': "Zeit zum Lernen!",
+    'reminders.daily.body': "Deine tägliche Quest wartet. Trag eine Aufgabe ein oder starte eine Fokuseinheit.",
+    'reminders.streak.title': "Deine Serie ist in Gefahr",
+    'reminders.streak.body': "Lerne heute, sonst endet deine {count}-Tage-Serie um Mitternacht.",
+    'reminders.streak.bodyWithFreeze': "Lerne heute, um deine {count}-Tage-Serie zu halten, ohne einen Freeze zu verbrauchen.",
+
+    // Badges
+    'badges.title': "Deine Abzeichen",
+    'badges.unlockedCount': "{count} von {total} freigeschaltet",
+    'badges.toNextTier': "{value}/{goal} bis {tier}",
+    'badges.unlockedOn': "Freigeschaltet am {date}",
+    'achievements.tier.bronze': "Bronze",
+    'achievements.tier.silver': "Silber",
+    'achievements.tier.gold': "Gold",
+    'achievements.page-turner.name': "Seitenwender",
+    'achievements.page-turner.description': "Verdiene {count} XP",
+    'achievements.side-quest-hero.name': "Nebenquest-Held",
+    'achievements.side-quest-hero.description': { one: "Schließe {count} Nebenquest ab", other: "Schließe {count} Nebenquests ab" },
+    'achievements.streak-master.name': "Serienmeister",
+    'achievements.streak-master.description': "Halte eine {count}-Tage-Serie",
+    'achievements.time-lord.name': "Herr der Zeit",
+    'achievements.time-lord.description': { one: "Schließe {count} Fokuseinheit ab", other: "Schließe {count} Fokuseinheiten ab" },
+    'achievements.mood-maestro.name': "Stimmungsmaestro",
+    'achievements.mood-maestro.description': { one: "Trag einmal eine positive Stimmung ein", other: "Trag {count}-mal eine positive Stimmung ein" },
+    'achievements.level-up-legend.name': "Level-Legende",
+    'achievements.level-up-legend.description': "Erreiche Level {count}",
+    'achievements.book-finished.name': "Buch ausgelesen",
+    'achievements.book-finished.description': { one: "Lies {count} Buch zu Ende", other: "Lies {count} Bücher zu Ende" },
+
+    // Streak bonus
+    'streak.title': "Serienbonus",
+    'streak.current': { one: "Aktuelle Serie: {count} Tag", other: "Aktuelle Serie: {count} Tage" },
+    'streak.claim': "{bonus} XP Bonus abholen!",
+    'streak.claimed': "Serienbonus abgeholt!",
+    'streak.keepGoing': "Lerne weiter, um deine Serie aufzubauen!",
+    'streak.todayCounts': "Heute zählt für deine Serie.",
+    'streak.howToCount': "Verdiene {xp} Lern-XP oder konzentriere dich {minutes} Minuten, damit heute zählt.",
+    'streak.freezes': { one: "{count} Serien-Freeze", other: "{count} Serien-Freezes" },
+    'streak.daysSaved': { one: "{count} Tag in dieser Serie gerettet", other: "{count} Tage in dieser Serie gerettet" },
+    'streak.hideHistory': "Frühere Serien ausblenden",
+    'streak.showHistory': "Frühere Serien anzeigen ({count})",
+    'streak.run': "{start} – {end}, gerissen am {brokeOn}",
+    'streak.bonusLabel': "Bonus für {count}-Tage-Serie",
+    'streak.alreadyClaimed': "Den heutigen Serienbonus hast du schon abgeholt!",
+    'streak.earned': "Bonus! Du hast {xp} XP für deine Serie bekommen!",
+
+    // Mood journal
+    'moodJournal.title': "Stimmungstagebuch",
+    'moodJournal.summary': "{checkIns} in {days}",
+    'moodJournal.checkIns': { one: "{count} Eintrag", other: "{count} Einträge" },
+    'moodJournal.strain': "Du warst an {count} Eintragstagen in Folge müde oder gestresst. Gönn dir einen leichteren Tag oder eine richtige Pause.",
+    'moodJournal.insight.moreXp': "An Tagen mit „{mood}“ verdienst du {percent} mehr XP",
+    'moodJournal.insight.lessXp': "An Tagen mit „{mood}“ verdienst du {percent} weniger XP",
+    'moodJournal.insight.moreTime': "An Tagen mit „{mood}“ lernst du {percent} länger",
+    'moodJournal.insight.lessTime': "An Tagen mit „{mood}“ lernst du {percent} kürzer",
+    'moodJournal.noInsights': "Erkenntnisse erscheinen, sobald eine Stimmung an mindestens {count} Tagen eingetragen wurde.",
+    'moodJournal.showOlder': "Ältere Tage anzeigen",
+
+    // Challenges
+    'challenges.title': "Challenges",
+    'challenges.description': "Jeden Tag und jede Woche eine neue Challenge",
+    'challenges.daily': "Tages-Challenge",
+    'challenges.weekly': "Wochen-Challenge",
+    'challenges.dailyPool': "Pool der Tages-Challenges",
+    'challenges.weeklyPool': "Pool der Wochen-Challenges",
+    'challenges.newDaily': "Neue Tages-Challenge",
+    'challenges.newWeekly': "Neue Wochen-Challenge",
+    'challenges.editPool': "Challenge-Pool bearbeiten",
+    'challenges.closePool': "Challenge-Pool schließen",
+    'challenges.challenge': "Challenge",
+    'challenges.checkedBy': "Geprüft durch",
+    'challenges.target': "Ziel",
+    'challenges.delete': "Challenge löschen",
+    'challenges.add': "Challenge hinzufügen",
+    'challenges.poolHint': "Änderungen am Pool können ändern, welche Challenge heute gewählt wird.",
+    'challenges.emptyPool': "Der Pool ist leer. Füge eine Challenge hinzu, um eine zu bekommen.",
+    'challenges.goal.manual': "Von Hand abhaken",
+    'challenges.goal.pages': "Gelesene Seiten",
+    'challenges.goal.focusMinutes': "Fokusminuten",
+    'challenges.goal.tasks': "Eingetragene Aufgaben",
+    'challenges.goal.studyXp': "Lern-XP",
+    'challenges.progress.pages': "{value} / {count} Seiten gelesen · wird automatisch abgeschlossen",
+    'challenges.progress.focusMinutes': "{value} / {count} Fokusminuten · wird automatisch abgeschlossen",
+    'challenges.progress.tasks': "{value} / {count} Aufgaben eingetragen · wird automatisch abgeschlossen",
+    'challenges.progress.studyXp': "{value} / {count} Lern-XP · wird automatisch abgeschlossen",
+    'challenges.complete': "Challenge abschließen",
+    'challenges.completed': "Challenge geschafft!",
+    'challenges.pool.read-10': "Lies heute 10 Seiten",
+    'challenges.pool.reflect': "Denk 10 Minuten über deinen Fortschritt nach",
+    'challenges.pool.take-notes': "Mach dir Notizen zu dem, was du lernst",
+    'challenges.pool.new-technique': "Probier eine neue Lerntechnik aus",
+    'challenges.pool.practice-problems': "Löse 5 Übungsaufgaben",
+    'challenges.pool.summarize': "Fasse ein Kapitel zusammen",
+    'challenges.pool.study-plan': "Erstelle einen Lernplan für die Woche",
+    'challenges.pool.review': "Wiederhole früheren Stoff",
+    'challenges.pool.study-group': "Nimm an einer Lerngruppe teil",
+    'challenges.pool.explain': "Erkläre jemandem ein Konzept",
+    'challenges.pool.focus-25': "Konzentriere dich 25 Minuten",
+    'challenges.pool.tasks-3': "Trag 3 Lernaufgaben ein",
+    'challenges.pool.read-100': "Lies diese Woche 100 Seiten",
+    'challenges.pool.focus-180': "Konzentriere dich diese Woche 3 Stunden",
+    'challenges.pool.tasks-20': "Trag diese Woche 20 Lernaufgaben ein",
+    'challenges.pool.xp-300': "Verdiene diese Woche 300 Lern-XP",
+
+    // Reward shop
+    'rewards.title': "Belohnungsshop",
+    'rewards.edit': "Belohnungen bearbeiten",
+    'rewards.doneEditing': "Bearbeiten der Belohnungen beenden",
+    'rewards.coins': { one: "{count} Münze", other: "{count} Münzen" },
+    'rewards.rate': "1 Münze pro {xp} XP",
+    'rewards.reward': "Belohnung",
+    'rewards.cost': "Preis in Münzen",
+    'rewards.delete': "Belohnung löschen",
+    'rewards.new': "Neue Belohnung",
+    'rewards.add': "Belohnung hinzufügen",
+    'rewards.empty': "Füge eine Belohnung hinzu, um darauf zu sparen.",
+    'rewards.hidePurchases': "Käufe ausblenden",
+    'rewards.showPurchases': "Käufe anzeigen ({count})",
+    'rewards.default.gaming': "30 Min. zocken",
+    'rewards.default.bubble-tea': "Bubble Tea",
+    'rewards.default.episode': "Eine Folge schauen",
+
+    // Backup & restore
+    'backup.title': "Sichern & Wiederherstellen",
+    'backup.description': "Übertrage deinen Fortschritt zwischen Browsern und Geräten",
+    'backup.exportJson': "JSON exportieren",
+    'backup.exportCsv': "XP-Verlauf als CSV",
+    'backup.import': "Importieren",
+    'backup.events': { one: "{count} Ereignis", other: "{count} Ereignisse" },
+    'backup.exportedAt': "exportiert am {date}",
+    'backup.skipped': "{count} unlesbar, übersprungen",
+    'backup.mode.merge': "Zusammenführen",
+    'backup.mode.replace': "Ersetzen",
+    'backup.noChange': "{value} (unverändert)",
+    'backup.change': "{before} → {after}",
+    'backup.xp': "XP: {change}",
+    'backup.level': "Level: {change}",
+    'backup.badgesGained': "Neue Abzeichen: {badges}",
+    'backup.badgesLost': "Verlorene Abzeichen: {badges}",
+    'backup.replaceWarning': "Ersetzen verwirft alles, was gerade in diesem Browser gespeichert ist.",
+    'backup.apply': "Übernehmen",
+    'backup.error.invalidJson': "Diese Datei enthält kein gültiges JSON.",
+    'backup.error.notBackup': "Diese Datei ist keine Scholar-Quest-Sicherung.",
+    'backup.error.unknownVersion': "Diese Sicherung hat eine unbekannte Formatversion.",
+    'backup.error.newerVersion': "Diese Sicherung stammt aus einer neueren Version von Scholar Quest.",
+    'backup.error.unreadable': "Diese Datei konnte nicht gelesen werden.",
+
+    // Side quests
+    'sideQuests.title': "Nebenquests",
+    'sideQuests.description': "Je {xp} XP",
+    'sideQuests.completedCount': "{count} abgeschlossen",
+    'sideQuests.placeholder': "Beschreibe deine Nebenquest...",
+    'sideQuests.error.empty': "Bitte gib eine Nebenquest ein!",
+    'sideQuests.dueDate': "Fälligkeitsdatum",
+    'sideQuests.repeats': "Wiederholung",
+    'sideQuests.recurrence.none': "Einmalig",
+    'sideQuests.recurrence.daily': "Täglich",
+    'sideQuests.recurrence.weekly': "Wöchentlich",
+    'sideQuests.completeQuest': "{title} abschließen",
+    'sideQuests.next': "nächste am {date}",
+    'sideQuests.due': "Fällig am {date}",
+    'sideQuests.overdue': "Überfällig seit {date}",
+    'sideQuests.edit': "Quest bearbeiten",
+    'sideQuests.delete': "Quest löschen",
+    'sideQuests.confirmDelete': "„{title}“ löschen?",
+    'sideQuests.add': "Hinzufügen",
+    'sideQuests.addQuest': "Nebenquest hinzufügen",
+    'sideQuests.hideCompleted': "Abgeschlossene ausblenden",
+    'sideQuests.showCompleted': "Abgeschlossene anzeigen ({count})",
+
+    // Spaced repetition
+    'reviews.title': "Heute fällige Wiederholungen",
+    'reviews.due': "{count} fällig",
+    'reviews.scheduled': { one: "{count} Thema geplant", other: "{count} Themen geplant" },
+    'reviews.first': "Erste Wiederholung",
+    'reviews.nth': "Wiederholung {number}",
+    'reviews.prompt': "{method} für {xp} XP. Wie gut hast du es behalten?",
+    'reviews.grade.again': "Nochmal",
+    'reviews.grade.hard': "Schwer",
+    'reviews.grade.good': "Gut",
+    'reviews.grade.easy': "Leicht",
+    'reviews.methodLabel': "Wiederholungsmethode",
+    'reviews.method.activeRecall': "Aktives Abrufen",
+    'reviews.method.notesReview': "Notizen lesen",
+    'reviews.caughtUp': "Alles erledigt! Heute gibt es nichts zu wiederholen.",
+    'reviews.empty': "Füge ein Thema hinzu, das du gelernt hast, um es zu wiederholen.",
+    'reviews.placeholder': "Gelerntes Thema, z. B. Ableitungen",
+    'reviews.newTopic': "Neues Thema",
+    'reviews.add': "Hinzufügen",
+    'reviews.hideUpcoming': "Anstehende Wiederholungen ausblenden",
+    'reviews.showUpcoming': "Anstehende Wiederholungen anzeigen ({count})",
+    'reviews.confirmDelete': "„{title}“ nicht mehr wiederholen?",
+    'reviews.delete': "{title} löschen",
+
+    // Goal planner
+    'goals.title': "Zielplaner",
+    'goals.description': "Setze Wochen- oder Monatsziele und verdiene einen Bonus, wenn du sie erreichst",
+    'goals.reached': { one: "{met} von {count} Ziel in diesem Zeitraum erreicht", other: "{met} von {count} Zielen in diesem Zeitraum erreicht" },
+    'goals.period.week': "Wöchentlich",
+    'goals.period.month': "Monatlich",
+    'goals.periodLabel': "Zeitraum des Ziels",
+    'goals.metricLabel': "Art des Ziels",
+    'goals.taskLabel': "Zu zählende Aufgabe",
+    'goals.anyTask': "Beliebige Aufgabe",
+    'goals.target': "Ziel",
+    'goals.targetLabel': "Zielwert",
+    'goals.bonusPlaceholder': "Bonus {xp} XP",
+    'goals.bonusLabel': "Bonus-XP",
+    'goals.add': "Ziel hinzufügen",
+    'goals.ends': "endet am {date}",
+    'goals.bonus': "{xp} XP Bonus",
+    'goals.pace.done': "Erreicht",
+    'goals.pace.doneWithBonus': "Erreicht · +{xp} XP",
+    'goals.pace.onTrack': "Im Plan",
+    'goals.pace.behind': "Im Rückstand · {count} aufzuholen",
+    'goals.delete': "Ziel löschen: {title}",
+    'goals.confirmDelete': "Das Ziel „{title}“ löschen? Bereits verdiente Bonus-XP bleiben erhalten.",
+    'goals.summary.week': { one: "Letzte Woche: {met} von {count} Ziel erreicht", other: "Letzte Woche: {met} von {count} Zielen erreicht" },
+    'goals.summary.month': { one: "Letzter Monat: {met} von {count} Ziel erreicht", other: "Letzter Monat: {met} von {count} Zielen erreicht" },
+    'goals.describe.studyXp': "{count} Lern-XP verdienen",
+    'goals.describe.pages': { one: "{count} Seite lesen", other: "{count} Seiten lesen" },
+    'goals.describe.focusMinutes': { one: "{count} Minute konzentrieren", other: "{count} Minuten konzentrieren" },
+    'goals.describe.tasks': { one: "{count} Aufgabe eintragen", other: "{count} Aufgaben eintragen" },
+    'goals.describe.task': { one: "„{label}“ einmal eintragen", other: "„{label}“ {count}-mal eintragen" },
+    'goals.deletedTask': "eine gelöschte Aufgabe",
+
+    // Reading tracker
+    'books.title': "Lesetracker",
+    'books.finishedCount': { one: "{finished} von {count} Buch ausgelesen", other: "{finished} von {count} Büchern ausgelesen" },
+    'books.logMode': "Eintragen als",
+    'books.mode.current': "Jetzt auf Seite",
+    'books.mode.range': "Gelesene Seiten",
+    'books.fromPage': "Ab Seite",
+    'books.to': "bis",
+    'books.currentPage': "Aktuelle Seite",
+    'books.toPage': "Bis Seite",
+    'books.log': "Eintragen",
+    'books.logXp': "+{xp} XP eintragen",
+    'books.pageOf': "Seite {page} von {total}",
+    'books.finishedOn': "ausgelesen am {date}",
+    'books.delete': "{title} löschen",
+    'books.confirmDelete': "„{title}“ löschen? Bereits verdiente XP bleiben erhalten.",
+    'books.bookTitle': "Buchtitel",
+    'books.pages': "Seiten",
+    'books.totalPages': "Seitenzahl",
+    'books.add': "Buch hinzufügen",
+    'books.mode.buckets': "Werte der Leseaufgaben",
+    'books.mode.rate': "Feste XP pro Seite",
+    'books.error.wholePages': "Gib ganze Seitenzahlen ein.",
+    'books.error.order': "Die letzte Seite kann nicht vor der ersten liegen.",
+    'books.error.alreadyRead': "Diese Seiten hast du schon eingetragen.",
+    'books.error.tooLong': { one: "„{title}“ hat nur {count} Seite.", other: "„{title}“ hat nur {count} Seiten." },
+
+    // XP history
+    'xpHistory.title': "XP-Verlauf",
+    'xpHistory.entries': { one: "{count} Eintrag", other: "{count} Einträge" },
+    'xpHistory.activity': "Aktivität",
+    'xpHistory.xp': "XP",
+    'xpHistory.save': "Eintrag speichern",
+    'xpHistory.cancel': "Bearbeiten abbrechen",
+    'xpHistory.filter.day': "Nach Tag filtern",
+    'xpHistory.filter.category': "Nach Kategorie filtern",
+    'xpHistory.filter.allCategories': "Alle Kategorien",
+    'xpHistory.filter.source': "Nach Quelle filtern",
+    'xpHistory.filter.allSources': "Alle Quellen",
+    'xpHistory.filter.subject': "Nach Fach filtern",
+    'xpHistory.filter.allSubjects': "Alle Fächer",
+    'xpHistory.clear': "Zurücksetzen",
+    'xpHistory.edit': "{label} bearbeiten",
+    'xpHistory.delete': "{label} löschen",
+    'xpHistory.confirmDelete': "„{label}“ (+{xp} XP) löschen?",
+    'xpHistory.noMatches': "Keine XP passen zu diesen Filtern.",
+    'xpHistory.empty': "Noch keine XP verdient.",
+    'xpLog.source.task': "Aufgabe",
+    'xpLog.source.reading': "Lesen",
+    'xpLog.source.challenge': "Tages-Challenge",
+    'xpLog.source.weeklyChallenge': "Wochen-Challenge",
+    'xpLog.source.goal': "Zielbonus",
+    'xpLog.source.sideQuest': "Nebenquest",
+    'xpLog.source.mood': "Stimmung",
+    'xpLog.source.streak': "Serienbonus",
+    'xpLog.source.timer': "Zeiterfassung",
+
+    // Statistics
+    'stats.title': "Statistik",
+    'stats.activeDays': { one: "{count} aktiver Tag im letzten Jahr", other: "{count} aktive Tage im letzten Jahr" },
+    'stats.longestStreak': "Längste Serie (Tage)",
+    'stats.currentStreak': "Aktuelle Serie (Tage)",
+    'stats.focusSessions': "Fokuseinheiten",
+    'stats.averageSession': "Durchschnittliche Einheit",
+    'stats.byCategory': "XP nach Kategorie",
+    'stats.period.daily': "Letzte 14 Tage",
+    'stats.period.weekly': "Letzte 12 Wochen",
+    'stats.xpPerDay': "XP pro Tag",
+    'stats.xpPerWeek': "XP pro Woche",
+    'stats.barTitle': "{date}: {xp} XP",
+    'stats.otherCategory': "Sonstiges",
+    'stats.activity': "Lernaktivität",
+    'stats.dayTitle': "{date}: {xp} XP, {minutes} Min.",
+    'stats.less': "Weniger",
+    'stats.more': "Mehr",
+    'stats.topTasks': "Häufigste Aufgaben",
+    'stats.taskCount': "{count}× · {xp} XP",
+    'stats.noTasks': "Noch keine Aufgaben eingetragen.",
+    'stats.focusTime': "Fokuszeit",
+    'stats.focusSummary': {
+        one: "{minutes} Minuten konzentriert in {count} Einheit.",
+        other: "{minutes} Minuten konzentriert in {count} Einheiten.",
+    },
+
+    // Subjects
+    'subjects.title': "Fächer",
+    'subjects.edit': "Fächer bearbeiten",
+    'subjects.doneEditing': "Bearbeiten der Fächer beenden",
+    'subjects.loggingTo': "Einträge gehen an {name}",
+    'subjects.loggingWithout': "Einträge ohne Fach",
+    'subjects.level': "Level {level}",
+    'subjects.focused': "{count} Min. konzentriert",
+    'subjects.lastStudied': "zuletzt gelernt am {date}",
+    'subjects.name': "Name des Fachs",
+    'subjects.confirmDelete': "„{name}“ löschen? Seine XP bleiben in deiner Gesamtsumme.",
+    'subjects.delete': "{name} löschen",
+    'subjects.active': "Aktives Fach",
+    'subjects.none': "Kein Fach",
+    'subjects.placeholder': "Neues Fach, z. B. Analysis",
+    'subjects.new': "Neues Fach",
+    'subjects.add': "Hinzufügen",
+
+    // Time tracker
+    'timer.title': "Zeiterfassung",
+    'timer.description': "Verdiene {xp} XP pro konzentrierter Minute",
+    'timer.focusMinutes': "Fokus (Min.)",
+    'timer.breakMinutes': "Pause (Min.)",
+    'timer.labelPlaceholder': "Woran arbeitest du? (optional)",
+    'timer.start': "Fokus starten",
+    'timer.focus': "Fokus",
+    'timer.break': "Pause",
+    'timer.paused': "pausiert",
+    'timer.timeLeft': "Verbleibende Zeit",
+    'timer.focusedFor': "{time} konzentriert",
+    'timer.pause': "Pausieren",
+    'timer.resume': "Fortsetzen",
+    'timer.finish': "Beenden",
+    'timer.skipBreak': "Pause überspringen",
+    'timer.history': "Verlauf der Einheiten",
+    'timer.session': "Fokuseinheit",
+    'timer.showLess': "Weniger anzeigen",
+    'timer.showAll': "Alle {count} anzeigen",
+    'timer.notify.focusTitle': "Fokuseinheit beendet",
+    'timer.notify.focusBody': "Gut gemacht! Zeit für eine Pause.",
+    'timer.notify.breakTitle': "Die Pause ist vorbei",
+    'timer.notify.breakBody': "Bereit für die nächste Fokuseinheit?",
+
+    // Task editor
+    'taskEditor.title': "Aufgaben bearbeiten",
+    'taskEditor.description': "Änderungen werden beim Tippen gespeichert. Bisherige XP bleiben unverändert. Lass Abklingzeit oder Limit leer für keine Begrenzung. Gib einer Aufgabe einen Buchstaben oder eine Ziffer als Taste, um sie mit dieser Taste einzutragen.",
+    'taskEditor.taskLabel': "Name der Aufgabe",
+    'taskEditor.xpValue': "XP-Wert",
+    'taskEditor.pages': "Seiten",
+    'taskEditor.pagesRead': "Gelesene Seiten",
+    'taskEditor.cooldown': "Abklingzeit Min.",
+    'taskEditor.cooldownLabel': "Abklingzeit in Minuten",
+    'taskEditor.dailyCap': "XP/Tag-Limit",
+    'taskEditor.dailyCapLabel': "Tägliches XP-Limit",
+    'taskEditor.key': "Taste",
+    'taskEditor.shortcut': "Tastenkürzel",
+    'taskEditor.icon': "Symbol",
+    'taskEditor.moveTaskUp': "Aufgabe nach oben",
+    'taskEditor.moveTaskDown': "Aufgabe nach unten",
+    'taskEditor.deleteTask': "Aufgabe löschen",
+    'taskEditor.confirmDeleteCategory': { one: "„{name}“ und seine {count} Aufgabe löschen?", other: "„{name}“ und seine {count} Aufgaben löschen?" },
+    'taskEditor.confirmReset': "Alle Kategorien und Aufgaben durch die Standardwerte ersetzen?",
+    'taskEditor.categoryName': "Name der Kategorie",
+    'taskEditor.categoryDailyCap': "Tägliches XP-Limit der Kategorie",
+    'taskEditor.moveCategoryUp': "Kategorie nach oben",
+    'taskEditor.moveCategoryDown': "Kategorie nach unten",
+    'taskEditor.deleteCategory': "Kategorie löschen",
+    'taskEditor.newTask': "Neue Aufgabe",
+    'taskEditor.addTask': "Aufgabe hinzufügen",
+    'taskEditor.newCategory': "Neue Kategorie",
+    'taskEditor.addCategory': "Kategorie hinzufügen",
+    'taskEditor.reset': "Auf Standard zurücksetzen",
+
+    // Settings
+    'settings.title': "Einstellungen",
+    'settings.show': "Einstellungen anzeigen",
+    'settings.hide': "Einstellungen ausblenden",
+    'settings.description': "Sprache, Levelkurve, Leveltitel, XP-Belohnungen, Erinnerungen und Synchronisierung",
+    'settings.language': "Sprache",
+    'settings.rewards': "Belohnungen",
+    'settings.dailyChallengeXp': "XP für Tages-Challenge",
+    'settings.weeklyChallengeXp': "XP für Wochen-Challenge",
+    'settings.sideQuestXp': "XP für Nebenquests",
+    'settings.rewardInterval': "Belohnungsfenster alle … XP",
+    'settings.xpPerCoin': "XP pro Shop-Münze",
+    'settings.moodCheckIns': "Stimmungseinträge pro Tag",
+    'settings.moodXp': "{icon} XP für {mood}",
+    'settings.readingXp': "Lese-XP",
+    'settings.xpPerPage': "XP pro Seite",
+    'settings.repeats': "Wiederholte Aufgaben",
+    'settings.repeatWindow': "Wiederholungen innerhalb von … Minuten bringen weniger (0 = aus)",
+    'settings.repeatMultiplier': "Jede Wiederholung bringt (× vorherige)",
+    'settings.repeatsHint': "Abklingzeiten und tägliche XP-Limits werden im Aufgabeneditor pro Aufgabe und Kategorie festgelegt.",
+    'settings.reminders': "Erinnerungen",
+    'settings.permission.granted': "Benachrichtigungen sind in diesem Browser aktiviert.",
+    'settings.permission.denied': "Benachrichtigungen sind blockiert. Erlaube sie in den Website-Einstellungen deines Browsers.",
+    'settings.permission.default': "Für Erinnerungen wird die Erlaubnis für Benachrichtigungen benötigt.",
+    'settings.permission.unsupported': "Dieser Browser kann keine Benachrichtigungen anzeigen.",
+    'settings.enableNotifications': "Benachrichtigungen aktivieren",
+    'settings.dailyReminder': "Tägliche Lernerinnerung",
+    'settings.streakWarning': "Abendliche Serienwarnung",
+    'settings.timeOf': "Uhrzeit für {label}",
+    'settings.notifyTimerEnd': "Benachrichtigen, wenn eine Fokuseinheit oder Pause endet",
+    'settings.remindersHint': "An Tagen, an denen du schon gelernt hast, entfallen Erinnerungen. Sie kommen nur an, solange Scholar Quest in einem Tab geöffnet oder als App installiert ist.",
+    'settings.sync.title': "Synchronisierung",
+    'settings.sync.url': "URL des Sync-Servers",
+    'settings.sync.urlPlaceholder': "Server-URL, z. B. http://localhost:4000",
+    'settings.sync.user': "Sync-Benutzername",
+    'settings.sync.userPlaceholder': "Dein Benutzername",
+    'settings.sync.save': "Sync-Einstellungen speichern",
+    'settings.sync.local': "Der Fortschritt wird nur in diesem Browser gespeichert.",
+    'settings.sync.synced': "Synchronisiert um {time}.",
+    'settings.sync.pending': { one: "{count} Änderung wird synchronisiert…", other: "{count} Änderungen werden synchronisiert…" },
+    'settings.sync.offline': {
+        one: "Offline: {count} Änderung wird synchronisiert, sobald du wieder online bist.",
+        other: "Offline: {count} Änderungen werden synchronisiert, sobald du wieder online bist.",
+    },
+    'settings.sync.error': "Synchronisierung fehlgeschlagen: {message}. Änderungen bleiben erhalten und werden erneut versucht.",
+    'settings.levelCurve': "Levelkurve",
+    'settings.xpPerLevel': "XP pro Level",
+    'settings.baseXp': "XP für Level 2",
+    'settings.growth': "Wachstum pro Level (×)",
+    'settings.thresholds': "Gesamt-XP für Level 2, 3, 4, … (durch Kommas getrennt)",
+    'settings.thresholdsError': "Verwende aufsteigende positive Zahlen.",
+    'settings.preview': "Mit {xp} XP bist du auf Level {level}, {into} / {needed} XP davon erreicht.",
+    'settings.previewWithTitle': "Mit {xp} XP bist du auf Level {level} ({title}), {into} / {needed} XP davon erreicht.",
+    'settings.levelTitles': "Leveltitel",
+    'settings.fromLevel': "Ab Level",
+    'settings.levelTitle': "Titel",
+    'settings.removeTitle': "Titel entfernen",
+    'settings.newTitle': "Neuer Titel",
+    'settings.addTitle': "Titel hinzufügen",
+    'settings.reset': "Auf Standard zurücksetzen",
+    'levels.curve.linear': "Linear",
+    'levels.curve.exponential': "Exponentiell",
+    'levels.curve.table': "Eigene Tabelle",
+
+    // Notifications
+    'notifications.title': "Benachrichtigungen",
+    'notifications.unread': "Benachrichtigungen, {count} ungelesen",
+    'notifications.recent': "Letzte Benachrichtigungen",
+    'notifications.confirmClear': "Alle Benachrichtigungen löschen?",
+    'notifications.clear': "Leeren",
+    'notifications.empty': "Noch nichts da. Hier erscheinen deine XP, Belohnungen und Ziele.",
+    'notifications.waiting': "{count} weitere warten",
+
+    // Command palette
+    'palette.title': "Befehlspalette",
+    'palette.placeholder': "Aufgabe eintragen, Quest abschließen, Timer starten...",
+    'palette.search': "Aktionen durchsuchen",
+    'palette.shortcut': "Strg K",
+    'palette.actions': "Aktionen",
+    'palette.noMatches': "Keine passenden Aktionen",
+    'palette.help': "↑↓ zum Bewegen · Enter zum Ausführen · Esc zum Schließen",
+    'palette.group.task': "Aufgabe",
+    'palette.group.sideQuest': "Nebenquest",
+    'palette.group.mood': "Stimmung",
+    'palette.group.timer': "Timer",
+    'palette.group.challenge': "Challenge",
+    'palette.group.streak': "Serie",
+    'palette.completeQuest': "„{title}“ abschließen",
+    'palette.noCheckInsLeft': "Heute keine Stimmungseinträge mehr",
+    'palette.moodKeywords': "stimmung eintrag",
+    'palette.startTimer': "Fokuseinheit starten",
+    'palette.pauseTimer': "Timer pausieren",
+    'palette.resumeTimer': "Timer fortsetzen",
+    'palette.stopTimer': "Fokuseinheit beenden",
+    'palette.skipBreak': "Pause überspringen",
+    'palette.completeDailyChallenge': "Heutige Challenge abschließen: {text}",
+    'palette.completeWeeklyChallenge': "Challenge dieser Woche abschließen: {text}",
+    'palette.claimStreak': "Serienbonus abholen",
+};
+
+export default de;
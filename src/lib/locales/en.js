@@ -0,0 +1,585 @@
+// ===============================
+// English
+// ===============================
+
+// The reference catalog: every message key is defined here first, and other
+// languages fall back to it for anything they leave out.
+
+const en = {
+    // Shared
+    'common.xp': "{xp} XP",
+    'common.plusXp': "+{xp} XP",
+    'common.days': { one: "{count} day", other: "{count} days" },
+    'common.minutes': "{count} min",
+    'common.cancel': "Cancel",
+    'common.save': "Save",
+    'common.dismiss': "Dismiss",
+    'common.done': "Done",
+    'common.undo': "Undo",
+    'common.skip': "Skip",
+
+    // App
+    'app.title': "Scholar Quest",
+    'app.skipToTasks': "Skip to tasks",
+
+    // Progress
+    'progress.title': "Your Progress",
+    'progress.level': "Level: {level}",
+    'progress.toNext': "{percent} to next level",
+    'progress.xp': "{into} / {needed} XP · {total} XP total",
+    'levels.title.novice': "Novice",
+    'levels.title.apprentice': "Apprentice",
+    'levels.title.adept': "Adept",
+    'levels.title.scholar': "Scholar",
+    'levels.title.sage': "Sage",
+    'levels.title.luminary': "Luminary",
+
+    // Tasks
+    'tasks.heading': "Task Categories",
+    'tasks.edit': "Edit categories & tasks",
+    'tasks.button': "+{xp} XP - {label}",
+    'tasks.reduced': "Reduced from {xp} XP",
+    'tasks.limit.cooldown': "Ready in {count} min",
+    'tasks.limit.capped': "Capped for today",
+    'tasks.limit.categoryCapped': "Category capped for today",
+    'tasks.limit.unavailable': "not available",
+    'tasks.limited': "{label}: {reason}",
+    'tasks.category.initiation': "Initiation",
+    'tasks.category.engagement': "Engagement",
+    'tasks.category.understanding': "Understanding",
+    'tasks.category.mastery': "Mastery",
+    'tasks.read-1-4': "Read 1–4 pages",
+    'tasks.read-5-14': "Read 5–14 pages",
+    'tasks.read-15-24': "Read 15–24 pages",
+    'tasks.read-25-plus': "Read 25+ pages",
+    'tasks.understanding': "Understanding it",
+    'tasks.active-recall': "Active recall",
+    'tasks.real-world': "Linking to real world",
+    'tasks.discussing': "Answering/discussing",
+    'tasks.notes-review': "Reading notes later",
+    'tasks.teaching': "Teaching someone",
+
+    // Celebrations
+    'celebration.reward.label': "Reward time",
+    'celebration.reward.title': "Reward Time!",
+    'celebration.reward.description': "You earned {xp} XP! Treat yourself!",
+    'celebration.reward.coins': { one: "{count} coin to spend", other: "{count} coins to spend" },
+    'celebration.reward.openShop': "Visit the Reward Shop",
+    'celebration.levelUp.label': "Level up",
+    'celebration.levelUp.title': "Level Up!",
+    'celebration.levelUp.description': "Congratulations! You reached level {level}!",
+
+    // Mood tracker
+    'moods.title': "Track Your Mood",
+    'moods.description': "Select your study mood",
+    'moods.checkInsLeft': { one: "{count} check-in left today", other: "{count} check-ins left today" },
+    'moods.notePlaceholder': "Add a short note (optional)",
+    'moods.submit': "Submit Mood",
+    'moods.feeling': "Feeling {mood}",
+    'moods.happy': "Happy",
+    'moods.motivated': "Motivated",
+    'moods.focused': "Focused",
+    'moods.calm': "Calm",
+    'moods.tired': "Tired",
+    'moods.stressed': "Stressed",
+
+    // Toasts
+    'toast.xp': "+{xp} XP · {label}",
+    'toast.levelUp': "Level up! You reached level {level}",
+    'toast.rewardTime': "Reward time! You passed {xp} XP",
+    'toast.needCoins': { one: "You need {count} more coin for {name}!", other: "You need {count} more coins for {name}!" },
+    'toast.rewardRedeemed': "Enjoy your reward: {name}!",
+    'toast.challengeCompleted': "You've completed the challenge: {text}! +{xp} XP",
+    'toast.dailyChallengeDone': "You've already completed this day's challenge!",
+    'toast.weeklyChallengeDone': "You've already completed this week's challenge!",
+    'toast.noCheckInsLeft': "You've used all of today's mood check-ins!",
+    'toast.moodXp': "You earned {xp} XP for your mood!",
+    'toast.bookFinished': "You finished \"{title}\"!",
+    'toast.goalReached': "Goal reached: {title}! +{xp} XP",
+    'toast.sessionComplete': "Focus session complete! +{xp} XP",
+    'books.logLabel': "Read pp. {from}–{to} of {title}",
+    'reviews.logLabel': "Review: {title}",
+    'goals.logLabel': "Goal: {title}",
+
+    // Reminders
+    'reminders.daily.title': "Time to study!",
+    'reminders.daily.body': "Your daily quest is waiting. Log a task or start a focus session.",
+    'reminders.streak.title': "Your streak is at risk",
+    'reminders.streak.body': "Study today or your {count}-day streak ends at midnight.",
+    'reminders.streak.bodyWithFreeze': "Study today to keep your {count}-day streak without spending a freeze token.",
+
+    // Badges
+    'badges.title': "Your Badges",
+    'badges.unlockedCount': "{count} of {total} unlocked",
+    'badges.toNextTier': "{value}/{goal} to {tier}",
+    'badges.unlockedOn': "Unlocked {date}",
+    'achievements.tier.bronze': "Bronze",
+    'achievements.tier.silver': "Silver",
+    'achievements.tier.gold': "Gold",
+    'achievements.page-turner.name': "Page Turner",
+    'achievements.page-turner.description': "Earn {count} XP",
+    'achievements.side-quest-hero.name': "Side Quest Hero",
+    'achievements.side-quest-hero.description': { one: "Complete {count} side quest", other: "Complete {count} side quests" },
+    'achievements.streak-master.name': "Streak Master",
+    'achievements.streak-master.description': "Keep a {count}-day streak",
+    'achievements.time-lord.name': "Time Lord",
+    'achievements.time-lord.description': { one: "Complete {count} focus session", other: "Complete {count} focus sessions" },
+    'achievements.mood-maestro.name': "Mood Maestro",
+    'achievements.mood-maestro.description': { one: "Check in with a positive mood once", other: "Check in with a positive mood {count} times" },
+    'achievements.level-up-legend.name': "Level Up Legend",
+    'achievements.level-up-legend.description': "Reach level {count}",
+    'achievements.book-finished.name': "Book Finished",
+    'achievements.book-finished.description': { one: "Finish {count} book", other: "Finish {count} books" },
+
+    // Streak bonus
+    'streak.title': "Streak Bonus",
+    'streak.current': { one: "Current Streak: {count} day", other: "Current Streak: {count} days" },
+    'streak.claim': "Claim {bonus} XP Bonus!",
+    'streak.claimed': "Streak bonus claimed!",
+    'streak.keepGoing': "Keep studying to build your streak!",
+    'streak.todayCounts': "Today counts towards your streak.",
+    'streak.howToCount': "Earn {xp} study XP or focus for {minutes} minutes to count today.",
+    'streak.freezes': { one: "{count} streak freeze", other: "{count} streak freezes" },
+    'streak.daysSaved': { one: "{count} day saved this streak", other: "{count} days saved this streak" },
+    'streak.hideHistory': "Hide past streaks",
+    'streak.showHistory': "Show past streaks ({count})",
+    'streak.run': "{start} – {end}, broke {brokeOn}",
+    'streak.bonusLabel': "{count}-day streak bonus",
+    'streak.alreadyClaimed': "You've already claimed today's streak bonus!",
+    'streak.earned': "Bonus! You've earned {xp} XP for your streak!",
+
+    // Mood journal
+    'moodJournal.title': "Mood Journal",
+    'moodJournal.summary': "{checkIns} over {days}",
+    'moodJournal.checkIns': { one: "{count} check-in", other: "{count} check-ins" },
+    'moodJournal.strain': "You've felt tired or stressed {count} check-in days in a row. Consider a lighter day or a proper break.",
+    'moodJournal.insight.moreXp': "You earn {percent} more XP on {mood} days",
+    'moodJournal.insight.lessXp': "You earn {percent} less XP on {mood} days",
+    'moodJournal.insight.moreTime': "You study {percent} longer on {mood} days",
+    'moodJournal.insight.lessTime': "You study {percent} less on {mood} days",
+    'moodJournal.noInsights': "Insights appear once a mood has been logged on at least {count} days.",
+    'moodJournal.showOlder': "Show older days",
+
+    // Challenges
+    'challenges.title': "Challenges",
+    'challenges.description': "A new challenge every day and every week",
+    'challenges.daily': "Daily Challenge",
+    'challenges.weekly': "Weekly Challenge",
+    'challenges.dailyPool': "Daily Challenge pool",
+    'challenges.weeklyPool': "Weekly Challenge pool",
+    'challenges.newDaily': "New daily challenge",
+    'challenges.newWeekly': "New weekly challenge",
+    'challenges.editPool': "Edit challenge pool",
+    'challenges.closePool': "Close challenge pool",
+    'challenges.challenge': "Challenge",
+    'challenges.checkedBy': "Checked by",
+    'challenges.target': "Target",
+    'challenges.delete': "Delete challenge",
+    'challenges.add': "Add challenge",
+    'challenges.poolHint': "Changes to the pool can change which challenge is picked for today.",
+    'challenges.emptyPool': "The pool is empty. Add a challenge to get one.",
+    'challenges.goal.manual': "Mark done by hand",
+    'challenges.goal.pages': "Pages read",
+    'challenges.goal.focusMinutes': "Focus minutes",
+    'challenges.goal.tasks': "Tasks logged",
+    'challenges.goal.studyXp': "Study XP",
+    'challenges.progress.pages': "{value} / {count} pages read · completes automatically",
+    'challenges.progress.focusMinutes': "{value} / {count} focus minutes · completes automatically",
+    'challenges.progress.tasks': "{value} / {count} tasks logged · completes automatically",
+    'challenges.progress.studyXp': "{value} / {count} study XP · completes automatically",
+    'challenges.complete': "Complete Challenge",
+    'challenges.completed': "Challenge Completed!",
+    'challenges.pool.read-10': "Read 10 pages today",
+    'challenges.pool.reflect': "Reflect on your progress for 10 minutes",
+    'challenges.pool.take-notes': "Take notes on your learning",
+    'challenges.pool.new-technique': "Try a new study technique",
+    'challenges.pool.practice-problems': "Solve 5 practice problems",
+    'challenges.pool.summarize': "Summarize a chapter",
+    'challenges.pool.study-plan': "Create a study plan for the week",
+    'challenges.pool.review': "Review previous material",
+    'challenges.pool.study-group': "Attend a study group",
+    'challenges.pool.explain': "Explain a concept to someone else",
+    'challenges.pool.focus-25': "Focus for 25 minutes",
+    'challenges.pool.tasks-3': "Log 3 study tasks",
+    'challenges.pool.read-100': "Read 100 pages this week",
+    'challenges.pool.focus-180': "Focus for 3 hours this week",
+    'challenges.pool.tasks-20': "Log 20 study tasks this week",
+    'challenges.pool.xp-300': "Earn 300 study XP this week",
+
+    // Reward shop
+    'rewards.title': "Reward Shop",
+    'rewards.edit': "Edit rewards",
+    'rewards.doneEditing': "Done editing rewards",
+    'rewards.coins': { one: "{count} coin", other: "{count} coins" },
+    'rewards.rate': "1 coin per {xp} XP",
+    'rewards.reward': "Reward",
+    'rewards.cost': "Cost in coins",
+    'rewards.delete': "Delete reward",
+    'rewards.new': "New reward",
+    'rewards.add': "Add reward",
+    'rewards.empty': "Add a treat to start saving up for it.",
+    'rewards.hidePurchases': "Hide purchases",
+    'rewards.showPurchases': "Show purchases ({count})",
+    'rewards.default.gaming': "30 min gaming",
+    'rewards.default.bubble-tea': "Bubble tea",
+    'rewards.default.episode': "Watch an episode",
+
+    // Backup & restore
+    'backup.title': "Backup & Restore",
+    'backup.description': "Move your progress between browsers and devices",
+    'backup.exportJson': "Export JSON",
+    'backup.exportCsv': "XP Log CSV",
+    'backup.import': "Import",
+    'backup.events': { one: "{count} event", other: "{count} events" },
+    'backup.exportedAt': "exported {date}",
+    'backup.skipped': "{count} unreadable, skipped",
+    'backup.mode.merge': "Merge",
+    'backup.mode.replace': "Replace",
+    'backup.noChange': "{value} (no change)",
+    'backup.change': "{before} → {after}",
+    'backup.xp': "XP: {change}",
+    'backup.level': "Level: {change}",
+    'backup.badgesGained': "New badges: {badges}",
+    'backup.badgesLost': "Badges lost: {badges}",
+    'backup.replaceWarning': "Replace discards everything currently in this browser.",
+    'backup.apply': "Apply",
+    'backup.error.invalidJson': "This file isn't valid JSON.",
+    'backup.error.notBackup': "This file isn't a Scholar Quest backup.",
+    'backup.error.unknownVersion': "This backup has an unknown format version.",
+    'backup.error.newerVersion': "This backup was made by a newer version of Scholar Quest.",
+    'backup.error.unreadable': "Couldn't read this file.",
+
+    // Side quests
+    'sideQuests.title': "Side Quests",
+    'sideQuests.description': "Earn {xp} XP each",
+    'sideQuests.completedCount': "{count} completed",
+    'sideQuests.placeholder': "Describe your side quest...",
+    'sideQuests.error.empty': "Please enter a side quest!",
+    'sideQuests.dueDate': "Due date",
+    'sideQuests.repeats': "Repeats",
+    'sideQuests.recurrence.none': "One-off",
+    'sideQuests.recurrence.daily': "Daily",
+    'sideQuests.recurrence.weekly': "Weekly",
+    'sideQuests.completeQuest': "Complete {title}",
+    'sideQuests.next': "next {date}",
+    'sideQuests.due': "Due {date}",
+    'sideQuests.overdue': "Overdue {date}",
+    'sideQuests.edit': "Edit quest",
+    'sideQuests.delete': "Delete quest",
+    'sideQuests.confirmDelete': "Delete \"{title}\"?",
+    'sideQuests.add': "Add",
+    'sideQuests.addQuest': "Add Side Quest",
+    'sideQuests.hideCompleted': "Hide completed",
+    'sideQuests.showCompleted': "Show completed ({count})",
+
+    // Spaced repetition
+    'reviews.title': "Reviews Due Today",
+    'reviews.due': "{count} due",
+    'reviews.scheduled': { one: "{count} topic scheduled", other: "{count} topics scheduled" },
+    'reviews.first': "First review",
+    'reviews.nth': "Review {number}",
+    'reviews.prompt': "{method} for {xp} XP. How well did you remember it?",
+    'reviews.grade.again': "Again",
+    'reviews.grade.hard': "Hard",
+    'reviews.grade.good': "Good",
+    'reviews.grade.easy': "Easy",
+    'reviews.methodLabel': "Review method",
+    'reviews.method.activeRecall': "Active recall",
+    'reviews.method.notesReview': "Reading notes",
+    'reviews.caughtUp': "All caught up! Nothing to review today.",
+    'reviews.empty': "Add a topic you've studied to start reviewing it.",
+    'reviews.placeholder': "Topic you studied, e.g. Derivatives",
+    'reviews.newTopic': "New topic",
+    'reviews.add': "Add",
+    'reviews.hideUpcoming': "Hide upcoming reviews",
+    'reviews.showUpcoming': "Show upcoming reviews ({count})",
+    'reviews.confirmDelete': "Stop reviewing \"{title}\"?",
+    'reviews.delete': "Delete {title}",
+
+    // Goal planner
+    'goals.title': "Goal Planner",
+    'goals.description': "Set weekly or monthly goals and earn a bonus for reaching them",
+    'goals.reached': { one: "{met} of {count} goal reached this period", other: "{met} of {count} goals reached this period" },
+    'goals.period.week': "Weekly",
+    'goals.period.month': "Monthly",
+    'goals.periodLabel': "Goal period",
+    'goals.metricLabel': "Goal type",
+    'goals.taskLabel': "Task to count",
+    'goals.anyTask': "Any task",
+    'goals.target': "Target",
+    'goals.targetLabel': "Goal target",
+    'goals.bonusPlaceholder': "Bonus {xp} XP",
+    'goals.bonusLabel': "Bonus XP",
+    'goals.add': "Add goal",
+    'goals.ends': "ends {date}",
+    'goals.bonus': "{xp} XP bonus",
+    'goals.pace.done': "Done",
+    'goals.pace.doneWithBonus': "Done · +{xp} XP",
+    'goals.pace.onTrack': "On track",
+    'goals.pace.behind': "Behind · {count} to catch up",
+    'goals.delete': "Delete goal: {title}",
+    'goals.confirmDelete': "Delete the goal \"{title}\"? Bonus XP already earned stays.",
+    'goals.summary.week': { one: "Last week: {met} of {count} goal met", other: "Last week: {met} of {count} goals met" },
+    'goals.summary.month': { one: "Last month: {met} of {count} goal met", other: "Last month: {met} of {count} goals met" },
+    'goals.describe.studyXp': "Earn {count} study XP",
+    'goals.describe.pages': { one: "Read {count} page", other: "Read {count} pages" },
+    'goals.describe.focusMinutes': { one: "Focus for {count} minute", other: "Focus for {count} minutes" },
+    'goals.describe.tasks': { one: "Log {count} task", other: "Log {count} tasks" },
+    'goals.describe.task': { one: "Log \"{label}\" {count} time", other: "Log \"{label}\" {count} times" },
+    'goals.deletedTask': "a deleted task",
+
+    // Reading tracker
+    'books.title': "Reading Tracker",
+    'books.finishedCount': { one: "{finished} of {count} book finished", other: "{finished} of {count} books finished" },
+    'books.logMode': "How to log",
+    'books.mode.current': "Now on page",
+    'books.mode.range': "Read pages",
+    'books.fromPage': "From page",
+    'books.to': "to",
+    'books.currentPage': "Current page",
+    'books.toPage': "To page",
+    'books.log': "Log",
+    'books.logXp': "Log +{xp} XP",
+    'books.pageOf': "Page {page} of {total}",
+    'books.finishedOn': "finished {date}",
+    'books.delete': "Delete {title}",
+    'books.confirmDelete': "Delete \"{title}\"? XP already earned stays.",
+    'books.bookTitle': "Book title",
+    'books.pages': "Pages",
+    'books.totalPages': "Total pages",
+    'books.add': "Add book",
+    'books.mode.buckets': "Reading task values",
+    'books.mode.rate': "Fixed XP per page",
+    'books.error.wholePages': "Enter whole page numbers.",
+    'books.error.order': "The last page can't come before the first.",
+    'books.error.alreadyRead': "You've already logged these pages.",
+    'books.error.tooLong': { one: "\"{title}\" only has {count} page.", other: "\"{title}\" only has {count} pages." },
+
+    // XP history
+    'xpHistory.title': "XP History",
+    'xpHistory.entries': { one: "{count} entry", other: "{count} entries" },
+    'xpHistory.activity': "Activity",
+    'xpHistory.xp': "XP",
+    'xpHistory.save': "Save entry",
+    'xpHistory.cancel': "Cancel editing",
+    'xpHistory.filter.day': "Filter by day",
+    'xpHistory.filter.category': "Filter by category",
+    'xpHistory.filter.allCategories': "All categories",
+    'xpHistory.filter.source': "Filter by source",
+    'xpHistory.filter.allSources': "All sources",
+    'xpHistory.filter.subject': "Filter by subject",
+    'xpHistory.filter.allSubjects': "All subjects",
+    'xpHistory.clear': "Clear",
+    'xpHistory.edit': "Edit {label}",
+    'xpHistory.delete': "Delete {label}",
+    'xpHistory.confirmDelete': "Delete \"{label}\" (+{xp} XP)?",
+    'xpHistory.noMatches': "No XP matches these filters.",
+    'xpHistory.empty': "No XP earned yet.",
+    'xpLog.source.task': "Task",
+    'xpLog.source.reading': "Reading",
+    'xpLog.source.challenge': "Daily Challenge",
+    'xpLog.source.weeklyChallenge': "Weekly Challenge",
+    'xpLog.source.goal': "Goal Bonus",
+    'xpLog.source.sideQuest': "Side Quest",
+    'xpLog.source.mood': "Mood",
+    'xpLog.source.streak': "Streak Bonus",
+    'xpLog.source.timer': "Time Tracker",
+
+    // Statistics
+    'stats.title': "Statistics",
+    'stats.activeDays': { one: "{count} active day in the last year", other: "{count} active days in the last year" },
+    'stats.longestStreak': "Longest streak (days)",
+    'stats.currentStreak': "Current streak (days)",
+    'stats.focusSessions': "Focus sessions",
+    'stats.averageSession': "Average session",
+    'stats.byCategory': "XP by category",
+    'stats.period.daily': "Last 14 days",
+    'stats.period.weekly': "Last 12 weeks",
+    'stats.xpPerDay': "XP per day",
+    'stats.xpPerWeek': "XP per week",
+    'stats.barTitle': "{date}: {xp} XP",
+    'stats.otherCategory': "Other",
+    'stats.activity': "Study activity",
+    'stats.dayTitle': "{date}: {xp} XP, {minutes} min",
+    'stats.less': "Less",
+    'stats.more': "More",
+    'stats.topTasks': "Most frequent tasks",
+    'stats.taskCount': "{count}× · {xp} XP",
+    'stats.noTasks': "No tasks logged yet.",
+    'stats.focusTime': "Focus time",
+    'stats.focusSummary': { one: "{minutes} minutes focused across {count} session.", other: "{minutes} minutes focused across {count} sessions." },
+
+    // Subjects
+    'subjects.title': "Subjects",
+    'subjects.edit': "Edit subjects",
+    'subjects.doneEditing': "Done editing subjects",
+    'subjects.loggingTo': "Logging to {name}",
+    'subjects.loggingWithout': "Logging without a subject",
+    'subjects.level': "Level {level}",
+    'subjects.focused': "{count} min focused",
+    'subjects.lastStudied': "last studied {date}",
+    'subjects.name': "Subject name",
+    'subjects.confirmDelete': "Delete \"{name}\"? Its XP stays in your total.",
+    'subjects.delete': "Delete {name}",
+    'subjects.active': "Active subject",
+    'subjects.none': "No subject",
+    'subjects.placeholder': "New subject, e.g. Calculus",
+    'subjects.new': "New subject",
+    'subjects.add': "Add",
+
+    // Time tracker
+    'timer.title': "Time Tracker",
+    'timer.description': "Earn {xp} XP per focused minute",
+    'timer.focusMinutes': "Focus (min)",
+    'timer.breakMinutes': "Break (min)",
+    'timer.labelPlaceholder': "What are you working on? (optional)",
+    'timer.start': "Start Focus",
+    'timer.focus': "Focus",
+    'timer.break': "Break",
+    'timer.paused': "paused",
+    'timer.timeLeft': "Time left",
+    'timer.focusedFor': "Focused for {time}",
+    'timer.pause': "Pause",
+    'timer.resume': "Resume",
+    'timer.finish': "Finish",
+    'timer.skipBreak': "Skip Break",
+    'timer.history': "Session History",
+    'timer.session': "Focus session",
+    'timer.showLess': "Show less",
+    'timer.showAll': "Show all {count}",
+    'timer.notify.focusTitle': "Focus session complete",
+    'timer.notify.focusBody': "Nice work! Time for a break.",
+    'timer.notify.breakTitle': "Break's over",
+    'timer.notify.breakBody': "Ready for the next focus session?",
+
+    // Task editor
+    'taskEditor.title': "Edit Tasks",
+    'taskEditor.description': "Changes are saved as you type. Past XP is not affected. Leave a cooldown or cap empty for no limit. Give a task a letter or digit as its key to log it by pressing that key.",
+    'taskEditor.taskLabel': "Task label",
+    'taskEditor.xpValue': "XP value",
+    'taskEditor.pages': "Pages",
+    'taskEditor.pagesRead': "Pages read",
+    'taskEditor.cooldown': "Cooldown min",
+    'taskEditor.cooldownLabel': "Cooldown in minutes",
+    'taskEditor.dailyCap': "XP/day cap",
+    'taskEditor.dailyCapLabel': "Daily XP cap",
+    'taskEditor.key': "Key",
+    'taskEditor.shortcut': "Keyboard shortcut",
+    'taskEditor.icon': "Icon",
+    'taskEditor.moveTaskUp': "Move task up",
+    'taskEditor.moveTaskDown': "Move task down",
+    'taskEditor.deleteTask': "Delete task",
+    'taskEditor.confirmDeleteCategory': { one: "Delete \"{name}\" and its {count} task?", other: "Delete \"{name}\" and its {count} tasks?" },
+    'taskEditor.confirmReset': "Replace all categories and tasks with the defaults?",
+    'taskEditor.categoryName': "Category name",
+    'taskEditor.categoryDailyCap': "Category daily XP cap",
+    'taskEditor.moveCategoryUp': "Move category up",
+    'taskEditor.moveCategoryDown': "Move category down",
+    'taskEditor.deleteCategory': "Delete category",
+    'taskEditor.newTask': "New task",
+    'taskEditor.addTask': "Add task",
+    'taskEditor.newCategory': "New category",
+    'taskEditor.addCategory': "Add category",
+    'taskEditor.reset': "Reset to defaults",
+
+    // Settings
+    'settings.title': "Settings",
+    'settings.show': "Show settings",
+    'settings.hide': "Hide settings",
+    'settings.description': "Language, leveling curve, level titles, XP rewards, reminders and sync",
+    'settings.language': "Language",
+    'settings.rewards': "Rewards",
+    'settings.dailyChallengeXp': "Daily challenge XP",
+    'settings.weeklyChallengeXp': "Weekly challenge XP",
+    'settings.sideQuestXp': "Side quest XP",
+    'settings.rewardInterval': "Reward popup every … XP",
+    'settings.xpPerCoin': "XP per shop coin",
+    'settings.moodCheckIns': "Mood check-ins per day",
+    'settings.moodXp': "{icon} {mood} XP",
+    'settings.readingXp': "Reading XP",
+    'settings.xpPerPage': "XP per page",
+    'settings.repeats': "Repeated tasks",
+    'settings.repeatWindow': "Repeats within … minutes earn less (0 = off)",
+    'settings.repeatMultiplier': "Each repeat earns (× previous)",
+    'settings.repeatsHint': "Cooldowns and daily XP caps are set per task and per category in the task editor.",
+    'settings.reminders': "Reminders",
+    'settings.permission.granted': "Notifications are on for this browser.",
+    'settings.permission.denied': "Notifications are blocked. Allow them in your browser's site settings.",
+    'settings.permission.default': "Reminders need permission to show notifications.",
+    'settings.permission.unsupported': "This browser can't show notifications.",
+    'settings.enableNotifications': "Enable notifications",
+    'settings.dailyReminder': "Daily study reminder",
+    'settings.streakWarning': "Evening streak warning",
+    'settings.timeOf': "{label} time",
+    'settings.notifyTimerEnd': "Notify when a focus session or break ends",
+    'settings.remindersHint': "Reminders are skipped on days you've already studied, and only arrive while Scholar Quest is open in a tab or installed as an app.",
+    'settings.sync.title': "Sync",
+    'settings.sync.url': "Sync server URL",
+    'settings.sync.urlPlaceholder': "Server URL, e.g. http://localhost:4000",
+    'settings.sync.user': "Sync user name",
+    'settings.sync.userPlaceholder': "Your user name",
+    'settings.sync.save': "Save sync settings",
+    'settings.sync.local': "Progress is saved in this browser only.",
+    'settings.sync.synced': "Synced at {time}.",
+    'settings.sync.pending': { one: "Syncing {count} change…", other: "Syncing {count} changes…" },
+    'settings.sync.offline': {
+        one: "Offline: {count} change will sync when you're back online.",
+        other: "Offline: {count} changes will sync when you're back online.",
+    },
+    'settings.sync.error': "Sync failed: {message}. Changes are kept and retried.",
+    'settings.levelCurve': "Level curve",
+    'settings.xpPerLevel': "XP per level",
+    'settings.baseXp': "XP for level 2",
+    'settings.growth': "Growth per level (×)",
+    'settings.thresholds': "Total XP to reach level 2, 3, 4, … (comma separated)",
+    'settings.thresholdsError': "Use increasing positive numbers.",
+    'settings.preview': "With {xp} XP you are level {level}, {into} / {needed} XP into it.",
+    'settings.previewWithTitle': "With {xp} XP you are level {level} ({title}), {into} / {needed} XP into it.",
+    'settings.levelTitles': "Level titles",
+    'settings.fromLevel': "From level",
+    'settings.levelTitle': "Title",
+    'settings.removeTitle': "Remove title",
+    'settings.newTitle': "New title",
+    'settings.addTitle': "Add title",
+    'settings.reset': "Reset to defaults",
+    'levels.curve.linear': "Linear",
+    'levels.curve.exponential': "Exponential",
+    'levels.curve.table': "Custom table",
+
+    // Notifications
+    'notifications.title': "Notifications",
+    'notifications.unread': "Notifications, {count} unread",
+    'notifications.recent': "Recent notifications",
+    'notifications.confirmClear': "Clear all notifications?",
+    'notifications.clear': "Clear",
+    'notifications.empty': "Nothing yet. Your XP, rewards and goals show up here.",
+    'notifications.waiting': "{count} more waiting",
+
+    // Command palette
+    'palette.title': "Command palette",
+    'palette.placeholder': "Log a task, complete a quest, start the timer...",
+    'palette.search': "Search actions",
+    'palette.shortcut': "Ctrl K",
+    'palette.actions': "Actions",
+    'palette.noMatches': "No matching actions",
+    'palette.help': "↑↓ to move · Enter to run · Esc to close",
+    'palette.group.task': "Task",
+    'palette.group.sideQuest': "Side quest",
+    'palette.group.mood': "Mood",
+    'palette.group.timer': "Timer",
+    'palette.group.challenge': "Challenge",
+    'palette.group.streak': "Streak",
+    'palette.completeQuest': "Complete \"{title}\"",
+    'palette.noCheckInsLeft': "No check-ins left today",
+    'palette.moodKeywords': "mood check-in",
+    'palette.startTimer': "Start focus session",
+    'palette.pauseTimer': "Pause timer",
+    'palette.resumeTimer': "Resume timer",
+    'palette.stopTimer': "Stop focus session",
+    'palette.skipBreak': "Skip break",
+    'palette.completeDailyChallenge': "Complete today's challenge: {text}",
+    'palette.completeWeeklyChallenge': "Complete this week's challenge: {text}",
+    'palette.claimStreak': "Claim streak bonus",
+};
+
+export default en;
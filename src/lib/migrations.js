@@ -0,0 +1,122 @@
+import { EVENT_TYPES, createEvent, isValidEvent } from '@/lib/events';
+import { addDays, toDayKey } from '@/lib/dates';
+
+// ===============================
+// Schema Versions & Migrations
+// ===============================
+
+// Version 0 is the pre-store layout: one localStorage key per value.
+export const SCHEMA_VERSION = 1;
+
+// Stores are only ever written from version 1 on; version 0 data comes from
+// readLegacyData, never from a stored copy
+export const isStoredVersion = (version: unknown) =>
+    Number.isInteger(version) && (version as number) >= 1 && (version as number) <= SCHEMA_VERSION;
+
+export const LEGACY_KEYS = [
+    'scholarQuestXp',
+    'scholarQuestStreak',
+    'lastDate',
+    'scholarQuestBadges',
+    'dailyChallengeCompleted',
+    'sideQuestCount',
+    'lastChallengeDate',
+    'scholarQuestLog',
+];
+
+const readInt = (value: string | null, fallback: number) => {
+    const parsed = parseInt(value ?? '', 10);
+    return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+const readJson = (value: string | null, fallback: unknown) => {
+    try {
+        return value === null ? fallback : JSON.parse(value);
+    } catch {
+        return fallback;
+    }
+};
+
+const readDate = (value: string | null) => {
+    const date = value === null ? null : new Date(value);
+    return date && !Number.isNaN(date.getTime()) ? date : null;
+};
+
+// Returns null when none of the legacy keys exist, i.e. a brand-new user
+export const readLegacyData = (storage: Storage) => {
+    if (!LEGACY_KEYS.some((key) => storage.getItem(key) !== null)) {
+        return null;
+    }
+    const badges = readJson(storage.getItem('scholarQuestBadges'), []);
+    const log = readJson(storage.getItem('scholarQuestLog'), []);
+    return {
+        version: 0,
+        xp: readInt(storage.getItem('scholarQuestXp'), 0),
+        streak: readInt(storage.getItem('scholarQuestStreak'), 1),
+        lastDate: readDate(storage.getItem('lastDate')),
+        badges: Array.isArray(badges) ? badges.filter((badge) => typeof badge === 'string') : [],
+        dailyChallengeCompleted: readJson(storage.getItem('dailyChallengeCompleted'), false) === true,
+        lastChallengeDate: readDate(storage.getItem('lastChallengeDate')),
+        sideQuestCount: readInt(storage.getItem('sideQuestCount'), 0),
+        log: Array.isArray(log) ? log : [],
+    };
+};
+
+const MIGRATIONS: Record<number, (data: any) => any> = {
+    // 0 -> 1: fold the per-key values into an event log. Logged XP is replayed
+    // as-is; whatever the log can't account for is carried over in a single
+    // legacy.imported event.
+    1: (legacy) => {
+        const grants = legacy.log
+            .map((entry) => ({
+                id: entry.id,
+                type: EVENT_TYPES.XP_GRANTED,
+                at: entry.timestamp,
+                amount: entry.amount,
+                label: entry.label,
+                source: entry.source ?? 'task',
+                category: entry.category ?? null,
+            }))
+            .filter(isValidEvent);
+        const loggedXp = grants.reduce((sum, grant) => sum + grant.amount, 0);
+        const loggedSideQuests = grants.filter((grant) => grant.source === 'sideQuest').length;
+
+        const lastDay = legacy.lastDate ? toDayKey(legacy.lastDate) : null;
+        const visits = lastDay
+            ? Array.from({ length: Math.max(legacy.streak, 1) }, (_, index) => {
+                const day = addDays(lastDay, index - legacy.streak + 1);
+                return createEvent(EVENT_TYPES.DAY_VISITED, { day }, new Date(`${day}T12:00:00`));
+            })
+            : [];
+
+        const challengeDay = legacy.dailyChallengeCompleted && legacy.lastChallengeDate
+            ? toDayKey(legacy.lastChallengeDate)
+            : null;
+        const challengeLogged = grants.some((grant) =>
+            grant.source === 'challenge' && toDayKey(new Date(grant.at)) === challengeDay
+        );
+
+        const imported = createEvent(EVENT_TYPES.LEGACY_IMPORTED, {
+            xp: Math.max(legacy.xp - loggedXp, 0),
+            sideQuestCount: Math.max(legacy.sideQuestCount - loggedSideQuests, 0),
+            badges: legacy.badges,
+            challengeCompletedOn: challengeLogged ? null : challengeDay,
+        });
+
+        return { version: 1, events: [imported, ...visits, ...grants] };
+    },
+};
+
+// Throws for versions there is no way forward from; callers treat that like
+// any other unreadable data
+export const migrate = (data: { version: number }) => {
+    let migrated = data;
+    while (migrated.version < SCHEMA_VERSION) {
+        const step = MIGRATIONS[migrated.version + 1];
+        if (!step) {
+            throw new Error(`No migration from schema version ${migrated.version}`);
+        }
+        migrated = step(migrated);
+    }
+    return migrated;
+};
@@ -0,0 +1,80 @@
+import { EVENT_TYPES } from '@/lib/events';
+import { SCHEMA_VERSION, isStoredVersion, migrate, readLegacyData } from '@/lib/migrations';
+
+const legacyStorage = (values: Record<string, string>) => {
+    const storage = { getItem: (key: string) => values[key] ?? null };
+    return storage as unknown as Storage;
+};
+
+describe('readLegacyData', () => {
+    it('returns null for a brand-new user', () => {
+        expect(readLegacyData(legacyStorage({}))).toBeNull();
+    });
+
+    it('falls back to defaults for unreadable values', () => {
+        const legacy = readLegacyData(legacyStorage({
+            scholarQuestXp: 'lots',
+            scholarQuestBadges: '{not json',
+            scholarQuestLog: '"not a list"',
+        }));
+        expect(legacy).toMatchObject({ version: 0, xp: 0, streak: 1, badges: [], log: [], lastDate: null });
+    });
+});
+
+describe('migrate', () => {
+    const legacy = {
+        version: 0,
+        xp: 120,
+        streak: 3,
+        lastDate: new Date(2025, 2, 5, 10),
+        badges: ['Page Turner'],
+        dailyChallengeCompleted: true,
+        lastChallengeDate: new Date(2025, 2, 5, 9),
+        sideQuestCount: 2,
+        log: [
+            { id: 'a', timestamp: '2025-03-05T08:00:00.000Z', amount: 20, label: "Read", source: 'task', category: "Mastery" },
+            { id: 'b', timestamp: '2025-03-05T08:30:00.000Z', amount: 15, label: "Quest", source: 'sideQuest' },
+            { id: 'broken', amount: 'ten' },
+        ],
+    };
+
+    it('folds legacy values into an event log', () => {
+        const { version, events } = migrate(legacy);
+        expect(version).toBe(SCHEMA_VERSION);
+
+        const grants = events.filter((event) => event.type === EVENT_TYPES.XP_GRANTED);
+        expect(grants.map((grant) => grant.id)).toEqual(['a', 'b']);
+
+        const visits = events.filter((event) => event.type === EVENT_TYPES.DAY_VISITED);
+        expect(visits.map((visit) => visit.day)).toEqual(['2025-03-03', '2025-03-04', '2025-03-05']);
+
+        const imported = events.find((event) => event.type === EVENT_TYPES.LEGACY_IMPORTED);
+        expect(imported).toMatchObject({
+            xp: 85,
+            sideQuestCount: 1,
+            badges: ['Page Turner'],
+            challengeCompletedOn: '2025-03-05',
+        });
+    });
+
+    it('leaves current data untouched', () => {
+        const data = { version: SCHEMA_VERSION, events: [] };
+        expect(migrate(data)).toBe(data);
+    });
+
+    it('throws instead of crashing on versions it has no step for', () => {
+        expect(() => migrate({ version: -3 })).toThrow('No migration');
+        expect(() => migrate({ version: 0.5 })).toThrow('No migration');
+    });
+});
+
+describe('isStoredVersion', () => {
+    it('only accepts versions a store can have been written with', () => {
+        expect(isStoredVersion(SCHEMA_VERSION)).toBe(true);
+        expect(isStoredVersion(0)).toBe(false);
+        expect(isStoredVersion(-1)).toBe(false);
+        expect(isStoredVersion(1.5)).toBe(false);
+        expect(isStoredVersion(SCHEMA_VERSION + 1)).toBe(false);
+        expect(isStoredVersion('1')).toBe(false);
+    });
+});
@@ -0,0 +1,90 @@
+import { Progress } from '@/lib/progress';
+import { MOOD_OPTIONS, isStrainMood } from '@/lib/moods';
+import { toDayKey } from '@/lib/dates';
+import { isStudyEntry } from '@/lib/xpLog';
+
+// ===============================
+// Mood Insights
+// ===============================
+
+export interface MoodDay {
+    day: string;
+    moods: Progress['moods'];
+    // Mood XP and bonuses are left out so the mood itself can't skew the comparison
+    studyXp: number;
+    studyMinutes: number;
+}
+
+export interface MoodInsight {
+    mood: string;
+    metric: 'xp' | 'minutes';
+    // Relative difference, e.g. 0.4 for "40% more"
+    change: number;
+    days: number;
+}
+
+// Fewer days than this on either side of a comparison is just noise
+export const MIN_INSIGHT_DAYS = 3;
+const MIN_INSIGHT_CHANGE = 0.1;
+const STRAIN_RUN_DAYS = 3;
+
+// One entry per day with any check-in, XP or focus time, newest first
+export const getMoodDays = (progress: Progress): MoodDay[] => {
+    const days = new Map<string, MoodDay>();
+    const getDay = (date: Date) => {
+        const day = toDayKey(date);
+        if (!days.has(day)) {
+            days.set(day, { day, moods: [], studyXp: 0, studyMinutes: 0 });
+        }
+        return days.get(day);
+    };
+
+    progress.moods.forEach((entry) => getDay(entry.timestamp).moods.push(entry));
+    progress.log.filter(isStudyEntry).forEach((entry) => {
+        getDay(entry.timestamp).studyXp += entry.amount;
+    });
+    progress.sessions.forEach((session) => {
+        getDay(session.startedAt).studyMinutes += Math.round(session.focusedMs / 60000);
+    });
+
+    return [...days.values()].sort((a, b) => b.day.localeCompare(a.day));
+};
+
+const average = (values: number[]) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+// Compares days with each mood against the other check-in days
+export const getMoodInsights = (days: MoodDay[]): MoodInsight[] => {
+    const checkedIn = days.filter((day) => day.moods.length > 0);
+    const insights: MoodInsight[] = [];
+
+    MOOD_OPTIONS.forEach(({ value }) => {
+        const withMood = checkedIn.filter((day) => day.moods.some((entry) => entry.mood === value));
+        const without = checkedIn.filter((day) => !withMood.includes(day));
+        if (withMood.length < MIN_INSIGHT_DAYS || without.length < MIN_INSIGHT_DAYS) {
+            return;
+        }
+        [
+            { metric: 'xp' as const, read: (day: MoodDay) => day.studyXp },
+            { metric: 'minutes' as const, read: (day: MoodDay) => day.studyMinutes },
+        ].forEach(({ metric, read }) => {
+            const baseline = average(without.map(read));
+            if (baseline <= 0) {
+                return;
+            }
+            const change = average(withMood.map(read)) / baseline - 1;
+            if (Math.abs(change) >= MIN_INSIGHT_CHANGE) {
+                insights.push({ mood: value, metric, change, days: withMood.length });
+            }
+        });
+    });
+
+    return insights.sort((a, b) => Math.abs(b.change) - Math.abs(a.change));
+};
+
+// Check-in days in a row, ending with the latest, where a straining mood was logged
+export const getStrainRun = (days: MoodDay[]) => {
+    const checkedIn = days.filter((day) => day.moods.length > 0);
+    const run = checkedIn.findIndex((day) => !day.moods.some((entry) => isStrainMood(entry.mood)));
+    const length = run === -1 ? checkedIn.length : run;
+    return length >= STRAIN_RUN_DAYS ? length : 0;
+};
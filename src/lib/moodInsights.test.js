@@ -0,0 +1,99 @@
+import { EVENT_TYPES, createEvent } from '@/lib/events';
+import { deriveProgress } from '@/lib/progress';
+import { MIN_INSIGHT_DAYS, MoodDay, getMoodDays, getMoodInsights, getStrainRun } from '@/lib/moodInsights';
+
+const at = (day: string) => new Date(`${day}T12:00:00`);
+
+const xp = (day: string, amount: number, source = 'task') => createEvent(
+    EVENT_TYPES.XP_GRANTED,
+    { amount, label: "Entry", source, category: null },
+    at(day)
+);
+
+const moodDay = (day: string, mood: string | null, studyXp = 0, studyMinutes = 0): MoodDay => ({
+    day,
+    moods: mood ? [{ id: `${day}-${mood}`, mood, note: '', timestamp: at(day) }] : [],
+    studyXp,
+    studyMinutes,
+});
+
+describe('getMoodDays', () => {
+    it('groups check-ins, study XP and focus time by day, newest first', () => {
+        const progress = deriveProgress([
+            createEvent(EVENT_TYPES.MOOD_SUBMITTED, { mood: 'Happy' }, at('2025-03-01')),
+            xp('2025-03-01', 20),
+            xp('2025-03-01', 15),
+            createEvent(
+                EVENT_TYPES.SESSION_COMPLETED,
+                { label: "Focus", startedAt: at('2025-03-02').toISOString(), focusedMs: 25 * 60000, plannedMs: 25 * 60000 },
+                at('2025-03-02')
+            ),
+        ], { now: at('2025-03-02') });
+
+        const days = getMoodDays(progress);
+        expect(days.map((day) => day.day)).toEqual(['2025-03-02', '2025-03-01']);
+        expect(days[0]).toMatchObject({ moods: [], studyXp: 0, studyMinutes: 25 });
+        expect(days[1]).toMatchObject({ studyXp: 35, studyMinutes: 0 });
+        expect(days[1].moods.map((entry) => entry.mood)).toEqual(['Happy']);
+    });
+
+    it.each(['mood', 'streak', 'challenge', 'weeklyChallenge', 'goal'])('leaves %s XP out of study XP', (source) => {
+        const progress = deriveProgress([xp('2025-03-01', 20), xp('2025-03-01', 50, source)], {
+            now: at('2025-03-01'),
+        });
+        expect(getMoodDays(progress)[0].studyXp).toBe(20);
+    });
+});
+
+describe('getMoodInsights', () => {
+    const days = (mood: string, count: number, studyXp: number, studyMinutes: number, from: number) =>
+        Array.from({ length: count }, (_, index) =>
+            moodDay(`2025-03-${String(from + index).padStart(2, '0')}`, mood, studyXp, studyMinutes)
+        );
+
+    it('compares days with a mood against the other check-in days', () => {
+        const insights = getMoodInsights([
+            ...days('Motivated', MIN_INSIGHT_DAYS, 60, 30, 1),
+            ...days('Tired', MIN_INSIGHT_DAYS, 40, 30, 10),
+        ]);
+        expect(insights).toEqual([
+            { mood: 'Motivated', metric: 'xp', change: 0.5, days: MIN_INSIGHT_DAYS },
+            { mood: 'Tired', metric: 'xp', change: expect.closeTo(-1 / 3), days: MIN_INSIGHT_DAYS },
+        ]);
+    });
+
+    it('needs enough days on both sides', () => {
+        expect(getMoodInsights([
+            ...days('Motivated', MIN_INSIGHT_DAYS - 1, 60, 30, 1),
+            ...days('Tired', MIN_INSIGHT_DAYS, 40, 30, 10),
+        ])).toEqual([]);
+    });
+
+    it('skips small differences and days without a check-in', () => {
+        expect(getMoodInsights([
+            ...days('Motivated', MIN_INSIGHT_DAYS, 42, 30, 1),
+            ...days('Tired', MIN_INSIGHT_DAYS, 40, 30, 10),
+            moodDay('2025-03-20', null, 500, 500),
+        ])).toEqual([]);
+    });
+});
+
+describe('getStrainRun', () => {
+    it('counts check-in days in a row with a straining mood', () => {
+        expect(getStrainRun([
+            moodDay('2025-03-05', 'Tired'),
+            moodDay('2025-03-04', null),
+            moodDay('2025-03-03', 'Stressed'),
+            moodDay('2025-03-02', 'Tired'),
+            moodDay('2025-03-01', 'Happy'),
+        ])).toBe(3);
+    });
+
+    it('ignores shorter runs', () => {
+        expect(getStrainRun([
+            moodDay('2025-03-03', 'Tired'),
+            moodDay('2025-03-02', 'Stressed'),
+            moodDay('2025-03-01', 'Happy'),
+        ])).toBe(0);
+    });
+});
@@ -0,0 +1,40 @@
+import { MessageKey, Translate } from '@/lib/i18n';
+
+// ===============================
+// Moods
+// ===============================
+
+// `xp` is the default reward; the user can override it in settings.
+// `strain` marks moods that, several days running, point towards burnout.
+export interface MoodOption {
+    // Stored with check-ins, so it stays in English; `label` is what's shown
+    value: string;
+    label: MessageKey;
+    icon: string;
+    xp: number;
+    positive: boolean;
+    strain: boolean;
+}
+
+export const MOOD_OPTIONS: MoodOption[] = [
+    { value: 'Happy', label: 'moods.happy', icon: '😊', xp: 10, positive: true, strain: false },
+    { value: 'Motivated', label: 'moods.motivated', icon: '🚀', xp: 10, positive: true, strain: false },
+    { value: 'Focused', label: 'moods.focused', icon: '🎯', xp: 5, positive: false, strain: false },
+    { value: 'Calm', label: 'moods.calm', icon: '😌', xp: 0, positive: false, strain: false },
+    { value: 'Tired', label: 'moods.tired', icon: '😴', xp: 0, positive: false, strain: true },
+    { value: 'Stressed', label: 'moods.stressed', icon: '😓', xp: 0, positive: false, strain: true },
+];
+
+export const MAX_MOOD_NOTE_LENGTH = 280;
+
+export const getMoodOption = (mood: string) => MOOD_OPTIONS.find((option) => option.value === mood);
+
+// Moods no longer on the list are shown as they were stored
+export const getMoodLabel = (mood: string, t: Translate) => {
+    const option = getMoodOption(mood);
+    return option ? t(option.label) : mood;
+};
+
+export const isPositiveMood = (mood: string) => Boolean(getMoodOption(mood)?.positive);
+
+export const isStrainMood = (mood: string) => Boolean(getMoodOption(mood)?.strain);
@@ -0,0 +1,55 @@
+// ===============================
+// Notifications
+// ===============================
+
+// Everything is local: the page decides when to notify and shows the
+// notification through the service worker, so no push server is involved.
+
+export type NotificationPermissionState = NotificationPermission | 'unsupported';
+
+export const getNotificationPermission = (): NotificationPermissionState =>
+    typeof window !== 'undefined' && 'Notification' in window ? Notification.permission : 'unsupported';
+
+export const requestNotificationPermission = async (): Promise<NotificationPermissionState> => {
+    if (getNotificationPermission() === 'unsupported') {
+        return 'unsupported';
+    }
+    try {
+        return await Notification.requestPermission();
+    } catch {
+        return getNotificationPermission();
+    }
+};
+
+// Mobile browsers only allow notifications from a service worker, so the
+// constructor is just the fallback for when none is registered
+export const showNotification = async (title: string, options: NotificationOptions = {}) => {
+    if (getNotificationPermission() !== 'granted') {
+        return false;
+    }
+    const withIcon = { icon: `${process.env.PUBLIC_URL}/icon.svg`, ...options };
+    try {
+        const registration = 'serviceWorker' in navigator ? await navigator.serviceWorker.getRegistration() : undefined;
+        if (registration) {
+            await registration.showNotification(title, withIcon);
+        } else {
+            new Notification(title, withIcon);
+        }
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+// Only production builds get the worker; in development it would keep serving
+// stale bundles over the dev server's hot reloads
+export const registerServiceWorker = () => {
+    if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) {
+        return;
+    }
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register(`${process.env.PUBLIC_URL}/service-worker.js`).catch((error) => {
+            console.error('Service worker registration failed:', error);
+        });
+    });
+};
@@ -0,0 +1,63 @@
+import { DEFAULT_SETTINGS, Settings, normalizeSettings } from '@/lib/settings';
+import { DEFAULT_TASK_CATEGORIES, TaskCategory, parseCatalog } from '@/lib/taskCatalog';
+import { DEFAULT_REWARDS, Reward, parseRewards } from '@/lib/rewards';
+import { DEFAULT_SUBJECT_STATE, SubjectState, parseSubjectState } from '@/lib/subjects';
+import { ChallengePool, DEFAULT_CHALLENGE_POOL, parseChallengePool } from '@/lib/challenges';
+
+// ===============================
+// Synced Preferences
+// ===============================
+
+// Settings, the task catalog, rewards, subjects and the challenge pool each
+// keep their own localStorage key, since the app needs them before the event
+// log is loaded. A copy of all of them is also saved with the progress store
+// (see StoredPreferences), so backups and sync carry them; the most recently
+// saved copy wins.
+
+export const PREFERENCES_APPLIED_STORAGE_KEY = 'scholarQuest.preferencesApplied';
+
+export interface Preferences {
+    settings: Settings;
+    taskCatalog: TaskCategory[];
+    rewards: Reward[];
+    subjects: SubjectState;
+    challengePool: ChallengePool;
+}
+
+export const DEFAULT_PREFERENCES: Preferences = {
+    settings: DEFAULT_SETTINGS,
+    taskCatalog: DEFAULT_TASK_CATEGORIES,
+    rewards: DEFAULT_REWARDS,
+    subjects: DEFAULT_SUBJECT_STATE,
+    challengePool: DEFAULT_CHALLENGE_POOL,
+};
+
+// Which server this browser syncs with is its own business; taking it from
+// another device would switch this one to a different account
+const DEVICE_SETTINGS: (keyof Settings)[] = ['syncUrl', 'syncUserId'];
+
+export const toSyncedPreferences = (preferences: Preferences) => ({
+    ...preferences,
+    settings: Object.fromEntries(
+        Object.entries(preferences.settings).filter(([key]) => !DEVICE_SETTINGS.includes(key as keyof Settings))
+    ),
+});
+
+const PARSERS: { [K in keyof Preferences]: (value: unknown) => Preferences[K] | null } = {
+    settings: (settings) => (settings && typeof settings === 'object' ? normalizeSettings(settings) : null),
+    taskCatalog: parseCatalog,
+    rewards: parseRewards,
+    subjects: parseSubjectState,
+    challengePool: parseChallengePool,
+};
+
+// Keeps the parts that are still valid, so one broken store doesn't stop the
+// others from being restored
+export const parsePreferences = (value: unknown): Partial<Preferences> => {
+    const stored = (value && typeof value === 'object' ? value : {}) as Record<string, unknown>;
+    return Object.fromEntries(
+        Object.entries(PARSERS)
+            .map(([key, parse]) => [key, stored[key] === undefined ? null : parse(stored[key])])
+            .filter(([, parsed]) => parsed !== null)
+    );
+};
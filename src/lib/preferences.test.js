@@ -0,0 +1,39 @@
+import { DEFAULT_SETTINGS } from '@/lib/settings';
+import {
+    DEFAULT_PREFERENCES,
+    parsePreferences,
+    toSyncedPreferences,
+} from '@/lib/preferences';
+
+describe('toSyncedPreferences', () => {
+    it('leaves out the settings that belong to this browser', () => {
+        const synced = toSyncedPreferences({
+            ...DEFAULT_PREFERENCES,
+            settings: { ...DEFAULT_SETTINGS, syncUrl: 'http://localhost:4000', syncUserId: 'ada', xpPerCoin: 5 },
+        });
+        expect(synced.settings).not.toHaveProperty('syncUrl');
+        expect(synced.settings).not.toHaveProperty('syncUserId');
+        expect(synced.settings.xpPerCoin).toBe(5);
+        expect(synced.rewards).toBe(DEFAULT_PREFERENCES.rewards);
+    });
+});
+
+describe('parsePreferences', () => {
+    it('keeps the valid parts of a snapshot', () => {
+        const parsed = parsePreferences({
+            settings: { xpPerCoin: 4, levelCurve: { type: 'linear', xpPerLevel: 50 } },
+            rewards: [{ id: 'broken' }],
+            taskCatalog: DEFAULT_PREFERENCES.taskCatalog,
+        });
+        expect(parsed.settings.xpPerCoin).toBe(4);
+        expect(parsed.settings.levelCurve).toEqual({ type: 'linear', xpPerLevel: 50 });
+        expect(parsed.taskCatalog).toEqual(DEFAULT_PREFERENCES.taskCatalog);
+        expect(parsed).not.toHaveProperty('rewards');
+        expect(parsed).not.toHaveProperty('subjects');
+    });
+
+    it('returns nothing for something that is not a snapshot', () => {
+        expect(parsePreferences(null)).toEqual({});
+        expect(parsePreferences('settings')).toEqual({});
+    });
+});
@@ -0,0 +1,275 @@
+import { EVENT_TYPES, ProgressEvent } from '@/lib/events';
+import { LogEntry, clampEditedAmount } from '@/lib/xpLog';
+import { toDayKey } from '@/lib/dates';
+import { DEFAULT_LEVEL_CURVE, LevelCurve, getLevel } from '@/lib/levels';
+import { AchievementTier, getAchievementKey, getEarnedBadges } from '@/lib/achievements';
+import { SideQuest, SideQuestDefinition, getSideQuestStatus } from '@/lib/sideQuests';
+import { StreakState, getStreakState, getStudyDays } from '@/lib/streaks';
+import { Purchase } from '@/lib/rewards';
+import { Book, BookDefinition, getBookStatus } from '@/lib/books';
+import { Review, Topic, TopicDefinition, getTopicSchedule } from '@/lib/reviews';
+import { GoalDefinition, clampGoalBonus } from '@/lib/goals';
+
+// ===============================
+// Derived Progress
+// ===============================
+
+export interface Progress {
+    xp: number;
+    level: number;
+    streak: number;
+    longestStreak: number;
+    // Current run, past runs and freeze tokens
+    streaks: StreakState;
+    streakBonusClaimedToday: boolean;
+    sideQuestCount: number;
+    sideQuests: SideQuest[];
+    books: Book[];
+    // Spaced-repetition topics with their next due date
+    topics: Topic[];
+    // Weekly and monthly goals; see lib/goals for their progress
+    goals: GoalDefinition[];
+    challengeCompletedToday: boolean;
+    badges: string[];
+    importedBadges: string[];
+    // When each currently unlocked achievement tier was unlocked, by achievement key
+    achievementUnlocks: Map<string, Date>;
+    log: LogEntry[];
+    moods: { id: string; mood: string; note: string; timestamp: Date }[];
+    sessions: {
+        id: string;
+        label: string;
+        startedAt: Date;
+        focusedMs: number;
+        plannedMs: number;
+        subjectId?: string;
+    }[];
+    // Rewards redeemed in the shop, oldest first
+    purchases: Purchase[];
+}
+
+export const toLogEntry = (event: ProgressEvent): LogEntry => ({
+    id: event.id,
+    label: event.label as string,
+    amount: event.amount as number,
+    source: event.source as LogEntry['source'],
+    category: event.category as string | null,
+    taskId: event.taskId as string | undefined,
+    questId: event.questId as string | undefined,
+    pages: event.pages as number | undefined,
+    subjectId: event.subjectId as string | undefined,
+    bookId: event.bookId as string | undefined,
+    fromPage: event.fromPage as number | undefined,
+    toPage: event.toPage as number | undefined,
+    goalId: event.goalId as string | undefined,
+    xpPerCoin: event.xpPerCoin as number | undefined,
+    grantedAmount: event.amount as number,
+    timestamp: new Date(event.at),
+});
+
+export const deriveProgress = (
+    events: ProgressEvent[],
+    { now = new Date(), levelCurve = DEFAULT_LEVEL_CURVE }: { now?: Date; levelCurve?: LevelCurve } = {}
+): Progress => {
+    const today = toDayKey(now);
+    const log: LogEntry[] = [];
+    const moods: Progress['moods'] = [];
+    const purchases: Purchase[] = [];
+    const sessions: Progress['sessions'] = [];
+    const visitedDays = new Set<string>();
+    const importedBadges: string[] = [];
+    const achievementUnlocks = new Map<string, Date>();
+    const questDefinitions = new Map<string, SideQuestDefinition>();
+    const bookDefinitions = new Map<string, BookDefinition>();
+    const topicDefinitions = new Map<string, TopicDefinition>();
+    const topicReviews = new Map<string, Review[]>();
+    const goalDefinitions = new Map<string, GoalDefinition>();
+    let importedXp = 0;
+    let importedSideQuests = 0;
+    let challengeCompletedToday = false;
+
+    // ISO timestamps sort chronologically, which keeps merged logs in order
+    [...events].sort((a, b) => a.at.localeCompare(b.at)).forEach((event) => {
+        switch (event.type) {
+            case EVENT_TYPES.XP_GRANTED:
+                log.push(toLogEntry(event));
+                break;
+            case EVENT_TYPES.XP_EDITED: {
+                const index = log.findIndex((entry) => entry.id === event.entryId);
+                if (index !== -1) {
+                    const { amount = log[index].amount, label = log[index].label } = event as Partial<LogEntry>;
+                    log[index] = { ...log[index], amount: clampEditedAmount(log[index], amount), label };
+                }
+                break;
+            }
+            case EVENT_TYPES.XP_DELETED: {
+                const index = log.findIndex((entry) => entry.id === event.entryId);
+                if (index !== -1) {
+                    log.splice(index, 1);
+                }
+                break;
+            }
+            case EVENT_TYPES.DAY_VISITED:
+                visitedDays.add(event.day as string);
+                break;
+            case EVENT_TYPES.MOOD_SUBMITTED:
+                moods.push({
+                    id: event.id,
+                    mood: event.mood as string,
+                    note: (event.note as string) ?? '',
+                    timestamp: new Date(event.at),
+                });
+                break;
+            case EVENT_TYPES.SESSION_COMPLETED:
+                sessions.push({
+                    id: event.id,
+                    label: event.label as string,
+                    startedAt: new Date(event.startedAt as string),
+                    focusedMs: event.focusedMs as number,
+                    plannedMs: event.plannedMs as number,
+                    subjectId: event.subjectId as string | undefined,
+                });
+                break;
+            case EVENT_TYPES.SESSION_DELETED: {
+                const index = sessions.findIndex((session) => session.id === event.sessionId);
+                if (index !== -1) {
+                    sessions.splice(index, 1);
+                }
+                break;
+            }
+            case EVENT_TYPES.ACHIEVEMENT_UNLOCKED:
+                achievementUnlocks.set(getAchievementKey(event.achievement as string, event.tier as AchievementTier), new Date(event.at));
+                break;
+            case EVENT_TYPES.ACHIEVEMENT_REVOKED:
+                achievementUnlocks.delete(getAchievementKey(event.achievement as string, event.tier as AchievementTier));
+                break;
+            case EVENT_TYPES.SIDE_QUEST_ADDED:
+                questDefinitions.set(event.questId as string, {
+                    id: event.questId as string,
+                    title: event.title as string,
+                    dueDate: (event.dueDate as string) ?? null,
+                    recurrence: event.recurrence as SideQuestDefinition['recurrence'],
+                    createdAt: new Date(event.at),
+                });
+                break;
+            case EVENT_TYPES.SIDE_QUEST_UPDATED: {
+                const quest = questDefinitions.get(event.questId as string);
+                if (quest) {
+                    const { title = quest.title, dueDate = quest.dueDate, recurrence = quest.recurrence } =
+                        event as Partial<SideQuestDefinition>;
+                    questDefinitions.set(quest.id, { ...quest, title, dueDate, recurrence });
+                }
+                break;
+            }
+            case EVENT_TYPES.SIDE_QUEST_DELETED:
+                questDefinitions.delete(event.questId as string);
+                break;
+            case EVENT_TYPES.BOOK_ADDED:
+                bookDefinitions.set(event.bookId as string, {
+                    id: event.bookId as string,
+                    title: event.title as string,
+                    totalPages: event.totalPages as number,
+                    createdAt: new Date(event.at),
+                });
+                break;
+            case EVENT_TYPES.BOOK_UPDATED: {
+                const book = bookDefinitions.get(event.bookId as string);
+                if (book) {
+                    const { title = book.title, totalPages = book.totalPages } = event as Partial<BookDefinition>;
+                    bookDefinitions.set(book.id, { ...book, title, totalPages });
+                }
+                break;
+            }
+            case EVENT_TYPES.BOOK_DELETED:
+                bookDefinitions.delete(event.bookId as string);
+                break;
+            case EVENT_TYPES.TOPIC_ADDED:
+                topicDefinitions.set(event.topicId as string, {
+                    id: event.topicId as string,
+                    title: event.title as string,
+                    createdAt: new Date(event.at),
+                });
+                break;
+            case EVENT_TYPES.TOPIC_DELETED:
+                topicDefinitions.delete(event.topicId as string);
+                break;
+            case EVENT_TYPES.REVIEW_GRADED: {
+                const reviews = topicReviews.get(event.topicId as string) ?? [];
+                topicReviews.set(event.topicId as string, [
+                    ...reviews,
+                    { id: event.id, grade: event.grade as number, reviewedAt: new Date(event.at) },
+                ]);
+                break;
+            }
+            case EVENT_TYPES.REVIEW_DELETED: {
+                const reviews = topicReviews.get(event.topicId as string) ?? [];
+                topicReviews.set(event.topicId as string, reviews.filter((review) => review.id !== event.reviewId));
+                break;
+            }
+            case EVENT_TYPES.GOAL_ADDED:
+                goalDefinitions.set(event.goalId as string, {
+                    id: event.goalId as string,
+                    period: event.period as GoalDefinition['period'],
+                    metric: event.metric as GoalDefinition['metric'],
+                    target: event.target as number,
+                    bonusXp: clampGoalBonus(event.bonusXp as number),
+                    taskId: event.taskId as string | undefined,
+                    createdAt: new Date(event.at),
+                });
+                break;
+            case EVENT_TYPES.GOAL_DELETED:
+                goalDefinitions.delete(event.goalId as string);
+                break;
+            case EVENT_TYPES.REWARD_REDEEMED:
+                purchases.push({
+                    id: event.id,
+                    rewardId: event.rewardId as string,
+                    name: event.name as string,
+                    cost: event.cost as number,
+                    timestamp: new Date(event.at),
+                });
+                break;
+            case EVENT_TYPES.LEGACY_IMPORTED:
+                importedXp += event.xp as number;
+                importedSideQuests += event.sideQuestCount as number;
+                importedBadges.push(...(event.badges as string[]));
+                if (event.challengeCompletedOn === today) {
+                    challengeCompletedToday = true;
+                }
+                break;
+            default:
+                break;
+        }
+    });
+    sessions.sort((a, b) => a.startedAt.getTime() - b.startedAt.getTime());
+
+    const xp = importedXp + log.reduce((sum, entry) => sum + entry.amount, 0);
+    // Visits recorded before streaks required studying (and the streak carried
+    // over from the legacy format) still count as study days
+    const streaks = getStreakState(getStudyDays(log, sessions, visitedDays), today);
+    const progress: Progress = {
+        xp,
+        level: getLevel(xp, levelCurve),
+        streak: streaks.current?.length ?? 0,
+        longestStreak: streaks.longest,
+        streaks,
+        streakBonusClaimedToday: log.some((entry) => entry.source === 'streak' && toDayKey(entry.timestamp) === today),
+        sideQuestCount: importedSideQuests + log.filter((entry) => entry.source === 'sideQuest').length,
+        sideQuests: [...questDefinitions.values()].map((quest) => getSideQuestStatus(quest, log, today)),
+        books: [...bookDefinitions.values()].map((book) => getBookStatus(book, log)),
+        topics: [...topicDefinitions.values()].map((topic) => getTopicSchedule(topic, topicReviews.get(topic.id) ?? [])),
+        goals: [...goalDefinitions.values()],
+        challengeCompletedToday: challengeCompletedToday ||
+            log.some((entry) => entry.source === 'challenge' && toDayKey(entry.timestamp) === today),
+        badges: [],
+        importedBadges,
+        achievementUnlocks,
+        log,
+        moods,
+        sessions,
+        purchases,
+    };
+
+    progress.badges = getEarnedBadges(progress);
+    return progress;
+};
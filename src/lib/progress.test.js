@@ -0,0 +1,89 @@
+import { EVENT_TYPES, createEvent } from '@/lib/events';
+import { deriveProgress } from '@/lib/progress';
+
+const NOW = new Date(2025, 2, 10, 12);
+
+const at = (day: number, hour = 9) => new Date(2025, 2, day, hour);
+
+const grant = (amount: number, day: number, fields = {}) =>
+    createEvent(EVENT_TYPES.XP_GRANTED, { amount, label: "Task", source: 'task', category: null, ...fields }, at(day));
+
+describe('deriveProgress', () => {
+    it('applies edits and deletions to earlier grants', () => {
+        const first = grant(50, 1);
+        const second = grant(30, 2);
+        const progress = deriveProgress([
+            first,
+            second,
+            createEvent(EVENT_TYPES.XP_EDITED, { entryId: first.id, amount: 20 }, at(3)),
+            createEvent(EVENT_TYPES.XP_DELETED, { entryId: second.id }, at(4)),
+        ], { now: NOW });
+        expect(progress.xp).toBe(20);
+        expect(progress.log.map((entry) => entry.amount)).toEqual([20]);
+    });
+
+    it('never lets an edit raise an entry above what was granted', () => {
+        const first = grant(20, 1);
+        const raised = deriveProgress([
+            first,
+            createEvent(EVENT_TYPES.XP_EDITED, { entryId: first.id, amount: 5 }, at(2)),
+            createEvent(EVENT_TYPES.XP_EDITED, { entryId: first.id, amount: 100000 }, at(3)),
+        ], { now: NOW });
+        expect(raised.xp).toBe(20);
+
+        const negative = deriveProgress([
+            first,
+            createEvent(EVENT_TYPES.XP_EDITED, { entryId: first.id, amount: -40 }, at(2)),
+        ], { now: NOW });
+        expect(negative.xp).toBe(0);
+    });
+
+    it('orders events by time, whatever order they were merged in', () => {
+        const first = grant(50, 1);
+        const progress = deriveProgress([
+            createEvent(EVENT_TYPES.XP_EDITED, { entryId: first.id, amount: 5 }, at(3)),
+            first,
+        ], { now: NOW });
+        expect(progress.xp).toBe(5);
+    });
+
+    it('adds legacy XP and counts levels on the given curve', () => {
+        const progress = deriveProgress([
+            createEvent(EVENT_TYPES.LEGACY_IMPORTED, { xp: 150, sideQuestCount: 2, badges: [], challengeCompletedOn: null }, at(1)),
+            grant(50, 2),
+        ], { now: NOW, levelCurve: { type: 'linear', xpPerLevel: 100 } });
+        expect(progress.xp).toBe(200);
+        expect(progress.level).toBe(3);
+        expect(progress.sideQuestCount).toBe(2);
+    });
+
+    it('removes an undone session', () => {
+        const session = createEvent(EVENT_TYPES.SESSION_COMPLETED, {
+            label: "Focus",
+            startedAt: at(2, 8).toISOString(),
+            focusedMs: 25 * 60000,
+            plannedMs: 25 * 60000,
+        }, at(2), 'session-1');
+        const kept = deriveProgress([session], { now: NOW });
+        const undone = deriveProgress([
+            session,
+            createEvent(EVENT_TYPES.SESSION_DELETED, { sessionId: 'session-1' }, at(2, 10)),
+        ], { now: NOW });
+        expect(kept.sessions).toHaveLength(1);
+        expect(undone.sessions).toHaveLength(0);
+    });
+
+    it('removes an undone review from its topic schedule', () => {
+        const topic = createEvent(EVENT_TYPES.TOPIC_ADDED, { topicId: 't1', title: "Cells" }, at(1));
+        const first = createEvent(EVENT_TYPES.REVIEW_GRADED, { topicId: 't1', grade: 4 }, at(2));
+        const second = createEvent(EVENT_TYPES.REVIEW_GRADED, { topicId: 't1', grade: 5 }, at(3));
+        const progress = deriveProgress([
+            topic,
+            first,
+            second,
+            createEvent(EVENT_TYPES.REVIEW_DELETED, { topicId: 't1', reviewId: second.id }, at(3, 10)),
+        ], { now: NOW });
+        expect(progress.topics[0].reviews.map((review) => review.id)).toEqual([first.id]);
+        expect(progress.topics[0].repetitions).toBe(1);
+    });
+});
@@ -0,0 +1,301 @@
+import { ProgressEvent, isValidEvent } from '@/lib/events';
+import {
+    STORAGE_KEY,
+    StoredProgress,
+    loadStore,
+    mergeStores,
+    parseStoredPreferences,
+    parseSyncedStore,
+    saveStore,
+} from '@/lib/progressStore';
+import { SCHEMA_VERSION } from '@/lib/migrations';
+
+// ===============================
+// Storage Adapters
+// ===============================
+
+// useProgress keeps the event log in memory and hands every change to an
+// adapter, which decides where it's kept. Adapters always return or report
+// whole stores, and useProgress combines them with mergeStores, so an adapter
+// never has to resolve conflicts against the in-memory copy itself.
+
+export type SyncStatus =
+    | { state: 'local' }
+    | { state: 'synced'; at: Date }
+    | { state: 'pending'; count: number }
+    | { state: 'offline'; count: number }
+    | { state: 'error'; message: string };
+
+export interface ProgressAdapter {
+    // Called once, synchronously, for the initial state
+    load: () => StoredProgress;
+    // Persists a change and returns the store to keep, which may include
+    // events saved elsewhere in the meantime
+    save: (store: StoredProgress) => StoredProgress;
+    // Reports stores arriving from elsewhere (other tabs, a server) and the
+    // sync status. Returns an unsubscribe function.
+    subscribe: (onChange: (incoming: StoredProgress) => void, onStatus: (status: SyncStatus) => void) => () => void;
+}
+
+// The default: this browser's localStorage, shared by every open tab
+export const localStorageAdapter: ProgressAdapter = {
+    load: loadStore,
+    save: (store) => {
+        // Another tab may have saved since this one last heard from it
+        const stored = parseSyncedStore(localStorage.getItem(STORAGE_KEY));
+        const merged = stored ? mergeStores(store, stored) : store;
+        saveStore(merged);
+        return merged;
+    },
+    subscribe: (onChange, onStatus) => {
+        onStatus({ state: 'local' });
+        const handleStorage = (event: StorageEvent) => {
+            const incoming = event.key === STORAGE_KEY ? parseSyncedStore(event.newValue) : null;
+            if (incoming) {
+                onChange(incoming);
+            }
+        };
+        window.addEventListener('storage', handleStorage);
+        return () => window.removeEventListener('storage', handleStorage);
+    },
+};
+
+// ===============================
+// REST Sync
+// ===============================
+
+// Keeps the localStorage copy as a cache (so the app works offline) and syncs
+// it with a server speaking the protocol of server/index.js:
+//
+//   GET  {baseUrl}/users/{userId}/events?since={cursor}&resetAt={resetAt}&preferencesSavedAt={savedAt}
+//        -> { events, cursor, resetAt, full, preferences }
+//   POST {baseUrl}/users/{userId}/events   body: { events, resetAt, preferences }
+//        -> { cursor, resetAt }
+//
+// Events are immutable and carry unique ids, so both sides merge by taking
+// the union; a restored backup (a newer resetAt) replaces the older log.
+// Preferences are a single copy: the one saved last wins, and the server only
+// sends it when it differs from the one the client has.
+
+export const SYNC_STATE_STORAGE_KEY = 'scholarQuest.sync';
+export const SYNC_INTERVAL_MS = 30 * 1000;
+
+export interface RestAdapterOptions {
+    baseUrl: string;
+    userId: string;
+}
+
+interface SyncState {
+    // Server position of the last pull, for incremental pulls
+    cursor: number;
+    // Ids of events recorded here and not yet accepted by the server: the offline queue
+    pending: string[];
+    // The resetAt the server last confirmed
+    resetAt: string | null;
+    // When the preferences the server last confirmed or sent were saved
+    preferencesSavedAt: string | null;
+}
+
+// Sync progress is kept per server and user, so switching either starts over
+const getSyncStateKey = ({ baseUrl, userId }: RestAdapterOptions) =>
+    `${SYNC_STATE_STORAGE_KEY}.${encodeURIComponent(baseUrl)}.${encodeURIComponent(userId)}`;
+
+const readSyncState = (key: string): SyncState | null => {
+    try {
+        const stored = JSON.parse(localStorage.getItem(key));
+        return stored && Number.isInteger(stored.cursor) && Array.isArray(stored.pending)
+            ? {
+                cursor: stored.cursor,
+                pending: stored.pending,
+                resetAt: stored.resetAt ?? null,
+                preferencesSavedAt: stored.preferencesSavedAt ?? null,
+            }
+            : null;
+    } catch {
+        return null;
+    }
+};
+
+// Debounces pushes after a change, so a burst of clicks is sent together
+const PUSH_DELAY_MS = 2000;
+
+export const createRestAdapter = (options: RestAdapterOptions): ProgressAdapter => {
+    const endpoint = `${options.baseUrl.replace(/\/+$/, '')}/users/${encodeURIComponent(options.userId)}/events`;
+    const syncStateKey = getSyncStateKey(options);
+    // What this tab last saved, and the ids in it, so new local events can be told apart
+    let latest: StoredProgress | null = null;
+    let knownIds = new Set<string>();
+    let listeners: { onChange: (incoming: StoredProgress) => void; onStatus: (status: SyncStatus) => void } | null = null;
+    let isSyncing = false;
+    let pushTimeout: ReturnType<typeof setTimeout> | undefined;
+
+    // The sync state is re-read before every change because all open tabs
+    // share it; the queue is only ever added to or removed from, never replaced
+    const getSyncState = () =>
+        readSyncState(syncStateKey) ?? { cursor: 0, pending: [], resetAt: null, preferencesSavedAt: null };
+
+    // Saved here since the server last had them
+    const getUnsentPreferences = () =>
+        latest.preferences && latest.preferences.savedAt > (getSyncState().preferencesSavedAt ?? '')
+            ? latest.preferences
+            : null;
+
+    const updateSyncState = (update: (state: SyncState) => SyncState) => {
+        localStorage.setItem(syncStateKey, JSON.stringify(update(getSyncState())));
+    };
+
+    const enqueue = (ids: string[]) => updateSyncState((state) => ({
+        ...state,
+        pending: [...new Set([...state.pending, ...ids])],
+    }));
+
+    const request = async (url: string, init?: RequestInit) => {
+        const response = await fetch(url, {
+            ...init,
+            headers: { 'Content-Type': 'application/json', ...init?.headers },
+        });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        return response.json();
+    };
+
+    const push = async () => {
+        const { pending, resetAt } = getSyncState();
+        const pendingIds = new Set(pending);
+        const events = latest.events.filter((event) => pendingIds.has(event.id));
+        const preferences = getUnsentPreferences();
+        if (events.length === 0 && !preferences && (latest.resetAt ?? null) === resetAt) {
+            return;
+        }
+        const result = await request(endpoint, {
+            method: 'POST',
+            body: JSON.stringify({ events, resetAt: latest.resetAt ?? null, ...(preferences && { preferences }) }),
+        });
+        // Events queued while the request was out stay queued
+        updateSyncState((state) => ({
+            ...state,
+            pending: state.pending.filter((id) => !pendingIds.has(id)),
+            resetAt: result.resetAt ?? null,
+            preferencesSavedAt: preferences && preferences.savedAt > (state.preferencesSavedAt ?? '')
+                ? preferences.savedAt
+                : state.preferencesSavedAt,
+        }));
+    };
+
+    const pull = async (): Promise<StoredProgress | null> => {
+        // The server sends its whole log when it was reset differently from ours
+        const query = new URLSearchParams({
+            since: String(getSyncState().cursor),
+            resetAt: latest.resetAt ?? '',
+            preferencesSavedAt: getSyncState().preferencesSavedAt ?? '',
+        });
+        const result = await request(`${endpoint}?${query}`);
+        const events: ProgressEvent[] = Array.isArray(result.events) ? result.events.filter(isValidEvent) : [];
+        const preferences = parseStoredPreferences(result.preferences);
+        updateSyncState((state) => ({
+            ...state,
+            cursor: result.cursor,
+            resetAt: result.resetAt ?? null,
+            preferencesSavedAt: preferences?.savedAt ?? state.preferencesSavedAt,
+        }));
+        if (events.length === 0 && !result.full && !preferences) {
+            return null;
+        }
+        events.forEach((event) => knownIds.add(event.id));
+        return {
+            version: SCHEMA_VERSION,
+            events,
+            ...(result.resetAt && { resetAt: result.resetAt }),
+            ...(preferences && { preferences }),
+        };
+    };
+
+    const sync = async () => {
+        if (isSyncing || !listeners || !latest) {
+            return;
+        }
+        const { onChange, onStatus } = listeners;
+        const queued = () => getSyncState().pending.length;
+        if (!navigator.onLine) {
+            onStatus({ state: 'offline', count: queued() });
+            return;
+        }
+        isSyncing = true;
+        onStatus({ state: 'pending', count: queued() });
+        try {
+            await push();
+            const incoming = await pull();
+            if (incoming && listeners) {
+                onChange(incoming);
+            }
+            const count = queued();
+            onStatus(count === 0 ? { state: 'synced', at: new Date() } : { state: 'pending', count });
+        } catch (error) {
+            // Nothing is dropped: the queue is retried on the next run.
+            // fetch only throws a TypeError when the request never got through.
+            onStatus(error instanceof TypeError
+                ? { state: 'offline', count: queued() }
+                : { state: 'error', message: error.message });
+        } finally {
+            isSyncing = false;
+        }
+    };
+
+    // Runs on the first store this adapter sees, whether from load() or, when
+    // sync is switched on while the app is open, from save()
+    const start = (store: StoredProgress) => {
+        latest = store;
+        knownIds = new Set(store.events.map((event) => event.id));
+        // Nothing has been sent to this server yet, so everything is queued
+        if (!readSyncState(syncStateKey)) {
+            updateSyncState((state) => ({ ...state, pending: [...knownIds] }));
+        }
+    };
+
+    return {
+        load: () => {
+            start(localStorageAdapter.load());
+            return latest;
+        },
+        save: (store) => {
+            if (!latest) {
+                start(store);
+            }
+            latest = localStorageAdapter.save(store);
+            const confirmedReset = getSyncState().resetAt ?? '';
+            // A restored backup replaces the server's log, so all of it is queued
+            const isReset = (latest.resetAt ?? '') > confirmedReset;
+            const added = latest.events.filter((event) => isReset || !knownIds.has(event.id));
+            knownIds = new Set(latest.events.map((event) => event.id));
+            if (added.length > 0) {
+                enqueue(added.map((event) => event.id));
+            }
+            if (added.length > 0 || getUnsentPreferences()) {
+                clearTimeout(pushTimeout);
+                pushTimeout = setTimeout(sync, PUSH_DELAY_MS);
+            }
+            return latest;
+        },
+        subscribe: (onChange, onStatus) => {
+            listeners = { onChange, onStatus };
+            const unsubscribeLocal = localStorageAdapter.subscribe(onChange, () => {});
+            const interval = setInterval(sync, SYNC_INTERVAL_MS);
+            window.addEventListener('online', sync);
+            sync();
+
+            return () => {
+                listeners = null;
+                unsubscribeLocal();
+                clearInterval(interval);
+                clearTimeout(pushTimeout);
+                window.removeEventListener('online', sync);
+            };
+        },
+    };
+};
+
+export const createProgressAdapter = ({ syncUrl, syncUserId }: { syncUrl: string; syncUserId: string }) =>
+    syncUrl.trim() && syncUserId.trim()
+        ? createRestAdapter({ baseUrl: syncUrl.trim(), userId: syncUserId.trim() })
+        : localStorageAdapter;
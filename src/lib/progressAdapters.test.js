@@ -0,0 +1,186 @@
+import { EVENT_TYPES, createEvent } from '@/lib/events';
+import { SCHEMA_VERSION } from '@/lib/migrations';
+import { STORAGE_KEY, StoredProgress } from '@/lib/progressStore';
+import {
+    SYNC_STATE_STORAGE_KEY,
+    createProgressAdapter,
+    createRestAdapter,
+    localStorageAdapter,
+} from '@/lib/progressAdapters';
+
+const BASE_URL = 'https://sync.example.com/';
+const ENDPOINT = 'https://sync.example.com/users/ada/events';
+const SYNC_STATE_KEY = `${SYNC_STATE_STORAGE_KEY}.${encodeURIComponent(BASE_URL)}.ada`;
+
+const grant = (label: string) => createEvent(
+    EVENT_TYPES.XP_GRANTED,
+    { amount: 10, label, source: 'task', category: null },
+    new Date('2025-03-01T12:00:00Z')
+);
+
+const localEvent = grant("Local");
+const remoteEvent = grant("Remote");
+const preferences = { value: { rewards: [] }, savedAt: '2025-03-01T12:00:00.000Z' };
+
+const storeOf = (...events): StoredProgress => ({ version: SCHEMA_VERSION, events });
+const readSyncState = () => JSON.parse(localStorage.getItem(SYNC_STATE_KEY));
+const jsonResponse = (body: object, status = 200) => ({ ok: status < 400, status, json: async () => body });
+
+// Lets the mocked requests of one sync run resolve
+const settle = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+// Answers pushes with `pushed` and pulls with `pulled`
+const mockServer = (pulled: object = {}, pushed: object = {}) => {
+    global.fetch = jest.fn(async (url: string, init?: RequestInit) =>
+        jsonResponse(init?.method === 'POST'
+            ? { cursor: 0, resetAt: null, ...pushed }
+            : { events: [], cursor: 0, resetAt: null, full: false, ...pulled })
+    );
+};
+
+const getPushes = () =>
+    global.fetch.mock.calls.filter(([, init]) => init?.method === 'POST').map(([, init]) => JSON.parse(init.body));
+const getPulls = () =>
+    global.fetch.mock.calls.filter(([, init]) => init?.method !== 'POST').map(([url]) => new URL(url));
+
+let online: boolean;
+let unsubscribe: (() => void) | undefined;
+
+beforeEach(() => {
+    localStorage.clear();
+    online = true;
+    jest.spyOn(navigator, 'onLine', 'get').mockImplementation(() => online);
+    mockServer();
+});
+
+afterEach(() => {
+    unsubscribe?.();
+    unsubscribe = undefined;
+    jest.restoreAllMocks();
+    delete global.fetch;
+});
+
+// Loads the adapter over `stored` and runs its first sync
+const start = async (stored?: StoredProgress) => {
+    if (stored) {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(stored));
+    }
+    const adapter = createRestAdapter({ baseUrl: BASE_URL, userId: 'ada' });
+    const onChange = jest.fn();
+    const onStatus = jest.fn();
+    const loaded = adapter.load();
+    unsubscribe = adapter.subscribe(onChange, onStatus);
+    await settle();
+    return { adapter, loaded, onChange, onStatus, lastStatus: () => onStatus.mock.calls.at(-1)[0] };
+};
+
+describe('createProgressAdapter', () => {
+    it('stays local until both a server and a user are set', () => {
+        expect(createProgressAdapter({ syncUrl: ' ', syncUserId: 'ada' })).toBe(localStorageAdapter);
+        expect(createProgressAdapter({ syncUrl: BASE_URL, syncUserId: '' })).toBe(localStorageAdapter);
+        expect(createProgressAdapter({ syncUrl: BASE_URL, syncUserId: 'ada' })).not.toBe(localStorageAdapter);
+    });
+});
+
+describe('createRestAdapter', () => {
+    it('sends everything recorded before sync was switched on', async () => {
+        const { lastStatus } = await start(storeOf(localEvent));
+
+        expect(getPushes()).toEqual([{ events: [localEvent], resetAt: null }]);
+        expect(readSyncState().pending).toEqual([]);
+        expect(lastStatus()).toEqual({ state: 'synced', at: expect.any(Date) });
+    });
+
+    it('passes on events pulled from the server and moves the cursor', async () => {
+        mockServer({ events: [remoteEvent, { id: 'broken' }], cursor: 7 });
+        const { onChange } = await start();
+
+        expect(getPulls()[0].href).toBe(`${ENDPOINT}?since=0&resetAt=&preferencesSavedAt=`);
+        expect(onChange).toHaveBeenCalledWith({ version: SCHEMA_VERSION, events: [remoteEvent] });
+        expect(readSyncState().cursor).toBe(7);
+    });
+
+    it('does not pass anything on when the server has nothing new', async () => {
+        const { onChange } = await start();
+        expect(onChange).not.toHaveBeenCalled();
+    });
+
+    it('queues only the events added since the last save', async () => {
+        const { adapter } = await start(storeOf(localEvent));
+        const added = grant("Added");
+
+        adapter.save(storeOf(localEvent, added));
+        expect(readSyncState().pending).toEqual([added.id]);
+    });
+
+    it('queues the whole log again after a reset', async () => {
+        const { adapter } = await start(storeOf(localEvent));
+
+        adapter.save({ ...storeOf(localEvent), resetAt: '2025-03-02T00:00:00.000Z' });
+        expect(readSyncState().pending).toEqual([localEvent.id]);
+    });
+
+    describe('offline queue', () => {
+        it('keeps the queue and sends nothing while offline', async () => {
+            online = false;
+            const { lastStatus } = await start(storeOf(localEvent));
+
+            expect(global.fetch).not.toHaveBeenCalled();
+            expect(readSyncState().pending).toEqual([localEvent.id]);
+            expect(lastStatus()).toEqual({ state: 'offline', count: 1 });
+        });
+
+        it('keeps the queue when the request never got through', async () => {
+            global.fetch = jest.fn(async () => {
+                throw new TypeError('Failed to fetch');
+            });
+            const { lastStatus } = await start(storeOf(localEvent));
+
+            expect(readSyncState().pending).toEqual([localEvent.id]);
+            expect(lastStatus()).toEqual({ state: 'offline', count: 1 });
+        });
+
+        it('keeps the queue and reports server errors', async () => {
+            global.fetch = jest.fn(async () => jsonResponse({}, 500));
+            const { lastStatus } = await start(storeOf(localEvent));
+
+            expect(readSyncState().pending).toEqual([localEvent.id]);
+            expect(lastStatus()).toEqual({ state: 'error', message: 'HTTP 500' });
+        });
+
+        it('sends the queue once the browser is back online', async () => {
+            online = false;
+            const { lastStatus } = await start(storeOf(localEvent));
+
+            online = true;
+            window.dispatchEvent(new Event('online'));
+            await settle();
+
+            expect(getPushes()).toEqual([{ events: [localEvent], resetAt: null }]);
+            expect(readSyncState().pending).toEqual([]);
+            expect(lastStatus()).toEqual({ state: 'synced', at: expect.any(Date) });
+        });
+    });
+
+    describe('preferences', () => {
+        it('sends preferences the server has not confirmed yet, once', async () => {
+            await start({ ...storeOf(), preferences });
+
+            expect(getPushes()).toEqual([{ events: [], resetAt: null, preferences }]);
+            expect(readSyncState().preferencesSavedAt).toBe(preferences.savedAt);
+            expect(getPulls()[0].searchParams.get('preferencesSavedAt')).toBe(preferences.savedAt);
+
+            window.dispatchEvent(new Event('online'));
+            await settle();
+            expect(getPushes()).toHaveLength(1);
+        });
+
+        it('passes on preferences pulled from the server', async () => {
+            mockServer({ preferences });
+            const { onChange } = await start();
+
+            expect(onChange).toHaveBeenCalledWith({ version: SCHEMA_VERSION, events: [], preferences });
+            expect(readSyncState().preferencesSavedAt).toBe(preferences.savedAt);
+        });
+    });
+});
@@ -0,0 +1,177 @@
+import { ProgressEvent, isValidEvent } from '@/lib/events';
+import { LEGACY_KEYS, SCHEMA_VERSION, isStoredVersion, migrate, readLegacyData } from '@/lib/migrations';
+
+// ===============================
+// Progress Store
+// ===============================
+
+export const STORAGE_KEY = 'scholarQuest';
+
+// The latest settings and other user-edited stores (see lib/preferences).
+// Only one copy is kept: unlike events, a newer save replaces an older one.
+export interface StoredPreferences {
+    value: Record<string, unknown>;
+    savedAt: string;
+}
+
+export interface StoredProgress {
+    version: number;
+    events: ProgressEvent[];
+    // When the whole log was last replaced (e.g. restored from a backup)
+    resetAt?: string;
+    preferences?: StoredPreferences;
+}
+
+export const parseStoredPreferences = (value: unknown): StoredPreferences | null => {
+    const record = value as StoredPreferences;
+    return record &&
+        typeof record === 'object' &&
+        record.value &&
+        typeof record.value === 'object' &&
+        typeof record.savedAt === 'string'
+        ? { value: record.value, savedAt: record.savedAt }
+        : null;
+};
+
+const withPreferences = (store: StoredProgress, value: unknown): StoredProgress => {
+    const preferences = parseStoredPreferences(value);
+    return preferences ? { ...store, preferences } : store;
+};
+
+const emptyStore = (): StoredProgress => ({ version: SCHEMA_VERSION, events: [] });
+
+// Keeps an unreadable store around instead of silently overwriting it
+const quarantine = (raw: string) => {
+    try {
+        localStorage.setItem(`${STORAGE_KEY}.corrupt.${Date.now()}`, raw);
+    } catch {
+        // Out of space; nothing more we can do
+    }
+};
+
+const parseStore = (raw: string) => {
+    try {
+        const data = JSON.parse(raw);
+        if (data && typeof data === 'object' && isStoredVersion(data.version) && Array.isArray(data.events)) {
+            return data;
+        }
+    } catch {
+        // Fall through to quarantine
+    }
+    console.error('Stored progress is unreadable; starting fresh.');
+    quarantine(raw);
+    return null;
+};
+
+export const saveStore = (store: StoredProgress) => {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(store));
+        return true;
+    } catch (error) {
+        console.error('Failed to save progress', error);
+        return false;
+    }
+};
+
+export const loadStore = (): StoredProgress => {
+    if (typeof window === 'undefined') {
+        return emptyStore();
+    }
+
+    const raw = localStorage.getItem(STORAGE_KEY);
+    const legacy = raw === null ? readLegacyData(localStorage) : null;
+    const data = raw !== null ? parseStore(raw) : legacy;
+    if (!data) {
+        return emptyStore();
+    }
+
+    let migrated;
+    try {
+        migrated = migrate(data);
+    } catch (error) {
+        console.error('Stored progress could not be migrated; starting fresh.', error);
+        if (raw !== null) {
+            quarantine(raw);
+        }
+        return emptyStore();
+    }
+    const store: StoredProgress = {
+        version: migrated.version,
+        events: migrated.events.filter(isValidEvent),
+    };
+    if (typeof data.resetAt === 'string') {
+        store.resetAt = data.resetAt;
+    }
+    const loaded = withPreferences(store, data.preferences);
+
+    // Only drop the old keys once the migrated copy is safely written
+    if (legacy && saveStore(loaded)) {
+        LEGACY_KEYS.forEach((key) => localStorage.removeItem(key));
+    }
+    return loaded;
+};
+
+export const appendEvent = (store: StoredProgress, event: ProgressEvent): StoredProgress => ({
+    ...store,
+    events: [...store.events, event],
+});
+
+export const replaceEvents = (store: StoredProgress, events: ProgressEvent[]): StoredProgress => ({
+    ...store,
+    events,
+    resetAt: new Date().toISOString(),
+});
+
+export const savePreferences = (store: StoredProgress, preferences: StoredPreferences): StoredProgress => ({
+    ...store,
+    preferences,
+});
+
+// ===============================
+// Syncing Between Tabs
+// ===============================
+
+// Every open tab keeps its own copy of the log. Copies are merged rather than
+// overwritten: events are only ever appended, so the union of both copies
+// loses nothing either tab recorded.
+
+// Another tab's copy, as written by this same version of the app; anything
+// else is ignored rather than quarantined, since this tab's copy is still fine
+export const parseSyncedStore = (raw: string | null): StoredProgress | null => {
+    try {
+        const data = raw === null ? null : JSON.parse(raw);
+        if (!data || data.version !== SCHEMA_VERSION || !Array.isArray(data.events)) {
+            return null;
+        }
+        return withPreferences({
+            version: data.version,
+            events: data.events.filter(isValidEvent),
+            ...(typeof data.resetAt === 'string' && { resetAt: data.resetAt }),
+        }, data.preferences);
+    } catch {
+        return null;
+    }
+};
+
+const byTime = (a: ProgressEvent, b: ProgressEvent) => a.at.localeCompare(b.at) || a.id.localeCompare(b.id);
+
+// Returns `local` itself when `incoming` holds nothing new. After a reset the
+// newer log wins, keeping only what the other tab recorded since the reset.
+// Preferences aren't events: the more recently saved copy wins.
+export const mergeStores = (local: StoredProgress, incoming: StoredProgress): StoredProgress => {
+    const localReset = local.resetAt ?? '';
+    const incomingReset = incoming.resetAt ?? '';
+    const [base, other] = incomingReset > localReset ? [incoming, local] : [local, incoming];
+    const since = base.resetAt ?? '';
+
+    const known = new Set(base.events.map((event) => event.id));
+    const added = other.events.filter((event) => !known.has(event.id) && event.at > since);
+    const preferences = [local.preferences, incoming.preferences]
+        .filter(Boolean)
+        .reduce((newest, candidate) => (!newest || candidate.savedAt > newest.savedAt ? candidate : newest), undefined);
+    if (base === local && added.length === 0 && preferences === local.preferences) {
+        return local;
+    }
+    const merged = { ...base, events: added.length === 0 ? base.events : [...base.events, ...added].sort(byTime) };
+    return preferences ? { ...merged, preferences } : merged;
+};
@@ -0,0 +1,142 @@
+import { EVENT_TYPES, createEvent } from '@/lib/events';
+import { SCHEMA_VERSION } from '@/lib/migrations';
+import {
+    STORAGE_KEY,
+    StoredProgress,
+    appendEvent,
+    loadStore,
+    mergeStores,
+    parseSyncedStore,
+    replaceEvents,
+    savePreferences,
+} from '@/lib/progressStore';
+
+const grant = (id: string, at: string) =>
+    createEvent(EVENT_TYPES.XP_GRANTED, { amount: 10, label: "Read", source: 'task', category: null }, new Date(at), id);
+
+const corruptKeys = () => Object.keys(localStorage).filter((key) => key.startsWith(`${STORAGE_KEY}.corrupt.`));
+
+beforeEach(() => {
+    localStorage.clear();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('loadStore', () => {
+    it('starts empty for a new user', () => {
+        expect(loadStore()).toEqual({ version: SCHEMA_VERSION, events: [] });
+    });
+
+    it('drops invalid events from a stored log', () => {
+        const valid = grant('a', '2025-03-05T08:00:00.000Z');
+        localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: SCHEMA_VERSION, events: [valid, { id: 'b' }] }));
+        expect(loadStore().events).toEqual([valid]);
+    });
+
+    it('migrates legacy keys and removes them once saved', () => {
+        localStorage.setItem('scholarQuestXp', '50');
+        const store = loadStore();
+        expect(store.events.some((event) => event.type === EVENT_TYPES.LEGACY_IMPORTED)).toBe(true);
+        expect(localStorage.getItem('scholarQuestXp')).toBeNull();
+        expect(JSON.parse(localStorage.getItem(STORAGE_KEY) ?? '{}').version).toBe(SCHEMA_VERSION);
+    });
+
+    it.each([
+        ['unparseable JSON', '{oops'],
+        ['a negative version', JSON.stringify({ version: -1, events: [] })],
+        ['a fractional version', JSON.stringify({ version: 0.5, events: [] })],
+        ['a version from the future', JSON.stringify({ version: SCHEMA_VERSION + 1, events: [] })],
+    ])('quarantines %s and starts fresh', (_, raw) => {
+        localStorage.setItem(STORAGE_KEY, raw);
+        expect(loadStore()).toEqual({ version: SCHEMA_VERSION, events: [] });
+        expect(corruptKeys().map((key) => localStorage.getItem(key))).toEqual([raw]);
+    });
+
+    it('keeps the reset marker', () => {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: SCHEMA_VERSION, events: [], resetAt: '2025-03-01T00:00:00.000Z' }));
+        expect(loadStore().resetAt).toBe('2025-03-01T00:00:00.000Z');
+    });
+});
+
+describe('appendEvent and replaceEvents', () => {
+    it('appends without touching the original store', () => {
+        const store: StoredProgress = { version: SCHEMA_VERSION, events: [] };
+        const event = grant('a', '2025-03-05T08:00:00.000Z');
+        expect(appendEvent(store, event).events).toEqual([event]);
+        expect(store.events).toEqual([]);
+    });
+
+    it('marks a replaced log with the time of the reset', () => {
+        const replaced = replaceEvents({ version: SCHEMA_VERSION, events: [] }, []);
+        expect(Number.isNaN(new Date(replaced.resetAt ?? '').getTime())).toBe(false);
+    });
+});
+
+describe('parseSyncedStore', () => {
+    it('ignores anything but a store of this version', () => {
+        expect(parseSyncedStore(null)).toBeNull();
+        expect(parseSyncedStore('{oops')).toBeNull();
+        expect(parseSyncedStore(JSON.stringify({ version: SCHEMA_VERSION + 1, events: [] }))).toBeNull();
+    });
+
+    it('keeps well-formed preferences and drops broken ones', () => {
+        const preferences = { value: { rewards: [] }, savedAt: '2025-03-05T08:00:00.000Z' };
+        expect(parseSyncedStore(JSON.stringify({ version: SCHEMA_VERSION, events: [], preferences })))
+            .toEqual({ version: SCHEMA_VERSION, events: [], preferences });
+        expect(parseSyncedStore(JSON.stringify({ version: SCHEMA_VERSION, events: [], preferences: { value: 'x' } })))
+            .toEqual({ version: SCHEMA_VERSION, events: [] });
+    });
+});
+
+describe('mergeStores', () => {
+    const a = grant('a', '2025-03-05T08:00:00.000Z');
+    const b = grant('b', '2025-03-05T09:00:00.000Z');
+    const c = grant('c', '2025-03-05T10:00:00.000Z');
+
+    it('returns the local store itself when nothing is new', () => {
+        const local = { version: SCHEMA_VERSION, events: [a, b] };
+        expect(mergeStores(local, { version: SCHEMA_VERSION, events: [a] })).toBe(local);
+    });
+
+    it('unions both logs in time order', () => {
+        const merged = mergeStores(
+            { version: SCHEMA_VERSION, events: [a, c] },
+            { version: SCHEMA_VERSION, events: [b] }
+        );
+        expect(merged.events.map((event) => event.id)).toEqual(['a', 'b', 'c']);
+    });
+
+    it('lets the newer reset win, keeping only what was recorded since', () => {
+        const local = { version: SCHEMA_VERSION, events: [a, c] };
+        const incoming = { version: SCHEMA_VERSION, events: [b], resetAt: '2025-03-05T08:30:00.000Z' };
+        const merged = mergeStores(local, incoming);
+        expect(merged.resetAt).toBe(incoming.resetAt);
+        expect(merged.events.map((event) => event.id)).toEqual(['b', 'c']);
+    });
+
+    it('keeps whichever preferences were saved last, without touching the log', () => {
+        const older = { value: { rewards: [] }, savedAt: '2025-03-05T08:00:00.000Z' };
+        const newer = { value: { rewards: [] }, savedAt: '2025-03-05T09:00:00.000Z' };
+        const local = { version: SCHEMA_VERSION, events: [a], preferences: newer };
+        expect(mergeStores(local, { version: SCHEMA_VERSION, events: [a], preferences: older })).toBe(local);
+
+        const merged = mergeStores({ ...local, preferences: older }, { version: SCHEMA_VERSION, events: [], preferences: newer });
+        expect(merged.preferences).toBe(newer);
+        expect(merged.events).toEqual([a]);
+        expect(mergeStores({ version: SCHEMA_VERSION, events: [] }, local).preferences).toBe(newer);
+    });
+});
+
+describe('savePreferences', () => {
+    it('replaces the saved copy instead of adding to the log', () => {
+        const a = grant('a', '2025-03-05T08:00:00.000Z');
+        const store = { version: SCHEMA_VERSION, events: [a] };
+        const first = savePreferences(store, { value: { rewards: [] }, savedAt: '2025-03-05T08:00:00.000Z' });
+        const second = savePreferences(first, { value: { rewards: [] }, savedAt: '2025-03-05T09:00:00.000Z' });
+        expect(second.events).toEqual([a]);
+        expect(second.preferences.savedAt).toBe('2025-03-05T09:00:00.000Z');
+    });
+});
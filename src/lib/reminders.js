@@ -0,0 +1,70 @@
+import { StreakState } from '@/lib/streaks';
+import { toDayKey } from '@/lib/dates';
+import { Translate } from '@/lib/i18n';
+
+// ===============================
+// Study Reminders
+// ===============================
+
+// Reminders are checked while the app is open (a background tab counts). Each
+// kind fires at most once a day; the day it last fired is stored so reloading
+// the page doesn't repeat it.
+
+export const REMINDERS_STORAGE_KEY = 'scholarQuest.reminders';
+
+export type ReminderKind = 'daily' | 'streak';
+
+export type SentReminders = Partial<Record<ReminderKind, string>>;
+
+export interface Reminder {
+    kind: ReminderKind;
+    title: string;
+    body: string;
+}
+
+export const parseSentReminders = (stored: unknown): SentReminders | null =>
+    stored && typeof stored === 'object' ? (stored as SentReminders) : null;
+
+// "HH:MM", as produced by <input type="time">
+export const isTimeOfDay = (value: unknown) =>
+    typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+
+const hasPassed = (time: string | null, now: Date) => {
+    if (!isTimeOfDay(time)) {
+        return false;
+    }
+    const [hours, minutes] = time.split(':').map(Number);
+    return now.getHours() * 60 + now.getMinutes() >= hours * 60 + minutes;
+};
+
+// Neither reminder is needed once today already counts as a study day
+export const getDueReminders = (
+    { reminderTime, streakWarningTime }: { reminderTime: string | null; streakWarningTime: string | null },
+    streaks: StreakState,
+    sent: SentReminders,
+    t: Translate,
+    now = new Date()
+): Reminder[] => {
+    const today = toDayKey(now);
+    if (streaks.studiedToday) {
+        return [];
+    }
+
+    const due: Reminder[] = [];
+    if (sent.daily !== today && hasPassed(reminderTime, now)) {
+        due.push({
+            kind: 'daily',
+            title: t('reminders.daily.title'),
+            body: t('reminders.daily.body'),
+        });
+    }
+    if (streaks.current && sent.streak !== today && hasPassed(streakWarningTime, now)) {
+        const { length } = streaks.current;
+        due.push({
+            kind: 'streak',
+            title: t('reminders.streak.title'),
+            body: t(streaks.freezeTokens > 0 ? 'reminders.streak.bodyWithFreeze' : 'reminders.streak.body', { count: length }),
+        });
+    }
+    return due;
+};
@@ -0,0 +1,69 @@
+import { createTranslator } from '@/lib/i18n';
+import { StreakState } from '@/lib/streaks';
+import { getDueReminders, isTimeOfDay, parseSentReminders } from '@/lib/reminders';
+
+const { t } = createTranslator('en');
+
+const TODAY = '2025-03-05';
+const at = (time: string) => new Date(`${TODAY}T${time}:00`);
+const times = { reminderTime: '18:00', streakWarningTime: '21:00' };
+
+const streaks = (fields: Partial<StreakState> = {}): StreakState => ({
+    current: { start: '2025-03-01', end: '2025-03-04', length: 4, frozenDays: [] },
+    history: [],
+    longest: 4,
+    freezeTokens: 0,
+    studiedToday: false,
+    ...fields,
+});
+
+const kindsDue = (...args: Parameters<typeof getDueReminders>) =>
+    getDueReminders(...args).map((reminder) => reminder.kind);
+
+describe('isTimeOfDay', () => {
+    it.each(['00:00', '09:30', '23:59'])('accepts %s', (value) => {
+        expect(isTimeOfDay(value)).toBe(true);
+    });
+
+    it.each(['24:00', '9:30', '12:60', null])('rejects %s', (value) => {
+        expect(isTimeOfDay(value)).toBe(false);
+    });
+});
+
+describe('parseSentReminders', () => {
+    it('only accepts an object', () => {
+        expect(parseSentReminders({ daily: TODAY })).toEqual({ daily: TODAY });
+        expect(parseSentReminders('2025-03-05')).toBeNull();
+    });
+});
+
+describe('getDueReminders', () => {
+    it('is due once its time has passed', () => {
+        expect(kindsDue(times, streaks(), {}, t, at('17:59'))).toEqual([]);
+        expect(kindsDue(times, streaks(), {}, t, at('18:00'))).toEqual(['daily']);
+        expect(kindsDue(times, streaks(), {}, t, at('21:30'))).toEqual(['daily', 'streak']);
+    });
+
+    it('fires each kind once a day', () => {
+        expect(kindsDue(times, streaks(), { daily: TODAY, streak: '2025-03-04' }, t, at('21:30'))).toEqual(['streak']);
+    });
+
+    it('is skipped once today counts as a study day', () => {
+        expect(kindsDue(times, streaks({ studiedToday: true }), {}, t, at('21:30'))).toEqual([]);
+    });
+
+    it('only warns about a streak there is', () => {
+        expect(kindsDue(times, streaks({ current: null }), {}, t, at('21:30'))).toEqual(['daily']);
+    });
+
+    it('is never due without a time set', () => {
+        expect(kindsDue({ reminderTime: null, streakWarningTime: null }, streaks(), {}, t, at('23:59'))).toEqual([]);
+    });
+
+    it('mentions the streak length, and a freeze token when there is one', () => {
+        const warning = (freezeTokens: number) =>
+            getDueReminders({ ...times, reminderTime: null }, streaks({ freezeTokens }), {}, t, at('21:30'))[0].body;
+        expect(warning(0)).toBe("Study today or your 4-day streak ends at midnight.");
+        expect(warning(1)).toBe("Study today to keep your 4-day streak without spending a freeze token.");
+    });
+});
@@ -0,0 +1,79 @@
+import { addDays, toDayKey } from '@/lib/dates';
+import { MessageKey } from '@/lib/i18n';
+
+// ===============================
+// Spaced Repetition
+// ===============================
+
+// Topics are added and deleted through events, and each graded review is an
+// event too. The schedule is replayed from those reviews with SM-2, so editing
+// nothing but the log is enough to reproduce it.
+
+export interface TopicDefinition {
+    id: string;
+    title: string;
+    createdAt: Date;
+}
+
+export interface Review {
+    // The REVIEW_GRADED event, so undoing a review can remove it
+    id: string;
+    grade: number;
+    reviewedAt: Date;
+}
+
+export interface Topic extends TopicDefinition {
+    reviews: Review[];
+    // SM-2 state after the latest review
+    repetitions: number;
+    intervalDays: number;
+    easeFactor: number;
+    dueDate: string;
+}
+
+// Grades follow SM-2: 0–2 is a failed recall, 3–5 a successful one
+export const REVIEW_GRADES: { grade: number; label: MessageKey }[] = [
+    { grade: 1, label: 'reviews.grade.again' },
+    { grade: 3, label: 'reviews.grade.hard' },
+    { grade: 4, label: 'reviews.grade.good' },
+    { grade: 5, label: 'reviews.grade.easy' },
+];
+
+export const isValidGrade = (grade) => Number.isInteger(grade) && grade >= 0 && grade <= 5;
+
+// The task a review counts as, and so the XP it earns
+export type ReviewMethod = 'active-recall' | 'notes-review';
+
+export const REVIEW_METHODS: Record<ReviewMethod, MessageKey> = {
+    'active-recall': 'reviews.method.activeRecall',
+    'notes-review': 'reviews.method.notesReview',
+};
+
+const INITIAL_EASE = 2.5;
+const MIN_EASE = 1.3;
+
+export const getTopicSchedule = (topic: TopicDefinition, reviews: Review[]): Topic => {
+    let repetitions = 0;
+    let intervalDays = 1;
+    let easeFactor = INITIAL_EASE;
+    // A new topic comes up for its first review the day after it was studied
+    let dueDate = addDays(toDayKey(topic.createdAt), 1);
+
+    reviews.forEach(({ grade, reviewedAt }) => {
+        if (grade >= 3) {
+            intervalDays = repetitions === 0 ? 1 : repetitions === 1 ? 6 : Math.round(intervalDays * easeFactor);
+            repetitions += 1;
+        } else {
+            repetitions = 0;
+            intervalDays = 1;
+        }
+        const miss = 5 - grade;
+        easeFactor = Math.max(MIN_EASE, easeFactor + (0.1 - miss * (0.08 + miss * 0.02)));
+        dueDate = addDays(toDayKey(reviewedAt), intervalDays);
+    });
+
+    return { ...topic, reviews, repetitions, intervalDays, easeFactor, dueDate };
+};
+
+export const getDueTopics = (topics: Topic[], today = toDayKey(new Date())) =>
+    topics.filter((topic) => topic.dueDate <= today).sort((a, b) => a.dueDate.localeCompare(b.dueDate));
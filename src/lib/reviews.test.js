@@ -0,0 +1,44 @@
+import { Review, getDueTopics, getTopicSchedule } from '@/lib/reviews';
+
+const topic = { id: 't1', title: "Cells", createdAt: new Date(2025, 2, 1, 9) };
+
+const review = (grade: number, day: number): Review => ({
+    id: `review-${day}`,
+    grade,
+    reviewedAt: new Date(2025, 2, day, 18),
+});
+
+describe('getTopicSchedule', () => {
+    it('is due the day after a topic is added', () => {
+        expect(getTopicSchedule(topic, [])).toMatchObject({ dueDate: '2025-03-02', repetitions: 0, easeFactor: 2.5 });
+    });
+
+    it('spaces out good reviews with SM-2', () => {
+        const reviews = [review(4, 2), review(4, 3), review(5, 9)];
+        expect(getTopicSchedule(topic, reviews.slice(0, 1))).toMatchObject({ intervalDays: 1, dueDate: '2025-03-03' });
+        expect(getTopicSchedule(topic, reviews.slice(0, 2))).toMatchObject({ intervalDays: 6, dueDate: '2025-03-09' });
+        const schedule = getTopicSchedule(topic, reviews);
+        expect(schedule).toMatchObject({ repetitions: 3, intervalDays: 15, dueDate: '2025-03-24' });
+        expect(schedule.easeFactor).toBeCloseTo(2.6);
+    });
+
+    it('starts over after a lapse and lowers the ease', () => {
+        const schedule = getTopicSchedule(topic, [review(5, 2), review(5, 3), review(1, 9)]);
+        expect(schedule).toMatchObject({ repetitions: 0, intervalDays: 1, dueDate: '2025-03-10' });
+        expect(schedule.easeFactor).toBeCloseTo(2.16);
+    });
+
+    it('never lets the ease drop below 1.3', () => {
+        const lapses = [2, 3, 4, 5, 6, 7].map((day) => review(0, day));
+        expect(getTopicSchedule(topic, lapses).easeFactor).toBe(1.3);
+    });
+});
+
+describe('getDueTopics', () => {
+    it('lists topics due today or earlier, most overdue first', () => {
+        const later = getTopicSchedule({ ...topic, id: 't2', createdAt: new Date(2025, 2, 5) }, []);
+        const earlier = getTopicSchedule(topic, []);
+        const notYet = getTopicSchedule({ ...topic, id: 't3', createdAt: new Date(2025, 2, 9) }, []);
+        expect(getDueTopics([later, notYet, earlier], '2025-03-06').map((due) => due.id)).toEqual(['t1', 't2']);
+    });
+});
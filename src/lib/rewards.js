@@ -0,0 +1,69 @@
+import { createId } from '@/lib/events';
+import { Translate, translateDefault } from '@/lib/i18n';
+import { LogEntry } from '@/lib/xpLog';
+
+// ===============================
+// Reward Shop
+// ===============================
+
+// Coins are derived from XP, so spending them never touches XP or level.
+// Only the rewards themselves are stored here; redemptions are events.
+
+export const REWARDS_STORAGE_KEY = 'scholarQuest.rewards';
+
+export interface Reward {
+    id: string;
+    name: string;
+    cost: number;
+}
+
+export interface Purchase {
+    id: string;
+    rewardId: string;
+    name: string;
+    cost: number;
+    timestamp: Date;
+}
+
+export const MAX_REWARD_COST = 10000;
+
+export const DEFAULT_REWARDS: Reward[] = [
+    { id: 'gaming', name: "30 min gaming", cost: 30 },
+    { id: 'bubble-tea', name: "Bubble tea", cost: 50 },
+    { id: 'episode', name: "Watch an episode", cost: 40 },
+];
+
+const isValidReward = (reward) =>
+    reward &&
+    typeof reward.id === 'string' &&
+    typeof reward.name === 'string' &&
+    Number.isInteger(reward.cost) &&
+    reward.cost > 0;
+
+export const parseRewards = (rewards: unknown) =>
+    (Array.isArray(rewards) && rewards.every(isValidReward) ? rewards as Reward[] : null);
+
+export const createReward = (name: string): Reward => ({ id: createId(), name, cost: 20 });
+
+const DEFAULT_REWARD_NAMES = new Map(DEFAULT_REWARDS.map((reward) => [reward.id, reward.name]));
+
+// Purchases keep the reward's id, so they're translated the same way
+export const getRewardName = (rewardId: string, name: string, t: Translate) =>
+    translateDefault(t, `rewards.default.${rewardId}`, name, DEFAULT_REWARD_NAMES.get(rewardId));
+
+// Each grant is converted at the rate it was earned at, so changing the rate
+// never re-prices coins already earned. XP without a rate of its own (older
+// grants and imported legacy XP) is converted at the current one.
+export const getCoinsEarned = ({ xp, log }: { xp: number; log: LogEntry[] }, xpPerCoin: number) => {
+    const unpricedXp = log.reduce((rest, entry) => (entry.xpPerCoin ? rest - entry.amount : rest), xp);
+    const coins = log.reduce(
+        (sum, entry) => (entry.xpPerCoin ? sum + entry.amount / entry.xpPerCoin : sum),
+        unpricedXp / xpPerCoin
+    );
+    // Rounded first, so fractions adding up to a whole coin aren't lost to float error
+    return Math.floor(Math.max(Math.round(coins * 1e6) / 1e6, 0));
+};
+
+// Never below zero, even once the grants a purchase was paid with are deleted
+export const getCoinBalance = (progress: { xp: number; log: LogEntry[] }, xpPerCoin: number, purchases: Purchase[]) =>
+    Math.max(getCoinsEarned(progress, xpPerCoin) - purchases.reduce((sum, purchase) => sum + purchase.cost, 0), 0);
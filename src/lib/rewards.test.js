@@ -0,0 +1,57 @@
+import { LogEntry } from '@/lib/xpLog';
+import { Purchase, getCoinBalance, getCoinsEarned } from '@/lib/rewards';
+
+const grant = (amount: number, xpPerCoin?: number): LogEntry => ({
+    id: `${amount}-${xpPerCoin}`,
+    label: "Task",
+    amount,
+    source: 'task',
+    category: null,
+    xpPerCoin,
+    timestamp: new Date(2025, 0, 1),
+});
+
+const purchase = (cost: number): Purchase => ({
+    id: `p-${cost}`,
+    rewardId: 'gaming',
+    name: "30 min gaming",
+    cost,
+    timestamp: new Date(2025, 0, 2),
+});
+
+const progressOf = (log: LogEntry[], importedXp = 0) => ({
+    xp: importedXp + log.reduce((sum, entry) => sum + entry.amount, 0),
+    log,
+});
+
+describe('getCoinsEarned', () => {
+    it('converts each grant at the rate it was earned at', () => {
+        const progress = progressOf([grant(100, 10), grant(100, 5)]);
+        expect(getCoinsEarned(progress, 10)).toBe(30);
+        expect(getCoinsEarned(progress, 50)).toBe(30);
+    });
+
+    it('converts older grants and imported XP at the current rate', () => {
+        const progress = progressOf([grant(100), grant(50, 10)], 200);
+        expect(getCoinsEarned(progress, 10)).toBe(35);
+        expect(getCoinsEarned(progress, 20)).toBe(20);
+    });
+
+    it('adds up fractions of a coin', () => {
+        expect(getCoinsEarned(progressOf([grant(1, 3), grant(1, 3), grant(1, 3)]), 10)).toBe(1);
+    });
+
+    it('never goes below zero', () => {
+        expect(getCoinsEarned(progressOf([grant(-50, 10)]), 10)).toBe(0);
+    });
+});
+
+describe('getCoinBalance', () => {
+    it('subtracts what was spent', () => {
+        expect(getCoinBalance(progressOf([grant(300, 10)]), 10, [purchase(20)])).toBe(10);
+    });
+
+    it('stays at zero when purchases cost more than what is left', () => {
+        expect(getCoinBalance(progressOf([grant(100, 10)]), 10, [purchase(30)])).toBe(0);
+    });
+});
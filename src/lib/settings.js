@@ -0,0 +1,109 @@
+import {
+    DEFAULT_LEVEL_CURVE,
+    DEFAULT_LEVEL_TITLES,
+    LevelCurve,
+    LevelTitle,
+    isValidLevelCurve,
+} from '@/lib/levels';
+import { MOOD_OPTIONS } from '@/lib/moods';
+import { READING_XP_MODES, ReadingXpMode } from '@/lib/books';
+import { isTimeOfDay } from '@/lib/reminders';
+import { Language, detectLanguage, isLanguage } from '@/lib/i18n';
+
+// ===============================
+// Settings
+// ===============================
+
+export const SETTINGS_STORAGE_KEY = 'scholarQuest.settings';
+
+export interface Settings {
+    language: Language;
+    dailyChallengeXp: number;
+    weeklyChallengeXp: number;
+    sideQuestXp: number;
+    rewardInterval: number;
+    xpPerCoin: number;
+    readingXpMode: ReadingXpMode;
+    // Diminishing returns for repeating a task, off by default (see lib/taskLimits)
+    repeatWindowMinutes: number;
+    repeatMultiplier: number;
+    xpPerPage: number;
+    moodXp: Record<string, number>;
+    moodCheckInsPerDay: number;
+    levelCurve: LevelCurve;
+    levelTitles: LevelTitle[];
+    // "HH:MM", or null when switched off
+    reminderTime: string | null;
+    streakWarningTime: string | null;
+    notifyTimerEnd: boolean;
+    // Sync server (see lib/progressAdapters); progress stays in this browser while either is empty
+    syncUrl: string;
+    syncUserId: string;
+}
+
+export const DEFAULT_SETTINGS: Settings = {
+    language: detectLanguage(),
+    dailyChallengeXp: 25,
+    weeklyChallengeXp: 100,
+    sideQuestXp: 15,
+    rewardInterval: 100,
+    xpPerCoin: 10,
+    readingXpMode: 'buckets',
+    repeatWindowMinutes: 0,
+    repeatMultiplier: 0.5,
+    xpPerPage: 1,
+    moodXp: Object.fromEntries(MOOD_OPTIONS.map((option) => [option.value, option.xp])),
+    moodCheckInsPerDay: 3,
+    levelCurve: DEFAULT_LEVEL_CURVE,
+    levelTitles: DEFAULT_LEVEL_TITLES,
+    reminderTime: null,
+    streakWarningTime: '20:00',
+    notifyTimerEnd: true,
+    syncUrl: process.env.REACT_APP_SYNC_URL ?? '',
+    syncUserId: '',
+};
+
+const isXpAmount = (value: unknown) => typeof value === 'number' && Number.isInteger(value) && value >= 0;
+
+const isOptionalTime = (value: unknown) => value === null || isTimeOfDay(value);
+
+const isValidTitle = (entry) =>
+    entry && Number.isInteger(entry.level) && entry.level >= 1 && typeof entry.title === 'string';
+
+// Keeps every stored field that is valid and fills the rest from the defaults,
+// so adding a setting never resets the ones a user already changed
+export const normalizeSettings = (stored: unknown): Settings => {
+    const value = (stored && typeof stored === 'object' ? stored : {}) as Partial<Settings>;
+    const pick = <K extends keyof Settings>(key: K, isValid: (candidate: unknown) => boolean) =>
+        (isValid(value[key]) ? value[key] : DEFAULT_SETTINGS[key]) as Settings[K];
+
+    return {
+        language: pick('language', isLanguage),
+        dailyChallengeXp: pick('dailyChallengeXp', isXpAmount),
+        weeklyChallengeXp: pick('weeklyChallengeXp', isXpAmount),
+        sideQuestXp: pick('sideQuestXp', isXpAmount),
+        rewardInterval: pick('rewardInterval', (interval) => isXpAmount(interval) && interval > 0),
+        xpPerCoin: pick('xpPerCoin', (rate) => isXpAmount(rate) && rate > 0),
+        readingXpMode: pick('readingXpMode', (mode) => typeof mode === 'string' && mode in READING_XP_MODES),
+        repeatWindowMinutes: pick('repeatWindowMinutes', isXpAmount),
+        repeatMultiplier: pick(
+            'repeatMultiplier',
+            (multiplier) => typeof multiplier === 'number' && multiplier >= 0 && multiplier <= 1
+        ),
+        xpPerPage: pick('xpPerPage', isXpAmount),
+        moodXp: {
+            ...DEFAULT_SETTINGS.moodXp,
+            ...Object.fromEntries(
+                Object.entries(value.moodXp ?? {}).filter(([, xp]) => isXpAmount(xp))
+            ),
+        },
+        moodCheckInsPerDay: pick('moodCheckInsPerDay', (limit) => isXpAmount(limit) && limit > 0),
+        levelCurve: pick('levelCurve', isValidLevelCurve),
+        levelTitles: pick('levelTitles', (titles) => Array.isArray(titles) && titles.every(isValidTitle)),
+        reminderTime: pick('reminderTime', isOptionalTime),
+        streakWarningTime: pick('streakWarningTime', isOptionalTime),
+        notifyTimerEnd: pick('notifyTimerEnd', (enabled) => typeof enabled === 'boolean'),
+        syncUrl: pick('syncUrl', (url) => typeof url === 'string'),
+        syncUserId: pick('syncUserId', (userId) => typeof userId === 'string'),
+    };
+};
@@ -0,0 +1,83 @@
+import { addDays, startOfWeek, toDayKey } from '@/lib/dates';
+import { LogEntry } from '@/lib/xpLog';
+import { MessageKey } from '@/lib/i18n';
+
+// ===============================
+// Side Quests
+// ===============================
+
+// Quests are created, edited and deleted through events; completing one is a
+// side quest XP grant carrying its questId.
+
+export type Recurrence = 'none' | 'daily' | 'weekly';
+
+export const RECURRENCES: Record<Recurrence, MessageKey> = {
+    none: 'sideQuests.recurrence.none',
+    daily: 'sideQuests.recurrence.daily',
+    weekly: 'sideQuests.recurrence.weekly',
+};
+
+export interface SideQuestDefinition {
+    id: string;
+    title: string;
+    dueDate: string | null;
+    recurrence: Recurrence;
+    createdAt: Date;
+}
+
+export interface SideQuest extends SideQuestDefinition {
+    completions: Date[];
+    // Done for good (one-off) or for the current day/week (recurring)
+    isDone: boolean;
+    isOverdue: boolean;
+    // For recurring quests, the next day it is due
+    nextDue: string | null;
+}
+
+const getPeriodStart = (recurrence: Recurrence, today: string) =>
+    recurrence === 'weekly' ? startOfWeek(today) : today;
+
+export const getSideQuestStatus = (
+    quest: SideQuestDefinition,
+    log: LogEntry[],
+    today: string
+): SideQuest => {
+    const completions = log
+        .filter((entry) => entry.source === 'sideQuest' && entry.questId === quest.id)
+        .map((entry) => entry.timestamp);
+    const lastCompleted = completions.length > 0 ? toDayKey(completions[completions.length - 1]) : null;
+
+    if (quest.recurrence === 'none') {
+        const isDone = completions.length > 0;
+        return {
+            ...quest,
+            completions,
+            isDone,
+            isOverdue: !isDone && quest.dueDate !== null && quest.dueDate < today,
+            nextDue: quest.dueDate,
+        };
+    }
+
+    const periodStart = getPeriodStart(quest.recurrence, today);
+    const isDone = lastCompleted !== null && lastCompleted >= periodStart;
+    const nextPeriod = quest.recurrence === 'weekly' ? addDays(periodStart, 7) : addDays(today, 1);
+    return {
+        ...quest,
+        completions,
+        isDone,
+        isOverdue: false,
+        // A recurring quest doesn't start before its first due date
+        nextDue: quest.dueDate !== null && quest.dueDate > today
+            ? quest.dueDate
+            : (isDone ? nextPeriod : today),
+    };
+};
+
+// Open quests first (overdue, then by due date), finished ones last
+export const sortSideQuests = (quests: SideQuest[]) =>
+    [...quests].sort((a, b) =>
+        Number(a.isDone) - Number(b.isDone) ||
+        Number(b.isOverdue) - Number(a.isOverdue) ||
+        (a.nextDue ?? '9999').localeCompare(b.nextDue ?? '9999') ||
+        a.createdAt.getTime() - b.createdAt.getTime()
+    );
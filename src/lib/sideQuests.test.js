@@ -0,0 +1,92 @@
+import { LogEntry } from '@/lib/xpLog';
+import { SideQuestDefinition, getSideQuestStatus, sortSideQuests } from '@/lib/sideQuests';
+
+const quest = (fields: Partial<SideQuestDefinition> = {}): SideQuestDefinition => ({
+    id: 'quest',
+    title: "Clean the desk",
+    dueDate: null,
+    recurrence: 'none',
+    createdAt: new Date('2025-03-01T12:00:00'),
+    ...fields,
+});
+
+const completion = (day: string, questId = 'quest'): LogEntry => ({
+    id: `${questId}-${day}`,
+    label: "Clean the desk",
+    amount: 15,
+    source: 'sideQuest',
+    category: null,
+    questId,
+    timestamp: new Date(`${day}T12:00:00`),
+});
+
+// 2025-03-03 is a Monday
+const TODAY = '2025-03-05';
+
+describe('getSideQuestStatus', () => {
+    describe('one-off quests', () => {
+        it('are done once completed', () => {
+            const status = getSideQuestStatus(quest(), [completion('2025-03-02')], TODAY);
+            expect(status).toMatchObject({ isDone: true, isOverdue: false });
+            expect(status.completions).toEqual([new Date('2025-03-02T12:00:00')]);
+        });
+
+        it('only count completions of the same quest', () => {
+            expect(getSideQuestStatus(quest(), [completion(TODAY, 'other')], TODAY).isDone).toBe(false);
+        });
+
+        it('are overdue after their due date', () => {
+            expect(getSideQuestStatus(quest({ dueDate: '2025-03-04' }), [], TODAY))
+                .toMatchObject({ isDone: false, isOverdue: true, nextDue: '2025-03-04' });
+            expect(getSideQuestStatus(quest({ dueDate: TODAY }), [], TODAY).isOverdue).toBe(false);
+        });
+    });
+
+    describe('daily quests', () => {
+        const daily = quest({ recurrence: 'daily' });
+
+        it('are done until the end of the day', () => {
+            expect(getSideQuestStatus(daily, [completion(TODAY)], TODAY))
+                .toMatchObject({ isDone: true, isOverdue: false, nextDue: '2025-03-06' });
+        });
+
+        it('are due again the next day', () => {
+            expect(getSideQuestStatus(daily, [completion('2025-03-04')], TODAY))
+                .toMatchObject({ isDone: false, nextDue: TODAY });
+        });
+
+        it('do not start before their first due date', () => {
+            expect(getSideQuestStatus(quest({ recurrence: 'daily', dueDate: '2025-03-10' }), [], TODAY).nextDue)
+                .toBe('2025-03-10');
+        });
+    });
+
+    describe('weekly quests', () => {
+        const weekly = quest({ recurrence: 'weekly' });
+
+        it('are done for the rest of the week', () => {
+            expect(getSideQuestStatus(weekly, [completion('2025-03-03')], TODAY))
+                .toMatchObject({ isDone: true, nextDue: '2025-03-10' });
+        });
+
+        it('are due again from Monday', () => {
+            expect(getSideQuestStatus(weekly, [completion('2025-03-02')], TODAY))
+                .toMatchObject({ isDone: false, nextDue: TODAY });
+        });
+    });
+});
+
+describe('sortSideQuests', () => {
+    it('puts overdue quests first, then by due date, and finished ones last', () => {
+        const statuses = [
+            quest({ id: 'done' }),
+            quest({ id: 'later', dueDate: '2025-03-09' }),
+            quest({ id: 'undated' }),
+            quest({ id: 'overdue', dueDate: '2025-03-01' }),
+            quest({ id: 'sooner', dueDate: '2025-03-06' }),
+        ].map((definition) => getSideQuestStatus(definition, [completion('2025-03-02', 'done')], TODAY));
+
+        expect(sortSideQuests(statuses).map((status) => status.id))
+            .toEqual(['overdue', 'sooner', 'later', 'undated', 'done']);
+    });
+});
@@ -0,0 +1,124 @@
+import { LogEntry } from '@/lib/xpLog';
+import { Progress } from '@/lib/progress';
+import { addDays, startOfWeek, toDayKey } from '@/lib/dates';
+
+// ===============================
+// Statistics
+// ===============================
+
+// Everything here is derived from the XP log and focus sessions, so the
+// dashboard needs nothing beyond what's already stored locally.
+
+// XP that doesn't come from a catalog task (challenges, moods, bonuses…)
+export const OTHER_CATEGORY = 'Other';
+
+export interface XpBar {
+    // First day of the period the bar covers
+    day: string;
+    total: number;
+    byCategory: Record<string, number>;
+}
+
+const getCategory = (entry: LogEntry) => entry.category ?? OTHER_CATEGORY;
+
+const buildBars = (log: LogEntry[], starts: string[], toStart: (day: string) => string): XpBar[] => {
+    const bars = new Map(starts.map((day) => [day, { day, total: 0, byCategory: {} }]));
+    log.forEach((entry) => {
+        const bar = bars.get(toStart(toDayKey(entry.timestamp)));
+        if (bar) {
+            const category = getCategory(entry);
+            bar.total += entry.amount;
+            bar.byCategory[category] = (bar.byCategory[category] ?? 0) + entry.amount;
+        }
+    });
+    return [...bars.values()];
+};
+
+// Oldest first, ending with today
+export const getDailyXp = (log: LogEntry[], count: number, today = toDayKey(new Date())) =>
+    buildBars(
+        log,
+        Array.from({ length: count }, (_, index) => addDays(today, index - count + 1)),
+        (day) => day
+    );
+
+// Oldest first, ending with the current (Monday-based) week
+export const getWeeklyXp = (log: LogEntry[], count: number, today = toDayKey(new Date())) => {
+    const thisWeek = startOfWeek(today);
+    return buildBars(
+        log,
+        Array.from({ length: count }, (_, index) => addDays(thisWeek, (index - count + 1) * 7)),
+        startOfWeek
+    );
+};
+
+// Categories in the order they first appear in the given bars, `Other` last
+export const getChartCategories = (bars: XpBar[]) => {
+    const names = [...new Set(bars.flatMap((bar) => Object.keys(bar.byCategory)))];
+    return [...names.filter((name) => name !== OTHER_CATEGORY), ...names.filter((name) => name === OTHER_CATEGORY)];
+};
+
+export interface HeatmapDay {
+    day: string;
+    xp: number;
+    minutes: number;
+    // 0 (nothing) to 4 (busiest), relative to the busiest day shown
+    intensity: number;
+}
+
+export const HEATMAP_WEEKS = 53;
+
+// Columns of Monday–Sunday weeks covering the last year; days after today are left out
+export const getHeatmap = (progress: Progress, today = toDayKey(new Date())): HeatmapDay[][] => {
+    const xpByDay = new Map<string, number>();
+    const minutesByDay = new Map<string, number>();
+    progress.log
+        .filter((entry) => entry.source !== 'mood')
+        .forEach((entry) => {
+            const day = toDayKey(entry.timestamp);
+            xpByDay.set(day, (xpByDay.get(day) ?? 0) + entry.amount);
+        });
+    progress.sessions.forEach((session) => {
+        const day = toDayKey(session.startedAt);
+        minutesByDay.set(day, (minutesByDay.get(day) ?? 0) + Math.round(session.focusedMs / 60000));
+    });
+
+    const firstDay = addDays(startOfWeek(today), -(HEATMAP_WEEKS - 1) * 7);
+    const weeks = Array.from({ length: HEATMAP_WEEKS }, (_, week) =>
+        Array.from({ length: 7 }, (_, weekday) => addDays(firstDay, week * 7 + weekday))
+            .filter((day) => day <= today)
+            .map((day) => ({ day, xp: xpByDay.get(day) ?? 0, minutes: minutesByDay.get(day) ?? 0, intensity: 0 }))
+    );
+
+    const busiest = Math.max(0, ...weeks.flat().map((entry) => entry.xp));
+    weeks.flat().forEach((entry) => {
+        entry.intensity = entry.xp > 0 ? Math.ceil((entry.xp / busiest) * 4) : 0;
+    });
+    return weeks;
+};
+
+export interface TaskFrequency {
+    key: string;
+    label: string;
+    count: number;
+    xp: number;
+}
+
+// Catalog tasks are grouped by id so renaming a task keeps its history together
+export const getTopTasks = (log: LogEntry[], limit = 5): TaskFrequency[] => {
+    const tasks = new Map<string, TaskFrequency>();
+    log.filter((entry) => entry.source === 'task').forEach((entry) => {
+        const key = entry.taskId ?? entry.label;
+        const task = tasks.get(key) ?? { key, label: entry.label, count: 0, xp: 0 };
+        // The log is chronological, so the latest label wins
+        tasks.set(key, { ...task, label: entry.label, count: task.count + 1, xp: task.xp + entry.amount });
+    });
+    return [...tasks.values()]
+        .sort((a, b) => b.count - a.count || b.xp - a.xp)
+        .slice(0, limit);
+};
+
+export const getAverageSessionMs = (sessions: Progress['sessions']) =>
+    sessions.length > 0
+        ? sessions.reduce((sum, session) => sum + session.focusedMs, 0) / sessions.length
+        : 0;
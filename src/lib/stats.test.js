@@ -0,0 +1,120 @@
+import { LogEntry } from '@/lib/xpLog';
+import { Progress } from '@/lib/progress';
+import {
+    HEATMAP_WEEKS,
+    OTHER_CATEGORY,
+    getAverageSessionMs,
+    getChartCategories,
+    getDailyXp,
+    getHeatmap,
+    getTopTasks,
+    getWeeklyXp,
+} from '@/lib/stats';
+
+const entry = (day: string, amount: number, fields: Partial<LogEntry> = {}): LogEntry => ({
+    id: `${day}-${amount}`,
+    label: "Active recall",
+    amount,
+    source: 'task',
+    category: "Understanding",
+    timestamp: new Date(`${day}T12:00:00`),
+    ...fields,
+});
+
+const session = (day: string, minutes: number) => ({
+    id: day,
+    label: "Focus",
+    startedAt: new Date(`${day}T12:00:00`),
+    focusedMs: minutes * 60000,
+    plannedMs: 25 * 60000,
+});
+
+// 2025-03-03 is a Monday
+const TODAY = '2025-03-05';
+
+describe('getDailyXp', () => {
+    it('has one bar per day, oldest first, split by category', () => {
+        const bars = getDailyXp(
+            [
+                entry('2025-03-05', 10),
+                entry('2025-03-05', 5, { category: null, source: 'challenge' }),
+                entry('2025-03-04', 20),
+                entry('2025-03-01', 99),
+            ],
+            3,
+            TODAY
+        );
+        expect(bars).toEqual([
+            { day: '2025-03-03', total: 0, byCategory: {} },
+            { day: '2025-03-04', total: 20, byCategory: { Understanding: 20 } },
+            { day: '2025-03-05', total: 15, byCategory: { Understanding: 10, [OTHER_CATEGORY]: 5 } },
+        ]);
+    });
+});
+
+describe('getWeeklyXp', () => {
+    it('groups days into Monday-based weeks', () => {
+        const bars = getWeeklyXp([entry('2025-03-02', 10), entry('2025-03-03', 20), entry('2025-03-05', 5)], 2, TODAY);
+        expect(bars.map(({ day, total }) => ({ day, total }))).toEqual([
+            { day: '2025-02-24', total: 10 },
+            { day: '2025-03-03', total: 25 },
+        ]);
+    });
+});
+
+describe('getChartCategories', () => {
+    it('keeps the order categories first appear in, with Other last', () => {
+        expect(getChartCategories([
+            { day: '2025-03-03', total: 0, byCategory: { [OTHER_CATEGORY]: 5, Memory: 10 } },
+            { day: '2025-03-04', total: 0, byCategory: { Understanding: 10, Memory: 5 } },
+        ])).toEqual(['Memory', 'Understanding', OTHER_CATEGORY]);
+    });
+});
+
+describe('getHeatmap', () => {
+    const progress = {
+        log: [
+            entry('2025-03-04', 40),
+            entry('2025-03-05', 10),
+            entry('2025-03-05', 100, { source: 'mood' }),
+        ],
+        sessions: [session('2025-03-05', 25)],
+    } as Progress;
+    const weeks = getHeatmap(progress, TODAY);
+
+    it('covers whole weeks up to today', () => {
+        expect(weeks).toHaveLength(HEATMAP_WEEKS);
+        expect(weeks[0][0].day).toBe('2024-03-04');
+        expect(weeks[HEATMAP_WEEKS - 1].map((day) => day.day)).toEqual(['2025-03-03', '2025-03-04', '2025-03-05']);
+    });
+
+    it('leaves mood XP out and scales intensity to the busiest day', () => {
+        const [monday, tuesday, wednesday] = weeks[HEATMAP_WEEKS - 1];
+        expect(monday).toEqual({ day: '2025-03-03', xp: 0, minutes: 0, intensity: 0 });
+        expect(tuesday).toMatchObject({ xp: 40, intensity: 4 });
+        expect(wednesday).toEqual({ day: '2025-03-05', xp: 10, minutes: 25, intensity: 1 });
+    });
+});
+
+describe('getTopTasks', () => {
+    it('ranks tasks by how often they were logged, under their latest name', () => {
+        const log = [
+            entry('2025-03-01', 10, { taskId: 'recall' }),
+            entry('2025-03-02', 10, { taskId: 'recall', label: "Recall practice" }),
+            entry('2025-03-02', 30, { taskId: 'essay', label: "Essay" }),
+            entry('2025-03-03', 50, { source: 'challenge', label: "Challenge" }),
+        ];
+        expect(getTopTasks(log)).toEqual([
+            { key: 'recall', label: "Recall practice", count: 2, xp: 20 },
+            { key: 'essay', label: "Essay", count: 1, xp: 30 },
+        ]);
+        expect(getTopTasks(log, 1)).toHaveLength(1);
+    });
+});
+
+describe('getAverageSessionMs', () => {
+    it('averages focus time, or is zero without sessions', () => {
+        expect(getAverageSessionMs([session('2025-03-01', 10), session('2025-03-02', 30)])).toBe(20 * 60000);
+        expect(getAverageSessionMs([])).toBe(0);
+    });
+});
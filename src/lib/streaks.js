@@ -0,0 +1,108 @@
+import { LogEntry, isStudyEntry } from '@/lib/xpLog';
+import { addDays, daysBetween, toDayKey } from '@/lib/dates';
+
+// ===============================
+// Streaks
+// ===============================
+
+// A day only counts towards the streak once enough real studying happened on
+// it: study XP (see isStudyEntry) or focused time on the timer.
+export const MIN_STUDY_XP = 10;
+export const MIN_STUDY_MINUTES = 10;
+
+// A freeze token is earned for every week of unbroken streak and covers one
+// missed day. Tokens are spent automatically, oldest gap first.
+export const FREEZE_EVERY_DAYS = 7;
+export const MAX_FREEZE_TOKENS = 2;
+
+export interface StreakRun {
+    start: string;
+    // Last day studied
+    end: string;
+    length: number;
+    // Missed days a freeze token covered
+    frozenDays: string[];
+    // First day that broke the run; null while it's still going
+    brokeOn: string | null;
+}
+
+export interface StreakState {
+    current: StreakRun | null;
+    // Finished runs, newest first
+    history: StreakRun[];
+    longest: number;
+    freezeTokens: number;
+    studiedToday: boolean;
+}
+
+// Days with enough study activity, plus any days passed in as already counted
+// (e.g. visits recorded before streaks required studying)
+export const getStudyDays = (
+    log: LogEntry[],
+    sessions: { startedAt: Date; focusedMs: number }[],
+    extraDays: Iterable<string> = []
+) => {
+    const xpByDay = new Map<string, number>();
+    const minutesByDay = new Map<string, number>();
+    log.filter(isStudyEntry).forEach((entry) => {
+        const day = toDayKey(entry.timestamp);
+        xpByDay.set(day, (xpByDay.get(day) ?? 0) + entry.amount);
+    });
+    sessions.forEach((session) => {
+        const day = toDayKey(session.startedAt);
+        minutesByDay.set(day, (minutesByDay.get(day) ?? 0) + session.focusedMs / 60000);
+    });
+
+    const days = new Set(extraDays);
+    xpByDay.forEach((xp, day) => xp >= MIN_STUDY_XP && days.add(day));
+    minutesByDay.forEach((minutes, day) => minutes >= MIN_STUDY_MINUTES && days.add(day));
+    return days;
+};
+
+const missedDays = (after: string, count: number) =>
+    Array.from({ length: count }, (_, index) => addDays(after, index + 1));
+
+// Walks the study days in calendar order. Today only breaks a streak once it
+// is over, so a run ending yesterday is still current.
+export const getStreakState = (studyDays: Set<string>, today: string): StreakState => {
+    const history: StreakRun[] = [];
+    let run: StreakRun | null = null;
+    let freezeTokens = 0;
+
+    for (const day of [...studyDays].filter((studyDay) => studyDay <= today).sort()) {
+        if (run) {
+            const gap = daysBetween(run.end, day) - 1;
+            if (gap <= freezeTokens) {
+                freezeTokens -= gap;
+                run = { ...run, end: day, length: run.length + 1, frozenDays: [...run.frozenDays, ...missedDays(run.end, gap)] };
+            } else {
+                history.unshift({ ...run, brokeOn: addDays(run.end, 1) });
+                run = null;
+            }
+        }
+        if (!run) {
+            run = { start: day, end: day, length: 1, frozenDays: [], brokeOn: null };
+        }
+        if (run.length % FREEZE_EVERY_DAYS === 0) {
+            freezeTokens = Math.min(freezeTokens + 1, MAX_FREEZE_TOKENS);
+        }
+    }
+
+    // Days fully missed since the last study day, today excluded
+    const missedSoFar = run ? Math.max(daysBetween(run.end, today) - 1, 0) : 0;
+    if (run && missedSoFar > freezeTokens) {
+        history.unshift({ ...run, brokeOn: addDays(run.end, 1) });
+        run = null;
+    } else if (run) {
+        // Tokens that have to bridge the days missed so far are already spoken for
+        freezeTokens -= missedSoFar;
+    }
+
+    return {
+        current: run,
+        history,
+        longest: Math.max(run?.length ?? 0, ...history.map((entry) => entry.length)),
+        freezeTokens,
+        studiedToday: run?.end === today,
+    };
+};
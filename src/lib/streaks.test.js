@@ -0,0 +1,69 @@
+import { LogEntry } from '@/lib/xpLog';
+import { addDays } from '@/lib/dates';
+import { MAX_FREEZE_TOKENS, MIN_STUDY_XP, getStreakState, getStudyDays } from '@/lib/streaks';
+
+const entry = (day: string, amount: number, source: LogEntry['source'] = 'task'): LogEntry => ({
+    id: `${day}-${source}`,
+    label: "Entry",
+    amount,
+    source,
+    category: null,
+    timestamp: new Date(`${day}T12:00:00`),
+});
+
+const days = (...keys: string[]) => new Set(keys);
+
+describe('getStudyDays', () => {
+    it('counts days with enough study XP or focus time', () => {
+        const studyDays = getStudyDays(
+            [entry('2025-03-01', MIN_STUDY_XP), entry('2025-03-02', MIN_STUDY_XP - 1)],
+            [{ startedAt: new Date('2025-03-03T12:00:00'), focusedMs: 10 * 60000 }]
+        );
+        expect([...studyDays].sort()).toEqual(['2025-03-01', '2025-03-03']);
+    });
+
+    it.each(['mood', 'streak', 'challenge', 'weeklyChallenge', 'goal'] as LogEntry['source'][])(
+        'does not count %s XP as studying',
+        (source) => {
+            expect(getStudyDays([entry('2025-03-01', 100, source)], []).size).toBe(0);
+        }
+    );
+
+    it('keeps days passed in as already counted', () => {
+        expect([...getStudyDays([], [], ['2025-03-01'])]).toEqual(['2025-03-01']);
+    });
+});
+
+describe('getStreakState', () => {
+    it('keeps a run ending yesterday current', () => {
+        const state = getStreakState(days('2025-03-01', '2025-03-02', '2025-03-03'), '2025-03-04');
+        expect(state.current).toMatchObject({ start: '2025-03-01', end: '2025-03-03', length: 3 });
+        expect(state.studiedToday).toBe(false);
+    });
+
+    it('breaks a run once a whole day is missed without a freeze token', () => {
+        const state = getStreakState(days('2025-03-01', '2025-03-02', '2025-03-04'), '2025-03-04');
+        expect(state.current).toMatchObject({ start: '2025-03-04', length: 1 });
+        expect(state.history).toEqual([
+            { start: '2025-03-01', end: '2025-03-02', length: 2, frozenDays: [], brokeOn: '2025-03-03' },
+        ]);
+        expect(state.longest).toBe(2);
+    });
+
+    it('spends a freeze token earned by a full week on a missed day', () => {
+        const week = ['2025-03-01', '2025-03-02', '2025-03-03', '2025-03-04', '2025-03-05', '2025-03-06', '2025-03-07'];
+        const state = getStreakState(days(...week, '2025-03-09'), '2025-03-09');
+        expect(state.current).toMatchObject({ start: '2025-03-01', length: 8, frozenDays: ['2025-03-08'] });
+        expect(state.freezeTokens).toBe(0);
+        expect(state.studiedToday).toBe(true);
+    });
+
+    it('never holds more than the maximum number of tokens', () => {
+        const longRun = Array.from({ length: 35 }, (_, index) => addDays('2025-01-01', index));
+        expect(getStreakState(days(...longRun), longRun[34]).freezeTokens).toBe(MAX_FREEZE_TOKENS);
+    });
+
+    it('ignores days after today', () => {
+        expect(getStreakState(days('2025-03-10'), '2025-03-04').current).toBeNull();
+    });
+});
@@ -0,0 +1,84 @@
+import { createId } from '@/lib/events';
+import { LevelCurve, LevelTitle, getLevelInfo } from '@/lib/levels';
+import { Progress } from '@/lib/progress';
+
+// ===============================
+// Subjects
+// ===============================
+
+// Subjects are stored by id on each XP grant and focus session, so renaming a
+// subject keeps its history. Entries of a deleted subject stay in the overall
+// totals but no longer show up per subject.
+
+export const SUBJECTS_STORAGE_KEY = 'scholarQuest.subjects';
+
+export interface Subject {
+    id: string;
+    name: string;
+}
+
+export interface SubjectState {
+    subjects: Subject[];
+    // The subject new activity is logged against; null logs it without one
+    activeId: string | null;
+}
+
+export const DEFAULT_SUBJECT_STATE: SubjectState = { subjects: [], activeId: null };
+
+const isValidSubject = (subject) => subject && typeof subject.id === 'string' && typeof subject.name === 'string';
+
+export const parseSubjectState = (state: unknown) => {
+    const value = state as SubjectState;
+    if (!value || !Array.isArray(value.subjects) || !value.subjects.every(isValidSubject)) {
+        return null;
+    }
+    const activeId = value.subjects.some((subject) => subject.id === value.activeId) ? value.activeId : null;
+    return { subjects: value.subjects, activeId };
+};
+
+export const addSubject = (state: SubjectState, name: string): SubjectState => {
+    const subject = { id: createId(), name };
+    return { subjects: [...state.subjects, subject], activeId: subject.id };
+};
+
+export const renameSubject = (state: SubjectState, subjectId: string, name: string): SubjectState => ({
+    ...state,
+    subjects: state.subjects.map((subject) => (subject.id === subjectId ? { ...subject, name } : subject)),
+});
+
+export const removeSubject = (state: SubjectState, subjectId: string): SubjectState => ({
+    subjects: state.subjects.filter((subject) => subject.id !== subjectId),
+    activeId: state.activeId === subjectId ? null : state.activeId,
+});
+
+export interface SubjectStats {
+    subject: Subject;
+    xp: number;
+    level: ReturnType<typeof getLevelInfo>;
+    entries: number;
+    focusMinutes: number;
+    lastStudied: Date | null;
+}
+
+export const getSubjectStats = (
+    subjects: Subject[],
+    progress: Progress,
+    levelCurve: LevelCurve,
+    levelTitles: LevelTitle[]
+): SubjectStats[] =>
+    subjects.map((subject) => {
+        const entries = progress.log.filter((entry) => entry.subjectId === subject.id);
+        const xp = entries.reduce((sum, entry) => sum + entry.amount, 0);
+        const focusedMs = progress.sessions
+            .filter((session) => session.subjectId === subject.id)
+            .reduce((sum, session) => sum + session.focusedMs, 0);
+
+        return {
+            subject,
+            xp,
+            level: getLevelInfo(xp, levelCurve, levelTitles),
+            entries: entries.length,
+            focusMinutes: Math.round(focusedMs / 60000),
+            lastStudied: entries.length > 0 ? entries[entries.length - 1].timestamp : null,
+        };
+    });
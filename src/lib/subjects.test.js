@@ -0,0 +1,85 @@
+import { DEFAULT_LEVEL_CURVE, DEFAULT_LEVEL_TITLES } from '@/lib/levels';
+import { Progress } from '@/lib/progress';
+import {
+    addSubject,
+    getSubjectStats,
+    parseSubjectState,
+    removeSubject,
+    renameSubject,
+} from '@/lib/subjects';
+
+const maths = { id: 'maths', name: "Maths" };
+const history = { id: 'history', name: "History" };
+
+describe('parseSubjectState', () => {
+    it('keeps a valid state', () => {
+        expect(parseSubjectState({ subjects: [maths], activeId: 'maths' })).toEqual({ subjects: [maths], activeId: 'maths' });
+    });
+
+    it('drops an active subject that no longer exists', () => {
+        expect(parseSubjectState({ subjects: [maths], activeId: 'gone' })).toEqual({ subjects: [maths], activeId: null });
+    });
+
+    it.each([
+        ['nothing', null],
+        ['no subject list', { activeId: null }],
+        ['a subject without a name', { subjects: [{ id: 'maths' }], activeId: null }],
+    ])('returns null for %s', (_, state) => {
+        expect(parseSubjectState(state)).toBeNull();
+    });
+});
+
+describe('editing subjects', () => {
+    it('makes a new subject the active one', () => {
+        const state = addSubject({ subjects: [maths], activeId: 'maths' }, "Biology");
+        expect(state.subjects.map((subject) => subject.name)).toEqual(["Maths", "Biology"]);
+        expect(state.activeId).toBe(state.subjects[1].id);
+    });
+
+    it('renames a subject in place', () => {
+        expect(renameSubject({ subjects: [maths, history], activeId: null }, 'maths', "Algebra").subjects)
+            .toEqual([{ id: 'maths', name: "Algebra" }, history]);
+    });
+
+    it('clears the active subject when it is removed', () => {
+        expect(removeSubject({ subjects: [maths, history], activeId: 'maths' }, 'maths'))
+            .toEqual({ subjects: [history], activeId: null });
+        expect(removeSubject({ subjects: [maths, history], activeId: 'maths' }, 'history').activeId).toBe('maths');
+    });
+});
+
+describe('getSubjectStats', () => {
+    const entry = (day: string, amount: number, subjectId?: string) => ({
+        id: `${day}-${amount}`,
+        label: "Entry",
+        amount,
+        source: 'task' as const,
+        category: null,
+        subjectId,
+        timestamp: new Date(`${day}T12:00:00`),
+    });
+    const progress = {
+        log: [entry('2025-03-01', 400, 'maths'), entry('2025-03-02', 350, 'maths'), entry('2025-03-03', 50)],
+        sessions: [
+            { id: 's1', label: "Focus", startedAt: new Date(), focusedMs: 25 * 60000, plannedMs: 25 * 60000, subjectId: 'maths' },
+            { id: 's2', label: "Focus", startedAt: new Date(), focusedMs: 10 * 60000, plannedMs: 25 * 60000 },
+        ],
+    } as Progress;
+
+    it('sums up XP, entries and focus time per subject', () => {
+        const [stats] = getSubjectStats([maths], progress, DEFAULT_LEVEL_CURVE, DEFAULT_LEVEL_TITLES);
+        expect(stats).toMatchObject({
+            subject: maths,
+            xp: 750,
+            entries: 2,
+            focusMinutes: 25,
+            lastStudied: new Date('2025-03-02T12:00:00'),
+        });
+        expect(stats.level.level).toBe(2);
+    });
+
+    it('reports subjects without activity as never studied', () => {
+        const [stats] = getSubjectStats([history], progress, DEFAULT_LEVEL_CURVE, DEFAULT_LEVEL_TITLES);
+        expect(stats).toMatchObject({ xp: 0, entries: 0, focusMinutes: 0, lastStudied: null });
+    });
+});
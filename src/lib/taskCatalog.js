@@ -0,0 +1,258 @@
+import {
+    Book,
+    BookOpen,
+    BrainCircuit,
+    Calculator,
+    ClipboardList,
+    Code,
+    FileText,
+    FlaskConical,
+    Globe,
+    GraduationCap,
+    Lightbulb,
+    MessageSquare,
+    Microscope,
+    Music,
+    PenTool,
+    Users,
+} from 'lucide-react';
+import { createId } from '@/lib/events';
+import { MessageKey, Translate, translateDefault } from '@/lib/i18n';
+
+// ===============================
+// Task Catalog
+// ===============================
+
+export const TASK_CATALOG_STORAGE_KEY = 'scholarQuest.tasks';
+
+// Icons are stored by name so the catalog can be serialised
+export const TASK_ICONS = {
+    BookOpen,
+    Book,
+    BrainCircuit,
+    MessageSquare,
+    GraduationCap,
+    Users,
+    FlaskConical,
+    Microscope,
+    Calculator,
+    PenTool,
+    FileText,
+    ClipboardList,
+    Code,
+    Globe,
+    Lightbulb,
+    Music,
+};
+
+export type TaskIcon = keyof typeof TASK_ICONS;
+
+export interface TaskDefinition {
+    id: string;
+    label: string;
+    value: number;
+    icon: TaskIcon;
+    // Pages a reading task stands for (the low end of its range), used by reading challenges
+    pages?: number;
+    // Limits against grinding; unset or 0 means no limit (see lib/taskLimits)
+    cooldownMinutes?: number;
+    dailyCap?: number;
+    // A single key that logs the task from anywhere on the page
+    shortcut?: string;
+}
+
+export interface TaskCategory {
+    id: string;
+    name: string;
+    tasks: TaskDefinition[];
+    // Most XP the category's tasks can earn in a day together
+    dailyCap?: number;
+}
+
+export const MAX_TASK_XP = 500;
+
+export const DEFAULT_TASK_CATEGORIES: TaskCategory[] = [
+    {
+        id: 'initiation',
+        name: "Initiation",
+        tasks: [
+            { id: 'read-1-4', label: "Read 1–4 pages", value: 5, icon: 'BookOpen', pages: 1 },
+        ],
+    },
+    {
+        id: 'engagement',
+        name: "Engagement",
+        tasks: [
+            { id: 'read-5-14', label: "Read 5–14 pages", value: 10, icon: 'Book', pages: 5 },
+            { id: 'read-15-24', label: "Read 15–24 pages", value: 15, icon: 'Book', pages: 15 },
+            { id: 'read-25-plus', label: "Read 25+ pages", value: 20, icon: 'Book', pages: 25 },
+        ],
+    },
+    {
+        id: 'understanding',
+        name: "Understanding",
+        tasks: [
+            { id: 'understanding', label: "Understanding it", value: 10, icon: 'BrainCircuit' },
+            { id: 'active-recall', label: "Active recall", value: 5, icon: 'BrainCircuit' },
+            { id: 'real-world', label: "Linking to real world", value: 10, icon: 'BrainCircuit' },
+            { id: 'discussing', label: "Answering/discussing", value: 5, icon: 'MessageSquare' },
+        ],
+    },
+    {
+        id: 'mastery',
+        name: "Mastery",
+        tasks: [
+            { id: 'notes-review', label: "Reading notes later", value: 10, icon: 'GraduationCap' },
+            { id: 'teaching', label: "Teaching someone", value: 20, icon: 'Users' },
+        ],
+    },
+];
+
+export const getTaskIcon = (icon: string) => TASK_ICONS[icon] ?? BookOpen;
+
+const DEFAULT_TASK_LABELS = new Map(
+    DEFAULT_TASK_CATEGORIES.flatMap((category) => category.tasks).map((task) => [task.id, task.label])
+);
+
+const DEFAULT_CATEGORY_IDS = new Map(DEFAULT_TASK_CATEGORIES.map((category) => [category.name, category.id]));
+
+// Log entries keep the task's id and label too, so this works for them as well
+export const getTaskLabel = (taskId: string | undefined, label: string, t: Translate) =>
+    translateDefault(t, `tasks.${taskId}`, label, DEFAULT_TASK_LABELS.get(taskId));
+
+// By name, since log entries only record the category's name
+export const getCategoryName = (name: string, t: Translate) => {
+    const builtInId = DEFAULT_CATEGORY_IDS.get(name);
+    return builtInId ? t(`tasks.category.${builtInId}` as MessageKey) : name;
+};
+
+// Letters and digits only, so a shortcut never clashes with keys the browser
+// or screen readers already use
+export const isShortcutKey = (key: unknown) => typeof key === 'string' && /^[a-z0-9]$/.test(key);
+
+const isOptionalCount = (value: unknown) =>
+    value === undefined || (Number.isInteger(value) && (value as number) >= 0);
+
+const isValidTask = (task) =>
+    task &&
+    typeof task.id === 'string' &&
+    typeof task.label === 'string' &&
+    Number.isFinite(task.value) &&
+    typeof task.icon === 'string' &&
+    isOptionalCount(task.pages) &&
+    isOptionalCount(task.cooldownMinutes) &&
+    isOptionalCount(task.dailyCap) &&
+    (task.shortcut === undefined || isShortcutKey(task.shortcut));
+
+export const isValidCatalog = (catalog: unknown) =>
+    Array.isArray(catalog) &&
+    catalog.every((category) =>
+        category &&
+        typeof category.id === 'string' &&
+        typeof category.name === 'string' &&
+        isOptionalCount(category.dailyCap) &&
+        Array.isArray(category.tasks) &&
+        category.tasks.every(isValidTask)
+    );
+
+const DEFAULT_PAGES = new Map(
+    DEFAULT_TASK_CATEGORIES.flatMap((category) => category.tasks)
+        .filter((task) => task.pages !== undefined)
+        .map((task) => [task.id, task.pages])
+);
+
+// Catalogs saved before tasks had page counts get them back for the default reading tasks
+export const parseCatalog = (catalog: unknown) =>
+    isValidCatalog(catalog)
+        ? (catalog as TaskCategory[]).map((category) => ({
+            ...category,
+            tasks: category.tasks.map((task) =>
+                (task.pages === undefined && DEFAULT_PAGES.has(task.id) ? { ...task, pages: DEFAULT_PAGES.get(task.id) } : task)
+            ),
+        }))
+        : null;
+
+export const findTask = (catalog: TaskCategory[], taskId: string) => {
+    for (const category of catalog) {
+        const task = category.tasks.find((candidate) => candidate.id === taskId);
+        if (task) {
+            return { category, task };
+        }
+    }
+    return null;
+};
+
+// ===============================
+// Editing
+// ===============================
+
+export const moveItem = <T,>(items: T[], index: number, offset: number) => {
+    const target = index + offset;
+    if (target < 0 || target >= items.length) {
+        return items;
+    }
+    const next = [...items];
+    [next[index], next[target]] = [next[target], next[index]];
+    return next;
+};
+
+const updateCategory = (catalog: TaskCategory[], categoryId: string, update: (category: TaskCategory) => TaskCategory) =>
+    catalog.map((category) => (category.id === categoryId ? update(category) : category));
+
+export const addCategory = (catalog: TaskCategory[], name: string) => [
+    ...catalog,
+    { id: createId(), name, tasks: [] },
+];
+
+export const renameCategory = (catalog: TaskCategory[], categoryId: string, name: string) =>
+    updateCategory(catalog, categoryId, (category) => ({ ...category, name }));
+
+export const setCategoryCap = (catalog: TaskCategory[], categoryId: string, dailyCap: number | undefined) =>
+    updateCategory(catalog, categoryId, (category) => ({ ...category, dailyCap }));
+
+export const moveCategory = (catalog: TaskCategory[], categoryId: string, offset: number) =>
+    moveItem(catalog, catalog.findIndex((category) => category.id === categoryId), offset);
+
+export const removeCategory = (catalog: TaskCategory[], categoryId: string) =>
+    catalog.filter((category) => category.id !== categoryId);
+
+export const addTask = (catalog: TaskCategory[], categoryId: string, label: string) =>
+    updateCategory(catalog, categoryId, (category) => ({
+        ...category,
+        tasks: [...category.tasks, { id: createId(), label, value: 10, icon: 'BookOpen' }],
+    }));
+
+export const updateTask = (
+    catalog: TaskCategory[],
+    categoryId: string,
+    taskId: string,
+    changes: Partial<TaskDefinition>
+) =>
+    updateCategory(catalog, categoryId, (category) => ({
+        ...category,
+        tasks: category.tasks.map((task) => (task.id === taskId ? { ...task, ...changes } : task)),
+    }));
+
+// A key belongs to one task at a time, so taking it clears it everywhere else
+export const setTaskShortcut = (catalog: TaskCategory[], taskId: string, shortcut: string | undefined) =>
+    catalog.map((category) => ({
+        ...category,
+        tasks: category.tasks.map((task) => {
+            if (task.id === taskId) {
+                return { ...task, shortcut };
+            }
+            return shortcut && task.shortcut === shortcut ? { ...task, shortcut: undefined } : task;
+        }),
+    }));
+
+export const moveTask = (catalog: TaskCategory[], categoryId: string, taskId: string, offset: number) =>
+    updateCategory(catalog, categoryId, (category) => ({
+        ...category,
+        tasks: moveItem(category.tasks, category.tasks.findIndex((task) => task.id === taskId), offset),
+    }));
+
+export const removeTask = (catalog: TaskCategory[], categoryId: string, taskId: string) =>
+    updateCategory(catalog, categoryId, (category) => ({
+        ...category,
+        tasks: category.tasks.filter((task) => task.id !== taskId),
+    }));
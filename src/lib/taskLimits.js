@@ -0,0 +1,80 @@
+import { LogEntry } from '@/lib/xpLog';
+import { TaskCategory, TaskDefinition } from '@/lib/taskCatalog';
+import { toDayKey } from '@/lib/dates';
+
+// ===============================
+// Task Limits
+// ===============================
+
+// Keeps XP meaningful when a task button is clicked over and over. Everything
+// is worked out from the log, so undoing or deleting an entry frees its share
+// of a cap again. Reviews of due topics count towards their task like any
+// other entry, but are never blocked. Reading logged against a book counts
+// towards the reading task it matches (see getReadingTask).
+
+export interface RepeatSettings {
+    // Repeats of a task within this many minutes earn less; 0 switches it off
+    repeatWindowMinutes: number;
+    // Each repeat earns this share of the one before it
+    repeatMultiplier: number;
+}
+
+export type TaskAvailability =
+    | { status: 'available'; xp: number; repeats: number }
+    | { status: 'cooldown'; readyAt: Date }
+    | { status: 'capped'; limit: 'task' | 'category' };
+
+const MINUTE_MS = 60 * 1000;
+
+const sumXp = (entries: LogEntry[]) => entries.reduce((total, entry) => total + entry.amount, 0);
+
+export const getTaskAvailability = (
+    task: TaskDefinition,
+    category: TaskCategory,
+    log: LogEntry[],
+    { repeatWindowMinutes, repeatMultiplier }: RepeatSettings,
+    now = new Date()
+): TaskAvailability => {
+    const taskIds = new Set(category.tasks.map((candidate) => candidate.id));
+    const categoryEntries = log.filter((entry) =>
+        (entry.source === 'task' || entry.source === 'reading') && taskIds.has(entry.taskId)
+    );
+    const taskEntries = categoryEntries.filter((entry) => entry.taskId === task.id);
+
+    const last = taskEntries[taskEntries.length - 1];
+    if (last && task.cooldownMinutes > 0) {
+        const readyAt = new Date(last.timestamp.getTime() + task.cooldownMinutes * MINUTE_MS);
+        if (readyAt > now) {
+            return { status: 'cooldown', readyAt };
+        }
+    }
+
+    const windowStart = now.getTime() - repeatWindowMinutes * MINUTE_MS;
+    const repeats = repeatWindowMinutes > 0
+        ? taskEntries.filter((entry) => entry.timestamp.getTime() > windowStart).length
+        : 0;
+    // Never decays below 1 XP, so a repeat still shows up in the log
+    let xp = task.value > 0 ? Math.max(Math.round(task.value * repeatMultiplier ** repeats), 1) : 0;
+
+    // A grant that would overshoot a cap is cut down to what's left of it
+    const today = toDayKey(now);
+    const isToday = (entry: LogEntry) => toDayKey(entry.timestamp) === today;
+    const caps = [
+        { limit: 'task' as const, cap: task.dailyCap, earned: sumXp(taskEntries.filter(isToday)) },
+        { limit: 'category' as const, cap: category.dailyCap, earned: sumXp(categoryEntries.filter(isToday)) },
+    ];
+    for (const { limit, cap, earned } of caps) {
+        if (cap > 0) {
+            if (earned >= cap) {
+                return { status: 'capped', limit };
+            }
+            xp = Math.min(xp, cap - earned);
+        }
+    }
+
+    return { status: 'available', xp, repeats };
+};
+
+// Whole minutes, rounded up so "0 min" never shows while still waiting
+export const getMinutesLeft = (readyAt: Date, now = new Date()) =>
+    Math.max(Math.ceil((readyAt.getTime() - now.getTime()) / MINUTE_MS), 1);
@@ -0,0 +1,89 @@
+import { LogEntry } from '@/lib/xpLog';
+import { TaskCategory, TaskDefinition } from '@/lib/taskCatalog';
+import { DEFAULT_SETTINGS } from '@/lib/settings';
+import { getMinutesLeft, getTaskAvailability } from '@/lib/taskLimits';
+
+const NOW = new Date(2025, 2, 10, 12, 0);
+
+const minutesAgo = (minutes: number) => new Date(NOW.getTime() - minutes * 60000);
+
+const task = (fields: Partial<TaskDefinition> = {}): TaskDefinition => ({
+    id: 'flashcards',
+    label: "Flashcards",
+    value: 20,
+    icon: 'Book',
+    ...fields,
+});
+
+const category = (tasks: TaskDefinition[], dailyCap?: number): TaskCategory => ({
+    id: 'study',
+    name: "Study",
+    tasks,
+    dailyCap,
+} as TaskCategory);
+
+const entry = (taskId: string, amount: number, timestamp: Date, source: LogEntry['source'] = 'task'): LogEntry => ({
+    id: `${taskId}-${timestamp.getTime()}`,
+    label: "Task",
+    amount,
+    source,
+    category: "Study",
+    taskId,
+    timestamp,
+});
+
+const noRepeats = { repeatWindowMinutes: 0, repeatMultiplier: 0.5 };
+
+describe('getTaskAvailability', () => {
+    it('leaves repeats alone by default', () => {
+        const flashcards = task();
+        const log = [entry('flashcards', 20, minutesAgo(5)), entry('flashcards', 20, minutesAgo(2))];
+        expect(getTaskAvailability(flashcards, category([flashcards]), log, DEFAULT_SETTINGS, NOW))
+            .toEqual({ status: 'available', xp: 20, repeats: 0 });
+    });
+
+    it('halves each repeat within the window, down to 1 XP', () => {
+        const flashcards = task();
+        const settings = { repeatWindowMinutes: 60, repeatMultiplier: 0.5 };
+        const log = [entry('flashcards', 20, minutesAgo(90)), entry('flashcards', 20, minutesAgo(30)), entry('flashcards', 10, minutesAgo(10))];
+        expect(getTaskAvailability(flashcards, category([flashcards]), log, settings, NOW))
+            .toEqual({ status: 'available', xp: 5, repeats: 2 });
+        expect(getTaskAvailability(flashcards, category([flashcards]), log, { ...settings, repeatMultiplier: 0 }, NOW))
+            .toEqual({ status: 'available', xp: 1, repeats: 2 });
+    });
+
+    it('waits out the cooldown after the last log', () => {
+        const flashcards = task({ cooldownMinutes: 15 });
+        const log = [entry('flashcards', 20, minutesAgo(10))];
+        const availability = getTaskAvailability(flashcards, category([flashcards]), log, noRepeats, NOW);
+        expect(availability).toEqual({ status: 'cooldown', readyAt: minutesAgo(-5) });
+        expect(getMinutesLeft(minutesAgo(-5), NOW)).toBe(5);
+        expect(getTaskAvailability(flashcards, category([flashcards]), log, noRepeats, minutesAgo(-5)).status).toBe('available');
+    });
+
+    it('cuts a grant down to what is left of a daily cap', () => {
+        const flashcards = task({ dailyCap: 50 });
+        const log = [entry('flashcards', 20, minutesAgo(60)), entry('flashcards', 20, minutesAgo(30))];
+        expect(getTaskAvailability(flashcards, category([flashcards]), log, noRepeats, NOW))
+            .toEqual({ status: 'available', xp: 10, repeats: 0 });
+        expect(getTaskAvailability(flashcards, category([flashcards]), [...log, entry('flashcards', 10, minutesAgo(5))], noRepeats, NOW))
+            .toEqual({ status: 'capped', limit: 'task' });
+    });
+
+    it('only counts today towards daily caps', () => {
+        const flashcards = task({ dailyCap: 20 });
+        const log = [entry('flashcards', 20, new Date(2025, 2, 9, 23))];
+        expect(getTaskAvailability(flashcards, category([flashcards]), log, noRepeats, NOW).status).toBe('available');
+    });
+
+    it('shares the category cap between its tasks, reading included', () => {
+        const flashcards = task();
+        const reading = task({ id: 'read-5-14', value: 10 });
+        const study = category([flashcards, reading], 30);
+        const log = [entry('read-5-14', 25, minutesAgo(20), 'reading')];
+        expect(getTaskAvailability(flashcards, study, log, noRepeats, NOW))
+            .toEqual({ status: 'available', xp: 5, repeats: 0 });
+        expect(getTaskAvailability(reading, { ...study, dailyCap: 25 }, log, noRepeats, NOW))
+            .toEqual({ status: 'capped', limit: 'category' });
+    });
+});
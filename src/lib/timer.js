@@ -0,0 +1,112 @@
+// ===============================
+// Focus Timer
+// ===============================
+
+// The timer is stored as timestamps rather than a ticking counter, so a reload
+// (or a tab left in the background) picks up exactly where it was.
+
+export const TIMER_STORAGE_KEY = 'scholarQuest.timer';
+export const FOCUS_XP_PER_MINUTE = 0.5;
+export const MIN_SESSION_MS = 60 * 1000;
+
+export type TimerPhase = 'idle' | 'focus' | 'break';
+
+export interface TimerSettings {
+    focusMinutes: number;
+    breakMinutes: number;
+}
+
+export interface TimerState {
+    phase: TimerPhase;
+    label: string;
+    startedAt: string | null;
+    // Start of the current uninterrupted run; null while paused
+    runningSince: number | null;
+    // Time accumulated before runningSince
+    elapsedMs: number;
+    settings: TimerSettings;
+}
+
+export interface FocusSession {
+    label: string;
+    startedAt: string;
+    focusedMs: number;
+    plannedMs: number;
+}
+
+export const DEFAULT_TIMER_SETTINGS: TimerSettings = { focusMinutes: 25, breakMinutes: 5 };
+
+export const createTimer = (settings: TimerSettings = DEFAULT_TIMER_SETTINGS): TimerState => ({
+    phase: 'idle',
+    label: '',
+    startedAt: null,
+    runningSince: null,
+    elapsedMs: 0,
+    settings,
+});
+
+export const getElapsed = (timer: TimerState, now: number = Date.now()) =>
+    timer.elapsedMs + (timer.runningSince === null ? 0 : now - timer.runningSince);
+
+export const getPhaseLength = (timer: TimerState) =>
+    (timer.phase === 'break' ? timer.settings.breakMinutes : timer.settings.focusMinutes) * 60 * 1000;
+
+export const getFocusXp = (focusedMs: number) =>
+    Math.floor((focusedMs / 60000) * FOCUS_XP_PER_MINUTE);
+
+export const startPhase = (timer: TimerState, phase: TimerPhase, label: string, now: number): TimerState => ({
+    ...timer,
+    phase,
+    label,
+    startedAt: new Date(now).toISOString(),
+    runningSince: now,
+    elapsedMs: 0,
+});
+
+export const pauseTimer = (timer: TimerState, now: number): TimerState => ({
+    ...timer,
+    elapsedMs: getElapsed(timer, now),
+    runningSince: null,
+});
+
+export const resumeTimer = (timer: TimerState, now: number): TimerState => ({
+    ...timer,
+    runningSince: now,
+});
+
+export const toFocusSession = (timer: TimerState, now: number): FocusSession => ({
+    label: timer.label,
+    startedAt: timer.startedAt,
+    focusedMs: Math.min(getElapsed(timer, now), getPhaseLength(timer)),
+    plannedMs: getPhaseLength(timer),
+});
+
+const isValidTimer = (timer) =>
+    timer &&
+    ['idle', 'focus', 'break'].includes(timer.phase) &&
+    typeof timer.label === 'string' &&
+    Number.isFinite(timer.elapsedMs) &&
+    (timer.runningSince === null || Number.isFinite(timer.runningSince)) &&
+    Number.isFinite(timer.settings?.focusMinutes) &&
+    Number.isFinite(timer.settings?.breakMinutes);
+
+// Null when the stored JSON isn't a usable timer
+export const parseTimer = (raw: string | null): TimerState | null => {
+    try {
+        const stored = raw === null ? null : JSON.parse(raw);
+        return isValidTimer(stored) ? stored : null;
+    } catch {
+        return null;
+    }
+};
+
+export const loadTimer = (): TimerState => {
+    if (typeof window === 'undefined') {
+        return createTimer();
+    }
+    return parseTimer(localStorage.getItem(TIMER_STORAGE_KEY)) ?? createTimer();
+};
+
+export const saveTimer = (timer: TimerState) => {
+    localStorage.setItem(TIMER_STORAGE_KEY, JSON.stringify(timer));
+};
@@ -0,0 +1,74 @@
+import {
+    createTimer,
+    getElapsed,
+    getFocusXp,
+    getPhaseLength,
+    parseTimer,
+    pauseTimer,
+    resumeTimer,
+    startPhase,
+    toFocusSession,
+} from '@/lib/timer';
+
+const MINUTE = 60 * 1000;
+const START = Date.parse('2025-03-01T12:00:00Z');
+
+const focus = () => startPhase(createTimer(), 'focus', "Essay", START);
+
+describe('getElapsed', () => {
+    it('counts time since the timer was started', () => {
+        expect(getElapsed(focus(), START + 3 * MINUTE)).toBe(3 * MINUTE);
+    });
+
+    it('leaves out the time spent paused', () => {
+        const paused = pauseTimer(focus(), START + 3 * MINUTE);
+        expect(getElapsed(paused, START + 10 * MINUTE)).toBe(3 * MINUTE);
+
+        const resumed = resumeTimer(paused, START + 10 * MINUTE);
+        expect(getElapsed(resumed, START + 12 * MINUTE)).toBe(5 * MINUTE);
+    });
+
+    it('starts over with each phase', () => {
+        const onBreak = startPhase(focus(), 'break', "Essay", START + 25 * MINUTE);
+        expect(getElapsed(onBreak, START + 26 * MINUTE)).toBe(MINUTE);
+        expect(getPhaseLength(onBreak)).toBe(5 * MINUTE);
+    });
+});
+
+describe('toFocusSession', () => {
+    it('records the time focused against the time planned', () => {
+        expect(toFocusSession(pauseTimer(focus(), START + 10 * MINUTE), START + 20 * MINUTE)).toEqual({
+            label: "Essay",
+            startedAt: '2025-03-01T12:00:00.000Z',
+            focusedMs: 10 * MINUTE,
+            plannedMs: 25 * MINUTE,
+        });
+    });
+
+    it('does not count time past the end of the phase', () => {
+        expect(toFocusSession(focus(), START + 40 * MINUTE).focusedMs).toBe(25 * MINUTE);
+    });
+});
+
+describe('getFocusXp', () => {
+    it('pays half an XP per whole minute, rounded down', () => {
+        expect(getFocusXp(25 * MINUTE)).toBe(12);
+        expect(getFocusXp(MINUTE + 59 * 1000)).toBe(0);
+    });
+});
+
+describe('parseTimer', () => {
+    it('reads back a stored timer', () => {
+        const timer = pauseTimer(focus(), START + MINUTE);
+        expect(parseTimer(JSON.stringify(timer))).toEqual(timer);
+    });
+
+    it.each([
+        ['nothing stored', null],
+        ['broken JSON', '{'],
+        ['an unknown phase', JSON.stringify({ ...createTimer(), phase: 'nap' })],
+        ['missing settings', JSON.stringify({ ...createTimer(), settings: undefined })],
+    ])('returns null for %s', (_, raw) => {
+        expect(parseTimer(raw)).toBeNull();
+    });
+});
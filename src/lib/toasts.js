@@ -0,0 +1,57 @@
+// ===============================
+// Toasts & Notification Center
+// ===============================
+
+// Feedback on what just happened is shown as a toast. Toasts queue up and
+// only a few are on screen at once; every one is also kept in the
+// notification center, so a toast that went by unnoticed can be read later.
+
+export const NOTIFICATIONS_STORAGE_KEY = 'scholarQuest.notifications';
+
+export type ToastTone = 'success' | 'info' | 'warning';
+
+export interface ToastAction {
+    label: string;
+    onClick: () => void;
+}
+
+export interface Toast {
+    id: string;
+    message: string;
+    tone: ToastTone;
+    action?: ToastAction;
+    durationMs: number;
+}
+
+// What the notification center keeps of a toast
+export interface NotificationRecord {
+    id: string;
+    message: string;
+    tone: ToastTone;
+    at: Date;
+    isRead: boolean;
+}
+
+export const TOAST_DURATION_MS = 5000;
+export const MAX_VISIBLE_TOASTS = 3;
+export const MAX_NOTIFICATIONS = 50;
+
+const TONES: ToastTone[] = ['success', 'info', 'warning'];
+
+const isValidRecord = (record) =>
+    record &&
+    typeof record.id === 'string' &&
+    typeof record.message === 'string' &&
+    TONES.includes(record.tone) &&
+    !Number.isNaN(new Date(record.at).getTime());
+
+export const parseNotifications = (records: unknown): NotificationRecord[] | null =>
+    Array.isArray(records)
+        ? records.filter(isValidRecord).slice(0, MAX_NOTIFICATIONS).map((record) => ({
+            id: record.id,
+            message: record.message,
+            tone: record.tone,
+            at: new Date(record.at),
+            isRead: record.isRead === true,
+        }))
+        : null;
@@ -0,0 +1,44 @@
+import { MAX_NOTIFICATIONS, parseNotifications } from '@/lib/toasts';
+
+const record = (id: string, fields: object = {}) => ({
+    id,
+    message: "Saved",
+    tone: 'success',
+    at: '2025-03-01T12:00:00.000Z',
+    isRead: true,
+    ...fields,
+});
+
+describe('parseNotifications', () => {
+    it('reads back stored records', () => {
+        expect(parseNotifications([record('a')])).toEqual([
+            { id: 'a', message: "Saved", tone: 'success', at: new Date('2025-03-01T12:00:00.000Z'), isRead: true },
+        ]);
+    });
+
+    it('drops broken records and keeps the rest', () => {
+        const parsed = parseNotifications([
+            record('a'),
+            record('b', { tone: 'error' }),
+            record('c', { at: 'yesterday' }),
+            record('d', { message: undefined }),
+            null,
+        ]);
+        expect(parsed.map((notification) => notification.id)).toEqual(['a']);
+    });
+
+    it('treats anything but true as unread', () => {
+        expect(parseNotifications([record('a', { isRead: 'yes' })])[0].isRead).toBe(false);
+    });
+
+    it('keeps only the newest records', () => {
+        const records = Array.from({ length: MAX_NOTIFICATIONS + 5 }, (_, index) => record(String(index)));
+        const parsed = parseNotifications(records);
+        expect(parsed).toHaveLength(MAX_NOTIFICATIONS);
+        expect(parsed[0].id).toBe('0');
+    });
+
+    it('returns null for anything but a list', () => {
+        expect(parseNotifications({ a: record('a') })).toBeNull();
+    });
+});
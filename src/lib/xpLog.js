@@ -0,0 +1,83 @@
+import { toDayKey } from '@/lib/dates';
+import { MessageKey } from '@/lib/i18n';
+
+// ===============================
+// XP Log
+// ===============================
+
+export type XpSource =
+    | 'task'
+    | 'reading'
+    | 'challenge'
+    | 'weeklyChallenge'
+    | 'goal'
+    | 'sideQuest'
+    | 'mood'
+    | 'streak'
+    | 'timer';
+
+export interface LogEntry {
+    id: string;
+    label: string;
+    amount: number;
+    source: XpSource;
+    category: string | null;
+    // Only set for catalog tasks
+    taskId?: string;
+    // Only set for side quests from the quest list
+    questId?: string;
+    // Pages read, for reading tasks
+    pages?: number;
+    // The subject that was active when it was logged
+    subjectId?: string;
+    // Only set for reading logged against a book
+    bookId?: string;
+    fromPage?: number;
+    toPage?: number;
+    // Only set for goal bonuses
+    goalId?: string;
+    // The shop rate when it was earned; missing on grants from before it was kept
+    xpPerCoin?: number;
+    // The amount first granted, which an edit can lower but never raise past
+    grantedAmount?: number;
+    timestamp: Date;
+}
+
+// Optional references stored alongside an XP grant
+export type XpDetails = Partial<Pick<LogEntry, 'category' | 'taskId' | 'questId' | 'pages' | 'subjectId' | 'bookId' | 'fromPage' | 'toPage' | 'goalId'
+>>;
+
+export const XP_SOURCES: Record<XpSource, MessageKey> = {
+    task: 'xpLog.source.task',
+    reading: 'xpLog.source.reading',
+    challenge: 'xpLog.source.challenge',
+    weeklyChallenge: 'xpLog.source.weeklyChallenge',
+    goal: 'xpLog.source.goal',
+    sideQuest: 'xpLog.source.sideQuest',
+    mood: 'xpLog.source.mood',
+    streak: 'xpLog.source.streak',
+    timer: 'xpLog.source.timer',
+};
+
+// Moods and bonuses reward something other than studying itself, so they
+// never keep a streak alive or count as study XP
+export const NON_STUDY_SOURCES: XpSource[] = ['mood', 'streak', 'challenge', 'weeklyChallenge', 'goal'];
+
+export const isStudyEntry = (entry: LogEntry) => !NON_STUDY_SOURCES.includes(entry.source);
+
+// Editing an entry corrects it; raising it would get around cooldowns, caps
+// and repeat decay, which only ever saw the amount granted
+export const getMaxEditedAmount = (entry: LogEntry) => Math.max(entry.grantedAmount ?? entry.amount, 0);
+
+export const clampEditedAmount = (entry: LogEntry, amount: number) =>
+    Math.min(Math.max(Math.floor(amount), 0), getMaxEditedAmount(entry));
+
+export const filterLog = (
+    log: LogEntry[],
+    { day, category, source, subject = '' }: { day: string; category: string; source: string; subject?: string }
+) => log.filter((entry) =>
+    (!day || toDayKey(entry.timestamp) === day) &&
+    (!subject || entry.subjectId === subject) &&
+    (!category || entry.category === category) &&
+    (!source || entry.source === source)
+);